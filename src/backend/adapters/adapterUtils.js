@@ -0,0 +1,253 @@
+// backend/adapters/adapterUtils.js
+/**
+ * Shared helpers for writeback backend adapters
+ */
+
+import {
+  SAVE_ROW_STATUS,
+  STATUS_OPTIONS,
+  DB_FIELD_MAPPINGS,
+} from "../../utils/constants.js";
+import { hashString } from "../../utils/idempotency.js";
+
+/**
+ * Normalize the different response envelopes returned by backends
+ * into a flat array of writeback records
+ * @param {*} data - Parsed response body
+ * @returns {Array|null} Array of records or null if the format is unknown
+ */
+export function extractRecordArray(data) {
+  if (Array.isArray(data)) {
+    // Qlik Automation wraps query results in a nested array
+    if (data.length > 0 && Array.isArray(data[0])) {
+      return data[0];
+    }
+    return data;
+  }
+
+  if (!data || typeof data !== "object") {
+    return null;
+  }
+
+  const envelopeKeys = ["DoQuery", "result", "body", "data", "records"];
+  for (const key of envelopeKeys) {
+    if (Array.isArray(data[key])) {
+      return data[key];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a stored record belongs to the row described by a filter
+ * @param {Object} record - Writeback record (DB field names)
+ * @param {Object} filter - Map of DB field name -> expected value
+ * @returns {boolean} True if every filter field matches
+ */
+export function recordMatchesFilter(record, filter = {}) {
+  return Object.keys(filter).every(
+    (field) =>
+      filter[field] === undefined ||
+      String(record[field]) === String(filter[field])
+  );
+}
+
+/**
+ * Keep only the records belonging to one of the given row keys
+ * Used by adapters that filter client-side and as a guard for backends that
+ * ignore the keys of a keyed read.
+ * @param {Array} records - Writeback records
+ * @param {Array} keys - Row keys, e.g. [{ customer_name, invoice_id }]
+ * @returns {Array} Matching records
+ */
+export function filterRecordsByKeys(records, keys) {
+  if (!keys || keys.length === 0) return records;
+
+  const fields = Object.keys(keys[0]);
+  const signature = (item) =>
+    fields.map((field) => String(item[field] ?? "")).join("\u0000");
+  const wanted = new Set(keys.map(signature));
+
+  return records.filter((record) => wanted.has(signature(record)));
+}
+
+/**
+ * Build the version history for a single row from a list of records
+ * @param {Array} records - All writeback records
+ * @param {Object} filter - Map of DB field name -> expected value
+ * @returns {Array} Matching records sorted by version descending
+ */
+export function buildHistory(records, filter) {
+  return records
+    .filter((record) => recordMatchesFilter(record, filter))
+    .sort((a, b) => (b.version || 0) - (a.version || 0));
+}
+
+/**
+ * Compute writeback statistics from a list of records
+ * @param {Array} records - All writeback records
+ * @param {Object} options
+ * @param {Array} options.statusOptions - Status option set of the object
+ * @param {string} options.statusField - DB column of the status column
+ * @returns {Object} Statistics object; feedbackCounts counts the records per
+ *   status option value (values outside the option set under "other")
+ */
+export function computeStatistics(
+  records,
+  {
+    statusOptions = STATUS_OPTIONS,
+    statusField = DB_FIELD_MAPPINGS.MODEL_FEEDBACK,
+  } = {}
+) {
+  const feedbackCounts = statusOptions
+    .filter((option) => option.value !== "")
+    .reduce((counts, option) => ({ ...counts, [option.value]: 0 }), {});
+
+  records.forEach((record) => {
+    const value = record[statusField];
+    if (value === null || value === undefined || value === "") return;
+    const key = Object.keys(feedbackCounts).find(
+      (optionValue) => optionValue.toLowerCase() === String(value).toLowerCase()
+    );
+    if (key) {
+      feedbackCounts[key]++;
+    } else {
+      feedbackCounts.other = (feedbackCounts.other || 0) + 1;
+    }
+  });
+
+  const stats = {
+    totalRecords: records.length,
+    uniqueCustomers: new Set(records.map((r) => r.customer_name)).size,
+    recordsWithFeedback: records.filter(
+      (r) => r[statusField] && r[statusField] !== ""
+    ).length,
+    feedbackCounts,
+    recordsWithComments: records.filter((r) => r.comments && r.comments !== "")
+      .length,
+    latestUpdate:
+      records.length > 0
+        ? Math.max(
+            ...records.map((r) =>
+              new Date(r.modified_at || r.created_at).getTime()
+            )
+          )
+        : null,
+  };
+
+  if (stats.latestUpdate) {
+    stats.latestUpdate = new Date(stats.latestUpdate).toISOString();
+  }
+
+  return stats;
+}
+
+/**
+ * Build per-row results for a batch from the backend response
+ * Backends report { results: [{ row_key, status, error, version }] }; rows
+ * missing from the response get the fallback status.
+ * @param {Array} payloads - Payloads that were sent
+ * @param {*} body - Parsed response body
+ * @param {string} fallbackStatus - Status for rows not reported by the backend
+ * @returns {Array} Row results { rowKey, status, error, version }
+ */
+export function resolveBatchResults(payloads, body, fallbackStatus) {
+  const reported = new Map();
+  if (body && Array.isArray(body.results)) {
+    body.results.forEach((result) => {
+      reported.set(String(result.row_key ?? result.rowKey), result);
+    });
+  }
+
+  return payloads.map((payload) => {
+    const result = reported.get(payload.row_key) || {};
+    return {
+      rowKey: payload.row_key,
+      status: result.status || fallbackStatus,
+      error: result.error || null,
+      version: result.version ?? null,
+    };
+  });
+}
+
+/**
+ * Mark every row of a batch as failed (nothing was applied)
+ * @param {Array} payloads - Payloads that were sent
+ * @param {string} errorMessage - Reason the batch failed
+ * @returns {Array} Row results { rowKey, status, error, version }
+ */
+export function failBatch(payloads, errorMessage) {
+  return payloads.map((payload) => ({
+    rowKey: payload.row_key,
+    status: SAVE_ROW_STATUS.FAILED,
+    error: errorMessage,
+    version: null,
+  }));
+}
+
+/**
+ * Build the save result object shared by all adapters
+ * Saves are all-or-nothing: if any row failed, the backend rolled back the
+ * whole batch and the remaining rows are reported as rolled back.
+ * @param {Array} rowResults - Row results { rowKey, status, error, version }
+ * @param {Object} options - { retryable } true when the backend could not be
+ *   reached (network error, timeout, 5xx) so the batch may be queued
+ * @returns {Object} Save result
+ */
+export function buildSaveResult(rowResults, options = {}) {
+  const totalCount = rowResults.length;
+  const failed = rowResults.filter(
+    (result) => result.status !== SAVE_ROW_STATUS.SAVED
+  );
+
+  if (failed.length === 0) {
+    return {
+      success: true,
+      message: `Successfully saved ${totalCount} records to database`,
+      type: "success",
+      successCount: totalCount,
+      totalCount,
+      results: rowResults,
+    };
+  }
+
+  const results = rowResults.map((result) =>
+    result.status === SAVE_ROW_STATUS.SAVED
+      ? { ...result, status: SAVE_ROW_STATUS.ROLLED_BACK }
+      : result
+  );
+  const rejected = results.filter(
+    (result) => result.status === SAVE_ROW_STATUS.FAILED
+  );
+  const errors = rejected.map(
+    (result) => `${result.rowKey}: ${result.error || "rejected"}`
+  );
+  const reasons = [...new Set(rejected.map((result) => result.error))];
+
+  return {
+    success: false,
+    message:
+      rejected.length === totalCount && reasons.length === 1 && reasons[0]
+        ? `Save failed, no changes were applied: ${reasons[0]}`
+        : `Save failed, no changes were applied (${rejected.length} of ${totalCount} records rejected)`,
+    type: "error",
+    successCount: 0,
+    totalCount,
+    results,
+    errors,
+    retryable: !!options.retryable,
+  };
+}
+
+/**
+ * Build the idempotency key of a whole batch from its row keys
+ * Sent as the Idempotency-Key header so backends can also deduplicate at the
+ * request level; row-level keys remain the source of truth.
+ * @param {Array} payloads - Payloads contained in the batch
+ * @returns {string} Batch idempotency key
+ */
+export function createBatchIdempotencyKey(payloads) {
+  const rowKeys = payloads.map((payload) => payload.idempotency_key).sort();
+  return `wb_batch_${hashString(rowKeys.join("|"))}`;
+}
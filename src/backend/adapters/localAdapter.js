@@ -0,0 +1,156 @@
+// backend/adapters/localAdapter.js
+/**
+ * In-browser backend adapter
+ * Keeps versioned writeback records in localStorage (or any object with the
+ * Storage getItem/setItem interface), which makes it usable both for demos
+ * without a database and as a test double.
+ */
+
+import { STORAGE_KEYS, SAVE_ROW_STATUS } from "../../utils/constants.js";
+import { flattenPayload } from "../writebackPayload.js";
+import {
+  buildHistory,
+  filterRecordsByKeys,
+  computeStatistics,
+  resolveBatchResults,
+  failBatch,
+  buildSaveResult,
+} from "./adapterUtils.js";
+
+export class LocalAdapter {
+  constructor(options = {}) {
+    this.storage =
+      options.storage !== undefined ? options.storage : window.localStorage;
+    this.storageKey = options.storageKey || STORAGE_KEYS.LOCAL_BACKEND;
+    this.memory = {};
+  }
+
+  /**
+   * Load all stored records keyed by app ID
+   */
+  load() {
+    if (!this.storage) return this.memory;
+
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey) || "{}");
+    } catch (error) {
+      console.warn("LocalAdapter: Corrupt store, starting empty:", error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist all records keyed by app ID
+   */
+  persist(store) {
+    if (!this.storage) {
+      this.memory = store;
+      return;
+    }
+    this.storage.setItem(this.storageKey, JSON.stringify(store));
+  }
+
+  /**
+   * Read writeback records for an app
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { since } ISO timestamp: only records modified
+   *   at or after it; { keys } only records of these rows
+   * @returns {Promise<Array>} Array of writeback records
+   */
+  async read(appId, options = {}) {
+    const records = filterRecordsByKeys(this.load()[appId] || [], options.keys);
+    if (!options.since) return [...records];
+
+    const since = new Date(options.since).getTime();
+    return records.filter(
+      (record) => new Date(record.modified_at).getTime() >= since
+    );
+  }
+
+  /**
+   * Write a batch of writeback payloads as new versions
+   * @param {string} appId - Application identifier
+   * @param {Array} payloads - Writeback payloads to persist
+   * @returns {Promise<Object>} Save result
+   */
+  async write(appId, payloads) {
+    const store = this.load();
+    const appRecords = store[appId] || [];
+    const now = new Date().toISOString();
+    const versions = []; // reported like a backend: { row_key, version }
+
+    payloads.forEach((payload) => {
+      // Same save attempt already stored (retry or replay) - no new version
+      const alreadySaved = appRecords.find(
+        (record) =>
+          payload.idempotency_key &&
+          record.idempotency_key === payload.idempotency_key
+      );
+      if (alreadySaved) {
+        console.log(`LocalAdapter: Skipping duplicate save ${payload.row_key}`);
+        versions.push({
+          row_key: payload.row_key,
+          version: alreadySaved.version,
+        });
+        return;
+      }
+
+      const history = buildHistory(appRecords, payload.keys);
+      const first = history[history.length - 1];
+      const version = history.length > 0 ? history[0].version + 1 : 1;
+      versions.push({ row_key: payload.row_key, version });
+
+      appRecords.push({
+        ...flattenPayload(payload),
+        app_id: appId,
+        created_by: first ? first.created_by : payload.user,
+        modified_by: payload.user,
+        created_at: first ? first.created_at : now,
+        modified_at: now,
+        version,
+        session_id: payload.session_id,
+        edit_started_at: payload.edit_started_at || now,
+        edit_duration_seconds: payload.edit_duration_seconds ?? 0,
+        idempotency_key: payload.idempotency_key,
+      });
+    });
+
+    // Persisting the whole store in one write keeps the batch all-or-nothing
+    store[appId] = appRecords;
+    try {
+      this.persist(store);
+    } catch (error) {
+      console.error("LocalAdapter: Failed to persist batch:", error);
+      return buildSaveResult(failBatch(payloads, error.message));
+    }
+
+    return buildSaveResult(
+      resolveBatchResults(
+        payloads,
+        { results: versions },
+        SAVE_ROW_STATUS.SAVED
+      )
+    );
+  }
+
+  /**
+   * Get the version history of one row
+   * @param {string} appId - Application identifier
+   * @param {Object} filter - Map of DB field name -> value identifying the row
+   * @returns {Promise<Array>} Records sorted by version descending
+   */
+  async history(appId, filter) {
+    return buildHistory(await this.read(appId), filter);
+  }
+
+  /**
+   * Get writeback statistics for an app
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { statusOptions, statusField } (see
+   *   computeStatistics)
+   * @returns {Promise<Object>} Statistics object
+   */
+  async stats(appId, options = {}) {
+    return computeStatistics(await this.read(appId), options);
+  }
+}
@@ -0,0 +1,180 @@
+// backend/adapters/restAdapter.js
+/**
+ * Backend adapter for a plain REST API
+ *
+ * Expected endpoints (relative to baseUrl):
+ *   GET  /apps/:appId/writebacks          -> all writeback records
+ *                                            (?since=ISO: only records modified since)
+ *   POST /apps/:appId/writebacks/query    -> { keys, since } records of the given rows
+ *   POST /apps/:appId/writebacks          -> { records } new versions (writeback payloads),
+ *                                            applied in one transaction; responds with
+ *                                            { results: [{ row_key, status, error }] }
+ *   GET  /apps/:appId/writebacks/history  -> versions of one row (query = row keys)
+ *   GET  /apps/:appId/writebacks/stats    -> statistics object
+ *
+ * Saves send an Idempotency-Key header and an idempotency_key per record and
+ * are retried with exponential backoff on network errors, timeouts and 5xx.
+ */
+
+import ENV from "../../config/env.js";
+import { SAVE_ROW_STATUS } from "../../utils/constants.js";
+import {
+  withRetry,
+  fetchWithTimeout,
+  isRetryableError,
+  HttpError,
+} from "../../utils/retry.js";
+import {
+  extractRecordArray,
+  computeStatistics,
+  resolveBatchResults,
+  failBatch,
+  buildSaveResult,
+  createBatchIdempotencyKey,
+} from "./adapterUtils.js";
+
+export class RestAdapter {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || ENV.REST_API_URL || "").replace(
+      /\/+$/,
+      ""
+    );
+    this.token = options.token || ENV.REST_API_TOKEN || "";
+  }
+
+  /**
+   * Build request headers including optional bearer token
+   */
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Build the collection URL for an app
+   */
+  getAppUrl(appId) {
+    if (!this.baseUrl) {
+      throw new Error("REST backend URL is not configured");
+    }
+    return `${this.baseUrl}/apps/${encodeURIComponent(appId)}/writebacks`;
+  }
+
+  /**
+   * Perform a request and parse the JSON response
+   */
+  async request(url, options = {}, extraHeaders = {}) {
+    const response = await fetchWithTimeout(url, {
+      ...options,
+      headers: { ...this.getHeaders(), ...extraHeaders },
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new HttpError(response.status, errorText);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Read writeback records for an app
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { since } ISO timestamp: only records modified
+   *   at or after it; { keys } only records of these rows
+   * @returns {Promise<Array>} Array of writeback records
+   */
+  async read(appId, options = {}) {
+    if (options.keys) {
+      const data = await this.request(`${this.getAppUrl(appId)}/query`, {
+        method: "POST",
+        body: JSON.stringify({
+          keys: options.keys,
+          since: options.since || null,
+        }),
+      });
+      return extractRecordArray(data) || [];
+    }
+
+    const query = options.since
+      ? `?since=${encodeURIComponent(options.since)}`
+      : "";
+    const data = await this.request(`${this.getAppUrl(appId)}${query}`);
+    return extractRecordArray(data) || [];
+  }
+
+  /**
+   * Write a batch of writeback payloads as new versions in one transaction
+   * @param {string} appId - Application identifier
+   * @param {Array} records - Writeback payloads to persist
+   * @returns {Promise<Object>} Save result with per-row outcomes
+   */
+  async write(appId, records) {
+    try {
+      const url = this.getAppUrl(appId);
+      const body = JSON.stringify({
+        app_id: appId,
+        transactional: true,
+        records,
+      });
+      const idempotencyKey = createBatchIdempotencyKey(records);
+
+      const data = await withRetry(() =>
+        this.request(
+          url,
+          { method: "POST", body },
+          { "Idempotency-Key": idempotencyKey }
+        )
+      );
+
+      const fallbackStatus =
+        data && data.success === false
+          ? SAVE_ROW_STATUS.FAILED
+          : SAVE_ROW_STATUS.SAVED;
+      return buildSaveResult(
+        resolveBatchResults(records, data, fallbackStatus)
+      );
+    } catch (error) {
+      console.error("REST write failed:", error);
+      return buildSaveResult(failBatch(records, error.message), {
+        retryable: isRetryableError(error),
+      });
+    }
+  }
+
+  /**
+   * Get the version history of one row
+   * @param {string} appId - Application identifier
+   * @param {Object} filter - Map of DB field name -> value identifying the row
+   * @returns {Promise<Array>} Records sorted by version descending
+   */
+  async history(appId, filter = {}) {
+    const query = new URLSearchParams(filter).toString();
+    const data = await this.request(
+      `${this.getAppUrl(appId)}/history?${query}`
+    );
+    return (extractRecordArray(data) || []).sort(
+      (a, b) => (b.version || 0) - (a.version || 0)
+    );
+  }
+
+  /**
+   * Get writeback statistics for an app
+   * Falls back to computing them client-side if the endpoint is missing
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { statusOptions, statusField } (see
+   *   computeStatistics)
+   * @returns {Promise<Object>} Statistics object
+   */
+  async stats(appId, options = {}) {
+    try {
+      return await this.request(`${this.getAppUrl(appId)}/stats`);
+    } catch (error) {
+      console.warn("REST stats endpoint failed, computing locally:", error);
+      return computeStatistics(await this.read(appId), options);
+    }
+  }
+}
@@ -0,0 +1,222 @@
+// backend/adapters/webhookAdapter.js
+/**
+ * Backend adapter for the Qlik Automation webhooks
+ * Reads and writes go through ENV.DB_READ_WEBHOOK_URL / ENV.DB_SAVE_WEBHOOK_URL
+ *
+ * A save sends the whole batch in one request
+ * ({ operation: "save_batch", transactional, app_id, dialect, records }) and
+ * the automation binds every record into the parameterized statement for its
+ * SQL dialect inside one transaction (see backend/sql/versionInsert.js). It
+ * answers with per-row outcomes { results: [{ row_key, status, error }] }.
+ * Every record carries an idempotency_key, so a request that is retried
+ * (network error, timeout or 5xx, with exponential backoff) never inserts a
+ * version twice. Legacy mode
+ * (backendOptions.legacySql) sends a client-built SQL string instead, without
+ * the idempotency_key column, and should only be enabled for automations that
+ * have not been migrated yet.
+ */
+
+import ENV from "../../config/env.js";
+import { SQL_DIALECTS, SAVE_ROW_STATUS } from "../../utils/constants.js";
+import {
+  withRetry,
+  fetchWithTimeout,
+  isRetryableError,
+  HttpError,
+} from "../../utils/retry.js";
+import { renderLegacyBatch } from "../sql/versionInsert.js";
+import {
+  extractRecordArray,
+  buildHistory,
+  computeStatistics,
+  resolveBatchResults,
+  failBatch,
+  buildSaveResult,
+  createBatchIdempotencyKey,
+} from "./adapterUtils.js";
+
+export class WebhookAdapter {
+  constructor(options = {}) {
+    this.readUrl = options.readUrl || ENV.DB_READ_WEBHOOK_URL;
+    this.readToken = options.readToken || ENV.DB_READ_TOKEN;
+    this.saveUrl = options.saveUrl || ENV.DB_SAVE_WEBHOOK_URL;
+    this.saveToken = options.saveToken || ENV.DB_SAVE_TOKEN;
+    this.legacySql = !!options.legacySql;
+    this.dialect = options.dialect || SQL_DIALECTS.POSTGRES;
+  }
+
+  /**
+   * Read writeback records for an app
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { since } ISO timestamp: only records modified
+   *   at or after it; { keys } only records of these rows (automations that
+   *   ignore them return everything)
+   * @returns {Promise<Array>} Array of writeback records
+   */
+  async read(appId, options = {}) {
+    const webhookUrl = `${this.readUrl}?X-Execution-Token=${this.readToken}&app_id=${appId}`;
+
+    const response = await fetch(webhookUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": ENV.USER_AGENTS.READ,
+      },
+      body: JSON.stringify({
+        app_id: appId,
+        since_modified_at: options.since || null,
+        keys: options.keys || null,
+        timestamp: new Date().toISOString(),
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(
+        "Fetch writeback response error:",
+        response.status,
+        errorText
+      );
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+
+    const data = await response.json();
+    console.log("Raw DB response data:", data);
+
+    const records = extractRecordArray(data);
+    if (!records) {
+      console.warn("Unexpected response format:", data);
+      return [];
+    }
+
+    return records;
+  }
+
+  /**
+   * Write a batch of writeback payloads as new versions in one transaction
+   * @param {string} appId - Application identifier
+   * @param {Array} payloads - Writeback payloads to persist
+   * @returns {Promise<Object>} Save result with per-row outcomes
+   */
+  async write(appId, payloads) {
+    if (this.legacySql) {
+      console.warn(
+        "Webhook adapter in legacy SQL mode - sending client-built SQL"
+      );
+      return this.postSaveBatch(payloads, {
+        query: renderLegacyBatch(payloads, this.dialect),
+        app_id: appId,
+        idempotency_key: createBatchIdempotencyKey(payloads),
+      });
+    }
+
+    return this.postSaveBatch(payloads, {
+      operation: "save_batch",
+      transactional: true,
+      app_id: appId,
+      dialect: this.dialect,
+      idempotency_key: createBatchIdempotencyKey(payloads),
+      records: payloads,
+    });
+  }
+
+  /**
+   * Get the version history of one row
+   * The automation has no history endpoint, so filter the full read
+   * @param {string} appId - Application identifier
+   * @param {Object} filter - Map of DB field name -> value identifying the row
+   * @returns {Promise<Array>} Records sorted by version descending
+   */
+  async history(appId, filter) {
+    const records = await this.read(appId);
+    return buildHistory(records, filter);
+  }
+
+  /**
+   * Get writeback statistics for an app
+   * @param {string} appId - Application identifier
+   * @param {Object} options - { statusOptions, statusField } (see
+   *   computeStatistics)
+   * @returns {Promise<Object>} Statistics object
+   */
+  async stats(appId, options = {}) {
+    const records = await this.read(appId);
+    return computeStatistics(records, options);
+  }
+
+  /**
+   * Post one save batch to the save webhook
+   * Retries network errors, timeouts and 5xx responses; the body (and its
+   * idempotency keys) is identical on every attempt.
+   * @param {Array} payloads - Payloads contained in the batch
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Save result with per-row outcomes
+   */
+  async postSaveBatch(payloads, body) {
+    const fullWebhookUrl = `${this.saveUrl}?X-Execution-Token=${this.saveToken}`;
+
+    try {
+      console.log(
+        `Sending save batch with ${payloads.length} records to automation`
+      );
+      console.log("DEBUG: Payload being sent:", JSON.stringify(body, null, 2));
+
+      const responseText = await withRetry(async () => {
+        const response = await fetchWithTimeout(fullWebhookUrl, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": ENV.USER_AGENTS.WRITE,
+            "Idempotency-Key": body.idempotency_key,
+          },
+          body: JSON.stringify(body),
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+          console.error("Save batch failed:", response.status, text);
+          throw new HttpError(response.status, text);
+        }
+        return text;
+      });
+
+      console.log("Save batch executed:", responseText);
+      const responseBody = parseJSON(responseText);
+
+      // An automation that cannot report per-row outcomes signals a rolled
+      // back batch with { success: false, error }
+      if (responseBody && responseBody.success === false) {
+        return buildSaveResult(
+          resolveBatchResults(
+            payloads,
+            responseBody,
+            SAVE_ROW_STATUS.FAILED
+          ).map((result) => ({
+            ...result,
+            error: result.error || responseBody.error || "Batch rejected",
+          }))
+        );
+      }
+
+      return buildSaveResult(
+        resolveBatchResults(payloads, responseBody, SAVE_ROW_STATUS.SAVED)
+      );
+    } catch (error) {
+      console.error("Error sending save batch:", error);
+      return buildSaveResult(failBatch(payloads, error.message), {
+        retryable: isRetryableError(error),
+      });
+    }
+  }
+}
+
+/**
+ * Parse a JSON response body, returning null for non-JSON text
+ */
+function parseJSON(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,94 @@
+// backend/backendAdapter.js
+/**
+ * Backend adapter selection
+ *
+ * Every adapter implements the same contract so the services never need to
+ * know where writeback data lives:
+ *   read(appId, options)    -> Promise<Array>  writeback records (DB field names);
+ *                              options.since (ISO) limits them to records
+ *                              modified since then, options.keys to the
+ *                              given rows (a superset is fine)
+ *   write(appId, payloads)  -> Promise<Object> save result { success, message, type, successCount, totalCount, errors? }
+ *   history(appId, filter)  -> Promise<Array>  versions of one row, newest first
+ *   stats(appId, options)   -> Promise<Object> writeback statistics;
+ *                              options.statusOptions / statusField describe
+ *                              the status column to count feedback by
+ *
+ * A custom adapter (e.g. a test double) can be passed anywhere an adapter is
+ * accepted as long as it implements these four methods. Payloads are the
+ * structured records built by writebackPayload.js - adapters never receive SQL.
+ */
+
+import { BACKEND_TYPES } from "../utils/constants.js";
+import { WebhookAdapter } from "./adapters/webhookAdapter.js";
+import { RestAdapter } from "./adapters/restAdapter.js";
+import { LocalAdapter } from "./adapters/localAdapter.js";
+
+const ADAPTER_METHODS = ["read", "write", "history", "stats"];
+
+const adapterCache = new Map();
+
+/**
+ * Create a backend adapter for the given options
+ * @param {Object} options - Backend options from the property panel
+ * @returns {Object} Adapter implementing the backend contract
+ */
+export function createBackendAdapter(options = {}) {
+  switch (options.type) {
+    case BACKEND_TYPES.REST:
+      return new RestAdapter({ baseUrl: options.restBaseUrl });
+    case BACKEND_TYPES.LOCAL:
+      return new LocalAdapter();
+    case BACKEND_TYPES.WEBHOOK:
+    default:
+      return new WebhookAdapter({
+        legacySql: options.legacySql,
+        dialect: options.sqlDialect,
+      });
+  }
+}
+
+/**
+ * Get the adapter configured for a layout, reusing instances across renders
+ * @param {Object} layout - Qlik layout object
+ * @returns {Object} Adapter implementing the backend contract
+ */
+export function getBackendAdapter(layout) {
+  const options = layout?.backendOptions || {};
+  const cacheKey = JSON.stringify(options);
+
+  if (!adapterCache.has(cacheKey)) {
+    adapterCache.set(cacheKey, createBackendAdapter(options));
+  }
+
+  return adapterCache.get(cacheKey);
+}
+
+/**
+ * Check that an object implements the backend adapter contract
+ * @param {Object} adapter - Candidate adapter
+ * @returns {boolean} True if every contract method is present
+ */
+export function isBackendAdapter(adapter) {
+  return (
+    !!adapter &&
+    ADAPTER_METHODS.every((method) => typeof adapter[method] === "function")
+  );
+}
+
+/**
+ * Resolve an optional adapter argument to a usable adapter
+ * @param {Object} adapter - Adapter passed by the caller (optional)
+ * @returns {Object} The given adapter or the default webhook adapter
+ */
+export function resolveAdapter(adapter) {
+  if (adapter === undefined || adapter === null) {
+    return getBackendAdapter(null);
+  }
+  if (!isBackendAdapter(adapter)) {
+    throw new Error(
+      `Backend adapter must implement: ${ADAPTER_METHODS.join(", ")}`
+    );
+  }
+  return adapter;
+}
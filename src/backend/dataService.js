@@ -1,87 +1,197 @@
 // backend/dataService.js
 /**
  * Service for reading data from the backend database
- * UPDATED: Customer name based system
+ * UPDATED: Reads go through the configured backend adapter
  */
 
-import ENV from "../config/env.js";
+import { resolveAdapter } from "./backendAdapter.js";
+import { WritebackCache, selectLatestVersions } from "./writebackCache.js";
+import { getRecordRowKey, getKeyFields } from "../core/rowIdentity.js";
+import { filterRecordsByKeys } from "./adapters/adapterUtils.js";
+import { PREFETCH_TTL, DEFAULT_ROW_KEY } from "../utils/constants.js";
+
+// Latest-version caches per adapter instance and app
+const writebackCaches = new WeakMap();
+
+// Writebacks prefetched for neighbouring pages, per adapter instance and app:
+// row key -> { record, fetchedAt } (record is null for rows without writeback)
+const prefetchCaches = new WeakMap();
 
 /**
- * Fetch latest writeback data from the database
+ * Get the latest-version cache for an adapter, app and row key
  * @param {string} appId - Application identifier
- * @returns {Promise<Array>} Array of writeback records
+ * @param {Object} adapter - Resolved backend adapter
+ * @param {Array} keyFields - Row key columns
+ * @returns {WritebackCache} Cache instance
  */
-export async function fetchLatestWritebacks(appId) {
-  console.log("DEBUG: Fetching writebacks for app_id:", appId);
-  console.log("DEBUG: Current URL:", window.location.href);
-  console.log("Fetching latest writebacks for app_id:", appId);
+function getWritebackCache(appId, adapter, keyFields) {
+  if (!writebackCaches.has(adapter)) {
+    writebackCaches.set(adapter, new Map());
+  }
+  const appCaches = writebackCaches.get(adapter);
+  const cacheKey = `${appId}|${keyFields.join(",")}`;
+  if (!appCaches.has(cacheKey)) {
+    appCaches.set(cacheKey, new WritebackCache(keyFields));
+  }
+  return appCaches.get(cacheKey);
+}
 
-  const webhookUrl = `${ENV.DB_READ_WEBHOOK_URL}?X-Execution-Token=${ENV.DB_READ_TOKEN}&app_id=${appId}`;
+/**
+ * Get the prefetch cache for an adapter and app
+ * @param {string} appId - Application identifier
+ * @param {Object} adapter - Resolved backend adapter
+ * @returns {Map} Row key -> { record, fetchedAt }
+ */
+function getPrefetchCache(appId, adapter) {
+  if (!prefetchCaches.has(adapter)) {
+    prefetchCaches.set(adapter, new Map());
+  }
+  const appCaches = prefetchCaches.get(adapter);
+  if (!appCaches.has(appId)) {
+    appCaches.set(appId, new Map());
+  }
+  return appCaches.get(appId);
+}
 
+/**
+ * Read the latest writebacks of the given rows from the backend
+ * @param {string} appId - Application identifier
+ * @param {Array} keys - Row keys in DB columns, e.g. [{ customer_name, invoice_id }]
+ * @param {Object} adapter - Resolved backend adapter
+ * @returns {Promise<Array>} Latest record per row
+ */
+async function readLatestForKeys(appId, keys, adapter) {
+  if (keys.length === 0) return [];
+
+  const records = await adapter.read(appId, { keys });
+  // Backends that ignore the keys return everything - filter here as well
+  return selectLatestVersions(
+    filterRecordsByKeys(records, keys),
+    Object.keys(keys[0])
+  );
+}
+
+/**
+ * Fetch the latest writebacks for the rows of one page
+ * Payload size is proportional to the page size instead of the whole table.
+ * Rows prefetched within PREFETCH_TTL are served from the prefetch cache.
+ * @param {string} appId - Application identifier
+ * @param {Array} keys - Row keys in DB columns, e.g. [{ customer_name, invoice_id }]
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
+ * @returns {Promise<Array>} Latest writeback record per row
+ */
+export async function fetchWritebacksForKeys(appId, keys, adapter) {
   try {
-    const response = await fetch(webhookUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "User-Agent": ENV.USER_AGENTS.READ,
-      },
-      body: JSON.stringify({
-        app_id: appId,
-        timestamp: new Date().toISOString(),
-      }),
+    const backend = resolveAdapter(adapter);
+    const prefetched = getPrefetchCache(appId, backend);
+    const keyFields = Object.keys(keys[0] || {});
+    const now = Date.now();
+    const records = [];
+    const missingKeys = [];
+
+    keys.forEach((key) => {
+      const rowKey = getRecordRowKey(key, keyFields);
+      const entry = prefetched.get(rowKey);
+      if (entry && now - entry.fetchedAt < PREFETCH_TTL) {
+        if (entry.record) records.push(entry.record);
+      } else {
+        missingKeys.push(key);
+      }
+      // Prefetched entries are used once, later reads go to the backend
+      prefetched.delete(rowKey);
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(
-        "Fetch writeback response error:",
-        response.status,
-        errorText
-      );
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
-    }
+    const fetched = await readLatestForKeys(appId, missingKeys, backend);
+    return records.concat(fetched);
+  } catch (err) {
+    console.error("Error fetching writebacks for keys:", err);
+    return [];
+  }
+}
 
-    const data = await response.json();
-    console.log("Raw DB response data:", data);
+/**
+ * Prefetch the latest writebacks for rows of a page the user may open next
+ * @param {string} appId - Application identifier
+ * @param {Array} keys - Row keys in DB columns, e.g. [{ customer_name, invoice_id }]
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
+ */
+export async function prefetchWritebacksForKeys(appId, keys, adapter) {
+  try {
+    const backend = resolveAdapter(adapter);
+    const prefetched = getPrefetchCache(appId, backend);
+    const keyFields = Object.keys(keys[0] || {});
+    const latest = await readLatestForKeys(appId, keys, backend);
+    const fetchedAt = Date.now();
+
+    const byRowKey = new Map(
+      latest.map((record) => [getRecordRowKey(record, keyFields), record])
+    );
+    keys.forEach((key) => {
+      const rowKey = getRecordRowKey(key, keyFields);
+      prefetched.set(rowKey, {
+        record: byRowKey.get(rowKey) || null,
+        fetchedAt,
+      });
+    });
+  } catch (err) {
+    console.warn("Writeback prefetch failed:", err);
+  }
+}
 
-    // Handle different response formats from your automation
-    let writebackRows = [];
+/**
+ * Drop prefetched writebacks (e.g. after a save made them stale)
+ * @param {string} appId - Application identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
+ */
+export function clearPrefetchedWritebacks(appId, adapter) {
+  getPrefetchCache(appId, resolveAdapter(adapter)).clear();
+}
 
-    if (Array.isArray(data)) {
-      // Check if it's a nested array
-      if (data.length > 0 && Array.isArray(data[0])) {
-        // Flatten the nested array
-        writebackRows = data[0];
-        console.log("Flattened nested array - using data[0]");
-      } else {
-        writebackRows = data;
-        console.log("Using data as direct array");
-      }
-    } else if (data.DoQuery && Array.isArray(data.DoQuery)) {
-      writebackRows = data.DoQuery;
-    } else if (data.result && Array.isArray(data.result)) {
-      writebackRows = data.result;
-    } else if (data.body && Array.isArray(data.body)) {
-      writebackRows = data.body;
-    } else if (data.data && Array.isArray(data.data)) {
-      writebackRows = data.data;
-    } else {
-      console.warn("Unexpected response format:", data);
-      return [];
-    }
+/**
+ * Fetch latest writeback data from the database
+ * Only the delta since the last fetch is downloaded (see writebackCache.js);
+ * the result is the latest version of every row known so far.
+ * @param {string} appId - Application identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
+ * @param {Array} keyFields - Row key columns (defaults to customer + invoice)
+ * @returns {Promise<Array>} Latest writeback record per row
+ */
+export async function fetchLatestWritebacks(
+  appId,
+  adapter,
+  keyFields = getKeyFields(DEFAULT_ROW_KEY)
+) {
+  console.log("Fetching latest writebacks for app_id:", appId);
 
-    console.log("Processed writeback rows:", writebackRows);
-    console.log("Number of rows:", writebackRows.length);
+  try {
+    const backend = resolveAdapter(adapter);
+    const cache = getWritebackCache(appId, backend, keyFields);
+    const readOptions = cache.getReadOptions();
+    const isFullSync = !readOptions.since;
+
+    const delta = await backend.read(appId, readOptions);
+    const changed = cache.applyDelta(delta, isFullSync);
+    const writebackRows = cache.getLatest();
+
+    console.log(
+      isFullSync
+        ? `Full sync: ${delta.length} records`
+        : `Delta sync since ${readOptions.since}: ${delta.length} records`,
+      `(${changed} rows changed, ${writebackRows.length} rows cached)`
+    );
 
     // Additional validation
-    if (writebackRows.length > 0) {
-      const firstRow = writebackRows[0];
+    if (delta.length > 0) {
+      const firstRow = delta[0];
       console.log("First row structure:", firstRow);
 
-      // UPDATED: Check if the first row has the expected customer_name field
-      if (!firstRow.customer_name) {
+      // Check if the first row has the configured row key columns
+      const missingFields = keyFields.filter((field) => !(field in firstRow));
+      if (missingFields.length > 0) {
         console.warn(
-          "Warning: First row doesn't have customer_name field. Available fields:",
+          `Warning: First row doesn't have row key field(s) ${missingFields.join(
+            ", "
+          )}. Available fields:`,
           Object.keys(firstRow)
         );
       }
@@ -99,20 +209,21 @@ export async function fetchLatestWritebacks(appId) {
  * @param {string} appId - Application identifier
  * @param {string} customerName - Customer name identifier
  * @param {number} version - Record version (optional, defaults to latest)
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
  * @returns {Promise<Object|null>} Writeback record or null if not found
  */
 export async function fetchWritebackByCustomer(
   appId,
   customerName,
-  version = null
+  version = null,
+  adapter
 ) {
   try {
-    const allWritebacks = await fetchLatestWritebacks(appId);
-
-    // Filter by customer name
-    const customerRecords = allWritebacks.filter((record) => {
-      return String(record.customer_name) === String(customerName);
-    });
+    const customerRecords = await getVersionHistory(
+      appId,
+      customerName,
+      adapter
+    );
 
     if (customerRecords.length === 0) {
       return null;
@@ -120,11 +231,7 @@ export async function fetchWritebackByCustomer(
 
     // If no version specified, return the latest
     if (version === null) {
-      return customerRecords.reduce((latest, current) => {
-        const latestVersion = latest.version || 0;
-        const currentVersion = current.version || 0;
-        return currentVersion > latestVersion ? current : latest;
-      });
+      return customerRecords[0];
     }
 
     // Find specific version
@@ -139,20 +246,14 @@ export async function fetchWritebackByCustomer(
  * Get version history for a specific customer
  * @param {string} appId - Application identifier
  * @param {string} customerName - Customer name identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
  * @returns {Promise<Array>} Array of version records sorted by version descending
  */
-export async function getVersionHistory(appId, customerName) {
+export async function getVersionHistory(appId, customerName, adapter) {
   try {
-    const allWritebacks = await fetchLatestWritebacks(appId);
-
-    // Filter by customer name and sort by version descending
-    const customerRecords = allWritebacks
-      .filter((record) => {
-        return String(record.customer_name) === String(customerName);
-      })
-      .sort((a, b) => (b.version || 0) - (a.version || 0));
-
-    return customerRecords;
+    return await resolveAdapter(adapter).history(appId, {
+      customer_name: customerName,
+    });
   } catch (error) {
     console.error("Error fetching version history:", error);
     return [];
@@ -163,11 +264,17 @@ export async function getVersionHistory(appId, customerName) {
  * Check if customer has any writeback data
  * @param {string} appId - Application identifier
  * @param {string} customerName - Customer name identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
  * @returns {Promise<boolean>} True if customer has writeback data
  */
-export async function hasWritebackData(appId, customerName) {
+export async function hasWritebackData(appId, customerName, adapter) {
   try {
-    const record = await fetchWritebackByCustomer(appId, customerName);
+    const record = await fetchWritebackByCustomer(
+      appId,
+      customerName,
+      null,
+      adapter
+    );
     return record !== null;
   } catch (error) {
     console.error("Error checking writeback data existence:", error);
@@ -178,11 +285,12 @@ export async function hasWritebackData(appId, customerName) {
 /**
  * Get all customers with writeback data
  * @param {string} appId - Application identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
  * @returns {Promise<Array>} Array of customer names that have writeback data
  */
-export async function getCustomersWithWritebackData(appId) {
+export async function getCustomersWithWritebackData(appId, adapter) {
   try {
-    const allWritebacks = await fetchLatestWritebacks(appId);
+    const allWritebacks = await fetchLatestWritebacks(appId, adapter);
 
     // Get unique customer names
     const customerNames = new Set();
@@ -202,42 +310,21 @@ export async function getCustomersWithWritebackData(appId) {
 /**
  * Get writeback statistics for an app
  * @param {string} appId - Application identifier
+ * @param {Object} adapter - Backend adapter (optional, defaults to webhook)
+ * @param {Object} options - Status column to count feedback by:
+ *   { statusOptions, statusField } (defaults to the Accurate / Inaccurate set)
  * @returns {Promise<Object>} Statistics object
  */
-export async function getWritebackStatistics(appId) {
+export async function getWritebackStatistics(appId, adapter, options = {}) {
   try {
-    const allWritebacks = await fetchLatestWritebacks(appId);
-
-    const stats = {
-      totalRecords: allWritebacks.length,
-      uniqueCustomers: new Set(allWritebacks.map((r) => r.customer_name)).size,
-      recordsWithFeedback: allWritebacks.filter(
-        (r) => r.model_feedback && r.model_feedback !== ""
-      ).length,
-      recordsWithComments: allWritebacks.filter(
-        (r) => r.comments && r.comments !== ""
-      ).length,
-      latestUpdate:
-        allWritebacks.length > 0
-          ? Math.max(
-              ...allWritebacks.map((r) =>
-                new Date(r.modified_at || r.created_at).getTime()
-              )
-            )
-          : null,
-    };
-
-    if (stats.latestUpdate) {
-      stats.latestUpdate = new Date(stats.latestUpdate).toISOString();
-    }
-
-    return stats;
+    return await resolveAdapter(adapter).stats(appId, options);
   } catch (error) {
     console.error("Error fetching writeback statistics:", error);
     return {
       totalRecords: 0,
       uniqueCustomers: 0,
       recordsWithFeedback: 0,
+      feedbackCounts: {},
       recordsWithComments: 0,
       latestUpdate: null,
     };
@@ -1,13 +1,33 @@
 // backend/mergeService.js
-import { SPECIAL_COLUMNS } from "../utils/constants.js";
+import {
+  DEFAULT_ROW_KEY,
+  DEFAULT_WRITEBACK_COLUMNS,
+  WRITEBACK_COLUMNS,
+  SAVE_ROW_STATUS,
+} from "../utils/constants.js";
+import {
+  getRowKey,
+  getRowKeyFields,
+  getRecordRowKey,
+  getKeyFields,
+  hasRowKey,
+} from "../core/rowIdentity.js";
+import { toEditValue, hasValue } from "../core/writebackColumns.js";
 
 /**
  * Merge writeback data into table rows
  * @param {Array} tableRows - Array of table row objects
  * @param {Array} writebackRows - Array of writeback records from database
+ * @param {Array} keyConfig - Row key dimensions (see rowIdentity.js)
+ * @param {Array} columns - Writeback columns (see writebackColumns.js)
  * @returns {Array} Merged table rows with writeback data
  */
-export function mergeWritebackData(tableRows, writebackRows) {
+export function mergeWritebackData(
+  tableRows,
+  writebackRows,
+  keyConfig = DEFAULT_ROW_KEY,
+  columns = DEFAULT_WRITEBACK_COLUMNS
+) {
   console.log("Starting merge process...");
   console.log("Table rows count:", tableRows?.length || 0);
   console.log("Writeback rows count:", writebackRows?.length || 0);
@@ -26,33 +46,25 @@ export function mergeWritebackData(tableRows, writebackRows) {
     return tableRows;
   }
 
-  // Create a map for faster lookups - using composite key (customer + invoice)
-  const wbMap = createWritebackMap(writebackRows);
+  // Create a map for faster lookups - using the configured row key
+  const wbMap = createWritebackMap(writebackRows, getKeyFields(keyConfig));
 
   // Merge the data
   const mergedRows = tableRows.map((row, rowIndex) => {
-    // Get both customer name and invoice ID for unique identification
-    const customerName = extractCustomerNameFromRow(row);
-    const invoiceId = extractInvoiceIdFromRow(row);
-
-    console.log(
-      `Row ${rowIndex} - Customer: ${customerName}, Invoice: ${invoiceId}`
-    );
-
-    if (!customerName) {
-      console.log(`Row ${rowIndex} - No customer name found, skipping merge`);
+    if (!hasRowKey(row, keyConfig)) {
+      console.log(`Row ${rowIndex} - No row key found, skipping merge`);
       return row;
     }
 
-    // Try to find matching writeback data using composite key
-    const wb = findWritebackMatch(wbMap, customerName, invoiceId);
+    const rowKey = getRowKey(row, keyConfig);
+    const wb = wbMap.get(rowKey) || null;
 
     if (wb) {
       console.log(`Row ${rowIndex} - Found matching writeback:`, wb);
-      return mergeRowWithWriteback(row, wb, rowIndex);
+      return mergeRowWithWriteback(row, wb, rowIndex, columns);
     } else {
       console.log(
-        `Row ${rowIndex} - No matching writeback found for customer: ${customerName}, invoice: ${invoiceId}`
+        `Row ${rowIndex} - No matching writeback found for row key: ${rowKey}`
       );
       return row; // Return original row unchanged
     }
@@ -61,45 +73,90 @@ export function mergeWritebackData(tableRows, writebackRows) {
   console.log("Merge completed successfully");
   console.log(
     "Rows with writeback data:",
-    mergedRows.filter(
-      (row) =>
-        (row.status?.value && row.status.value !== "") ||
-        (row.comments?.value && row.comments.value !== "")
-    ).length
+    countRowsWithWriteback(mergedRows, columns)
   );
 
   return mergedRows;
 }
 
+/**
+ * Record the DB versions a save created on the saved rows
+ * Saves are keyed on the version a row shows (writebackVersion), which would
+ * otherwise stay stale until the next refresh.
+ * @param {Array} tableRows - Table rows
+ * @param {Array} rowResults - Row results of the save { rowKey, status,
+ *   version }
+ * @param {Array} keyConfig - Row key dimensions (see rowIdentity.js)
+ * @returns {Array} Rows, the same array when no version changed
+ */
+export function applySavedVersions(
+  tableRows,
+  rowResults = [],
+  keyConfig = DEFAULT_ROW_KEY
+) {
+  const versions = new Map();
+  rowResults.forEach((result) => {
+    const version = Number(result.version);
+    if (result.status === SAVE_ROW_STATUS.SAVED && version > 0) {
+      versions.set(result.rowKey, version);
+    }
+  });
+  if (versions.size === 0) return tableRows;
+
+  let changed = false;
+  const rows = tableRows.map((row) => {
+    const version = versions.get(getRowKey(row, keyConfig));
+    if (!version || row.writebackVersion === version) return row;
+    changed = true;
+    return { ...row, writebackVersion: version };
+  });
+  return changed ? rows : tableRows;
+}
+
+/**
+ * Get the unique row keys of table rows in DB field names
+ * Used to request only the writebacks of the rows on screen
+ * @param {Array} tableRows - Table rows
+ * @param {Array} keyConfig - Row key dimensions (see rowIdentity.js)
+ * @returns {Array} Row keys, e.g. [{ customer_name, invoice_id }]
+ */
+export function getRowIdentityKeys(tableRows, keyConfig = DEFAULT_ROW_KEY) {
+  const keys = new Map();
+
+  (tableRows || []).forEach((row) => {
+    if (!hasRowKey(row, keyConfig)) return;
+    keys.set(getRowKey(row, keyConfig), getRowKeyFields(row, keyConfig));
+  });
+
+  return Array.from(keys.values());
+}
+
 /**
  * Create a map of writeback data for efficient lookups
  * @param {Array} writebackRows - Array of writeback records
- * @returns {Map} Map with composite keys (customer+invoice) and latest records as values
+ * @param {Array} keyFields - Row key columns
+ * @returns {Map} Map with row keys and latest records as values
  */
-function createWritebackMap(writebackRows) {
+function createWritebackMap(writebackRows, keyFields) {
   const wbMap = new Map();
-  const compositeKeyGroups = {};
+  const rowKeyGroups = {};
 
   writebackRows.forEach((r, index) => {
     console.log(`Processing writeback row ${index}:`, r);
 
-    const customerName = r.customer_name;
-    const invoiceId = r.invoice_id;
-
-    if (customerName) {
-      // Create composite key
-      const compositeKey = createCompositeKey(customerName, invoiceId);
+    if (keyFields.some((field) => r[field])) {
+      const rowKey = getRecordRowKey(r, keyFields);
 
-      if (!compositeKeyGroups[compositeKey]) {
-        compositeKeyGroups[compositeKey] = [];
+      if (!rowKeyGroups[rowKey]) {
+        rowKeyGroups[rowKey] = [];
       }
-      compositeKeyGroups[compositeKey].push(r);
+      rowKeyGroups[rowKey].push(r);
     }
   });
 
-  // For each composite key, keep only the latest version
-  Object.keys(compositeKeyGroups).forEach((compositeKey) => {
-    const records = compositeKeyGroups[compositeKey];
+  // For each row key, keep only the latest version
+  Object.keys(rowKeyGroups).forEach((rowKey) => {
+    const records = rowKeyGroups[rowKey];
     records.sort((a, b) => {
       if (a.version !== b.version) {
         return (b.version || 0) - (a.version || 0);
@@ -108,87 +165,49 @@ function createWritebackMap(writebackRows) {
     });
 
     const latestRecord = records[0];
-    console.log(`Latest record for ${compositeKey}:`, latestRecord);
-    wbMap.set(compositeKey, latestRecord);
+    console.log(`Latest record for ${rowKey}:`, latestRecord);
+    wbMap.set(rowKey, latestRecord);
   });
 
   console.log("Created writeback map with keys:", Array.from(wbMap.keys()));
   return wbMap;
 }
 
-/**
- * Create a composite key from customer name and invoice ID
- * @param {string} customerName - Customer name
- * @param {string} invoiceId - Invoice ID
- * @returns {string} Composite key
- */
-function createCompositeKey(customerName, invoiceId) {
-  // Use a delimiter that's unlikely to appear in data
-  return `${customerName}::${invoiceId || "NO_INVOICE"}`;
-}
-
-/**
- * Extract customer name from a table row
- * @param {Object} row - Table row object
- * @returns {string|null} Customer name or null if not found
- */
-function extractCustomerNameFromRow(row) {
-  return row[SPECIAL_COLUMNS.CUSTOMER]?.value || null;
-}
-
-/**
- * Extract invoice ID from a table row
- * @param {Object} row - Table row object
- * @returns {string|null} Invoice ID or null if not found
- */
-function extractInvoiceIdFromRow(row) {
-  return row[SPECIAL_COLUMNS.INVOICE_ID]?.value || null;
-}
-
-/**
- * Find matching writeback record from the map
- * @param {Map} wbMap - Writeback map
- * @param {string} customerName - Customer name to search for
- * @param {string} invoiceId - Invoice ID to search for
- * @returns {Object|null} Matching writeback record or null
- */
-function findWritebackMatch(wbMap, customerName, invoiceId) {
-  const compositeKey = createCompositeKey(customerName, invoiceId);
-  return wbMap.get(compositeKey) || null;
-}
-
 /**
  * Merge a single row with its writeback data
  * @param {Object} row - Original table row
  * @param {Object} wb - Writeback record
  * @param {number} rowIndex - Row index for logging
+ * @param {Array} columns - Writeback columns
  * @returns {Object} Merged row
  */
-function mergeRowWithWriteback(row, wb, rowIndex) {
+function mergeRowWithWriteback(row, wb, rowIndex, columns) {
   // Create a new row object to avoid mutation
   const updatedRow = { ...row };
 
-  // Update status field if it exists
-  if (updatedRow.status && typeof updatedRow.status === "object") {
-    updatedRow.status = {
-      ...updatedRow.status,
-      value: wb.model_feedback || wb.status || "",
-    };
-    console.log(
-      `Row ${rowIndex} - Updated status to: ${updatedRow.status.value}`
-    );
-  }
+  // Remember which DB version the row shows; saves are keyed on it
+  updatedRow.writebackVersion = Number(wb.version) || 0;
+
+  columns.forEach((column) => {
+    const cell = updatedRow[column.id];
+    if (!cell || typeof cell !== "object") return;
 
-  // Update comments field if it exists
-  if (updatedRow.comments && typeof updatedRow.comments === "object") {
-    updatedRow.comments = {
-      ...updatedRow.comments,
-      value: wb.comments || "",
+    let stored = wb[column.field];
+    if (stored === undefined && column.id === WRITEBACK_COLUMNS.STATUS) {
+      stored = wb.status; // Older records used a status column
+    }
+    // Columns added after the record was saved keep their default value
+    if (stored === undefined || stored === null) return;
+
+    updatedRow[column.id] = {
+      ...cell,
+      value: toEditValue(column, stored),
     };
     console.log(
-      `Row ${rowIndex} - Updated comments to: ${updatedRow.comments.value}`
+      `Row ${rowIndex} - Updated ${column.id} to:`,
+      updatedRow[column.id].value
     );
-  }
+  });
 
   return updatedRow;
 }
@@ -196,22 +215,28 @@ function mergeRowWithWriteback(row, wb, rowIndex) {
 /**
  * Check if merged rows have any writeback data
  * @param {Array} mergedRows - Array of merged table rows
+ * @param {Array} columns - Writeback columns
  * @returns {number} Count of rows with writeback data
  */
-export function countRowsWithWriteback(mergedRows) {
-  return mergedRows.filter(
-    (row) =>
-      (row.status?.value && row.status.value !== "") ||
-      (row.comments?.value && row.comments.value !== "")
+export function countRowsWithWriteback(
+  mergedRows,
+  columns = DEFAULT_WRITEBACK_COLUMNS
+) {
+  return mergedRows.filter((row) =>
+    columns.some((column) => hasValue(column, row[column.id]?.value))
   ).length;
 }
 
 /**
  * Validate writeback data structure
  * @param {Array} writebackRows - Array of writeback records
+ * @param {Array} keyFields - Row key columns (defaults to customer + invoice)
  * @returns {Object} Validation result with isValid flag and errors array
  */
-export function validateWritebackData(writebackRows) {
+export function validateWritebackData(
+  writebackRows,
+  keyFields = getKeyFields(DEFAULT_ROW_KEY)
+) {
   const errors = [];
 
   if (!Array.isArray(writebackRows)) {
@@ -225,17 +250,12 @@ export function validateWritebackData(writebackRows) {
       return;
     }
 
-    // Check for required fields
-    const customerName = row.customer_name;
-    if (!customerName) {
-      errors.push(`Row ${index}: Missing customer_name field`);
-    }
-
-    // Invoice ID is now important for unique identification
-    const invoiceId = row.invoice_id;
-    if (!invoiceId) {
-      errors.push(`Row ${index}: Missing invoice_id field`);
-    }
+    // Every row key column is needed for unique identification
+    keyFields.forEach((field) => {
+      if (!row[field]) {
+        errors.push(`Row ${index}: Missing ${field} field`);
+      }
+    });
 
     if (
       row.version !== undefined &&
@@ -0,0 +1,266 @@
+// backend/saveQueue.js
+/**
+ * Persistent outbound queue of save batches (IndexedDB)
+ *
+ * When the browser is offline or the backend cannot be reached, the batch
+ * built by saveAllChanges is queued instead of being dropped. Queued batches
+ * are replayed in order once connectivity returns; their idempotency keys
+ * make a replay of a batch that did reach the database harmless.
+ *
+ * Each item: { id, appId, objectId, nonce, payloads, edits, queuedAt,
+ * attempts, lastError } where nonce is the save attempt the payloads (and
+ * their idempotency keys) were built for, and edits maps the editedData keys
+ * of the batch to their values so the table can keep showing them until they
+ * are synced. Replays send the stored payloads unchanged. Items
+ * belong to one writeback object (layout.qInfo.qId); items queued before
+ * objects were recorded have no objectId and are shown to every object of
+ * their app.
+ *
+ * Replays of an app run under a shared lock (Web Locks API, across tabs), so
+ * two objects or tabs never send the same batch at the same time.
+ */
+
+import { SAVE_QUEUE } from "../utils/constants.js";
+
+// Apps replaying in this page, when the Web Locks API is unavailable
+const replayingApps = new Set();
+
+/**
+ * Check whether a queued item belongs to an app and object
+ */
+function isInScope(item, appId, objectId) {
+  return (
+    item.appId === appId &&
+    (item.objectId === undefined || item.objectId === objectId)
+  );
+}
+
+export class SaveQueue {
+  constructor(options = {}) {
+    this.dbName = options.dbName || SAVE_QUEUE.DB_NAME;
+    this.storeName = options.storeName || SAVE_QUEUE.STORE_NAME;
+    this.indexedDB =
+      options.indexedDB !== undefined
+        ? options.indexedDB
+        : typeof indexedDB !== "undefined"
+        ? indexedDB
+        : null;
+    this.memory = new Map(); // Fallback when IndexedDB is unavailable
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the queue database
+   * @returns {Promise<IDBDatabase|null>} Database or null for memory mode
+   */
+  open() {
+    if (!this.indexedDB) return Promise.resolve(null);
+
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: "id" });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn(
+            "SaveQueue: IndexedDB unavailable, queue kept in memory:",
+            request.error
+          );
+          this.indexedDB = null;
+          resolve(null);
+        };
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request against the object store
+   * @param {string} mode - "readonly" or "readwrite"
+   * @param {Function} operation - (store) => IDBRequest
+   * @returns {Promise<*>} Request result
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Queue a save batch
+   * @param {Object} params
+   * @param {string} params.appId - Application identifier
+   * @param {string} params.objectId - Writeback object (layout.qInfo.qId)
+   * @param {string} params.nonce - Nonce of the save attempt
+   * @param {Array} params.payloads - Writeback payloads of the batch
+   * @param {Object} params.edits - editedData key -> value for the batch
+   * @param {string} params.lastError - Why the batch could not be sent
+   * @returns {Promise<Object>} Queued item
+   */
+  async enqueue({
+    appId,
+    objectId,
+    nonce = null,
+    payloads,
+    edits = {},
+    lastError = null,
+  }) {
+    const item = {
+      id: `${Date.now()}_${payloads
+        .map((payload) => payload.idempotency_key)
+        .join("_")
+        .slice(0, 64)}`,
+      appId,
+      objectId,
+      nonce,
+      payloads,
+      edits,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError,
+    };
+
+    if (await this.open()) {
+      await this.run("readwrite", (store) => store.put(item));
+    } else {
+      this.memory.set(item.id, item);
+    }
+    return item;
+  }
+
+  /**
+   * List queued items of an app and object, oldest first
+   * @param {string} appId - Application identifier
+   * @param {string} objectId - Writeback object (layout.qInfo.qId)
+   * @returns {Promise<Array>} Queued items
+   */
+  async list(appId, objectId) {
+    const items = (await this.open())
+      ? await this.run("readonly", (store) => store.getAll())
+      : Array.from(this.memory.values());
+
+    return items
+      .filter((item) => isInScope(item, appId, objectId))
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+  }
+
+  /**
+   * Update a queued item (attempt counters, last error)
+   * @param {Object} item - Item to store
+   */
+  async update(item) {
+    if (await this.open()) {
+      await this.run("readwrite", (store) => store.put(item));
+    } else {
+      this.memory.set(item.id, item);
+    }
+  }
+
+  /**
+   * Remove (discard) a queued item
+   * @param {string} id - Item id
+   */
+  async remove(id) {
+    if (await this.open()) {
+      await this.run("readwrite", (store) => store.delete(id));
+    } else {
+      this.memory.delete(id);
+    }
+  }
+
+  /**
+   * Remove all queued items of an app and object
+   * @param {string} appId - Application identifier
+   * @param {string} objectId - Writeback object (layout.qInfo.qId)
+   */
+  async clear(appId, objectId) {
+    const items = await this.list(appId, objectId);
+    for (const item of items) {
+      await this.remove(item.id);
+    }
+  }
+
+  /**
+   * Run a callback under the replay lock of an app
+   * @param {string} appId - Application identifier
+   * @param {Function} callback - Async work to do while holding the lock
+   * @returns {Promise<*>} Callback result, or null if another replay of the
+   *   app holds the lock
+   */
+  async withReplayLock(appId, callback) {
+    const locks = typeof navigator !== "undefined" ? navigator.locks : null;
+    if (locks) {
+      return locks.request(
+        `${this.dbName}_replay_${appId}`,
+        { ifAvailable: true },
+        (lock) => (lock ? callback() : null)
+      );
+    }
+
+    if (replayingApps.has(appId)) return null;
+    replayingApps.add(appId);
+    try {
+      return await callback();
+    } finally {
+      replayingApps.delete(appId);
+    }
+  }
+
+  /**
+   * Replay queued batches of an app and object in order
+   * Stops at the first batch that still cannot reach the backend; batches
+   * the backend rejects stay queued with their error until discarded. Does
+   * nothing while another replay of the app is running.
+   * @param {string} appId - Application identifier
+   * @param {string} objectId - Writeback object (layout.qInfo.qId)
+   * @param {Object} adapter - Backend adapter
+   * @returns {Promise<Object>} { synced, failed, remaining }
+   */
+  async replay(appId, objectId, adapter) {
+    const summary = { synced: 0, failed: 0, remaining: 0 };
+
+    await this.withReplayLock(appId, async () => {
+      const items = await this.list(appId, objectId);
+
+      for (const item of items) {
+        if (typeof navigator !== "undefined" && navigator.onLine === false) {
+          break;
+        }
+
+        const result = await adapter.write(appId, item.payloads);
+
+        if (result.success) {
+          await this.remove(item.id);
+          summary.synced += item.payloads.length;
+          continue;
+        }
+
+        await this.update({
+          ...item,
+          attempts: item.attempts + 1,
+          lastError: result.message,
+        });
+
+        if (result.retryable) {
+          // Backend still unreachable - keep order and try again later
+          break;
+        }
+        summary.failed += item.payloads.length;
+      }
+    });
+
+    summary.remaining = (await this.list(appId, objectId)).reduce(
+      (count, item) => count + item.payloads.length,
+      0
+    );
+    return summary;
+  }
+}
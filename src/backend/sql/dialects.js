@@ -0,0 +1,143 @@
+// backend/sql/dialects.js
+/**
+ * SQL dialect definitions for the writeback statements
+ * Each dialect describes the engine-specific pieces of the versioned insert:
+ * parameter placeholders, timestamp formats, "first row" selection,
+ * boolean representation and transaction control.
+ */
+
+import { SQL_DIALECTS } from "../../utils/constants.js";
+
+/**
+ * Placeholder factories
+ * Each returns a function (name, params) -> placeholder text that also records
+ * the binding order in params.
+ */
+function numberedPlaceholder(prefix) {
+  return (name, params) => {
+    let index = params.indexOf(name);
+    if (index === -1) {
+      params.push(name);
+      index = params.length - 1;
+    }
+    return `${prefix}${index + 1}`;
+  };
+}
+
+function namedPlaceholder(prefix) {
+  return (name, params) => {
+    if (!params.includes(name)) {
+      params.push(name);
+    }
+    return `${prefix}${name}`;
+  };
+}
+
+function positionalPlaceholder() {
+  return (name, params) => {
+    params.push(name);
+    return "?";
+  };
+}
+
+/**
+ * Quote a string literal by doubling single quotes (ANSI)
+ */
+function quoteAnsi(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quote a string literal for MySQL, where backslash is also an escape
+ */
+function quoteMySQL(value) {
+  return `'${value.replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+}
+
+/**
+ * Timestamp formats for client timestamps (ISO 8601 UTC strings)
+ * Engines that would misread the "Z" suffix get the UTC time without it.
+ */
+function isoTimestamp(value) {
+  return value;
+}
+
+function utcTimestamp(separator) {
+  return (value) => value.slice(0, 19).replace("T", separator);
+}
+
+export const DIALECTS = {
+  [SQL_DIALECTS.POSTGRES]: {
+    label: "PostgreSQL",
+    namedParams: false,
+    placeholder: numberedPlaceholder("$"),
+    now: "CURRENT_TIMESTAMP",
+    formatTimestamp: isoTimestamp,
+    firstRow: (column, rest) => `SELECT ${column} ${rest} LIMIT 1`,
+    quoteString: quoteAnsi,
+    booleanAsInteger: false,
+    beginTransaction: "BEGIN;",
+    commitTransaction: "COMMIT;",
+  },
+  [SQL_DIALECTS.SQLSERVER]: {
+    label: "SQL Server",
+    namedParams: true,
+    placeholder: namedPlaceholder("@"),
+    now: "CURRENT_TIMESTAMP",
+    formatTimestamp: utcTimestamp("T"),
+    firstRow: (column, rest) => `SELECT TOP 1 ${column} ${rest}`,
+    quoteString: quoteAnsi,
+    booleanAsInteger: true,
+    beginTransaction: "SET XACT_ABORT ON; BEGIN TRANSACTION;",
+    commitTransaction: "COMMIT TRANSACTION;",
+  },
+  [SQL_DIALECTS.SNOWFLAKE]: {
+    label: "Snowflake",
+    namedParams: false,
+    placeholder: numberedPlaceholder(":"),
+    now: "CURRENT_TIMESTAMP()",
+    formatTimestamp: isoTimestamp,
+    firstRow: (column, rest) => `SELECT ${column} ${rest} LIMIT 1`,
+    quoteString: quoteAnsi,
+    booleanAsInteger: false,
+    beginTransaction: "BEGIN TRANSACTION;",
+    commitTransaction: "COMMIT;",
+  },
+  [SQL_DIALECTS.MYSQL]: {
+    label: "MySQL",
+    namedParams: false,
+    placeholder: positionalPlaceholder(),
+    now: "CURRENT_TIMESTAMP",
+    formatTimestamp: utcTimestamp(" "),
+    firstRow: (column, rest) => `SELECT ${column} ${rest} LIMIT 1`,
+    quoteString: quoteMySQL,
+    booleanAsInteger: true,
+    beginTransaction: "START TRANSACTION;",
+    commitTransaction: "COMMIT;",
+  },
+  [SQL_DIALECTS.SQLITE]: {
+    label: "SQLite",
+    namedParams: true,
+    placeholder: namedPlaceholder(":"),
+    now: "CURRENT_TIMESTAMP",
+    formatTimestamp: utcTimestamp(" "),
+    firstRow: (column, rest) => `SELECT ${column} ${rest} LIMIT 1`,
+    quoteString: quoteAnsi,
+    booleanAsInteger: true,
+    beginTransaction: "BEGIN TRANSACTION;",
+    commitTransaction: "COMMIT;",
+  },
+};
+
+/**
+ * Get a dialect definition by name
+ * @param {string} name - Dialect name (see SQL_DIALECTS), defaults to PostgreSQL
+ * @returns {Object} Dialect definition
+ */
+export function getDialect(name) {
+  const dialect = DIALECTS[name || SQL_DIALECTS.POSTGRES];
+  if (!dialect) {
+    throw new Error(`Unsupported SQL dialect: ${name}`);
+  }
+  return dialect;
+}
@@ -0,0 +1,316 @@
+// backend/sql/versionInsert.js
+/**
+ * Fixed, parameterized version-history insert for writeback_data
+ *
+ * This is the statement the backend (e.g. the Qlik Automation behind
+ * DB_SAVE_WEBHOOK_URL) runs for every payload it receives: it takes the
+ * statement from buildVersionInsert(dialect) and binds
+ * bindVersionInsertParams(payload, dialect) with the database driver's
+ * parameter binding, so no user input is ever spliced into SQL.
+ *
+ * The insert computes the next version for the row and carries over the
+ * original created_by / created_at of version 1. edit_started_at and
+ * edit_duration_seconds come from the payload (measured in the browser, see
+ * core/editTimeTracker.js); payloads without them record the save time and 0. A save batch is applied
+ * all-or-nothing: the backend runs the insert for every record of the batch
+ * inside one transaction (dialect.beginTransaction / commitTransaction) and
+ * rolls back if any record fails.
+ *
+ * Every payload carries an idempotency_key for its save attempt. The
+ * insert is skipped when a row with that key already exists, so a retried
+ * save (after a timeout or 5xx where the first attempt actually committed)
+ * never creates a duplicate version. A unique index on idempotency_key
+ * closes the race between concurrent retries.
+ *
+ * The row key columns follow the configured row identity (see
+ * core/rowIdentity.js) and the edit columns the configured writeback columns
+ * (see core/writebackColumns.js). They default to customer_name + invoice_id
+ * and model_feedback + comments; other columns must exist in writeback_data
+ * and are validated as plain identifiers before they are written into the
+ * statement. buildPayloadVersionInsert(payload, dialect) builds the statement
+ * for the columns a payload carries.
+ *
+ * renderLegacyVersionInsert() is only used by the legacy webhook mode, where
+ * the automation still expects a complete SQL string from the client. Tables
+ * of unmigrated automations have no idempotency_key column, so the legacy
+ * statement leaves out the column and the NOT EXISTS guard unless asked for
+ * them (options.idempotent).
+ */
+
+import { flattenPayload } from "../writebackPayload.js";
+import { getDialect } from "./dialects.js";
+import {
+  DEFAULT_ROW_KEY,
+  DEFAULT_WRITEBACK_COLUMNS,
+} from "../../utils/constants.js";
+import { getKeyFields } from "../../core/rowIdentity.js";
+
+const DEFAULT_EDIT_FIELDS = DEFAULT_WRITEBACK_COLUMNS.map(
+  (column) => column.field
+);
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Validate the row key or edit columns of a statement
+ * Column names cannot be bound as parameters, so only plain identifiers
+ * are accepted.
+ * @param {Array} fields - Column names
+ * @param {string} kind - "row key" or "writeback" (for error messages)
+ * @returns {Array} The same columns
+ */
+function validateFields(fields, kind = "row key") {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new Error(`At least one ${kind} column is required`);
+  }
+  fields.forEach((field) => {
+    if (!IDENTIFIER_PATTERN.test(field)) {
+      throw new Error(`Invalid ${kind} column: ${field}`);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Get the row key columns of a payload
+ */
+function getPayloadKeyFields(payload) {
+  return payload.keys && Object.keys(payload.keys).length > 0
+    ? Object.keys(payload.keys)
+    : getKeyFields(DEFAULT_ROW_KEY);
+}
+
+/**
+ * Get the writeback (edit) columns of a payload
+ */
+function getPayloadEditFields(payload) {
+  return payload.edits && Object.keys(payload.edits).length > 0
+    ? Object.keys(payload.edits)
+    : DEFAULT_EDIT_FIELDS;
+}
+
+/**
+ * Build the statement text for a dialect
+ * Parameters are written as {{name}} markers and replaced in a single
+ * left-to-right pass so positional placeholders (?) bind in text order.
+ * @param {Object} dialect - Dialect definition
+ * @param {Function} placeholder - (name) -> SQL text for the parameter
+ * @param {Array} keyFields - Row key columns (validated)
+ * @param {Array} editFields - Writeback columns (validated)
+ * @param {boolean} idempotent - Write idempotency_key and skip the insert
+ *   when a row with that key exists
+ * @returns {string} SQL statement
+ */
+function buildStatement(
+  dialect,
+  placeholder,
+  keyFields,
+  editFields,
+  idempotent = true
+) {
+  const rowFilter = ["app_id", ...keyFields]
+    .map((field) => `${field} = {{${field}}}`)
+    .join("\n        AND ");
+  const keyColumns = keyFields.join(", ");
+  const keyParams = keyFields.map((field) => `{{${field}}}`).join(", ");
+  const editColumns = editFields.join(", ");
+  const editParams = editFields.map((field) => `{{${field}}}`).join(", ");
+
+  const now = dialect.now;
+  const originalCreator = dialect.firstRow(
+    "created_by",
+    `FROM writeback_data
+           WHERE ${rowFilter}
+           ORDER BY version ASC`
+  );
+
+  const idempotencyColumn = idempotent ? ", idempotency_key" : "";
+  const idempotencyValue = idempotent ? ",\n      {{idempotency_key}}" : "";
+  const idempotencyGuard = idempotent
+    ? `
+    WHERE NOT EXISTS (
+      SELECT 1 FROM writeback_data
+      WHERE idempotency_key = {{idempotency_key}}
+    )`
+    : "";
+
+  const template = `
+    INSERT INTO writeback_data (
+      app_id, ${keyColumns}, current_aging_bucket,
+      predicted_payment_bucket, payment_terms, invoice_due_date, amount,
+      ${editColumns}, created_by, modified_by,
+      created_at, modified_at, version, session_id,
+      edit_started_at, edit_duration_seconds${idempotencyColumn}
+    )
+    SELECT
+      {{app_id}}, ${keyParams}, {{current_aging_bucket}},
+      {{predicted_payment_bucket}}, {{payment_terms}}, {{invoice_due_date}}, {{amount}},
+      ${editParams},
+      CASE WHEN version_info.next_version = 1 THEN {{user}} ELSE version_info.original_created_by END,
+      {{user}},
+      CASE WHEN version_info.next_version = 1 THEN ${now} ELSE version_info.original_created_at END,
+      ${now},
+      version_info.next_version,
+      {{session_id}},
+      COALESCE({{edit_started_at}}, ${now}),
+      COALESCE({{edit_duration_seconds}}, 0)${idempotencyValue}
+    FROM (
+      SELECT
+        COALESCE(MAX(version), 0) + 1 AS next_version,
+        COALESCE(MIN(created_at), ${now}) AS original_created_at,
+        COALESCE(
+          (${originalCreator}),
+          {{user}}
+        ) AS original_created_by
+      FROM writeback_data
+      WHERE ${rowFilter}
+    ) version_info${idempotencyGuard};`;
+
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => placeholder(name));
+}
+
+/**
+ * Build the parameterized insert for a dialect
+ * @param {string} dialectName - Dialect name (see SQL_DIALECTS)
+ * @param {Array} keyFields - Row key columns (default customer_name,
+ *   invoice_id)
+ * @param {Array} editFields - Writeback columns (default model_feedback,
+ *   comments)
+ * @returns {Object} { sql, params } where params lists the payload fields in
+ *   binding order (named dialects list each field once)
+ */
+export function buildVersionInsert(
+  dialectName,
+  keyFields = getKeyFields(DEFAULT_ROW_KEY),
+  editFields = DEFAULT_EDIT_FIELDS
+) {
+  const dialect = getDialect(dialectName);
+  const params = [];
+  const sql = buildStatement(
+    dialect,
+    (name) => dialect.placeholder(name, params),
+    validateFields(keyFields),
+    validateFields(editFields, "writeback")
+  );
+  return { sql, params };
+}
+
+/**
+ * Build the parameterized insert for the columns a payload carries
+ * @param {Object} payload - Writeback payload
+ * @param {string} dialectName - Dialect name (see SQL_DIALECTS)
+ * @returns {Object} { sql, params } (see buildVersionInsert)
+ */
+export function buildPayloadVersionInsert(payload, dialectName) {
+  return buildVersionInsert(
+    dialectName,
+    getPayloadKeyFields(payload),
+    getPayloadEditFields(payload)
+  );
+}
+
+/**
+ * Get the parameter values of a payload by field name
+ * The edit start is an ISO 8601 UTC timestamp, formatted for the dialect
+ */
+function getParamValues(payload, dialect) {
+  return {
+    ...flattenPayload(payload),
+    user: payload.user,
+    session_id: payload.session_id,
+    edit_started_at: payload.edit_started_at
+      ? dialect.formatTimestamp(payload.edit_started_at)
+      : null,
+    edit_duration_seconds: payload.edit_duration_seconds ?? null,
+    idempotency_key: payload.idempotency_key,
+  };
+}
+
+/**
+ * Get the bind values for a payload
+ * @param {Object} payload - Writeback payload
+ * @param {string} dialectName - Dialect name (see SQL_DIALECTS)
+ * @returns {Array|Object} Ordered values, or a name -> value map for dialects
+ *   with named parameters
+ */
+export function bindVersionInsertParams(payload, dialectName) {
+  const dialect = getDialect(dialectName);
+  const { params } = buildPayloadVersionInsert(payload, dialectName);
+  const values = getParamValues(payload, dialect);
+  const valueOf = (name) => {
+    const value = values[name];
+    if (value === undefined) return null;
+    if (typeof value === "boolean" && dialect.booleanAsInteger) {
+      return value ? 1 : 0;
+    }
+    return value;
+  };
+
+  if (dialect.namedParams) {
+    return params.reduce((bound, name) => {
+      bound[name] = valueOf(name);
+      return bound;
+    }, {});
+  }
+
+  return params.map(valueOf);
+}
+
+/**
+ * Render a value as a SQL literal for a dialect
+ */
+function toSqlLiteral(dialect, value) {
+  if (value === null || value === undefined) return "NULL";
+  if (typeof value === "boolean") {
+    if (dialect.booleanAsInteger) return value ? "1" : "0";
+    return value ? "TRUE" : "FALSE";
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? String(value) : "NULL";
+  }
+  return dialect.quoteString(String(value));
+}
+
+/**
+ * Render the insert with values inlined as escaped literals
+ * LEGACY ONLY: used when the webhook still expects a raw SQL query
+ * @param {Object} payload - Writeback payload
+ * @param {string} dialectName - Dialect name (see SQL_DIALECTS)
+ * @param {Object} options - { idempotent } true for tables that already have
+ *   the idempotency_key column
+ * @returns {string} SQL statement
+ */
+export function renderLegacyVersionInsert(
+  payload,
+  dialectName,
+  { idempotent = false } = {}
+) {
+  const dialect = getDialect(dialectName);
+  const values = getParamValues(payload, dialect);
+  return buildStatement(
+    dialect,
+    (name) => toSqlLiteral(dialect, values[name]),
+    validateFields(getPayloadKeyFields(payload)),
+    validateFields(getPayloadEditFields(payload), "writeback"),
+    idempotent
+  );
+}
+
+/**
+ * Render a whole batch as one transactional SQL script
+ * LEGACY ONLY: used when the webhook still expects a raw SQL query
+ * @param {Array} payloads - Writeback payloads
+ * @param {string} dialectName - Dialect name (see SQL_DIALECTS)
+ * @param {Object} options - See renderLegacyVersionInsert
+ * @returns {string} SQL script
+ */
+export function renderLegacyBatch(payloads, dialectName, options = {}) {
+  const dialect = getDialect(dialectName);
+  return [
+    dialect.beginTransaction,
+    ...payloads.map((payload) =>
+      renderLegacyVersionInsert(payload, dialectName, options)
+    ),
+    dialect.commitTransaction,
+  ].join("\n");
+}
@@ -0,0 +1,124 @@
+// backend/writebackCache.js
+/**
+ * Local latest-version cache for incremental (delta) writeback sync
+ *
+ * The first fetch downloads everything; later fetches only ask the backend
+ * for records modified at or after the high-water mark (the newest
+ * modified_at seen, minus DELTA_SYNC.OVERLAP_MS to tolerate commit/clock
+ * skew). The delta is merged into the cache, which keeps only the latest
+ * version per row, so overlapping or repeated records are harmless.
+ */
+
+import { DELTA_SYNC, DEFAULT_ROW_KEY } from "../utils/constants.js";
+import { getRecordRowKey, getKeyFields } from "../core/rowIdentity.js";
+
+export class WritebackCache {
+  /**
+   * @param {Array} keyFields - Row key columns (defaults to customer + invoice)
+   */
+  constructor(keyFields = getKeyFields(DEFAULT_ROW_KEY)) {
+    this.keyFields = keyFields;
+    this.latest = new Map(); // row key -> latest record
+    this.highWaterMark = null; // newest modified_at (ms) seen so far
+    this.lastFullSync = 0;
+  }
+
+  /**
+   * Check whether the next fetch must download everything
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True when the cache is empty or due a full resync
+   */
+  needsFullSync(now = Date.now()) {
+    return (
+      this.highWaterMark === null ||
+      now - this.lastFullSync >= DELTA_SYNC.FULL_RESYNC_INTERVAL
+    );
+  }
+
+  /**
+   * Get the read options for the next fetch
+   * @returns {Object} {} for a full sync or { since } (ISO timestamp)
+   */
+  getReadOptions() {
+    if (this.needsFullSync()) return {};
+    return {
+      since: new Date(this.highWaterMark - DELTA_SYNC.OVERLAP_MS).toISOString(),
+    };
+  }
+
+  /**
+   * Merge fetched records into the cache
+   * @param {Array} records - Records returned by the backend
+   * @param {boolean} isFullSync - Whether records are the complete data set
+   * @returns {number} Number of rows whose latest version changed
+   */
+  applyDelta(records, isFullSync = false) {
+    if (isFullSync) {
+      this.latest.clear();
+      this.highWaterMark = null;
+      this.lastFullSync = Date.now();
+    }
+
+    let changed = 0;
+    records.forEach((record) => {
+      if (!record || !this.keyFields.some((field) => record[field])) return;
+
+      const key = getRecordRowKey(record, this.keyFields);
+      const cached = this.latest.get(key);
+      if (!cached || isNewer(record, cached)) {
+        this.latest.set(key, record);
+        changed++;
+      }
+
+      const modifiedAt = new Date(
+        record.modified_at || record.created_at
+      ).getTime();
+      if (
+        !isNaN(modifiedAt) &&
+        (this.highWaterMark === null || modifiedAt > this.highWaterMark)
+      ) {
+        this.highWaterMark = modifiedAt;
+      }
+    });
+
+    // An empty data set still counts as synced
+    if (isFullSync && this.highWaterMark === null) {
+      this.highWaterMark = 0;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Get the latest version of every cached row
+   * @returns {Array} Latest records
+   */
+  getLatest() {
+    return Array.from(this.latest.values());
+  }
+}
+
+/**
+ * Reduce a list of records to the latest version of each row
+ * @param {Array} records - Writeback records (any number of versions)
+ * @param {Array} keyFields - Row key columns
+ * @returns {Array} Latest record per row
+ */
+export function selectLatestVersions(records, keyFields) {
+  const cache = new WritebackCache(keyFields);
+  cache.applyDelta(records);
+  return cache.getLatest();
+}
+
+/**
+ * Compare two versions of the same row
+ */
+function isNewer(record, cached) {
+  if ((record.version || 0) !== (cached.version || 0)) {
+    return (record.version || 0) > (cached.version || 0);
+  }
+  return (
+    new Date(record.modified_at || record.created_at || 0) >
+    new Date(cached.modified_at || cached.created_at || 0)
+  );
+}
@@ -0,0 +1,174 @@
+// backend/writebackPayload.js
+/**
+ * Structured, typed payload sent to the backend for every row save
+ * The client never builds SQL: the backend binds these values into a
+ * fixed, parameterized statement (see backend/sql/versionInsert.js).
+ */
+
+import { createIdempotencyKey } from "../utils/idempotency.js";
+import { WRITEBACK_FIELD_TYPES } from "../utils/constants.js";
+import { toEditValue } from "../core/writebackColumns.js";
+
+/**
+ * Coerce a value to a string (empty for null/undefined)
+ */
+function toText(value) {
+  if (value === null || value === undefined) return "";
+  return String(value);
+}
+
+/**
+ * Coerce a value to a finite number (0 when not numeric)
+ */
+function toNumber(value) {
+  const parsed = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+/**
+ * Coerce a date-like value to an ISO date string (YYYY-MM-DD) or null
+ * Handles Qlik text dates, timestamps and Excel/Qlik serial numbers
+ */
+export function toIsoDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+
+  let date;
+  if (typeof value === "number" && value > 25569) {
+    // Serial date (days since 1899-12-30)
+    date = new Date((value - 25569) * 86400 * 1000);
+  } else {
+    date = new Date(value);
+  }
+
+  if (isNaN(date.getTime())) {
+    console.warn(`Invalid date value: ${value}`);
+    return null;
+  }
+
+  return date.toISOString().split("T")[0];
+}
+
+/**
+ * Coerce a writeback cell value to the DB value of its column type
+ * Empty numbers and dates are sent as null; multi-select values as a JSON
+ * array string
+ * @param {Object} column - Writeback column (see core/writebackColumns.js)
+ * @param {*} value - Value in editing form
+ * @returns {*} DB value
+ */
+export function toDbValue(column, value) {
+  const editValue = toEditValue(column, value);
+
+  switch (column.type) {
+    case WRITEBACK_FIELD_TYPES.NUMBER:
+      return editValue === "" ? null : editValue;
+    case WRITEBACK_FIELD_TYPES.DATE:
+      return toIsoDate(editValue);
+    case WRITEBACK_FIELD_TYPES.BOOLEAN:
+      return editValue;
+    case WRITEBACK_FIELD_TYPES.MULTI_SELECT:
+      return JSON.stringify(editValue);
+    default:
+      return toText(editValue);
+  }
+}
+
+/**
+ * Build the payload for one edited row
+ * @param {Object} params
+ * @param {string} params.appId - Application identifier
+ * @param {string} params.rowKey - Row identity used to report per-row outcomes
+ * @param {Object} params.keys - Row key columns -> values (configured key
+ *   dimensions); defaults to customer_name + invoice_id from rowValues
+ * @param {Object} params.rowValues - Row values from extractRowData
+ * @param {Object} params.edits - Writeback values by DB column, e.g.
+ *   { model_feedback, comments }
+ * @param {Array} params.columns - Writeback columns; values of known columns
+ *   are coerced to their type, anything else is sent as text
+ * @param {string} params.username - User performing the save
+ * @param {string} params.sessionId - Browser session identifier
+ * @param {number} params.baseVersion - Latest DB version the edits were made
+ *   on (0 for rows never saved); part of the idempotency key
+ * @param {string} params.nonce - Nonce of the save attempt (see
+ *   utils/idempotency.js); retries and replays of the attempt reuse the
+ *   payload and so its idempotency key
+ * @param {Object} params.editTiming - { startedAt, durationSeconds } of the
+ *   row (see core/editTimeTracker.js); not part of the idempotency key, so a
+ *   retried save stays the same save
+ * @returns {Object} Writeback payload
+ */
+export function createWritebackPayload({
+  appId,
+  rowKey,
+  rowValues,
+  keys = {
+    customer_name: rowValues.customerName,
+    invoice_id: rowValues.invoiceId,
+  },
+  edits,
+  columns = [],
+  username,
+  sessionId,
+  baseVersion = 0,
+  nonce,
+  editTiming = null,
+}) {
+  const keyValues = Object.keys(keys).reduce((values, field) => {
+    values[field] = toText(keys[field]);
+    return values;
+  }, {});
+
+  if (Object.values(keyValues).every((value) => value === "")) {
+    throw new Error("Cannot save a row without a row key");
+  }
+
+  const payload = {
+    app_id: toText(appId),
+    row_key: toText(rowKey),
+    keys: keyValues,
+    row: {
+      current_aging_bucket: toText(rowValues.currentAgingBucket),
+      predicted_payment_bucket: toText(rowValues.predictedPaymentBucket),
+      payment_terms: toText(rowValues.paymentTerms),
+      invoice_due_date: toIsoDate(rowValues.invoiceDueDate),
+      amount: toNumber(rowValues.amount),
+    },
+    edits: Object.keys(edits).reduce((values, field) => {
+      const column = columns.find((candidate) => candidate.field === field);
+      values[field] = column
+        ? toDbValue(column, edits[field])
+        : toText(edits[field]);
+      return values;
+    }, {}),
+    user: toText(username) || "system_user",
+    session_id: toText(sessionId),
+    edit_started_at: editTiming?.startedAt || null,
+    edit_duration_seconds: editTiming
+      ? Math.max(0, Math.round(toNumber(editTiming.durationSeconds)))
+      : null,
+  };
+
+  payload.idempotency_key = createIdempotencyKey({
+    appId: payload.app_id,
+    rowKey: payload.row_key,
+    baseVersion,
+    nonce,
+    values: flattenPayload(payload),
+  });
+
+  return payload;
+}
+
+/**
+ * Flatten a payload into a single map of DB column -> value
+ * @param {Object} payload - Writeback payload
+ * @returns {Object} Column values
+ */
+export function flattenPayload(payload) {
+  return {
+    app_id: payload.app_id,
+    ...payload.keys,
+    ...payload.row,
+    ...payload.edits,
+  };
+}
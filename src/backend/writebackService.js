@@ -1,86 +1,185 @@
 // backend/writebackService.js
 /**
  * Service for writing data back to the database
- * UPDATED: New field mappings for invoice-based data structure
+ * UPDATED: Builds structured writeback payloads for the backend adapter
  */
 
-import ENV from "../config/env.js";
-import { getOrPromptUsername, getConsistentAppId } from "../utils/userUtils.js";
-import { SPECIAL_COLUMNS } from "../utils/constants.js";
+import {
+  getOrPromptUsername,
+  getConsistentAppId,
+  getOrCreateSessionId,
+} from "../utils/userUtils.js";
+import {
+  SAVE_ROW_STATUS,
+  DEFAULT_ROW_KEY,
+  DEFAULT_WRITEBACK_COLUMNS,
+} from "../utils/constants.js";
+import { extractRowData } from "../core/dataProcessor.js";
+import {
+  getRowKey,
+  getRowKeyValues,
+  getRowKeyFields,
+  parseDataKey,
+} from "../core/rowIdentity.js";
+import { getCellValue } from "../core/writebackColumns.js";
+import { validateRow } from "../core/validationRules.js";
+import { isCellEditable } from "../core/editability.js";
+import { resolveAdapter } from "./backendAdapter.js";
+import { createWritebackPayload } from "./writebackPayload.js";
+import { createSaveNonce } from "../utils/idempotency.js";
 
 /**
  * Save all changes to the database with version history
+ * All edited rows are sent as one batch that the backend applies atomically.
+ * The result lists the editedData keys that were persisted (savedKeys) so
+ * the caller can keep everything else dirty for a retry.
+ * If the browser is offline or the backend cannot be reached and a saveQueue
+ * is given, the batch is queued for automatic replay instead (result.queued),
+ * under the writeback object objectId (layout.qInfo.qId); its keys are
+ * reported in savedKeys since they now live in the queue.
+ * Each call is one save attempt: its payloads share a nonce that is part of
+ * their idempotency keys (see utils/idempotency.js), so saving values a row
+ * already had before is never mistaken for a retry.
+ * pendingEdits (values waiting in the queue) fill in fields of an edited row
+ * that were not edited again, so a newer save does not revert them.
+ * keyConfig is the row key configuration (see core/rowIdentity.js) and
+ * columns the writeback columns (see core/writebackColumns.js).
+ * Rows that break a validation rule (see core/validationRules.js, expression
+ * rules are checked with evaluateExpression) are not sent; they are listed in
+ * result.invalidRows and stay dirty. So are rows with edits on cells the row
+ * may not be edited on (editability: row key -> editability expression
+ * results, see core/editability.js).
+ * editTiming(rowKey) returns the edit start and active edit time of a row
+ * (see core/editTimeTracker.js), sent with its payload.
+ * tableData only holds the current page; editedRows are the snapshots of
+ * edited rows on other pages (see core/editedRowStore.js), saved with it.
  */
 export async function saveAllChanges({
   editedData,
   tableData,
-  currentPage,
+  editedRows = [],
   model,
   galaxy,
+  adapter,
+  saveQueue,
+  objectId,
+  pendingEdits = {},
+  keyConfig = DEFAULT_ROW_KEY,
+  columns = DEFAULT_WRITEBACK_COLUMNS,
+  evaluateExpression,
+  editability = {},
+  editTiming = () => null,
 }) {
-  console.log("Saving all changes to PostgreSQL database:", editedData);
+  console.log("Saving all changes to database:", editedData);
 
   try {
     const username = await getOrPromptUsername(galaxy);
     console.log("Final username for save operation:", username);
 
-    const saveTimestamp = new Date().toISOString();
     const appId = getConsistentAppId(model);
     console.log("SAVE DEBUG: Using app_id:", appId);
-    const sqlStatements = [];
-
-    if (tableData && tableData.rows) {
-      const recordsWithEdits = getCustomersWithEdits(
-        tableData.rows,
-        editedData,
-        currentPage
-      );
-
-      for (const record of recordsWithEdits) {
-        try {
-          const rowData = findRowDataByCustomerAndInvoice(
-            tableData.rows,
-            record.customerName,
-            record.invoiceId,
-            currentPage
-          );
-          if (!rowData) continue;
+    const sessionId = getOrCreateSessionId();
+    const nonce = createSaveNonce();
+    const payloads = [];
+    const sentRecords = [];
+    const invalidRows = [];
+    const rows = [...(tableData?.rows || []), ...editedRows];
+    const recordsWithEdits = getRowsWithEdits(rows, editedData, keyConfig);
+
+    for (const record of recordsWithEdits) {
+      try {
+        const rowData = findRowDataByKey(rows, record.rowKey, keyConfig);
+        if (!rowData) {
+          console.warn(`No row data for ${record.rowKey}, edits kept`);
+          continue;
+        }
 
-          const sql = generateVersionHistorySQL({
+        payloads.push(
+          buildWritebackPayload({
             appId,
-            customerName: record.customerName,
-            invoiceId: record.invoiceId,
+            rowKey: record.rowKey,
             rowData,
-            editedData,
+            editedData: { ...pendingEdits, ...editedData },
+            keyConfig,
+            columns,
+            evaluateExpression,
+            editability,
             username,
-            currentPage,
-          });
-
-          sqlStatements.push(sql);
-          console.log(
-            `Generated version history SQL for ${record.customerName} - ${record.invoiceId}`
-          );
-        } catch (error) {
-          console.error(
-            `Error processing ${record.customerName} - ${record.invoiceId}:`,
-            error
-          );
+            sessionId,
+            nonce,
+            editTiming: editTiming(record.rowKey),
+          })
+        );
+        sentRecords.push(record);
+        console.log(`Built writeback payload for ${record.rowKey}`);
+      } catch (error) {
+        if (error.invalidValues) {
+          console.warn(`Invalid values in ${record.rowKey}:`, error.message);
+          invalidRows.push({ rowKey: record.rowKey, message: error.message });
+          continue;
         }
+        console.error(`Error processing ${record.rowKey}:`, error);
       }
     }
 
-    if (sqlStatements.length === 0) {
-      return {
+    if (payloads.length === 0) {
+      return invalidRows.length > 0
+        ? {
+            success: false,
+            message: describeInvalidRows(invalidRows),
+            type: "error",
+            invalidRows,
+          }
+        : {
+            success: false,
+            message: "No changes to save",
+            type: "warning",
+          };
+    }
+
+    const isOffline =
+      typeof navigator !== "undefined" && navigator.onLine === false;
+    let result;
+    if (isOffline) {
+      result = {
         success: false,
-        message: "No changes to save",
-        type: "warning",
+        retryable: true,
+        message: "Browser is offline",
       };
+    } else {
+      console.log(`Sending ${payloads.length} writeback payloads to backend`);
+      result = await resolveAdapter(adapter).write(appId, payloads);
+    }
+
+    if (invalidRows.length > 0) {
+      result.invalidRows = invalidRows;
+      result.message = `${result.message}. ${describeInvalidRows(invalidRows)}`;
     }
 
-    console.log(
-      `Generated ${sqlStatements.length} SQL statements for database`
+    if (result.retryable && saveQueue) {
+      return queueBatch({
+        saveQueue,
+        appId,
+        objectId,
+        nonce,
+        payloads,
+        records: sentRecords,
+        editedData,
+        reason: isOffline ? "You are offline" : "Backend unreachable",
+        lastError: result.message,
+      });
+    }
+
+    // Map per-row outcomes back to the editedData keys of each row
+    const savedRowKeys = new Set(
+      (result.results || [])
+        .filter((rowResult) => rowResult.status === SAVE_ROW_STATUS.SAVED)
+        .map((rowResult) => rowResult.rowKey)
     );
-    const result = await executeSQLStatements(sqlStatements, appId);
+    result.savedKeys = recordsWithEdits
+      .filter((record) => savedRowKeys.has(record.rowKey))
+      .flatMap((record) => record.dataKeys);
+
     return result;
   } catch (error) {
     console.error("Error saving to database:", error);
@@ -93,50 +192,85 @@ export async function saveAllChanges({
 }
 
 /**
- * Get customers and invoices that have edits
- * Now returns objects with both customer and invoice information
+ * Create the error of a row that must not be sent (reported in invalidRows)
  */
-function getCustomersWithEdits(rows, editedData, currentPage) {
-  const editsMap = new Map(); // Map to store unique customer+invoice combinations
+function createInvalidRowError(message) {
+  const error = new Error(message);
+  error.invalidValues = true;
+  return error;
+}
 
-  // First, parse all edited data keys to understand what was edited
-  Object.keys(editedData).forEach((key) => {
-    // Handle both composite keys (customer::invoice::field) and legacy keys (customer-field)
-    if (key.includes("::")) {
-      // New composite key format
-      const parts = key.split("::");
-      if (parts.length === 3) {
-        const [customerName, invoiceId, fieldId] = parts;
-        const compositeId = `${customerName}::${invoiceId}`;
+/**
+ * Describe the rows that were not saved because of invalid values
+ */
+function describeInvalidRows(invalidRows) {
+  const [first] = invalidRows;
+  const more =
+    invalidRows.length > 1 ? ` (and ${invalidRows.length - 1} more rows)` : "";
+  return `Not saved: ${first.message}${more}`;
+}
 
-        if (!editsMap.has(compositeId)) {
-          editsMap.set(compositeId, {
-            customerName,
-            invoiceId,
-            hasEdits: true,
-          });
-        }
-      }
+/**
+ * Queue a batch that could not reach the backend
+ * @returns {Object} Save result with queued: true
+ */
+async function queueBatch({
+  saveQueue,
+  appId,
+  objectId,
+  nonce,
+  payloads,
+  records,
+  editedData,
+  reason,
+  lastError,
+}) {
+  const queuedKeys = records.flatMap((record) => record.dataKeys);
+  const edits = queuedKeys.reduce((map, key) => {
+    map[key] = editedData[key];
+    return map;
+  }, {});
+
+  await saveQueue.enqueue({
+    appId,
+    objectId,
+    nonce,
+    payloads,
+    edits,
+    lastError,
+  });
+
+  return {
+    success: false,
+    queued: true,
+    message: `${reason} - ${payloads.length} changes queued and will sync automatically`,
+    type: "warning",
+    successCount: 0,
+    totalCount: payloads.length,
+    savedKeys: queuedKeys,
+  };
+}
+
+/**
+ * Get the rows that have edits
+ * Returns one entry per row key with the editedData keys it owns
+ */
+function getRowsWithEdits(rows, editedData, keyConfig) {
+  const editsMap = new Map(); // row key -> { rowKey, dataKeys }
+
+  Object.keys(editedData).forEach((key) => {
+    // Handle both row keys (value1::value2::field) and legacy keys (customer-field)
+    const parsed = parseDataKey(key);
+    if (parsed) {
+      addEditedKey(editsMap, parsed.rowKey, key);
     } else if (key.includes("-")) {
-      // Legacy key format (customer-field)
+      // Legacy keys only carry the first key value - match rows by it
       const lastDashIndex = key.lastIndexOf("-");
-      const customerName = key.substring(0, lastDashIndex);
-      const fieldId = key.substring(lastDashIndex + 1);
-
-      // For legacy keys, we need to find matching rows by customer name only
-      rows.forEach((row, rowIndex) => {
-        const rowCustomerName = extractCustomerName(row, rowIndex, currentPage);
-        if (rowCustomerName === customerName) {
-          const invoiceId = row[SPECIAL_COLUMNS.INVOICE_ID]?.value || "";
-          const compositeId = `${customerName}::${invoiceId}`;
+      const firstKeyValue = key.substring(0, lastDashIndex);
 
-          if (!editsMap.has(compositeId)) {
-            editsMap.set(compositeId, {
-              customerName,
-              invoiceId,
-              hasEdits: true,
-            });
-          }
+      rows.forEach((row) => {
+        if (getRowKeyValues(row, keyConfig)[0] === firstKeyValue) {
+          addEditedKey(editsMap, getRowKey(row, keyConfig), key);
         }
       });
     }
@@ -146,277 +280,107 @@ function getCustomersWithEdits(rows, editedData, currentPage) {
 }
 
 /**
- * Find row data by customer name and invoice ID
+ * Register an editedData key under its row
  */
-function findRowDataByCustomerAndInvoice(
-  rows,
-  customerName,
-  invoiceId,
-  currentPage
-) {
-  return rows.find((row, index) => {
-    const rowCustomerName = extractCustomerName(row, index, currentPage);
-    const rowInvoiceId = row[SPECIAL_COLUMNS.INVOICE_ID]?.value || "";
-    return rowCustomerName === customerName && rowInvoiceId === invoiceId;
-  });
+function addEditedKey(editsMap, rowKey, dataKey) {
+  if (!editsMap.has(rowKey)) {
+    editsMap.set(rowKey, { rowKey, dataKeys: [] });
+  }
+  editsMap.get(rowKey).dataKeys.push(dataKey);
 }
 
 /**
- * Extract customer name from row with fallback
+ * Find row data by row key
  */
-function extractCustomerName(row, rowIndex, currentPage) {
-  return (
-    row[SPECIAL_COLUMNS.CUSTOMER_NAME]?.value ||
-    row[SPECIAL_COLUMNS.CUSTOMER]?.value ||
-    `row-${rowIndex}-page-${currentPage}`
-  );
+function findRowDataByKey(rows, rowKey, keyConfig) {
+  return rows.find((row) => getRowKey(row, keyConfig) === rowKey);
 }
 
 /**
- * Generate SQL for version history insert
- * UPDATED: Uses composite keys for getting edited values
+ * Build the writeback payload for one edited row
+ * Edited values take precedence over the values merged from the database;
+ * every writeback column is sent so the new version is complete
+ * @returns {Object} Structured payload (see writebackPayload.js)
  */
-function generateVersionHistorySQL({
+function buildWritebackPayload({
   appId,
-  customerName,
-  invoiceId,
+  rowKey,
   rowData,
   editedData,
+  keyConfig,
+  columns,
+  evaluateExpression,
+  editability,
   username,
-  currentPage,
+  sessionId,
+  nonce,
+  editTiming,
 }) {
-  // Extract data from row with your exact field mappings
-  const customerNameValue = (
-    rowData[SPECIAL_COLUMNS.CUSTOMER]?.value || ""
-  ).replace(/'/g, "''");
-  const invoiceIdValue = (
-    rowData[SPECIAL_COLUMNS.INVOICE_ID]?.value || ""
-  ).replace(/'/g, "''");
-  const currentAgingBucket = (
-    rowData[SPECIAL_COLUMNS.CURRENT_AGING_BUCKET]?.value || ""
-  ).replace(/'/g, "''");
-  const predictedPaymentBucket = (
-    rowData[SPECIAL_COLUMNS.PREDICTED_PAYMENT_BUCKET]?.value || ""
-  ).replace(/'/g, "''");
-  const paymentTerms = (
-    rowData[SPECIAL_COLUMNS.PAYMENT_TERMS]?.value || ""
-  ).replace(/'/g, "''");
-
-  // Handle date field
-  const invoiceDueDate = formatDateForSQL(
-    rowData[SPECIAL_COLUMNS.INVOICE_DUE_DATE]?.value
+  // Legacy keys (firstKeyValue-fieldId) are still honoured
+  const firstKeyValue = getRowKeyValues(rowData, keyConfig)[0];
+
+  const editedIds = [];
+  const values = columns.reduce((current, column) => {
+    const dataKey = `${rowKey}::${column.id}`;
+    const legacyKey = `${firstKeyValue}-${column.id}`;
+    const editedKey =
+      editedData[dataKey] === undefined && editedData[legacyKey] !== undefined
+        ? legacyKey
+        : dataKey;
+    if (editedData[editedKey] !== undefined) editedIds.push(column.id);
+    current[column.id] = getCellValue(rowData, column, editedData, editedKey);
+    return current;
+  }, {});
+
+  // Reject edits on cells the row may not be edited on
+  const isEditable = (column) =>
+    isCellEditable(rowData, column, editability[rowKey]);
+  const readOnly = columns.filter(
+    (column) => editedIds.includes(column.id) && !isEditable(column)
   );
-
-  // Handle amount field
-  const amount = parseFloat(rowData[SPECIAL_COLUMNS.AMOUNT]?.value) || 0;
-
-  // Get edited values using composite keys
-  const compositeStatusKey = `${customerName}::${invoiceId}::status`;
-  const compositeCommentsKey = `${customerName}::${invoiceId}::comments`;
-
-  // Also check legacy keys for backward compatibility
-  const legacyStatusKey = `${customerName}-status`;
-  const legacyCommentsKey = `${customerName}-comments`;
-
-  const modelFeedback = (
-    editedData[compositeStatusKey] ||
-    editedData[legacyStatusKey] ||
-    rowData.status?.value ||
-    ""
-  ).replace(/'/g, "''");
-
-  const comments = (
-    editedData[compositeCommentsKey] ||
-    editedData[legacyCommentsKey] ||
-    rowData.comments?.value ||
-    ""
-  ).replace(/'/g, "''");
-
-  const escapedUsername = (username || "system_user").replace(/'/g, "''");
-  const escapedCustomerName = customerName.replace(/'/g, "''");
-
-  // Session tracking
-  const sessionId =
-    window.sessionStorage.getItem("qlik_session_id") ||
-    `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-  if (!window.sessionStorage.getItem("qlik_session_id")) {
-    window.sessionStorage.setItem("qlik_session_id", sessionId);
-  }
-
-  // UPDATED SQL with composite key matching
-  const sql = `
-    WITH version_info AS (
-      SELECT 
-        COALESCE(MAX(version), 0) + 1 as next_version,
-        COALESCE(MIN(created_at), CURRENT_TIMESTAMP) as original_created_at,
-        COALESCE(
-          (SELECT created_by FROM writeback_data 
-           WHERE app_id = '${appId}' 
-           AND customer_name = '${escapedCustomerName}' 
-           AND invoice_id = '${invoiceIdValue}'
-           ORDER BY version ASC LIMIT 1), 
-          '${escapedUsername}'
-        ) as original_created_by
-      FROM writeback_data 
-      WHERE app_id = '${appId}' 
-      AND customer_name = '${escapedCustomerName}'
-      AND invoice_id = '${invoiceIdValue}'
-    )
-    INSERT INTO writeback_data (
-      app_id, customer_name, invoice_id, current_aging_bucket, 
-      predicted_payment_bucket, payment_terms, invoice_due_date, amount,
-      model_feedback, comments, created_by, modified_by, 
-      created_at, modified_at, version, session_id, 
-      edit_started_at, edit_duration_seconds
-    )
-    SELECT 
-      '${appId}',
-      '${escapedCustomerName}',
-      '${invoiceIdValue}',
-      '${currentAgingBucket}',
-      '${predictedPaymentBucket}',
-      '${paymentTerms}',
-      ${invoiceDueDate},
-      ${amount},
-      '${modelFeedback}',
-      '${comments}',
-      CASE WHEN next_version = 1 THEN '${escapedUsername}' ELSE original_created_by END,
-      '${escapedUsername}',
-      CASE WHEN next_version = 1 THEN CURRENT_TIMESTAMP ELSE original_created_at END,
-      CURRENT_TIMESTAMP,
-      next_version,
-      '${sessionId}',
-      CURRENT_TIMESTAMP - INTERVAL '30 seconds',
-      30
-    FROM version_info;`;
-
-  return sql;
-}
-
-/**
- * Format date value for SQL insertion
- */
-function formatDateForSQL(dateValue) {
-  if (!dateValue) return "NULL";
-
-  try {
-    // Handle various date formats that might come from Qlik
-    let date;
-
-    if (typeof dateValue === "string") {
-      // Try parsing common date formats
-      if (dateValue.includes("/")) {
-        // MM/DD/YYYY or DD/MM/YYYY format
-        date = new Date(dateValue);
-      } else if (dateValue.includes("-")) {
-        // YYYY-MM-DD format
-        date = new Date(dateValue);
-      } else {
-        // Try direct parsing
-        date = new Date(dateValue);
-      }
-    } else if (typeof dateValue === "number") {
-      // Excel serial date or timestamp
-      if (dateValue > 25569) {
-        // Excel serial date after 1900-01-01
-        date = new Date((dateValue - 25569) * 86400 * 1000);
-      } else {
-        date = new Date(dateValue);
-      }
-    } else {
-      date = new Date(dateValue);
-    }
-
-    if (isNaN(date.getTime())) {
-      console.warn(`Invalid date value: ${dateValue}`);
-      return "NULL";
-    }
-
-    // Format as YYYY-MM-DD for PostgreSQL
-    const formattedDate = date.toISOString().split("T")[0];
-    return `'${formattedDate}'`;
-  } catch (error) {
-    console.warn(`Error formatting date ${dateValue}:`, error);
-    return "NULL";
+  if (readOnly.length > 0) {
+    throw createInvalidRowError(
+      `Not editable for this row: ${readOnly
+        .map((column) => column.label)
+        .join(", ")}`
+    );
   }
-}
-
-/**
- * Execute SQL statements against the database
- */
-async function executeSQLStatements(sqlStatements, appId) {
-  let successCount = 0;
-  const errors = [];
-  const fullWebhookUrl = `${ENV.DB_SAVE_WEBHOOK_URL}?X-Execution-Token=${ENV.DB_SAVE_TOKEN}`;
-
-  for (let i = 0; i < sqlStatements.length; i++) {
-    const payload = {
-      query: sqlStatements[i],
-      app_id: appId,
-    };
 
-    try {
-      console.log(
-        `Sending SQL statement ${i + 1}/${sqlStatements.length} to automation`
-      );
-      console.log(
-        "DEBUG: Payload being sent:",
-        JSON.stringify(payload, null, 2)
-      );
-
-      const response = await fetch(fullWebhookUrl, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "User-Agent": ENV.USER_AGENTS.WRITE,
-        },
-        body: JSON.stringify(payload),
-      });
-
-      if (response.ok) {
-        const result = await response.text();
-        successCount++;
-        console.log(`SQL statement ${i + 1} executed successfully:`, result);
-      } else {
-        const errorText = await response.text();
-        console.error(
-          `SQL statement ${i + 1} failed:`,
-          response.status,
-          errorText
-        );
-        errors.push(`Statement ${i + 1}: ${errorText}`);
-      }
-    } catch (error) {
-      console.error(`Error with SQL statement ${i + 1}:`, error);
-      errors.push(`Statement ${i + 1}: ${error.message}`);
-    }
-
-    // Add delay between requests
-    if (i < sqlStatements.length - 1) {
-      await new Promise((resolve) => setTimeout(resolve, 200));
-    }
+  // Never send values that break a validation rule
+  const violations = validateRow(
+    columns,
+    values,
+    evaluateExpression,
+    isEditable
+  );
+  const invalidIds = Object.keys(violations);
+  if (invalidIds.length > 0) {
+    throw createInvalidRowError(
+      invalidIds
+        .map((id) => {
+          const column = columns.find((other) => other.id === id);
+          return `${column.label}: ${violations[id].join(", ")}`;
+        })
+        .join("; ")
+    );
   }
 
-  // Return result summary
-  if (errors.length === 0) {
-    console.log("All SQL statements executed successfully");
-    return {
-      success: true,
-      message: `Successfully saved ${successCount} records to database`,
-      type: "success",
-      successCount,
-      totalCount: sqlStatements.length,
-    };
-  } else {
-    console.error("Some SQL statements failed:", errors);
-    return {
-      success: false,
-      message: `Saved ${successCount}/${sqlStatements.length} records. ${errors.length} failed.`,
-      type: errors.length === sqlStatements.length ? "error" : "warning",
-      successCount,
-      totalCount: sqlStatements.length,
-      errors,
-    };
-  }
+  const edits = columns.reduce((fields, column) => {
+    fields[column.field] = values[column.id];
+    return fields;
+  }, {});
+
+  return createWritebackPayload({
+    appId,
+    rowKey,
+    keys: getRowKeyFields(rowData, keyConfig),
+    rowValues: extractRowData(rowData),
+    edits,
+    columns,
+    username,
+    sessionId,
+    baseVersion: rowData.writebackVersion,
+    nonce,
+    editTiming,
+  });
 }
@@ -0,0 +1,176 @@
+// core/calculatedColumns.js
+/**
+ * Calculated column definitions
+ * Authors define read-only calculated columns in the property panel
+ * (layout.calculatedColumns): a label, a formula (see core/formula.js) and a
+ * display format (currency columns name their ISO 4217 currency, USD by
+ * default). Formulas refer to the row's columns in brackets:
+ *   [Amount]            dimension or measure, by its title (measures by value)
+ *   [override_pct]      writeback column, by id or label; the pending edit if
+ *                       there is one, else the merged value
+ *   [Adjusted Amount]   calculated column defined above this one
+ * Values are calculated while rendering, so they follow edits live. They are
+ * only displayed: calculated columns are not saved.
+ */
+
+import {
+  parseFormula,
+  evaluateFormula,
+  toNumber,
+  fromDayNumber,
+} from "./formula.js";
+import { getCellValue } from "./writebackColumns.js";
+import { generateDataKey } from "./rowIdentity.js";
+
+export const CALCULATED_FORMATS = {
+  NUMBER: "number",
+  CURRENCY: "currency",
+  PERCENT: "percent",
+  DATE: "date",
+  TEXT: "text",
+};
+
+const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Normalize a calculated column from the property panel; the formula is
+ * parsed once here, errors are kept to be shown in the cells
+ */
+function normalizeColumn(column, index) {
+  const decimals = parseInt(column.decimals, 10);
+  const normalized = {
+    id: column.id || `calculated_${index + 1}`,
+    label: column.label || column.id || `Calculated ${index + 1}`,
+    formula: column.formula || "",
+    format: Object.values(CALCULATED_FORMATS).includes(column.format)
+      ? column.format
+      : CALCULATED_FORMATS.NUMBER,
+    decimals: isNaN(decimals) ? 2 : Math.min(Math.max(decimals, 0), 10),
+    currency: /^[A-Za-z]{3}$/.test(String(column.currency || "").trim())
+      ? String(column.currency).trim().toUpperCase()
+      : DEFAULT_CURRENCY,
+    tree: null,
+    error: null,
+  };
+
+  try {
+    normalized.tree = parseFormula(normalized.formula);
+  } catch (error) {
+    console.warn(
+      `Invalid formula in calculated column ${normalized.label}:`,
+      error.message
+    );
+    normalized.error = error.message;
+  }
+  return normalized;
+}
+
+/**
+ * Get the calculated columns of an object
+ * @param {Object} layout - Qlik layout object
+ * @returns {Array} Columns { id, label, formula, format, decimals, currency,
+ *   tree, error }
+ */
+export function getCalculatedColumns(layout) {
+  return (layout?.calculatedColumns || [])
+    .filter((column) => column && String(column.formula || "").trim() !== "")
+    .map(normalizeColumn);
+}
+
+/**
+ * Convert a writeback value to a formula value
+ */
+function toFormulaValue(value) {
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+/**
+ * Calculate the values of the calculated columns for one row
+ * @param {Object} row - Table row
+ * @param {Object} params
+ * @param {Array} params.calculatedColumns - Columns from getCalculatedColumns
+ * @param {Array} params.columns - Writeback columns
+ * @param {Object} params.editedData - Pending edits
+ * @param {Array} params.keyConfig - Row key configuration
+ * @returns {Object} Column id -> { value, error }
+ */
+export function calculateRow(
+  row,
+  { calculatedColumns, columns, editedData, keyConfig }
+) {
+  const results = {};
+  const calculated = new Map();
+
+  const resolve = (name) => {
+    const lower = name.toLowerCase();
+    const writeback =
+      columns.find((column) => column.id === name) ||
+      columns.find((column) => String(column.label).toLowerCase() === lower);
+    if (writeback) {
+      const dataKey = generateDataKey(row, writeback.id, keyConfig);
+      return toFormulaValue(getCellValue(row, writeback, editedData, dataKey));
+    }
+
+    if (calculated.has(lower)) return calculated.get(lower);
+
+    const cell = row[name];
+    if (!cell) throw new Error(`Unknown column [${name}]`);
+    if (typeof cell.qNum === "number" && !isNaN(cell.qNum)) return cell.qNum;
+    return cell.value === "-" ? null : cell.value;
+  };
+
+  calculatedColumns.forEach((column) => {
+    let result = { value: null, error: column.error };
+    if (column.tree) {
+      try {
+        result = { value: evaluateFormula(column.tree, resolve), error: null };
+      } catch (error) {
+        result = { value: null, error: error.message };
+      }
+    }
+    results[column.id] = result;
+    calculated.set(column.id.toLowerCase(), result.value);
+    calculated.set(String(column.label).toLowerCase(), result.value);
+  });
+
+  return results;
+}
+
+/**
+ * Format a calculated value for display
+ * @param {Object} column - Calculated column
+ * @param {*} value - Result of the formula
+ * @param {string} locale - BCP 47 locale of numbers and dates
+ * @returns {string} Display text ("" when empty)
+ */
+export function formatCalculatedValue(column, value, locale) {
+  if (value === null || value === undefined || value === "") return "";
+
+  const number = toNumber(value);
+  if (column.format === CALCULATED_FORMATS.TEXT || number === null) {
+    return String(value);
+  }
+
+  switch (column.format) {
+    case CALCULATED_FORMATS.CURRENCY:
+      return new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: column.currency,
+        minimumFractionDigits: column.decimals,
+        maximumFractionDigits: column.decimals,
+      }).format(number);
+    case CALCULATED_FORMATS.PERCENT:
+      return `${(number * 100).toFixed(column.decimals)}%`;
+    case CALCULATED_FORMATS.DATE:
+      return new Date(fromDayNumber(number)).toLocaleDateString(locale, {
+        timeZone: "UTC",
+      });
+    default:
+      return number.toLocaleString(locale, {
+        minimumFractionDigits: column.decimals,
+        maximumFractionDigits: column.decimals,
+      });
+  }
+}
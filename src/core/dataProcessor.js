@@ -4,11 +4,11 @@
  * UPDATED: New field mappings for invoice-based data structure
  */
 
-import {
-  COLUMN_TYPES,
-  WRITEBACK_COLUMNS,
-  SPECIAL_COLUMNS,
-} from "../utils/constants.js";
+import { COLUMN_TYPES, SPECIAL_COLUMNS } from "../utils/constants.js";
+import { generateDataKey as generateRowDataKey } from "./rowIdentity.js";
+import { getWritebackColumns, getEmptyValue } from "./writebackColumns.js";
+import { isEditableByDimensions } from "./editability.js";
+import { getCalculatedColumns } from "./calculatedColumns.js";
 
 /**
  * Process Qlik hypercube data and transform it for the table
@@ -27,6 +27,10 @@ export function processData({ layout, pageData }) {
   const measures = layout.qHyperCube.qMeasureInfo || [];
   console.log("processData: Dimensions and Measures", { dimensions, measures });
 
+  const writebackColumns = layout.tableOptions?.allowWriteback
+    ? getWritebackColumns(layout)
+    : [];
+
   // Create headers array for the table
   const headers = [
     // Convert Qlik dimensions to table headers
@@ -69,20 +73,31 @@ export function processData({ layout, pageData }) {
   ];
 
   // Add writeback columns if enabled
-  if (layout.tableOptions?.allowWriteback) {
-    headers.push(
-      {
-        id: WRITEBACK_COLUMNS.STATUS,
-        label: layout.columnLabels?.status || "Model Feedback",
-        type: COLUMN_TYPES.WRITEBACK,
+  writebackColumns.forEach((column) => {
+    headers.push({
+      id: column.id,
+      label: column.label,
+      type: COLUMN_TYPES.WRITEBACK,
+      meta: {
+        fieldType: column.type,
+        column,
       },
-      {
-        id: WRITEBACK_COLUMNS.COMMENTS,
-        label: layout.columnLabels?.comments || "Comments",
-        type: COLUMN_TYPES.WRITEBACK,
-      }
-    );
-  }
+    });
+  });
+
+  // Add calculated columns; their values are calculated while rendering so
+  // they follow the pending edits
+  getCalculatedColumns(layout).forEach((column) => {
+    headers.push({
+      id: column.id,
+      label: column.label,
+      type: COLUMN_TYPES.CALCULATED,
+      meta: {
+        formula: column.formula,
+        column,
+      },
+    });
+  });
 
   console.log("processData: Generated headers", headers);
 
@@ -109,17 +124,14 @@ export function processData({ layout, pageData }) {
       };
     });
 
-    // Add empty writeback columns if enabled
-    if (layout.tableOptions?.allowWriteback) {
-      formattedRow[WRITEBACK_COLUMNS.STATUS] = {
-        value: "",
-        editable: true,
+    // Add writeback columns if enabled; they start empty (defaults are only
+    // suggested) and rows outside a column's dimension condition are read-only
+    writebackColumns.forEach((column) => {
+      formattedRow[column.id] = {
+        value: getEmptyValue(column),
+        editable: isEditableByDimensions(formattedRow, column),
       };
-      formattedRow[WRITEBACK_COLUMNS.COMMENTS] = {
-        value: "",
-        editable: true,
-      };
-    }
+    });
 
     return formattedRow;
   });
@@ -177,17 +189,14 @@ export function extractCustomerName(row, rowIndex, currentPage) {
 
 /**
  * Generate a unique data key for writeback fields
- * Now uses composite key: customerName + invoiceId
- * @param {Object} row - Row object containing customer and invoice data
+ * Uses the configured row key dimensions (see rowIdentity.js)
+ * @param {Object} row - Row object
  * @param {string} fieldId - Field identifier (status or comments)
+ * @param {Array} keyConfig - Key dimensions (defaults to Customer + Invoice ID)
  * @returns {string} Unique key for the field
  */
-export function generateDataKey(row, fieldId) {
-  const customerName = row[SPECIAL_COLUMNS.CUSTOMER]?.value || "";
-  const invoiceId = row[SPECIAL_COLUMNS.INVOICE_ID]?.value || "";
-
-  // Create composite key
-  return `${customerName}::${invoiceId}::${fieldId}`;
+export function generateDataKey(row, fieldId, keyConfig) {
+  return generateRowDataKey(row, fieldId, keyConfig);
 }
 
 /**
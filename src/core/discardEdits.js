@@ -0,0 +1,38 @@
+// core/discardEdits.js
+/**
+ * Discarding pending edits
+ * Unsaved edits can be thrown away all at once, per row or per cell; the
+ * value shown falls back to the merged (saved) value.
+ */
+
+import { parseDataKey } from "./rowIdentity.js";
+import { getEditedRowKeys } from "./rowSaveStatus.js";
+
+/**
+ * Remove pending edits
+ * @param {Object} editedData - Pending edits by editedData key
+ * @param {Object} scope - { rowKey } for the edits of one row, { dataKey }
+ *   for one cell, empty for all edits
+ * @returns {Object} { remaining: edits left, clearedRowKeys: rows without
+ *   pending edits anymore }
+ */
+export function discardEdits(editedData, { rowKey, dataKey } = {}) {
+  const shouldDiscard = (key) => {
+    if (dataKey) return key === dataKey;
+    if (rowKey) return parseDataKey(key)?.rowKey === rowKey;
+    return true;
+  };
+
+  const remaining = Object.keys(editedData).reduce((edits, key) => {
+    if (!shouldDiscard(key)) edits[key] = editedData[key];
+    return edits;
+  }, {});
+
+  const remainingRowKeys = new Set(getEditedRowKeys(remaining));
+  return {
+    remaining,
+    clearedRowKeys: getEditedRowKeys(editedData).filter(
+      (key) => !remainingRowKeys.has(key)
+    ),
+  };
+}
@@ -0,0 +1,158 @@
+// core/draftStorage.js
+/**
+ * Draft storage of pending edits
+ * Unsaved edits are kept in localStorage so they survive a reload. Drafts are
+ * stored per app, object (layout.qInfo.qId) and user, so writeback objects on
+ * other sheets or apps, or other users of the same browser, never load or
+ * overwrite each other's edits.
+ *
+ * Older versions kept one global draft (STORAGE_KEYS.EDITED_DATA) without an
+ * app id. That draft is only claimed by an object of its user that has no
+ * draft yet, whose writeback columns include every edited field and whose
+ * loaded rows include at least one edited row; the global key is then
+ * removed. Otherwise it is left in place for the object it belongs to.
+ * Legacy "customer-field" keys only carry the first key value and match rows
+ * by it, like writebackService does when saving them.
+ */
+
+import { STORAGE_KEYS } from "../utils/constants.js";
+import { getRowKey, getRowKeyValues, parseDataKey } from "./rowIdentity.js";
+
+/**
+ * Get the storage key of a draft
+ * @param {Object} scope - { appId, objectId, user }
+ * @returns {string} localStorage key
+ */
+export function getDraftKey({ appId, objectId, user }) {
+  return [STORAGE_KEYS.EDITED_DATA, appId, objectId, user]
+    .map((part) => encodeURIComponent(String(part ?? "")))
+    .join("::");
+}
+
+/**
+ * Split an editedData key into its writeback field and a test for the rows
+ * it belongs to (row keys match the whole row key, legacy "customer-field"
+ * keys the first key value)
+ */
+function splitEditedKey(dataKey) {
+  const parsed = parseDataKey(dataKey);
+  if (parsed) {
+    return {
+      fieldId: parsed.fieldId,
+      matches: (row) => row.rowKey === parsed.rowKey,
+    };
+  }
+  const separator = dataKey.lastIndexOf("-");
+  const firstKeyValue = dataKey.substring(0, separator);
+  return {
+    fieldId: dataKey.substring(separator + 1),
+    matches: (row) => row.firstKeyValue === firstKeyValue,
+  };
+}
+
+/**
+ * Draft Storage class
+ */
+export class DraftStorage {
+  constructor() {
+    this.key = null; // storage key of the current scope
+    this.user = null;
+  }
+
+  /**
+   * Set the app, object and user the drafts belong to
+   * Drafts are neither loaded nor saved before the scope is known.
+   * @param {Object} scope - { appId, objectId, user }
+   */
+  setScope(scope) {
+    this.key = getDraftKey(scope);
+    this.user = scope.user;
+  }
+
+  /**
+   * Load the draft of the current scope
+   * @returns {Object|null} { changes, rows, timestamp, user }, or null
+   */
+  load() {
+    if (!this.key) return null;
+
+    try {
+      const stored = localStorage.getItem(this.key);
+      return stored ? JSON.parse(stored) : null;
+    } catch (err) {
+      console.error("Error loading draft from local storage:", err);
+      return null;
+    }
+  }
+
+  /**
+   * Save the draft of the current scope (removed when there are no edits)
+   * @param {Object} draft - { changes, rows }
+   */
+  save({ changes, rows }) {
+    if (!this.key) return;
+
+    try {
+      if (Object.keys(changes).length === 0) {
+        localStorage.removeItem(this.key);
+        return;
+      }
+
+      localStorage.setItem(
+        this.key,
+        JSON.stringify({
+          changes,
+          rows,
+          timestamp: new Date().toISOString(),
+          user: this.user,
+        })
+      );
+    } catch (err) {
+      console.error("Error saving draft to local storage:", err);
+    }
+  }
+
+  /**
+   * Move the old global draft to the current scope if it belongs to it
+   * @param {Object} object - What the current object holds
+   * @param {Array} object.fields - Writeback column ids
+   * @param {Array} object.rows - Loaded table rows
+   * @param {Array} object.keyConfig - Row key configuration
+   * @returns {Object|null} Migrated draft, or null
+   */
+  migrateLegacyDraft({ fields = [], rows = [], keyConfig }) {
+    if (!this.key) return null;
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEYS.EDITED_DATA);
+      if (!stored || localStorage.getItem(this.key)) return null;
+
+      const legacy = JSON.parse(stored);
+      const editedKeys = Object.keys(legacy?.changes || {});
+      if (editedKeys.length === 0) {
+        localStorage.removeItem(STORAGE_KEYS.EDITED_DATA);
+        return null;
+      }
+
+      const objectRows = rows.map((row) => ({
+        rowKey: getRowKey(row, keyConfig),
+        firstKeyValue: getRowKeyValues(row, keyConfig)[0],
+      }));
+      const edits = editedKeys.map(splitEditedKey);
+      const isOtherUser = legacy.user && legacy.user !== this.user;
+      const hasOtherField = edits.some(
+        (edit) => !fields.includes(edit.fieldId)
+      );
+      const hasObjectRow = edits.some((edit) => objectRows.some(edit.matches));
+      if (isOtherUser || hasOtherField || !hasObjectRow) return null;
+
+      const draft = { ...legacy, user: this.user };
+      localStorage.setItem(this.key, JSON.stringify(draft));
+      localStorage.removeItem(STORAGE_KEYS.EDITED_DATA);
+      return draft;
+    } catch (err) {
+      console.error("Error migrating the global draft:", err);
+      return null;
+    }
+  }
+}
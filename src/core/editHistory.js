@@ -0,0 +1,138 @@
+// core/editHistory.js
+/**
+ * Undo/redo history of cell edits
+ * Every edit reported through handleCellEdit is recorded with the pending
+ * value it replaced (undefined when the cell had no pending edit). Edits
+ * made in the same task form one action, so an edit together with the
+ * dependent values it clears (or any edit of several cells at once) is
+ * undone in one step. Undoing an action restores the previous pending
+ * values; a cell that had no pending edit becomes clean again.
+ */
+
+import { USER_INTERACTION } from "../utils/constants.js";
+
+/**
+ * Apply the changes of an action to the pending edits
+ * @param {Object} editedData - Pending edits by editedData key
+ * @param {Array} changes - Changes { dataKey, before, after } of the action
+ * @param {boolean} undo - Restore the values before (true) or after (false)
+ * @returns {Object} New pending edits
+ */
+export function applyChanges(editedData, changes, undo) {
+  const next = { ...editedData };
+  const ordered = undo ? [...changes].reverse() : changes;
+
+  ordered.forEach(({ dataKey, before, after }) => {
+    const value = undo ? before : after;
+    if (value === undefined) {
+      delete next[dataKey];
+    } else {
+      next[dataKey] = value;
+    }
+  });
+
+  return next;
+}
+
+// Inputs without a typing undo of their own
+const NON_TEXT_INPUTS = ["checkbox", "radio", "date", "button", "submit"];
+
+/**
+ * Check whether keyboard shortcuts come from a text field, which keeps the
+ * browser's own undo while the user is typing
+ * @param {HTMLElement} target - Event target
+ * @returns {boolean} True for text inputs and text areas
+ */
+export function isTextField(target) {
+  if (target?.tagName === "TEXTAREA") return true;
+  return (
+    target?.tagName === "INPUT" &&
+    !NON_TEXT_INPUTS.includes(String(target.type).toLowerCase())
+  );
+}
+
+/**
+ * Edit History class
+ */
+export class EditHistory {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Most actions kept for undo
+   */
+  constructor({ limit = USER_INTERACTION.UNDO_LIMIT } = {}) {
+    this.limit = limit;
+    this.undoStack = []; // actions: arrays of { dataKey, before, after }
+    this.redoStack = [];
+    this.openAction = null; // action still collecting edits of this task
+  }
+
+  /**
+   * Record an edit
+   * @param {string} dataKey - editedData key of the cell
+   * @param {*} before - Pending value before the edit (undefined if none)
+   * @param {*} after - New value
+   */
+  record(dataKey, before, after) {
+    if (!this.openAction) {
+      this.openAction = [];
+      this.undoStack.push(this.openAction);
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+      this.redoStack = [];
+
+      queueMicrotask(() => {
+        this.openAction = null;
+      });
+    }
+    this.openAction.push({ dataKey, before, after });
+  }
+
+  /**
+   * Take the last action to undo
+   * @returns {Array|null} Changes to apply with applyChanges(..., true)
+   */
+  undo() {
+    const action = this.undoStack.pop();
+    if (!action) return null;
+    this.openAction = null;
+    this.redoStack.push(action);
+    return action;
+  }
+
+  /**
+   * Take the last undone action to redo
+   * @returns {Array|null} Changes to apply with applyChanges(..., false)
+   */
+  redo() {
+    const action = this.redoStack.pop();
+    if (!action) return null;
+    this.undoStack.push(action);
+    return action;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Forget the changes of cells that were saved or discarded (their pending
+   * values are gone, so undoing them would resurrect stale edits)
+   * @param {Array} dataKeys - editedData keys
+   */
+  forget(dataKeys) {
+    const forgotten = new Set(dataKeys);
+    const prune = (stack) =>
+      stack
+        .map((action) =>
+          action.filter((change) => !forgotten.has(change.dataKey))
+        )
+        .filter((action) => action.length > 0);
+
+    this.openAction = null;
+    this.undoStack = prune(this.undoStack);
+    this.redoStack = prune(this.redoStack);
+  }
+}
@@ -0,0 +1,141 @@
+// core/editTimeTracker.js
+/**
+ * Edit effort tracking per row
+ * Records when the user started working on a row (first focus on one of its
+ * writeback cells, or first edit) and how long they actively worked on it:
+ * the time its cells had focus, where pauses without any input longer than
+ * the idle timeout count only up to the timeout. Rows that got focus but no
+ * edit are forgotten when they lose focus. The timing of a row is sent with
+ * its save (edit_started_at, edit_duration_seconds) and reset once the row
+ * is saved.
+ */
+
+import { USER_INTERACTION } from "../utils/constants.js";
+
+/**
+ * Edit Time Tracker class
+ */
+export class EditTimeTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.idleTimeout - Longest pause (ms) still counted as
+   *   active editing
+   * @param {Function} options.now - Clock (ms), replaceable for tests
+   */
+  constructor({
+    idleTimeout = USER_INTERACTION.EDIT_TIMEOUT,
+    now = () => Date.now(),
+  } = {}) {
+    this.idleTimeout = idleTimeout;
+    this.now = now;
+    this.rows = new Map(); // row key -> { startedAt, activeMs, edited, ... }
+  }
+
+  /**
+   * Get the entry of a row, creating it on first use
+   */
+  getEntry(rowKey) {
+    if (!this.rows.has(rowKey)) {
+      this.rows.set(rowKey, {
+        startedAt: this.now(),
+        activeMs: 0,
+        edited: false,
+        segmentStart: null, // start of the current active stretch
+        lastActivity: null,
+      });
+    }
+    return this.rows.get(rowKey);
+  }
+
+  /**
+   * Active time of the current stretch up to a moment (capped after the
+   * last activity by the idle timeout)
+   */
+  getSegmentMs(entry, time) {
+    if (entry.segmentStart === null) return 0;
+    const end = Math.min(time, entry.lastActivity + this.idleTimeout);
+    return Math.max(0, end - entry.segmentStart);
+  }
+
+  /**
+   * A writeback cell of the row got focus
+   * @param {string} rowKey - Row key (see core/rowIdentity.js)
+   */
+  startEditing(rowKey) {
+    const entry = this.getEntry(rowKey);
+    if (entry.segmentStart === null) {
+      entry.segmentStart = this.now();
+      entry.lastActivity = entry.segmentStart;
+    } else {
+      this.recordActivity(rowKey);
+    }
+  }
+
+  /**
+   * The user typed or clicked in a cell of the row
+   * After a pause longer than the idle timeout a new active stretch starts.
+   * @param {string} rowKey - Row key
+   */
+  recordActivity(rowKey) {
+    const entry = this.getEntry(rowKey);
+    const time = this.now();
+
+    if (entry.segmentStart === null) {
+      entry.segmentStart = time;
+    } else if (time - entry.lastActivity > this.idleTimeout) {
+      entry.activeMs += this.getSegmentMs(entry, time);
+      entry.segmentStart = time;
+    }
+    entry.lastActivity = time;
+  }
+
+  /**
+   * A cell value of the row was changed
+   * @param {string} rowKey - Row key
+   */
+  recordEdit(rowKey) {
+    this.recordActivity(rowKey);
+    this.getEntry(rowKey).edited = true;
+  }
+
+  /**
+   * The cells of the row lost focus
+   * @param {string} rowKey - Row key
+   */
+  stopEditing(rowKey) {
+    const entry = this.rows.get(rowKey);
+    if (!entry) return;
+
+    if (!entry.edited) {
+      this.rows.delete(rowKey);
+      return;
+    }
+    entry.activeMs += this.getSegmentMs(entry, this.now());
+    entry.segmentStart = null;
+  }
+
+  /**
+   * Get the edit timing of a row
+   * @param {string} rowKey - Row key
+   * @returns {Object|null} { startedAt (ISO 8601), durationSeconds }, or null
+   *   when the row has no tracked edits (e.g. edits restored from a draft)
+   */
+  getTiming(rowKey) {
+    const entry = this.rows.get(rowKey);
+    if (!entry || !entry.edited) return null;
+
+    const activeMs = entry.activeMs + this.getSegmentMs(entry, this.now());
+    return {
+      startedAt: new Date(entry.startedAt).toISOString(),
+      durationSeconds: Math.round(activeMs / 1000),
+    };
+  }
+
+  /**
+   * Forget the timing of saved rows
+   * @param {Array} rowKeys - Row keys
+   */
+  clear(rowKeys) {
+    rowKeys.forEach((rowKey) => this.rows.delete(rowKey));
+  }
+}
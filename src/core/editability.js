@@ -0,0 +1,134 @@
+// core/editability.js
+/**
+ * Conditional editability of writeback cells
+ * A writeback column can limit the rows it may be edited on:
+ *   editableWhen        condition on a dimension value of the row, e.g.
+ *                       "Aging Bucket = 90+" or "Region != EMEA, APAC"
+ *   editableExpression  Qlik expression evaluated per row of the hypercube
+ *                       (see core/rowExpressionManager.js); the cell is
+ *                       editable when the result is true (non-zero)
+ * Dimension conditions are applied by processData (cell.editable); expression
+ * results are looked up per row key. Cells that are not editable render as
+ * read-only text and the save path rejects edits on them.
+ *
+ * When an expression cannot be evaluated for a row (the evaluation failed or
+ * returned no result for it), its result is { error } instead of a boolean:
+ * the cell stays read-only and shows the error, so a failure never unlocks
+ * cells the author meant to protect and is never mistaken for "not editable".
+ */
+
+import { getRowKey } from "./rowIdentity.js";
+
+/**
+ * Parse a dimension condition
+ * @param {string} text - "Dimension = value, value" or "Dimension != value"
+ * @returns {Object|null} { dimension, negate, values } with lower-cased values
+ */
+export function parseCondition(text) {
+  const condition = String(text || "").trim();
+  const match = condition.match(/^(.+?)\s*(!=|=)\s*(.*)$/);
+  if (!match) return null;
+
+  return {
+    dimension: match[1].trim(),
+    negate: match[2] === "!=",
+    values: match[3]
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter((value) => value !== ""),
+  };
+}
+
+/**
+ * Check a row against the dimension condition of a column
+ * @param {Object} row - Table row (dimension values by title)
+ * @param {Object} column - Writeback column
+ * @returns {boolean} True when the column has no condition or the row meets it
+ */
+export function isEditableByDimensions(row, column) {
+  if (!column.editableWhen) return true;
+
+  const { dimension, negate, values } = column.editableWhen;
+  const value = String(row?.[dimension]?.value ?? "").toLowerCase();
+  return values.includes(value) !== negate;
+}
+
+/**
+ * Interpret the result of an editability expression
+ * @param {Object} cell - Hypercube cell ({ qNum, qText })
+ * @returns {boolean} True for non-zero numbers and non-empty, non-false text
+ */
+export function isTruthyCell(cell) {
+  if (typeof cell?.qNum === "number" && !isNaN(cell.qNum)) {
+    return cell.qNum !== 0;
+  }
+  const text = String(cell?.qText ?? "").trim();
+  return text !== "" && text !== "-" && !/^(0|false)$/i.test(text);
+}
+
+/**
+ * Check whether a writeback cell may be edited
+ * @param {Object} row - Table row
+ * @param {Object} column - Writeback column
+ * @param {Object} expressionResults - Column id -> expression result of the
+ *   row (from RowExpressionManager); rows not evaluated yet or whose
+ *   evaluation failed are read-only
+ * @returns {boolean} True when the cell is editable
+ */
+export function isCellEditable(row, column, expressionResults) {
+  if (row?.[column.id]?.editable === false) return false;
+  if (!isEditableByDimensions(row, column)) return false;
+  if (column.editableExpression) {
+    return expressionResults?.[column.id] === true;
+  }
+  return true;
+}
+
+/**
+ * Get the evaluation error of the editability expression of a cell
+ * @param {Object} column - Writeback column
+ * @param {Object} expressionResults - Column id -> expression result of the
+ *   row
+ * @returns {string|null} Error message, or null
+ */
+export function getEditabilityError(column, expressionResults) {
+  if (!column.editableExpression) return null;
+  return expressionResults?.[column.id]?.error || null;
+}
+
+/**
+ * Mark the editability expressions of rows without a result as failed
+ * @param {Object} editability - Row key -> column id -> expression result
+ * @param {Object} params
+ * @param {Array} params.rows - Rows that were evaluated
+ * @param {Array} params.columns - Writeback columns
+ * @param {Array} params.keyConfig - Row key configuration
+ * @param {string} params.message - Error shown on the failed cells
+ * @returns {Object} { editability, failedRowKeys }
+ */
+export function markEditabilityErrors(
+  editability,
+  { rows = [], columns, keyConfig, message }
+) {
+  const expressionColumns = columns.filter(
+    (column) => column.editableExpression
+  );
+  const results = { ...editability };
+  const failedRowKeys = [];
+
+  rows.forEach((row) => {
+    const rowKey = getRowKey(row, keyConfig);
+    const missing = expressionColumns.filter(
+      (column) => typeof results[rowKey]?.[column.id] !== "boolean"
+    );
+    if (missing.length === 0) return;
+
+    failedRowKeys.push(rowKey);
+    results[rowKey] = { ...results[rowKey] };
+    missing.forEach((column) => {
+      results[rowKey][column.id] = { error: message };
+    });
+  });
+
+  return { editability: results, failedRowKeys };
+}
@@ -0,0 +1,143 @@
+// core/editedRowStore.js
+/**
+ * Snapshots of edited rows across pages
+ * tableData only holds the rows of the current page, but pending edits are
+ * kept while the user pages through the table. The store keeps, per edited
+ * row, the row data, the page it was last seen on and its editability
+ * expression results, so edits made on other pages are still validated and
+ * saved. Snapshots are refreshed whenever the row is on the current page and
+ * dropped once the row has no pending edits left. They are kept with the
+ * draft so edits restored after a reload can be saved from any page.
+ */
+
+import { getRowKey } from "./rowIdentity.js";
+import { getEditedRowKeys } from "./rowSaveStatus.js";
+
+/**
+ * Edited Row Store class
+ */
+export class EditedRowStore {
+  constructor() {
+    this.rows = new Map(); // row key -> { row, page, editability }
+  }
+
+  /**
+   * Take snapshots of the edited rows of the current page and drop rows
+   * without pending edits
+   * @param {Object} params
+   * @param {Array} params.rows - Rows of the current page
+   * @param {Object} params.editedData - Pending edits
+   * @param {Object} params.editability - Row key -> editability expression
+   *   results of the current page
+   * @param {number} params.page - Current page
+   * @param {Array} params.keyConfig - Row key configuration
+   * @returns {boolean} True when a snapshot was added, updated or dropped
+   */
+  capture({ rows = [], editedData, editability = {}, page, keyConfig }) {
+    const editedRowKeys = new Set(getEditedRowKeys(editedData));
+    let changed = false;
+
+    rows.forEach((row) => {
+      const rowKey = getRowKey(row, keyConfig);
+      if (!editedRowKeys.has(rowKey)) return;
+
+      const snapshot = this.rows.get(rowKey);
+      const rowEditability = editability[rowKey] || snapshot?.editability;
+      if (
+        snapshot?.row === row &&
+        snapshot.page === page &&
+        snapshot.editability === rowEditability
+      ) {
+        return;
+      }
+      this.rows.set(rowKey, { row, page, editability: rowEditability });
+      changed = true;
+    });
+
+    Array.from(this.rows.keys()).forEach((rowKey) => {
+      if (!editedRowKeys.has(rowKey)) {
+        this.rows.delete(rowKey);
+        changed = true;
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Get the snapshots of edited rows that are not on the current page
+   * @param {Array} rows - Rows of the current page
+   * @param {Array} keyConfig - Row key configuration
+   * @returns {Array} Row data of the other edited rows
+   */
+  getOtherPageRows(rows = [], keyConfig) {
+    const currentRowKeys = new Set(
+      rows.map((row) => getRowKey(row, keyConfig))
+    );
+    return Array.from(this.rows.entries())
+      .filter(([rowKey]) => !currentRowKeys.has(rowKey))
+      .map(([, snapshot]) => snapshot.row);
+  }
+
+  /**
+   * Get the editability expression results of all edited rows
+   * @param {Object} editability - Results of the current page (take
+   *   precedence over the snapshots)
+   * @returns {Object} Row key -> column id -> result
+   */
+  getEditability(editability = {}) {
+    const merged = {};
+    this.rows.forEach((snapshot, rowKey) => {
+      if (snapshot.editability) merged[rowKey] = snapshot.editability;
+    });
+    return { ...merged, ...editability };
+  }
+
+  /**
+   * Get the page an edited row was last seen on
+   * @param {string} rowKey - Row key
+   * @returns {number|undefined} Page, undefined without a snapshot
+   */
+  getPage(rowKey) {
+    return this.rows.get(rowKey)?.page;
+  }
+
+  /**
+   * Get the pages that hold pending edits
+   * @param {Object} editedData - Pending edits
+   * @returns {Array} Page numbers, ascending
+   */
+  getPagesWithEdits(editedData) {
+    const pages = new Set();
+    getEditedRowKeys(editedData).forEach((rowKey) => {
+      const snapshot = this.rows.get(rowKey);
+      if (snapshot) pages.add(snapshot.page);
+    });
+    return Array.from(pages).sort((a, b) => a - b);
+  }
+
+  /**
+   * Serialize the snapshots (kept with the draft)
+   * @returns {Object} Row key -> snapshot
+   */
+  toJSON() {
+    return Object.fromEntries(this.rows);
+  }
+
+  /**
+   * Drop all snapshots (the object's draft scope changed)
+   */
+  clear() {
+    this.rows.clear();
+  }
+
+  /**
+   * Restore snapshots saved with a draft
+   * @param {Object} snapshots - Result of toJSON()
+   */
+  restore(snapshots) {
+    Object.entries(snapshots || {}).forEach(([rowKey, snapshot]) => {
+      if (snapshot?.row) this.rows.set(rowKey, snapshot);
+    });
+  }
+}
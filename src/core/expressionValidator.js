@@ -0,0 +1,87 @@
+// core/expressionValidator.js
+/**
+ * Evaluation of expression-based validation rules
+ * Rule expressions (see core/validationRules.js) are evaluated by the Qlik
+ * engine, which is asynchronous, while validation runs synchronously during
+ * render. check() therefore answers from a cache and queues unknown
+ * expressions; flush() evaluates the queue so the caller can re-validate.
+ */
+
+export class ExpressionValidator {
+  constructor(app) {
+    this.app = app;
+    this.results = new Map(); // expression -> true (valid) / false
+    this.pending = new Set();
+  }
+
+  /**
+   * Get the cached result of an expression, queueing it when unknown
+   * @param {string} expression - Expression built by buildRuleExpression
+   * @returns {boolean|undefined} Whether the value is valid; undefined while
+   *   the expression has not been evaluated
+   */
+  check(expression) {
+    if (!this.app) return true;
+    if (this.results.has(expression)) return this.results.get(expression);
+
+    this.pending.add(expression);
+    return undefined;
+  }
+
+  /**
+   * Check whether expressions are waiting to be evaluated
+   * @returns {boolean} True when flush() has work to do
+   */
+  hasPending() {
+    return this.pending.size > 0;
+  }
+
+  /**
+   * Evaluate the queued expressions
+   * @returns {Promise<number>} Number of expressions evaluated
+   */
+  async flush() {
+    const expressions = Array.from(this.pending);
+    this.pending.clear();
+
+    for (const expression of expressions) {
+      this.results.set(expression, await this.evaluate(expression));
+    }
+
+    if (expressions.length > 0) {
+      console.log(
+        `ExpressionValidator: Evaluated ${expressions.length} rule expressions`
+      );
+    }
+    return expressions.length;
+  }
+
+  /**
+   * Evaluate one expression; true (non-zero or non-empty text) is valid
+   * Expressions the engine cannot evaluate never block a save
+   * @param {string} expression - Qlik expression, with or without "="
+   * @returns {Promise<boolean>} Whether the value is valid
+   */
+  async evaluate(expression) {
+    try {
+      const result = await this.app.evaluateEx(expression.replace(/^\s*=/, ""));
+      const value = result?.qValue || result || {};
+      if (value.qIsNumeric) {
+        return value.qNumber !== 0;
+      }
+      const text = String(value.qText ?? "").trim();
+      return text !== "" && !/^(0|false)$/i.test(text);
+    } catch (error) {
+      console.warn(`Failed to evaluate rule expression ${expression}:`, error);
+      return true;
+    }
+  }
+
+  /**
+   * Forget cached results (e.g. after the app data changed)
+   */
+  clear() {
+    this.results.clear();
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,320 @@
+// core/formula.js
+/**
+ * Formula language of calculated columns
+ * A small, safe expression language (no eval) evaluated in the browser:
+ *   [Amount] * (1 + [override_pct] / 100)
+ *   TODAY() - DATE([Invoice Due Date])
+ *   IF([status] = 'Inaccurate', [Amount], 0)
+ *
+ * - [Name] refers to a column of the row (see calculatedColumns.js)
+ * - numbers, 'text' (quotes doubled inside), + - * / %, & (concatenate)
+ * - comparisons = <> < > <= >= (1 when true, 0 when false)
+ * - functions: IF, AND, OR, NOT, ROUND, ABS, MIN, MAX, COALESCE, DATE, TODAY
+ *
+ * Dates are day numbers, like Qlik dates (days since 1899-12-30). Empty
+ * values are null and make arithmetic results null, so a calculated cell
+ * stays empty until its inputs are filled in (use COALESCE for a fallback).
+ */
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?)|'((?:[^']|'')*)'|\[([^\]]+)\]|([A-Za-z_]\w*)|(<=|>=|<>|[-+*/%(),<>=&]))/y;
+
+// Day number of 1970-01-01 (Qlik/Excel serial dates)
+const UNIX_EPOCH_DAY = 25569;
+const MS_PER_DAY = 86400000;
+
+/**
+ * Split a formula into tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < formula.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(formula);
+    if (!match) {
+      if (formula.slice(start).trim() === "") break;
+      throw new Error(`Unexpected character at ${start + 1}`);
+    }
+
+    const [, number, text, reference, name, operator] = match;
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: parseFloat(number) });
+    } else if (text !== undefined) {
+      tokens.push({ type: "text", value: text.replace(/''/g, "'") });
+    } else if (reference !== undefined) {
+      tokens.push({ type: "reference", value: reference.trim() });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name.toUpperCase() });
+    } else {
+      tokens.push({ type: "operator", value: operator });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * @param {string} formula - Formula text (a leading "=" is allowed)
+ * @returns {Object} Expression tree
+ * @throws {Error} When the formula is not valid
+ */
+export function parseFormula(formula) {
+  const tokens = tokenize(String(formula || "").replace(/^\s*=/, ""));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (...values) =>
+    peek()?.type === "operator" && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}"`);
+    }
+    position++;
+  };
+
+  const parseBinary = (operators, parseOperand) => () => {
+    let node = parseOperand();
+    while (isOperator(...operators)) {
+      const operator = tokens[position++].value;
+      node = { type: "binary", operator, left: node, right: parseOperand() };
+    }
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) throw new Error("Unexpected end of formula");
+
+    if (token.type === "number" || token.type === "text") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "reference") {
+      return { type: "reference", name: token.value };
+    }
+    if (token.type === "name") {
+      if (!FUNCTIONS[token.value]) {
+        throw new Error(`Unknown function ${token.value}`);
+      }
+      expect("(");
+      const args = [];
+      if (!isOperator(")")) {
+        args.push(parseExpression());
+        while (isOperator(",")) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expect(")");
+      return { type: "call", name: token.value, args };
+    }
+    if (token.value === "(") {
+      const node = parseExpression();
+      expect(")");
+      return node;
+    }
+    if (token.value === "-") {
+      return { type: "negate", operand: parsePrimary() };
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const parseTerm = parseBinary(["*", "/", "%"], parsePrimary);
+  const parseSum = parseBinary(["+", "-", "&"], parseTerm);
+  const parseExpression = parseBinary(
+    ["=", "<>", "<", ">", "<=", ">="],
+    parseSum
+  );
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Convert a value to a number (null when empty or not numeric)
+ */
+export function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return isNaN(value) ? null : value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  const parsed = Number(String(value).replace(/,/g, ""));
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Convert a date (day number, Date, ISO or locale text) to a day number
+ */
+export function toDayNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number") return value;
+
+  const numeric = toNumber(value);
+  if (numeric !== null) return numeric;
+
+  // ISO dates (date inputs) are calendar dates, not UTC midnight
+  const iso = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return Date.UTC(iso[1], iso[2] - 1, iso[3]) / MS_PER_DAY + UNIX_EPOCH_DAY;
+  }
+
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return (
+    Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / MS_PER_DAY +
+    UNIX_EPOCH_DAY
+  );
+}
+
+/**
+ * Convert a day number to an ISO date (YYYY-MM-DD)
+ */
+export function fromDayNumber(dayNumber) {
+  if (dayNumber === null || dayNumber === undefined) return "";
+  return new Date(Math.round((dayNumber - UNIX_EPOCH_DAY) * MS_PER_DAY))
+    .toISOString()
+    .split("T")[0];
+}
+
+const isEmpty = (value) =>
+  value === null || value === undefined || value === "";
+
+/**
+ * Apply an arithmetic operator; empty operands give null
+ */
+function arithmetic(operator, left, right) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+
+  switch (operator) {
+    case "+":
+      return a + b;
+    case "-":
+      return a - b;
+    case "*":
+      return a * b;
+    case "/":
+      return b === 0 ? null : a / b;
+    default:
+      return b === 0 ? null : a % b;
+  }
+}
+
+/**
+ * Compare two values (numerically when both are numbers, else as text)
+ */
+function compare(operator, left, right) {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  const [x, y] =
+    a !== null && b !== null
+      ? [a, b]
+      : [String(left ?? "").toLowerCase(), String(right ?? "").toLowerCase()];
+
+  switch (operator) {
+    case "=":
+      return x === y ? 1 : 0;
+    case "<>":
+      return x !== y ? 1 : 0;
+    case "<":
+      return x < y ? 1 : 0;
+    case ">":
+      return x > y ? 1 : 0;
+    case "<=":
+      return x <= y ? 1 : 0;
+    default:
+      return x >= y ? 1 : 0;
+  }
+}
+
+const isTrue = (value) => !isEmpty(value) && toNumber(value) !== 0;
+
+// Functions receive their evaluated arguments (IF, AND and OR their
+// unevaluated arguments, so only the branch taken is evaluated)
+const FUNCTIONS = {
+  IF: { lazy: true, call: ([c, a, b], ev) => (isTrue(ev(c)) ? ev(a) : ev(b)) },
+  AND: {
+    lazy: true,
+    call: (args, ev) => (args.every((a) => isTrue(ev(a))) ? 1 : 0),
+  },
+  OR: {
+    lazy: true,
+    call: (args, ev) => (args.some((a) => isTrue(ev(a))) ? 1 : 0),
+  },
+  NOT: { call: ([value]) => (isTrue(value) ? 0 : 1) },
+  ROUND: {
+    call: ([value, decimals]) => {
+      const number = toNumber(value);
+      if (number === null) return null;
+      const factor = 10 ** (toNumber(decimals) || 0);
+      return Math.round(number * factor) / factor;
+    },
+  },
+  ABS: {
+    call: ([value]) =>
+      toNumber(value) === null ? null : Math.abs(toNumber(value)),
+  },
+  MIN: {
+    call: (args) => {
+      const numbers = args.map(toNumber).filter((n) => n !== null);
+      return numbers.length > 0 ? Math.min(...numbers) : null;
+    },
+  },
+  MAX: {
+    call: (args) => {
+      const numbers = args.map(toNumber).filter((n) => n !== null);
+      return numbers.length > 0 ? Math.max(...numbers) : null;
+    },
+  },
+  COALESCE: { call: (args) => args.find((value) => !isEmpty(value)) ?? null },
+  DATE: { call: ([value]) => toDayNumber(value) },
+  TODAY: { call: () => toDayNumber(new Date()) },
+};
+
+/**
+ * Evaluate an expression tree
+ * @param {Object} tree - Tree from parseFormula
+ * @param {Function} resolve - (name) => value of a [Name] reference
+ * @returns {*} Number, text or null
+ */
+export function evaluateFormula(tree, resolve) {
+  const evaluate = (node) => {
+    // Omitted arguments, e.g. IF without an else branch
+    if (!node) return null;
+
+    switch (node.type) {
+      case "literal":
+        return node.value;
+      case "reference":
+        return resolve(node.name);
+      case "negate": {
+        const value = toNumber(evaluate(node.operand));
+        return value === null ? null : -value;
+      }
+      case "call": {
+        const fn = FUNCTIONS[node.name];
+        return fn.lazy
+          ? fn.call(node.args, evaluate)
+          : fn.call(node.args.map(evaluate));
+      }
+      default: {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (node.operator === "&") {
+          return `${left ?? ""}${right ?? ""}`;
+        }
+        if (["+", "-", "*", "/", "%"].includes(node.operator)) {
+          return arithmetic(node.operator, left, right);
+        }
+        return compare(node.operator, left, right);
+      }
+    }
+  };
+
+  return evaluate(tree);
+}
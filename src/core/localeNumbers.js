@@ -0,0 +1,100 @@
+// core/localeNumbers.js
+/**
+ * Locale-aware number parsing and formatting for number editors
+ * Users type numbers the way their locale writes them ("1.234,5" in German,
+ * "1,234.5" in English); the separators are taken from Intl.NumberFormat.
+ */
+
+/**
+ * Get the group and decimal separators of a locale
+ * @param {string} locale - BCP 47 locale (defaults to the browser locale)
+ * @returns {Object} { group, decimal }
+ */
+export function getSeparators(locale) {
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  return {
+    group: parts.find((part) => part.type === "group")?.value || ",",
+    decimal: parts.find((part) => part.type === "decimal")?.value || ".",
+  };
+}
+
+/**
+ * Check the digit groups of an integer part: the first group has one to
+ * three digits and every following group exactly three
+ */
+function isGrouped(groups) {
+  return groups.every((digits, index) => {
+    const size = index === 0 ? /^\d{1,3}$/ : /^\d{3}$/;
+    return size.test(digits);
+  });
+}
+
+/**
+ * Parse a number typed in the format of a locale
+ * Group separators are only accepted between groups of three digits, so a
+ * decimal typed with the wrong separator ("1.5" in German, "1,5" in English)
+ * is rejected instead of being read as 15.
+ * @param {string} text - Input text
+ * @param {string} locale - BCP 47 locale
+ * @returns {number|string|null} Number, "" when empty, null when the text is
+ *   not a number
+ */
+export function parseLocaleNumber(text, locale) {
+  const value = String(text ?? "").trim();
+  if (value === "") return "";
+
+  const { group, decimal } = getSeparators(locale);
+  const [, sign, number] = value.replace(/^\u2212/, "-").match(/^([-+]?)(.*)$/);
+  const parts = number.split(decimal);
+  if (parts.length > 2) return null;
+  const [integer, fraction = ""] = parts;
+
+  // Some locales group with (non-breaking) spaces; spaces are accepted as
+  // group separators whatever the locale
+  let groups = integer.split(/\s+/);
+  if (group.trim() !== "") {
+    groups = groups.flatMap((chunk) => chunk.split(group));
+  }
+  if (groups.length > 1 && !isGrouped(groups)) return null;
+
+  const digits = groups.join("");
+  if (!/^\d*$/.test(digits) || !/^\d*$/.test(fraction)) return null;
+  if (digits === "" && fraction === "") return null;
+  return parseFloat(`${sign}${digits || "0"}.${fraction || "0"}`);
+}
+
+/**
+ * Format a number for a number editor (no grouping, all decimals kept)
+ * @param {number|string} value - Number in editing form ("" when empty)
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Text in the format of the locale
+ */
+export function formatLocaleNumber(value, locale) {
+  if (value === "" || value === null || value === undefined) return "";
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+
+  return new Intl.NumberFormat(locale, {
+    useGrouping: false,
+    maximumFractionDigits: 20,
+  }).format(number);
+}
+
+/**
+ * Step a number up or down, keeping it within a range
+ * @param {number|string} value - Current value ("" counts as 0)
+ * @param {number} step - Step size
+ * @param {number} direction - 1 (up) or -1 (down)
+ * @param {Object} range - { min, max } (null when unbounded)
+ * @returns {number} New value, rounded to the precision of value and step
+ */
+export function stepNumber(value, step, direction, { min, max } = {}) {
+  const current = Number(value) || 0;
+  const decimalsOf = (number) => (String(number).split(".")[1] || "").length;
+  const decimals = Math.max(decimalsOf(step), decimalsOf(current));
+  let next = parseFloat((current + step * direction).toFixed(decimals));
+
+  if (min !== null && min !== undefined) next = Math.max(next, min);
+  if (max !== null && max !== undefined) next = Math.min(next, max);
+  return next;
+}
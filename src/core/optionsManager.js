@@ -0,0 +1,122 @@
+// core/optionsManager.js
+/**
+ * Dynamic option lists for select writeback columns
+ * Columns whose options come from a Qlik field read the field's distinct
+ * values through a temporary list object (session object) on the app;
+ * columns using an expression evaluate it and split the returned text on
+ * commas or new lines. Results are cached per source for
+ * DYNAMIC_OPTIONS.CACHE_TTL so layout changes don't reload them every time.
+ */
+
+import { OPTION_SOURCES, DYNAMIC_OPTIONS } from "../utils/constants.js";
+import { parseOptions, hasDynamicOptions } from "./writebackColumns.js";
+
+/**
+ * Options Manager class
+ */
+export class OptionsManager {
+  constructor(app) {
+    this.app = app;
+    this.cache = new Map(); // source key -> { options, loadedAt }
+  }
+
+  /**
+   * Load the options of every column with a field or expression source
+   * @param {Array} columns - Writeback columns (see writebackColumns.js)
+   * @returns {Promise<Object>} Column id -> options [{ value, text }]
+   */
+  async loadOptions(columns) {
+    const loaded = {};
+    if (!this.app) return loaded;
+
+    for (const column of columns.filter(hasDynamicOptions)) {
+      try {
+        loaded[column.id] = await this.getSourceOptions(column);
+      } catch (error) {
+        console.warn(`Failed to load options for ${column.id}:`, error);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Get the options of one column's source, from the cache when fresh
+   * @param {Object} column - Writeback column
+   * @returns {Promise<Array>} Options
+   */
+  async getSourceOptions(column) {
+    const key = `${column.optionsSource}:${
+      column.optionsSource === OPTION_SOURCES.FIELD
+        ? column.optionsField
+        : column.optionsExpression
+    }`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.loadedAt < DYNAMIC_OPTIONS.CACHE_TTL) {
+      return cached.options;
+    }
+
+    const options =
+      column.optionsSource === OPTION_SOURCES.FIELD
+        ? await this.fetchFieldValues(column.optionsField)
+        : await this.evaluateExpression(column.optionsExpression);
+
+    console.log(`OptionsManager: Loaded ${options.length} options for ${key}`);
+    this.cache.set(key, { options, loadedAt: Date.now() });
+    return options;
+  }
+
+  /**
+   * Fetch the distinct values of a field through a list object
+   * @param {string} field - Qlik field name
+   * @returns {Promise<Array>} Options in load order
+   */
+  async fetchFieldValues(field) {
+    const listObject = await this.app.createSessionObject({
+      qInfo: { qType: "writeback-options" },
+      qListObjectDef: {
+        qDef: {
+          qFieldDefs: [field],
+          qSortCriterias: [{ qSortByLoadOrder: 1 }],
+        },
+        qShowAlternatives: true,
+        qInitialDataFetch: [
+          { qTop: 0, qLeft: 0, qWidth: 1, qHeight: DYNAMIC_OPTIONS.MAX_VALUES },
+        ],
+      },
+    });
+
+    try {
+      const layout = await listObject.getLayout();
+      const matrix = layout.qListObject?.qDataPages?.[0]?.qMatrix || [];
+      return parseOptions(
+        matrix
+          .map((row) => row[0]?.qText)
+          .filter((text) => text !== undefined && text !== "")
+      );
+    } finally {
+      await this.app.destroySessionObject(listObject.id);
+    }
+  }
+
+  /**
+   * Evaluate an expression returning a delimited list of options
+   * @param {string} expression - Qlik expression, e.g.
+   *   =Concat(DISTINCT Reason, ',')
+   * @returns {Promise<Array>} Options
+   */
+  async evaluateExpression(expression) {
+    const result = await this.app.evaluateEx(
+      String(expression || "").replace(/^\s*=/, "")
+    );
+    const text = result?.qText ?? result?.qValue?.qText ?? "";
+    return parseOptions(text);
+  }
+
+  /**
+   * Forget cached options (e.g. after a reload of the app)
+   */
+  clear() {
+    this.cache.clear();
+  }
+}
@@ -0,0 +1,67 @@
+// core/pendingChanges.js
+/**
+ * Pending changes for the "Review changes" panel
+ * Lists every unsaved edit, on any page, with the value it replaces (the
+ * merged database value of the row) and the new value.
+ */
+
+import { getRowKey, getRowKeyValues, parseDataKey } from "./rowIdentity.js";
+import { getCellValue, formatCellValue } from "./writebackColumns.js";
+
+/**
+ * Get the pending changes
+ * @param {Object} params
+ * @param {Object} params.editedData - Pending edits
+ * @param {Array} params.rows - Rows of the current page and snapshots of
+ *   edited rows on other pages (see core/editedRowStore.js)
+ * @param {Array} params.columns - Writeback columns
+ * @param {Array} params.keyConfig - Row key configuration
+ * @param {Function} params.getPage - (rowKey) => page of the row
+ * @param {string} params.locale - Locale of numbers
+ * @returns {Array} Changes { dataKey, rowKey, rowLabel, columnId, label,
+ *   before, after, page }, by page, row and column order
+ */
+export function getPendingChanges({
+  editedData,
+  rows,
+  columns,
+  keyConfig,
+  getPage,
+  locale,
+}) {
+  const rowsByKey = new Map(
+    rows.map((row) => [getRowKey(row, keyConfig), row])
+  );
+  const rowOrder = Array.from(rowsByKey.keys());
+  const changes = [];
+
+  Object.keys(editedData).forEach((dataKey) => {
+    const parsed = parseDataKey(dataKey);
+    const row = parsed && rowsByKey.get(parsed.rowKey);
+    const column = row && columns.find((other) => other.id === parsed.fieldId);
+    if (!column) return;
+
+    changes.push({
+      dataKey,
+      rowKey: parsed.rowKey,
+      rowLabel: getRowKeyValues(row, keyConfig).join(" / "),
+      columnId: column.id,
+      label: column.label,
+      before: formatCellValue(
+        column,
+        getCellValue(row, column, {}, dataKey),
+        locale
+      ),
+      after: formatCellValue(column, editedData[dataKey], locale),
+      page: getPage(parsed.rowKey),
+    });
+  });
+
+  const columnOrder = columns.map((column) => column.id);
+  return changes.sort(
+    (a, b) =>
+      a.page - b.page ||
+      rowOrder.indexOf(a.rowKey) - rowOrder.indexOf(b.rowKey) ||
+      columnOrder.indexOf(a.columnId) - columnOrder.indexOf(b.columnId)
+  );
+}
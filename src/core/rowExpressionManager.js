@@ -0,0 +1,159 @@
+// core/rowExpressionManager.js
+/**
+ * Per-row evaluation of writeback column expressions
+ * The editability expressions (editableExpression) and default value
+ * expressions (defaultExpression) of the writeback columns are added as
+ * hidden measures to a temporary copy (session object) of the object's
+ * hypercube, so they are evaluated in the context of each row. The rows of
+ * the current page are fetched with the same top and height and matched back
+ * to the table by row key. A failed evaluation, or one that returns no rows,
+ * is rejected and not cached, so the caller can show it and a later load
+ * retries (see markEditabilityErrors in core/editability.js).
+ */
+
+import { WRITEBACK_FIELD_TYPES } from "../utils/constants.js";
+import { getRowKey } from "./rowIdentity.js";
+import { isTruthyCell } from "./editability.js";
+import { toEditValue } from "./writebackColumns.js";
+
+/**
+ * Convert the result cell of a default expression to a column value
+ */
+function toSuggestedValue(column, cell) {
+  if (column.type === WRITEBACK_FIELD_TYPES.BOOLEAN) {
+    return isTruthyCell(cell);
+  }
+  if (
+    column.type === WRITEBACK_FIELD_TYPES.NUMBER &&
+    typeof cell?.qNum === "number" &&
+    !isNaN(cell.qNum)
+  ) {
+    return cell.qNum;
+  }
+  const text = cell?.qText === "-" ? "" : cell?.qText;
+  return toEditValue(column, text);
+}
+
+/**
+ * Row Expression Manager class
+ */
+export class RowExpressionManager {
+  constructor(app, model) {
+    this.app = app;
+    this.model = model;
+    this.cache = new Map(); // "top:height" -> results
+  }
+
+  /**
+   * Evaluate the column expressions for one page of rows
+   * @param {Object} params
+   * @param {Object} params.layout - Qlik layout object
+   * @param {Array} params.columns - Writeback columns
+   * @param {Array} params.keyConfig - Row key configuration
+   * @param {number} params.qTop - First row of the page
+   * @param {number} params.qHeight - Number of rows on the page
+   * @returns {Promise<Object>} { editability, suggestions }: row key ->
+   *   { column id -> editable } and row key -> { column id -> default value }
+   * @throws {Error} When the expressions cannot be evaluated or return no
+   *   rows
+   */
+  async loadPage({ layout, columns, keyConfig, qTop, qHeight }) {
+    // One hidden measure per expression
+    const expressions = [
+      ...columns
+        .filter((column) => column.editableExpression)
+        .map((column) => ({
+          column,
+          kind: "editability",
+          expression: column.editableExpression,
+        })),
+      ...columns
+        .filter((column) => column.defaultExpression)
+        .map((column) => ({
+          column,
+          kind: "suggestions",
+          expression: column.defaultExpression,
+        })),
+    ];
+    if (!this.app || expressions.length === 0 || qHeight === 0) {
+      return { editability: {}, suggestions: {} };
+    }
+
+    const cacheKey = `${qTop}:${qHeight}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const { qHyperCubeDef } = await this.model.getProperties();
+    const measures = qHyperCubeDef.qMeasures || [];
+    const dimensionCount = (qHyperCubeDef.qDimensions || []).length;
+    const firstExpression = dimensionCount + measures.length;
+
+    const cube = await this.app.createSessionObject({
+      qInfo: { qType: "writeback-row-expressions" },
+      qHyperCubeDef: {
+        ...qHyperCubeDef,
+        qColumnOrder: [],
+        qMeasures: [
+          ...measures,
+          ...expressions.map(({ expression }) => ({
+            qDef: { qDef: expression },
+          })),
+        ],
+        qInitialDataFetch: [],
+      },
+    });
+
+    try {
+      const dataPages = await cube.getHyperCubeData("/qHyperCubeDef", [
+        {
+          qTop,
+          qLeft: 0,
+          qWidth: firstExpression + expressions.length,
+          qHeight,
+        },
+      ]);
+
+      const matrix = dataPages[0]?.qMatrix || [];
+      if (matrix.length === 0) {
+        throw new Error("The expressions returned no rows");
+      }
+
+      // Rebuild the key dimensions of each row to match it to the table
+      const dimensions = layout.qHyperCube.qDimensionInfo || [];
+      const results = { editability: {}, suggestions: {} };
+      matrix.forEach((cells) => {
+        const row = {};
+        dimensions.forEach((dimension, index) => {
+          row[dimension.qFallbackTitle] = { value: cells[index]?.qText };
+        });
+        const rowKey = getRowKey(row, keyConfig);
+        results.editability[rowKey] = {};
+        results.suggestions[rowKey] = {};
+
+        expressions.forEach(({ column, kind }, index) => {
+          const cell = cells[firstExpression + index];
+          results[kind][rowKey][column.id] =
+            kind === "editability"
+              ? isTruthyCell(cell)
+              : toSuggestedValue(column, cell);
+        });
+      });
+
+      console.log(
+        `RowExpressionManager: Evaluated ${
+          expressions.length
+        } expressions for ${Object.keys(results.editability).length} rows`
+      );
+      this.cache.set(cacheKey, results);
+      return results;
+    } finally {
+      await this.app.destroySessionObject(cube.id);
+    }
+  }
+
+  /**
+   * Forget evaluated pages (after selections, reloads or property changes)
+   */
+  clear() {
+    this.cache.clear();
+  }
+}
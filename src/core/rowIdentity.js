@@ -0,0 +1,141 @@
+// core/rowIdentity.js
+/**
+ * Row identity for the writeback table
+ * A row is identified by one or more dimensions chosen in the property panel
+ * (layout.rowIdentity.keys). Each key dimension maps to a database column.
+ * Without a configuration the table keeps the original Customer + Invoice ID
+ * identity, so existing drafts and writeback rows keep matching.
+ *
+ * Key formats:
+ *   row key   "value1::value2"            (one value per key dimension)
+ *   data key  "value1::value2::fieldId"   (editedData / drafts)
+ */
+
+import { DEFAULT_ROW_KEY } from "../utils/constants.js";
+
+const KEY_SEPARATOR = "::";
+
+/**
+ * Derive a database column name from a dimension title
+ * e.g. "Employee ID" -> "employee_id"
+ * @param {string} name - Dimension title or configured column
+ * @returns {string} Column name
+ */
+export function toFieldName(name) {
+  const field = String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return /^[0-9]/.test(field) ? `k_${field}` : field;
+}
+
+/**
+ * Get the row key configuration of a layout
+ * @param {Object} layout - Qlik layout object
+ * @returns {Array} Key dimensions [{ dimension, field }]
+ */
+export function getRowKeyConfig(layout) {
+  const keys = (layout?.rowIdentity?.keys || [])
+    .filter((key) => key && key.dimension)
+    .map((key) => ({
+      dimension: key.dimension,
+      field: toFieldName(key.field || key.dimension),
+    }));
+
+  return keys.length > 0 ? keys : DEFAULT_ROW_KEY;
+}
+
+/**
+ * Get the database columns of a key configuration
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {Array} Column names
+ */
+export function getKeyFields(keyConfig = DEFAULT_ROW_KEY) {
+  return keyConfig.map((key) => key.field);
+}
+
+/**
+ * Get the key values of a table row
+ * @param {Object} row - Table row
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {Array} Values as strings ("" when missing)
+ */
+export function getRowKeyValues(row, keyConfig = DEFAULT_ROW_KEY) {
+  return keyConfig.map((key) => String(row?.[key.dimension]?.value ?? ""));
+}
+
+/**
+ * Get the row key of a table row
+ * @param {Object} row - Table row
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {string} Row key
+ */
+export function getRowKey(row, keyConfig = DEFAULT_ROW_KEY) {
+  return getRowKeyValues(row, keyConfig).join(KEY_SEPARATOR);
+}
+
+/**
+ * Check whether a row has any key value (rows without one cannot be saved)
+ * @param {Object} row - Table row
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {boolean} True if at least one key value is present
+ */
+export function hasRowKey(row, keyConfig = DEFAULT_ROW_KEY) {
+  return getRowKeyValues(row, keyConfig).some((value) => value !== "");
+}
+
+/**
+ * Get the key of a table row in database column names
+ * @param {Object} row - Table row
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {Object} Column -> value, e.g. { customer_name, invoice_id }
+ */
+export function getRowKeyFields(row, keyConfig = DEFAULT_ROW_KEY) {
+  const values = getRowKeyValues(row, keyConfig);
+  return keyConfig.reduce((fields, key, index) => {
+    fields[key.field] = values[index];
+    return fields;
+  }, {});
+}
+
+/**
+ * Get the row key of a database record (or a key object)
+ * @param {Object} record - Record with the key columns
+ * @param {Array} keyFields - Key column names
+ * @returns {string} Row key, comparable with getRowKey()
+ */
+export function getRecordRowKey(
+  record,
+  keyFields = getKeyFields(DEFAULT_ROW_KEY)
+) {
+  return keyFields
+    .map((field) => String(record?.[field] ?? ""))
+    .join(KEY_SEPARATOR);
+}
+
+/**
+ * Generate the editedData key of a writeback cell
+ * @param {Object} row - Table row
+ * @param {string} fieldId - Writeback field id
+ * @param {Array} keyConfig - Key dimensions
+ * @returns {string} Data key
+ */
+export function generateDataKey(row, fieldId, keyConfig = DEFAULT_ROW_KEY) {
+  return `${getRowKey(row, keyConfig)}${KEY_SEPARATOR}${fieldId}`;
+}
+
+/**
+ * Split an editedData key into its row key and field id
+ * @param {string} dataKey - Data key
+ * @returns {Object|null} { rowKey, fieldId } or null for legacy keys
+ */
+export function parseDataKey(dataKey) {
+  const index = dataKey.lastIndexOf(KEY_SEPARATOR);
+  if (index === -1) return null;
+
+  return {
+    rowKey: dataKey.substring(0, index),
+    fieldId: dataKey.substring(index + KEY_SEPARATOR.length),
+  };
+}
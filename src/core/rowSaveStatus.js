@@ -0,0 +1,81 @@
+// core/rowSaveStatus.js
+/**
+ * Per-row save state
+ * While a save runs, the rows it sends are marked as saving; afterwards each
+ * row is saved, queued (offline) or in error, with the reason as message.
+ * States are kept by row key (see core/rowIdentity.js) and shown by the
+ * table renderer.
+ */
+
+import { ROW_SAVE_STATES, SAVE_ROW_STATUS } from "../utils/constants.js";
+import { parseDataKey } from "./rowIdentity.js";
+
+/**
+ * Get the row keys of the rows with pending edits
+ * @param {Object} editedData - Pending edits by editedData key
+ * @returns {Array} Unique row keys (legacy keys are skipped)
+ */
+export function getEditedRowKeys(editedData) {
+  const rowKeys = new Set();
+  Object.keys(editedData).forEach((key) => {
+    const parsed = parseDataKey(key);
+    if (parsed) rowKeys.add(parsed.rowKey);
+  });
+  return Array.from(rowKeys);
+}
+
+/**
+ * Mark rows as being saved
+ * @param {Array} rowKeys - Row keys
+ * @returns {Object} Row key -> { state: saving }
+ */
+export function getSavingStates(rowKeys) {
+  return rowKeys.reduce((states, rowKey) => {
+    states[rowKey] = { state: ROW_SAVE_STATES.SAVING };
+    return states;
+  }, {});
+}
+
+/**
+ * Get the save state of each row from a save result
+ * @param {Array} rowKeys - Row keys that were being saved
+ * @param {Object} result - Result of saveAllChanges
+ * @returns {Object} Row key -> { state, message }
+ */
+export function getResultStates(rowKeys, result) {
+  const states = {};
+  const rowResults = new Map(
+    (result?.results || []).map((rowResult) => [rowResult.rowKey, rowResult])
+  );
+  const invalidRows = new Map(
+    (result?.invalidRows || []).map((invalid) => [invalid.rowKey, invalid])
+  );
+
+  rowKeys.forEach((rowKey) => {
+    const rowResult = rowResults.get(rowKey);
+    if (invalidRows.has(rowKey)) {
+      states[rowKey] = {
+        state: ROW_SAVE_STATES.ERROR,
+        message: invalidRows.get(rowKey).message,
+      };
+    } else if (result?.queued) {
+      states[rowKey] = {
+        state: ROW_SAVE_STATES.QUEUED,
+        message: "Queued until the backend can be reached",
+      };
+    } else if (rowResult?.status === SAVE_ROW_STATUS.SAVED) {
+      states[rowKey] = { state: ROW_SAVE_STATES.SAVED };
+    } else {
+      states[rowKey] = {
+        state: ROW_SAVE_STATES.ERROR,
+        message:
+          rowResult?.error ||
+          (rowResult?.status === SAVE_ROW_STATUS.ROLLED_BACK
+            ? "Rolled back with the rest of the batch"
+            : result?.message || "Not saved"),
+      };
+    }
+  });
+
+  return states;
+}
@@ -0,0 +1,289 @@
+// core/validationRules.js
+/**
+ * Validation rules for writeback edits
+ * Every writeback column can carry rules (column.rules, see
+ * writebackColumns.js): required, min/max length, regex pattern, numeric
+ * range, date range, "required when <column> = <value>" and a Qlik
+ * expression. Rules are evaluated for the rows that have edits, both while
+ * editing (to highlight invalid cells) and before a save.
+ *
+ * Expression rules are evaluated by the engine and therefore asynchronous:
+ * validation asks an evaluateExpression callback (ExpressionValidator.check)
+ * for a cached result and treats expressions still being evaluated as valid.
+ */
+
+import { WRITEBACK_FIELD_TYPES } from "../utils/constants.js";
+import {
+  hasValue,
+  getCellValue,
+  isAllowedByParent,
+} from "./writebackColumns.js";
+import {
+  generateDataKey,
+  getRowKey,
+  getRowKeyValues,
+  parseDataKey,
+} from "./rowIdentity.js";
+import { isCellEditable } from "./editability.js";
+import { toIsoDate } from "../backend/writebackPayload.js";
+
+/**
+ * Check whether a column value equals one of a list of lower-cased values
+ */
+function matchesValue(value, values) {
+  return (Array.isArray(value) ? value : [value]).some((item) =>
+    values.includes(String(item ?? "").toLowerCase())
+  );
+}
+
+/**
+ * Quote a value as a Qlik string literal
+ */
+function toQlikString(value) {
+  const text = Array.isArray(value) ? value.join(", ") : String(value ?? "");
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build the expression of an expression rule for one cell
+ * {value} is replaced by the cell value and {columnId} by the value of
+ * another writeback column of the row, both as Qlik string literals:
+ *   =Len({value}) <= 200
+ *   ={status} <> 'Inaccurate' or Len({value}) > 0
+ * @param {string} expression - Rule expression
+ * @param {*} value - Cell value
+ * @param {Object} rowValues - Column id -> value of the row
+ * @returns {string} Expression to evaluate
+ */
+export function buildRuleExpression(expression, value, rowValues = {}) {
+  return expression.replace(/\{(\w+)\}/g, (match, name) => {
+    if (name === "value") return toQlikString(value);
+    return name in rowValues ? toQlikString(rowValues[name]) : match;
+  });
+}
+
+/**
+ * Validate the value of one writeback cell
+ * @param {Object} column - Writeback column
+ * @param {*} value - Value in editing form
+ * @param {Object} context
+ * @param {Array} context.columns - All writeback columns
+ * @param {Object} context.rowValues - Column id -> value of the row
+ * @param {Function} context.evaluateExpression - (expression) => true, false
+ *   or undefined while the result is not known yet
+ * @returns {Array} Violation messages, empty when valid
+ */
+export function validateValue(
+  column,
+  value,
+  { columns = [], rowValues = {}, evaluateExpression } = {}
+) {
+  const rules = column.rules || {};
+  const messages = [];
+  const filled = hasValue(column, value);
+
+  if (rules.required && !filled) {
+    messages.push("Required");
+  }
+
+  if (rules.requiredWhen && !filled) {
+    const { column: conditionId, values } = rules.requiredWhen;
+    if (matchesValue(rowValues[conditionId], values)) {
+      const condition = columns.find((other) => other.id === conditionId);
+      messages.push(
+        `Required when ${condition?.label || conditionId} is ${
+          rowValues[conditionId]
+        }`
+      );
+    }
+  }
+
+  if (column.parentColumn) {
+    const parentValue = rowValues[column.parentColumn];
+    if (!isAllowedByParent(column, value, parentValue)) {
+      const parent = columns.find((other) => other.id === column.parentColumn);
+      messages.push(
+        `Not allowed for ${parent?.label || column.parentColumn} "${[]
+          .concat(parentValue ?? "")
+          .join(", ")}"`
+      );
+    }
+  }
+
+  // The remaining rules only apply to filled-in values
+  if (!filled) return messages;
+
+  if (typeof value === "string") {
+    if (rules.minLength !== null && value.length < rules.minLength) {
+      messages.push(`At least ${rules.minLength} characters`);
+    }
+    if (rules.maxLength !== null && value.length > rules.maxLength) {
+      messages.push(`At most ${rules.maxLength} characters`);
+    }
+    if (rules.pattern) {
+      try {
+        if (!new RegExp(rules.pattern).test(value)) {
+          messages.push(rules.patternMessage || "Invalid format");
+        }
+      } catch (error) {
+        console.warn(`Invalid pattern for ${column.id}: ${rules.pattern}`);
+      }
+    }
+  }
+
+  if (column.type === WRITEBACK_FIELD_TYPES.NUMBER) {
+    if (rules.min !== null && value < rules.min) {
+      messages.push(`Must be at least ${rules.min}`);
+    }
+    if (rules.max !== null && value > rules.max) {
+      messages.push(`Must be at most ${rules.max}`);
+    }
+  }
+
+  if (column.type === WRITEBACK_FIELD_TYPES.DATE) {
+    // Values and bounds are compared as the YYYY-MM-DD dates that are
+    // saved, so timestamps and serial dates compare by their day
+    const date = toIsoDate(value);
+    const minDate = toIsoDate(rules.minDate);
+    const maxDate = toIsoDate(rules.maxDate);
+    if (!date) {
+      messages.push("Invalid date");
+    } else {
+      if (minDate && date < minDate) {
+        messages.push(`Must be on or after ${minDate}`);
+      }
+      if (maxDate && date > maxDate) {
+        messages.push(`Must be on or before ${maxDate}`);
+      }
+    }
+  }
+
+  if (rules.expression && evaluateExpression) {
+    const expression = buildRuleExpression(rules.expression, value, rowValues);
+    if (evaluateExpression(expression) === false) {
+      messages.push(rules.message || "Invalid value");
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Get the current (edited or merged) writeback values of a row
+ * @param {Object} row - Table row
+ * @param {Array} columns - Writeback columns
+ * @param {Object} editedData - Pending edits
+ * @param {Array} keyConfig - Row key configuration
+ * @returns {Object} Column id -> value in editing form
+ */
+export function getRowValues(row, columns, editedData, keyConfig) {
+  return columns.reduce((values, column) => {
+    const dataKey = generateDataKey(row, column.id, keyConfig);
+    values[column.id] = getCellValue(row, column, editedData, dataKey);
+    return values;
+  }, {});
+}
+
+/**
+ * Validate every writeback column of one row
+ * @param {Array} columns - Writeback columns
+ * @param {Object} rowValues - Column id -> value of the row
+ * @param {Function} evaluateExpression - See validateValue
+ * @param {Function} isEditable - (column) => whether the column can be edited
+ *   on this row; read-only cells are not validated
+ * @returns {Object} Column id -> violation messages (invalid columns only)
+ */
+export function validateRow(
+  columns,
+  rowValues,
+  evaluateExpression,
+  isEditable = () => true
+) {
+  return columns.reduce((violations, column) => {
+    if (!isEditable(column)) return violations;
+
+    const messages = validateValue(column, rowValues[column.id], {
+      columns,
+      rowValues,
+      evaluateExpression,
+    });
+    if (messages.length > 0) {
+      violations[column.id] = messages;
+    }
+    return violations;
+  }, {});
+}
+
+/**
+ * Validate the rows that have pending edits
+ * Rows without edits are not validated, so untouched rows never block a save
+ * @param {Object} params
+ * @param {Array} params.rows - Table rows
+ * @param {Object} params.editedData - Pending edits
+ * @param {Array} params.columns - Writeback columns
+ * @param {Array} params.keyConfig - Row key configuration
+ * @param {Function} params.evaluateExpression - See validateValue
+ * @param {Object} params.editability - Row key -> editability expression
+ *   results (see core/editability.js)
+ * @returns {Array} Violations [{ rowKey, rowLabel, columnId, label, dataKey,
+ *   messages }]
+ */
+export function validateEdits({
+  rows = [],
+  editedData = {},
+  columns = [],
+  keyConfig,
+  evaluateExpression,
+  editability = {},
+}) {
+  const editedRowKeys = new Set(
+    Object.keys(editedData)
+      .map((key) => parseDataKey(key)?.rowKey)
+      .filter(Boolean)
+  );
+
+  const violations = [];
+  rows.forEach((row) => {
+    const rowKey = getRowKey(row, keyConfig);
+    if (!editedRowKeys.has(rowKey)) return;
+
+    const rowValues = getRowValues(row, columns, editedData, keyConfig);
+    const rowViolations = validateRow(
+      columns,
+      rowValues,
+      evaluateExpression,
+      (column) => isCellEditable(row, column, editability[rowKey])
+    );
+
+    columns.forEach((column) => {
+      if (!rowViolations[column.id]) return;
+      violations.push({
+        rowKey,
+        rowLabel: getRowKeyValues(row, keyConfig).join(" / "),
+        columnId: column.id,
+        label: column.label,
+        dataKey: generateDataKey(row, column.id, keyConfig),
+        messages: rowViolations[column.id],
+      });
+    });
+  });
+
+  return violations;
+}
+
+/**
+ * Describe a list of violations in one line
+ * @param {Array} violations - Violations from validateEdits
+ * @returns {string} Summary, e.g. "2 invalid values: A / 1 – Comments: Required"
+ */
+export function describeViolations(violations) {
+  if (violations.length === 0) return "";
+  const [first] = violations;
+  const count =
+    violations.length === 1
+      ? "1 invalid value"
+      : `${violations.length} invalid values`;
+  return `${count}: ${first.rowLabel} – ${first.label}: ${first.messages.join(
+    ", "
+  )}`;
+}
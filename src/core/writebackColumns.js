@@ -0,0 +1,559 @@
+// core/writebackColumns.js
+/**
+ * Writeback column definitions
+ * Authors define the writeback columns in the property panel
+ * (layout.writebackColumns): each has an id, label, type, default value and
+ * the database column it is saved to. Without a configuration the table keeps
+ * the original Model Feedback + Comments columns (model_feedback, comments).
+ *
+ * The status column picks from the status option set (layout.statusOptions:
+ * value, label, icon, colour), which defaults to Accurate / Inaccurate.
+ * Other select columns list their options in the property panel or load
+ * them from a Qlik field or expression (see core/optionsManager.js).
+ * A select column can depend on a parent column (parentColumn): its options
+ * are then limited to the ones listed for the parent's current value
+ * (optionsByParent, one "Parent value: option, option" line per value).
+ * Validation rules set on a column are collected in column.rules and
+ * evaluated by core/validationRules.js; editableWhen / editableExpression
+ * limit the rows a column can be edited on (core/editability.js).
+ *
+ * Default values (a constant defaultValue or a per-row defaultExpression, see
+ * core/rowExpressionManager.js) are only suggestions: empty cells show them
+ * until the user confirms or overrides them, and only confirmed values are
+ * edits that get saved.
+ *
+ * Cell values (rows and editedData) are kept in their editing form:
+ *   text, longText, date, singleSelect  string ("" when empty)
+ *   number                              number, or "" when empty
+ *   boolean                             true / false
+ *   multiSelect                         array of strings
+ */
+
+import {
+  WRITEBACK_FIELD_TYPES,
+  WRITEBACK_COLUMNS,
+  DEFAULT_WRITEBACK_COLUMNS,
+  STATUS_OPTIONS,
+  OPTION_SOURCES,
+} from "../utils/constants.js";
+import { toFieldName } from "./rowIdentity.js";
+import { parseCondition } from "./editability.js";
+import { formatLocaleNumber } from "./localeNumbers.js";
+
+const FIELD_TYPES = Object.values(WRITEBACK_FIELD_TYPES);
+
+/**
+ * Check whether a column type picks from an option list
+ * @param {string} type - Writeback field type
+ * @returns {boolean} True for single- and multi-select columns
+ */
+export function isSelectType(type) {
+  return (
+    type === WRITEBACK_FIELD_TYPES.SINGLE_SELECT ||
+    type === WRITEBACK_FIELD_TYPES.MULTI_SELECT
+  );
+}
+
+/**
+ * Parse the option list of a select column
+ * Accepts option objects or a comma/newline separated string
+ * @param {Array|string} options - Configured options
+ * @returns {Array} Options [{ value, text }]
+ */
+export function parseOptions(options) {
+  if (Array.isArray(options)) {
+    return options.map((option) =>
+      typeof option === "object"
+        ? { ...option, text: option.text ?? option.label ?? option.value }
+        : { value: String(option), text: String(option) }
+    );
+  }
+
+  return String(options || "")
+    .split(/[,\n]/)
+    .map((value) => value.trim())
+    .filter((value) => value !== "")
+    .map((value) => ({ value, text: value }));
+}
+
+/**
+ * Check whether a column loads its options from a Qlik field or expression
+ * @param {Object} column - Writeback column
+ * @returns {boolean} True for field- or expression-sourced select columns
+ */
+export function hasDynamicOptions(column) {
+  return (
+    isSelectType(column.type) &&
+    ((column.optionsSource === OPTION_SOURCES.FIELD && !!column.optionsField) ||
+      (column.optionsSource === OPTION_SOURCES.EXPRESSION &&
+        !!column.optionsExpression))
+  );
+}
+
+/**
+ * Prefix the options of a single-select column with an empty option
+ * @param {Object} column - Writeback column
+ * @param {Array} options - Options
+ * @returns {Array} Options (single selects can always be cleared)
+ */
+function withEmptyOption(column, options) {
+  if (
+    column.type !== WRITEBACK_FIELD_TYPES.SINGLE_SELECT ||
+    options.some((option) => option.value === "")
+  ) {
+    return options;
+  }
+  return [{ value: "", text: "" }, ...options];
+}
+
+/**
+ * Parse the options allowed per parent value of a dependent column
+ * Accepts an object (parent value -> options) or one line per parent value:
+ *   Inaccurate: Wrong bucket, Data error, Customer dispute
+ * @param {Object|string} mapping - Configured mapping
+ * @returns {Object} Lower-cased parent value -> lower-cased option values
+ */
+export function parseOptionsByParent(mapping) {
+  const entries =
+    mapping && typeof mapping === "object"
+      ? Object.entries(mapping)
+      : String(mapping || "")
+          .split("\n")
+          .filter((line) => line.includes(":"))
+          .map((line) => [
+            line.substring(0, line.indexOf(":")),
+            line.substring(line.indexOf(":") + 1),
+          ]);
+
+  return entries.reduce((byParent, [parentValue, options]) => {
+    const key = String(parentValue).trim().toLowerCase();
+    byParent[key] = [
+      ...(byParent[key] || []),
+      ...parseOptions(options).map((option) =>
+        String(option.value).toLowerCase()
+      ),
+    ];
+    return byParent;
+  }, {});
+}
+
+/**
+ * Get the child option values allowed for a parent value
+ * Parent values without an entry (including the empty value) allow none
+ */
+function getAllowedValues(column, parentValue) {
+  const parentValues = Array.isArray(parentValue) ? parentValue : [parentValue];
+  return parentValues.flatMap(
+    (value) => column.optionsByParent?.[String(value ?? "").toLowerCase()] || []
+  );
+}
+
+/**
+ * Get the options of a column for the current value of its parent
+ * @param {Object} column - Writeback column
+ * @param {*} parentValue - Current value of the parent column
+ * @returns {Array} Options (all options for independent columns; the empty
+ *   option is always kept)
+ */
+export function getDependentOptions(column, parentValue) {
+  if (!column.parentColumn) return column.options || [];
+
+  const allowed = getAllowedValues(column, parentValue);
+  return (column.options || []).filter(
+    (option) =>
+      option.value === "" ||
+      allowed.includes(String(option.value).toLowerCase())
+  );
+}
+
+/**
+ * Check whether a value of a dependent column is allowed by its parent
+ * @param {Object} column - Writeback column
+ * @param {*} value - Value in editing form
+ * @param {*} parentValue - Current value of the parent column
+ * @returns {boolean} True for empty values and independent columns
+ */
+export function isAllowedByParent(column, value, parentValue) {
+  if (!column.parentColumn || !hasValue(column, value)) return true;
+
+  const allowed = getAllowedValues(column, parentValue);
+  return (Array.isArray(value) ? value : [value]).every((item) =>
+    allowed.includes(String(item).toLowerCase())
+  );
+}
+
+/**
+ * Get the columns that depend on a column
+ * @param {Array} columns - Writeback columns
+ * @param {string} columnId - Parent column id
+ * @returns {Array} Child columns
+ */
+export function getChildColumns(columns, columnId) {
+  return columns.filter((column) => column.parentColumn === columnId);
+}
+
+/**
+ * Drop parent references to unknown columns, the column itself or cycles
+ */
+function checkParentColumns(columns) {
+  const columnsById = new Map(columns.map((column) => [column.id, column]));
+
+  columns.forEach((column) => {
+    if (!column.parentColumn) return;
+
+    let parent = columnsById.get(column.parentColumn);
+    let depth = 0;
+    while (
+      parent?.parentColumn &&
+      parent !== column &&
+      depth < columns.length
+    ) {
+      parent = columnsById.get(parent.parentColumn);
+      depth++;
+    }
+
+    if (!columnsById.has(column.parentColumn) || parent === column) {
+      console.warn(
+        `Ignoring invalid parent column ${column.parentColumn} of ${column.id}`
+      );
+      delete column.parentColumn;
+      delete column.optionsByParent;
+    }
+  });
+  return columns;
+}
+
+/**
+ * Get the status option set of a layout
+ * @param {Object} layout - Qlik layout object
+ * @returns {Array} Options [{ value, text, icon, color }], starting with the
+ *   empty (N/A) option
+ */
+export function getStatusOptions(layout) {
+  const configured = (layout?.statusOptions || []).filter(
+    (option) =>
+      option && option.value !== undefined && String(option.value) !== ""
+  );
+  if (configured.length === 0) return STATUS_OPTIONS;
+
+  return [
+    STATUS_OPTIONS[0],
+    ...configured.map((option) => ({
+      value: String(option.value),
+      text: option.label || String(option.value),
+      icon: option.icon || "",
+      color:
+        (typeof option.color === "object"
+          ? option.color?.color
+          : option.color) || "",
+    })),
+  ];
+}
+
+/**
+ * Find the option of a select column matching a value
+ * Values are matched exactly, then case-insensitively on value or label
+ * @param {Array} options - Column options
+ * @param {*} value - Value to look up
+ * @returns {Object|null} Matching option
+ */
+export function findOption(options, value) {
+  const text = String(value ?? "");
+  const lower = text.toLowerCase();
+  return (
+    (options || []).find((option) => option.value === text) ||
+    (options || []).find(
+      (option) =>
+        text !== "" &&
+        (String(option.value).toLowerCase() === lower ||
+          String(option.text).toLowerCase() === lower)
+    ) ||
+    null
+  );
+}
+
+/**
+ * Collect the validation rules of a configured column
+ * @param {Object} column - Column from the property panel
+ * @returns {Object} Rules (see core/validationRules.js); unset rules are null
+ */
+function normalizeRules(column) {
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === "") return null;
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+  const toText = (value) => String(value ?? "").trim() || null;
+
+  // "status = Inaccurate, Unsure" -> { column: "status", values: [...] }
+  let requiredWhen = null;
+  const condition = toText(column.requiredWhen);
+  if (condition && condition.includes("=")) {
+    const separator = condition.indexOf("=");
+    requiredWhen = {
+      column: toFieldName(condition.substring(0, separator)),
+      values: parseOptions(condition.substring(separator + 1)).map((option) =>
+        option.value.toLowerCase()
+      ),
+    };
+  }
+
+  return {
+    required: column.required === true,
+    minLength: toNumber(column.minLength),
+    maxLength: toNumber(column.maxLength),
+    pattern: toText(column.pattern),
+    patternMessage: toText(column.patternMessage),
+    min: toNumber(column.min),
+    max: toNumber(column.max),
+    minDate: toText(column.minDate),
+    maxDate: toText(column.maxDate),
+    requiredWhen,
+    expression: toText(column.validationExpression),
+    message: toText(column.validationMessage),
+  };
+}
+
+/**
+ * Normalize one configured writeback column
+ * @param {Object} column - Column from the property panel
+ * @param {Array} statusOptions - Status option set of the object
+ * @returns {Object} Column { id, label, type, field, defaultValue, options }
+ */
+function normalizeColumn(column, statusOptions) {
+  const type = FIELD_TYPES.includes(column.type)
+    ? column.type
+    : WRITEBACK_FIELD_TYPES.TEXT;
+  const id = toFieldName(column.id || column.field || column.label);
+
+  const normalized = {
+    id,
+    label: column.label || id,
+    type,
+    field: toFieldName(column.field || id),
+  };
+
+  if (
+    id === WRITEBACK_COLUMNS.STATUS &&
+    type === WRITEBACK_FIELD_TYPES.SINGLE_SELECT &&
+    !column.options
+  ) {
+    normalized.options = statusOptions;
+  } else if (isSelectType(type)) {
+    normalized.optionsSource = column.optionsSource || OPTION_SOURCES.STATIC;
+    normalized.optionsField = column.optionsField || "";
+    normalized.optionsExpression = column.optionsExpression || "";
+    normalized.options = withEmptyOption(
+      normalized,
+      parseOptions(column.options)
+    );
+  }
+
+  if (isSelectType(type) && column.parentColumn) {
+    normalized.parentColumn = toFieldName(column.parentColumn);
+    normalized.optionsByParent = parseOptionsByParent(column.optionsByParent);
+  }
+
+  // Increment of the number editor's arrow keys
+  if (type === WRITEBACK_FIELD_TYPES.NUMBER) {
+    const step = parseFloat(column.step);
+    normalized.step = Number.isFinite(step) && step > 0 ? step : 1;
+  }
+
+  normalized.rules = normalizeRules(column);
+
+  // Rows the column may be edited on (see core/editability.js)
+  normalized.editableWhen = parseCondition(column.editableWhen);
+  normalized.editableExpression =
+    String(column.editableExpression || "").trim() || null;
+  normalized.defaultValue = toEditValue(normalized, column.defaultValue);
+  normalized.defaultExpression =
+    String(column.defaultExpression || "").trim() || null;
+  return normalized;
+}
+
+/**
+ * Get the writeback columns of a layout
+ * @param {Object} layout - Qlik layout object
+ * @param {Object} dynamicOptions - Column id -> options loaded from a Qlik
+ *   field or expression (see OptionsManager.loadOptions)
+ * @returns {Array} Writeback columns, in display order
+ */
+export function getWritebackColumns(layout, dynamicOptions = {}) {
+  const configured = (layout?.writebackColumns || []).filter(
+    (column) => column && (column.id || column.field || column.label)
+  );
+
+  const statusOptions = getStatusOptions(layout);
+
+  if (configured.length === 0) {
+    // Original columns; their labels stay configurable
+    return DEFAULT_WRITEBACK_COLUMNS.map((column) => ({
+      ...column,
+      label: layout?.columnLabels?.[column.id] || column.label,
+      ...(column.id === WRITEBACK_COLUMNS.STATUS && { options: statusOptions }),
+    }));
+  }
+
+  const columns = [];
+  configured
+    .map((column) => normalizeColumn(column, statusOptions))
+    .map((column) =>
+      hasDynamicOptions(column) && dynamicOptions[column.id]
+        ? {
+            ...column,
+            options: withEmptyOption(column, dynamicOptions[column.id]),
+          }
+        : column
+    )
+    .forEach((column) => {
+      if (!column.id || columns.some((other) => other.id === column.id)) {
+        console.warn(
+          `Skipping writeback column with duplicate id: ${column.id}`
+        );
+        return;
+      }
+      columns.push(column);
+    });
+  return checkParentColumns(columns);
+}
+
+/**
+ * Get the empty value of a column
+ * @param {Object} column - Writeback column
+ * @returns {*} Empty value in editing form
+ */
+export function getEmptyValue(column) {
+  if (column.type === WRITEBACK_FIELD_TYPES.BOOLEAN) return false;
+  if (column.type === WRITEBACK_FIELD_TYPES.MULTI_SELECT) return [];
+  return "";
+}
+
+/**
+ * Convert a stored or configured value to the editing form of a column
+ * @param {Object} column - Writeback column
+ * @param {*} value - Raw value (DB record, property panel, input)
+ * @returns {*} Value in editing form
+ */
+export function toEditValue(column, value) {
+  if (value === null || value === undefined || value === "") {
+    return getEmptyValue(column);
+  }
+
+  switch (column.type) {
+    case WRITEBACK_FIELD_TYPES.BOOLEAN:
+      return value === true || /^(true|1|yes)$/i.test(String(value));
+    case WRITEBACK_FIELD_TYPES.NUMBER: {
+      const parsed = typeof value === "number" ? value : parseFloat(value);
+      return Number.isFinite(parsed) ? parsed : "";
+    }
+    case WRITEBACK_FIELD_TYPES.MULTI_SELECT:
+      return parseMultiValue(value);
+    case WRITEBACK_FIELD_TYPES.SINGLE_SELECT: {
+      // Stored values may differ in case from the configured option
+      const option = findOption(column.options, value);
+      return option ? option.value : String(value);
+    }
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Parse a multi-select value (array, JSON array text or comma list)
+ */
+function parseMultiValue(value) {
+  if (Array.isArray(value)) return value.map(String);
+
+  const text = String(value).trim();
+  if (text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) return parsed.map(String);
+    } catch (error) {
+      console.warn(`Invalid multi-select value: ${text}`);
+    }
+  }
+
+  return text
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * Check whether a cell value is filled in
+ * @param {Object} column - Writeback column
+ * @param {*} value - Value in editing form
+ * @returns {boolean} True for non-empty values (true for checked booleans)
+ */
+export function hasValue(column, value) {
+  if (column.type === WRITEBACK_FIELD_TYPES.BOOLEAN) return value === true;
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && value !== "";
+}
+
+/**
+ * Format a cell value for display (read-only cells, change lists)
+ * @param {Object} column - Writeback column
+ * @param {*} value - Value in editing form
+ * @param {string} locale - BCP 47 locale of numbers
+ * @returns {string} Display text ("" when empty)
+ */
+export function formatCellValue(column, value, locale) {
+  switch (column.type) {
+    case WRITEBACK_FIELD_TYPES.BOOLEAN:
+      return value === true ? "Yes" : "No";
+    case WRITEBACK_FIELD_TYPES.SINGLE_SELECT:
+      return String(findOption(column.options, value)?.text ?? value ?? "");
+    case WRITEBACK_FIELD_TYPES.MULTI_SELECT:
+      return Array.isArray(value) ? value.join(", ") : String(value ?? "");
+    case WRITEBACK_FIELD_TYPES.NUMBER:
+      return formatLocaleNumber(value, locale);
+    default:
+      return String(value ?? "");
+  }
+}
+
+/**
+ * Get the current (edited or merged) value of a writeback cell
+ * @param {Object} row - Table row
+ * @param {Object} column - Writeback column
+ * @param {Object} editedData - Pending edits
+ * @param {string} dataKey - editedData key of the cell
+ * @returns {*} Value in editing form
+ */
+export function getCellValue(row, column, editedData, dataKey) {
+  if (editedData && editedData[dataKey] !== undefined) {
+    return editedData[dataKey];
+  }
+  const value = row?.[column.id]?.value;
+  return value === undefined ? getEmptyValue(column) : value;
+}
+
+/**
+ * Get the suggested (default) value of an empty, unedited writeback cell
+ * @param {Object} row - Table row
+ * @param {Object} column - Writeback column
+ * @param {Object} editedData - Pending edits
+ * @param {string} dataKey - editedData key of the cell
+ * @param {Object} suggestions - Column id -> default expression result of
+ *   the row (see RowExpressionManager)
+ * @returns {*} Suggested value in editing form, or undefined when the cell
+ *   has a value or an edit, or there is nothing to suggest
+ */
+export function getSuggestedValue(
+  row,
+  column,
+  editedData,
+  dataKey,
+  suggestions
+) {
+  if (editedData && editedData[dataKey] !== undefined) return undefined;
+  if (hasValue(column, row?.[column.id]?.value)) return undefined;
+
+  // The expression result wins; the constant default is the fallback
+  return [suggestions?.[column.id], column.defaultValue].find((value) =>
+    hasValue(column, value)
+  );
+}
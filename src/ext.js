@@ -44,6 +44,32 @@ export default function ext(galaxy) {
                   label: "Alternate Row Colors",
                   defaultValue: true,
                 },
+                autosaveEnabled: {
+                  type: "boolean",
+                  ref: "autosaveOptions.enabled",
+                  label: "Autosave changes",
+                  defaultValue: false,
+                  show: function (layout) {
+                    return (
+                      layout.tableOptions && layout.tableOptions.allowWriteback
+                    );
+                  },
+                },
+                autosaveDelay: {
+                  type: "integer",
+                  ref: "autosaveOptions.delay",
+                  label: "Autosave after a pause of (ms)",
+                  defaultValue: 2000,
+                  min: 250,
+                  show: function (layout) {
+                    return (
+                      layout.tableOptions &&
+                      layout.tableOptions.allowWriteback &&
+                      layout.autosaveOptions &&
+                      layout.autosaveOptions.enabled
+                    );
+                  },
+                },
               },
             },
             paginationSection: {
@@ -87,11 +113,574 @@ export default function ext(galaxy) {
                     );
                   },
                 },
+                prefetchNeighbours: {
+                  type: "boolean",
+                  ref: "paginationOptions.prefetchNeighbours",
+                  label: "Prefetch writebacks for adjacent pages",
+                  defaultValue: false,
+                  show: function (layout) {
+                    return (
+                      layout.paginationOptions &&
+                      layout.paginationOptions.enabled
+                    );
+                  },
+                },
+              },
+            },
+            rowIdentitySection: {
+              type: "items",
+              label: "Row Identity",
+              items: {
+                rowKeys: {
+                  type: "array",
+                  ref: "rowIdentity.keys",
+                  label: "Row key dimensions",
+                  itemTitleRef: "dimension",
+                  allowAdd: true,
+                  allowRemove: true,
+                  allowMove: true,
+                  addTranslation: "Add key dimension",
+                  items: {
+                    dimension: {
+                      type: "string",
+                      component: "dropdown",
+                      ref: "dimension",
+                      label: "Dimension",
+                      options: function (data, handler) {
+                        const dimensions =
+                          (handler &&
+                            handler.layout &&
+                            handler.layout.qHyperCube &&
+                            handler.layout.qHyperCube.qDimensionInfo) ||
+                          [];
+                        return dimensions.map(function (dimension) {
+                          return {
+                            value: dimension.qFallbackTitle,
+                            label: dimension.qFallbackTitle,
+                          };
+                        });
+                      },
+                    },
+                    field: {
+                      type: "string",
+                      ref: "field",
+                      label: "Database column (defaults to the dimension name)",
+                      defaultValue: "",
+                    },
+                  },
+                },
+                rowKeysHint: {
+                  component: "text",
+                  label:
+                    "Rows are identified by Customer + Invoice ID when no key dimensions are set.",
+                },
+              },
+            },
+            backendSection: {
+              type: "items",
+              label: "Writeback Backend",
+              items: {
+                backendType: {
+                  type: "string",
+                  component: "dropdown",
+                  ref: "backendOptions.type",
+                  label: "Backend",
+                  options: [
+                    {
+                      value: "webhook",
+                      label: "Qlik Automation webhook",
+                    },
+                    {
+                      value: "rest",
+                      label: "REST API",
+                    },
+                    {
+                      value: "local",
+                      label: "Browser storage (no database)",
+                    },
+                  ],
+                  defaultValue: "webhook",
+                },
+                restBaseUrl: {
+                  type: "string",
+                  ref: "backendOptions.restBaseUrl",
+                  label: "REST API Base URL",
+                  defaultValue: "",
+                  show: function (layout) {
+                    return (
+                      layout.backendOptions &&
+                      layout.backendOptions.type === "rest"
+                    );
+                  },
+                },
+                sqlDialect: {
+                  type: "string",
+                  component: "dropdown",
+                  ref: "backendOptions.sqlDialect",
+                  label: "Database SQL Dialect",
+                  options: [
+                    {
+                      value: "postgres",
+                      label: "PostgreSQL",
+                    },
+                    {
+                      value: "sqlserver",
+                      label: "SQL Server",
+                    },
+                    {
+                      value: "snowflake",
+                      label: "Snowflake",
+                    },
+                    {
+                      value: "mysql",
+                      label: "MySQL",
+                    },
+                    {
+                      value: "sqlite",
+                      label: "SQLite",
+                    },
+                  ],
+                  defaultValue: "postgres",
+                  show: function (layout) {
+                    return (
+                      !layout.backendOptions ||
+                      !layout.backendOptions.type ||
+                      layout.backendOptions.type === "webhook"
+                    );
+                  },
+                },
+                legacySql: {
+                  type: "boolean",
+                  ref: "backendOptions.legacySql",
+                  label: "Legacy mode: send client-built SQL (not recommended)",
+                  defaultValue: false,
+                  show: function (layout) {
+                    return (
+                      !layout.backendOptions ||
+                      !layout.backendOptions.type ||
+                      layout.backendOptions.type === "webhook"
+                    );
+                  },
+                },
+              },
+            },
+            writebackColumnsSection: {
+              type: "items",
+              label: "Writeback Columns",
+              items: {
+                writebackColumns: {
+                  type: "array",
+                  ref: "writebackColumns",
+                  label: "Columns",
+                  itemTitleRef: "label",
+                  allowAdd: true,
+                  allowRemove: true,
+                  allowMove: true,
+                  addTranslation: "Add writeback column",
+                  items: {
+                    label: {
+                      type: "string",
+                      ref: "label",
+                      label: "Label",
+                      expression: "optional",
+                    },
+                    id: {
+                      type: "string",
+                      ref: "id",
+                      label: "Id (defaults to the database column)",
+                      defaultValue: "",
+                    },
+                    type: {
+                      type: "string",
+                      component: "dropdown",
+                      ref: "type",
+                      label: "Type",
+                      options: [
+                        { value: "text", label: "Text" },
+                        { value: "longText", label: "Long text" },
+                        { value: "number", label: "Number" },
+                        { value: "date", label: "Date" },
+                        { value: "boolean", label: "Yes / No" },
+                        { value: "singleSelect", label: "Single select" },
+                        { value: "multiSelect", label: "Multi select" },
+                      ],
+                      defaultValue: "text",
+                    },
+                    field: {
+                      type: "string",
+                      ref: "field",
+                      label: "Database column",
+                      defaultValue: "",
+                    },
+                    optionsSource: {
+                      type: "string",
+                      component: "dropdown",
+                      ref: "optionsSource",
+                      label: "Options from",
+                      options: [
+                        { value: "static", label: "Static list" },
+                        { value: "field", label: "Qlik field" },
+                        { value: "expression", label: "Expression" },
+                      ],
+                      defaultValue: "static",
+                      show: function (item) {
+                        return (
+                          item.type === "singleSelect" ||
+                          item.type === "multiSelect"
+                        );
+                      },
+                    },
+                    options: {
+                      type: "string",
+                      ref: "options",
+                      label: "Options (comma separated)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          (item.type === "singleSelect" ||
+                            item.type === "multiSelect") &&
+                          (!item.optionsSource ||
+                            item.optionsSource === "static")
+                        );
+                      },
+                    },
+                    optionsField: {
+                      type: "string",
+                      ref: "optionsField",
+                      label: "Field (distinct values in load order)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          (item.type === "singleSelect" ||
+                            item.type === "multiSelect") &&
+                          item.optionsSource === "field"
+                        );
+                      },
+                    },
+                    optionsExpression: {
+                      type: "string",
+                      ref: "optionsExpression",
+                      label: "Expression returning a comma separated list",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          (item.type === "singleSelect" ||
+                            item.type === "multiSelect") &&
+                          item.optionsSource === "expression"
+                        );
+                      },
+                    },
+                    parentColumn: {
+                      type: "string",
+                      ref: "parentColumn",
+                      label: "Depends on column (id)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          item.type === "singleSelect" ||
+                          item.type === "multiSelect"
+                        );
+                      },
+                    },
+                    optionsByParent: {
+                      type: "string",
+                      component: "textarea",
+                      rows: 4,
+                      ref: "optionsByParent",
+                      label:
+                        "Options per parent value (Inaccurate: Wrong bucket, Data error)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          (item.type === "singleSelect" ||
+                            item.type === "multiSelect") &&
+                          !!item.parentColumn
+                        );
+                      },
+                    },
+                    defaultValue: {
+                      type: "string",
+                      ref: "defaultValue",
+                      label: "Default value (suggested)",
+                      defaultValue: "",
+                    },
+                    defaultExpression: {
+                      type: "string",
+                      ref: "defaultExpression",
+                      label: "Default value expression (per row, suggested)",
+                      defaultValue: "",
+                    },
+                    editableWhen: {
+                      type: "string",
+                      ref: "editableWhen",
+                      label: "Editable when (e.g. Aging Bucket = 90+)",
+                      defaultValue: "",
+                    },
+                    editableExpression: {
+                      type: "string",
+                      ref: "editableExpression",
+                      label: "Editable when expression is true (per row)",
+                      defaultValue: "",
+                    },
+                    required: {
+                      type: "boolean",
+                      ref: "required",
+                      label: "Required",
+                      defaultValue: false,
+                    },
+                    requiredWhen: {
+                      type: "string",
+                      ref: "requiredWhen",
+                      label: "Required when (e.g. status = Inaccurate)",
+                      defaultValue: "",
+                    },
+                    minLength: {
+                      type: "string",
+                      ref: "minLength",
+                      label: "Minimum length",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          !item.type ||
+                          item.type === "text" ||
+                          item.type === "longText"
+                        );
+                      },
+                    },
+                    maxLength: {
+                      type: "string",
+                      ref: "maxLength",
+                      label: "Maximum length",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          !item.type ||
+                          item.type === "text" ||
+                          item.type === "longText"
+                        );
+                      },
+                    },
+                    pattern: {
+                      type: "string",
+                      ref: "pattern",
+                      label: "Pattern (regular expression)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return (
+                          !item.type ||
+                          item.type === "text" ||
+                          item.type === "longText"
+                        );
+                      },
+                    },
+                    patternMessage: {
+                      type: "string",
+                      ref: "patternMessage",
+                      label: "Pattern message",
+                      defaultValue: "",
+                      show: function (item) {
+                        return !!item.pattern;
+                      },
+                    },
+                    step: {
+                      type: "string",
+                      ref: "step",
+                      label: "Step (arrow keys)",
+                      defaultValue: "1",
+                      show: function (item) {
+                        return item.type === "number";
+                      },
+                    },
+                    min: {
+                      type: "string",
+                      ref: "min",
+                      label: "Minimum value",
+                      defaultValue: "",
+                      show: function (item) {
+                        return item.type === "number";
+                      },
+                    },
+                    max: {
+                      type: "string",
+                      ref: "max",
+                      label: "Maximum value",
+                      defaultValue: "",
+                      show: function (item) {
+                        return item.type === "number";
+                      },
+                    },
+                    minDate: {
+                      type: "string",
+                      ref: "minDate",
+                      label: "Earliest date (YYYY-MM-DD)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return item.type === "date";
+                      },
+                    },
+                    maxDate: {
+                      type: "string",
+                      ref: "maxDate",
+                      label: "Latest date (YYYY-MM-DD)",
+                      defaultValue: "",
+                      show: function (item) {
+                        return item.type === "date";
+                      },
+                    },
+                    validationExpression: {
+                      type: "string",
+                      ref: "validationExpression",
+                      label: "Rule expression (e.g. =Len({value}) <= 200)",
+                      defaultValue: "",
+                    },
+                    validationMessage: {
+                      type: "string",
+                      ref: "validationMessage",
+                      label: "Rule message",
+                      defaultValue: "",
+                      show: function (item) {
+                        return !!item.validationExpression;
+                      },
+                    },
+                  },
+                },
+                writebackColumnsHint: {
+                  component: "text",
+                  label:
+                    "Without columns the table shows Model Feedback and Comments.",
+                },
+              },
+            },
+            calculatedColumnsSection: {
+              type: "items",
+              label: "Calculated Columns",
+              items: {
+                calculatedColumns: {
+                  type: "array",
+                  ref: "calculatedColumns",
+                  label: "Columns",
+                  itemTitleRef: "label",
+                  allowAdd: true,
+                  allowRemove: true,
+                  allowMove: true,
+                  addTranslation: "Add calculated column",
+                  items: {
+                    label: {
+                      type: "string",
+                      ref: "label",
+                      label: "Label",
+                      expression: "optional",
+                    },
+                    id: {
+                      type: "string",
+                      ref: "id",
+                      label: "Id (used in other formulas)",
+                      defaultValue: "",
+                    },
+                    formula: {
+                      type: "string",
+                      ref: "formula",
+                      label: "Formula (e.g. [Amount] * [override_pct] / 100)",
+                      defaultValue: "",
+                    },
+                    format: {
+                      type: "string",
+                      component: "dropdown",
+                      ref: "format",
+                      label: "Format",
+                      options: [
+                        { value: "number", label: "Number" },
+                        { value: "currency", label: "Currency" },
+                        { value: "percent", label: "Percent" },
+                        { value: "date", label: "Date" },
+                        { value: "text", label: "Text" },
+                      ],
+                      defaultValue: "number",
+                    },
+                    decimals: {
+                      type: "integer",
+                      ref: "decimals",
+                      label: "Decimals",
+                      defaultValue: 2,
+                      show: function (item) {
+                        return item.format !== "date" && item.format !== "text";
+                      },
+                    },
+                    currency: {
+                      type: "string",
+                      ref: "currency",
+                      label: "Currency (ISO code, e.g. EUR)",
+                      defaultValue: "USD",
+                      show: function (item) {
+                        return item.format === "currency";
+                      },
+                    },
+                  },
+                },
+                calculatedColumnsHint: {
+                  component: "text",
+                  label:
+                    "Refer to columns in brackets: [Amount], [override_pct]. Functions: IF, AND, OR, NOT, ROUND, ABS, MIN, MAX, COALESCE, DATE, TODAY.",
+                },
+              },
+            },
+            statusOptionsSection: {
+              type: "items",
+              label: "Status Options",
+              items: {
+                statusOptions: {
+                  type: "array",
+                  ref: "statusOptions",
+                  label: "Options",
+                  itemTitleRef: "label",
+                  allowAdd: true,
+                  allowRemove: true,
+                  allowMove: true,
+                  addTranslation: "Add status option",
+                  items: {
+                    value: {
+                      type: "string",
+                      ref: "value",
+                      label: "Value (saved to the database)",
+                      defaultValue: "",
+                    },
+                    label: {
+                      type: "string",
+                      ref: "label",
+                      label: "Label",
+                      defaultValue: "",
+                      expression: "optional",
+                    },
+                    icon: {
+                      type: "string",
+                      ref: "icon",
+                      label: "Icon (emoji or text)",
+                      defaultValue: "",
+                    },
+                    color: {
+                      type: "string",
+                      ref: "color",
+                      label: "Colour (e.g. #28a745)",
+                      defaultValue: "",
+                    },
+                  },
+                },
+                statusOptionsHint: {
+                  component: "text",
+                  label:
+                    "Without options the status column offers Accurate and Inaccurate.",
+                },
               },
             },
             columnLabels: {
               type: "items",
               label: "Writeback Column Labels",
+              show: function (layout) {
+                return (
+                  !layout.writebackColumns ||
+                  layout.writebackColumns.length === 0
+                );
+              },
               items: {
                 statusLabel: {
                   type: "string",
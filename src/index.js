@@ -10,9 +10,11 @@ import {
   useLayout,
   useEffect,
   useState,
+  useRef,
   useModel,
   useSelections,
   useConstraints,
+  useApp,
 } from "@nebula.js/stardust";
 
 // Import configuration
@@ -23,12 +25,48 @@ import ext from "./ext";
 
 // Import core modules
 import { processData, generateDataKey } from "./core/dataProcessor.js";
+import {
+  getRowKeyConfig,
+  getRowKey,
+  getKeyFields,
+} from "./core/rowIdentity.js";
+import {
+  getWritebackColumns,
+  hasDynamicOptions,
+} from "./core/writebackColumns.js";
+import { OptionsManager } from "./core/optionsManager.js";
+import { validateEdits, describeViolations } from "./core/validationRules.js";
+import { ExpressionValidator } from "./core/expressionValidator.js";
+import { RowExpressionManager } from "./core/rowExpressionManager.js";
+import { markEditabilityErrors } from "./core/editability.js";
 import { PaginationManager } from "./core/paginationManager.js";
+import { EditTimeTracker } from "./core/editTimeTracker.js";
+import { EditedRowStore } from "./core/editedRowStore.js";
+import { discardEdits } from "./core/discardEdits.js";
+import { getPendingChanges } from "./core/pendingChanges.js";
+import { DraftStorage } from "./core/draftStorage.js";
+import { EditHistory, applyChanges, isTextField } from "./core/editHistory.js";
+import {
+  getEditedRowKeys,
+  getSavingStates,
+  getResultStates,
+} from "./core/rowSaveStatus.js";
 
 // Import backend services
-import { fetchLatestWritebacks } from "./backend/dataService.js";
-import { mergeWritebackData } from "./backend/mergeService.js";
+import {
+  fetchLatestWritebacks,
+  fetchWritebacksForKeys,
+  prefetchWritebacksForKeys,
+  clearPrefetchedWritebacks,
+} from "./backend/dataService.js";
+import {
+  mergeWritebackData,
+  getRowIdentityKeys,
+  applySavedVersions,
+} from "./backend/mergeService.js";
 import { saveAllChanges } from "./backend/writebackService.js";
+import { getBackendAdapter } from "./backend/backendAdapter.js";
+import { SaveQueue } from "./backend/saveQueue.js";
 
 // Import utilities
 import { getOrPromptUsername, getConsistentAppId } from "./utils/userUtils.js";
@@ -37,7 +75,9 @@ import {
   MESSAGE_TYPES,
   WRITEBACK_COLUMNS,
   COLUMN_TYPES,
-  SPECIAL_COLUMNS,
+  SAVE_QUEUE,
+  ROW_SAVE_STATES,
+  USER_INTERACTION,
 } from "./utils/constants.js";
 
 // Import UI components
@@ -73,6 +113,7 @@ export default function supernova(galaxy) {
       const element = useElement();
       const layout = useLayout();
       const model = useModel();
+      const app = useApp();
       const selections = useSelections();
       const constraints = useConstraints();
 
@@ -86,58 +127,145 @@ export default function supernova(galaxy) {
       const [lastLayoutId, setLastLayoutId] = useState("");
       const [wasInSelectionMode, setWasInSelectionMode] = useState(false);
       const [isPageNavigation, setIsPageNavigation] = useState(false);
+      const [syncQueue, setSyncQueue] = useState([]);
+      const [isSyncPanelOpen, setIsSyncPanelOpen] = useState(false);
+      const [isSyncing, setIsSyncing] = useState(false);
+      const [columnOptions, setColumnOptions] = useState({});
+      const [isValidationPanelOpen, setIsValidationPanelOpen] = useState(false);
+      const [isReviewPanelOpen, setIsReviewPanelOpen] = useState(false);
+      const [validationVersion, setValidationVersion] = useState(0);
+      const [rowEditability, setRowEditability] = useState({});
+      const [rowSuggestions, setRowSuggestions] = useState({});
+      const [rowSaveStates, setRowSaveStates] = useState({});
+      const [failedAutosave, setFailedAutosave] = useState(null);
+      const [draftKey, setDraftKey] = useState(null);
+
+      // Latest pending edits: handlers compute the next edits from this ref
+      // and commit them here, so their side effects (undo history, draft,
+      // unsaved flag) run once, outside of the state update
+      const editedDataRef = useRef(editedData);
+      const commitEditedData = (next) => {
+        editedDataRef.current = next;
+        setEditedData(next);
+      };
+
+      // Row identity (key dimensions) configured in the property panel
+      const keyConfig = getRowKeyConfig(layout);
+      const writebackColumns = getWritebackColumns(layout, columnOptions);
+
+      // Autosave: pending edits are saved after a pause in editing
+      const autosaveEnabled =
+        !!layout.tableOptions?.allowWriteback &&
+        layout.autosaveOptions?.enabled === true;
+      const autosaveDelay =
+        parseInt(layout.autosaveOptions?.delay, 10) > 0
+          ? parseInt(layout.autosaveOptions.delay, 10)
+          : USER_INTERACTION.SAVE_DEBOUNCE;
+
+      // Values of queued (not yet synced) saves, shown until they are synced
+      const pendingSyncEdits = syncQueue.reduce(
+        (edits, item) => ({ ...edits, ...item.edits }),
+        {}
+      );
 
       // Event handlers
       const handleCellEdit = (rowOrCustomerName, fieldId, value) => {
-        let customerName, invoiceId, dataKey;
+        let rowKey, dataKey;
 
         // Check if first parameter is a row object (new approach) or customer name (legacy)
         if (
           typeof rowOrCustomerName === "object" &&
           rowOrCustomerName !== null
         ) {
-          // New approach: row object passed
+          // New approach: row object passed, keyed by the configured row identity
           const row = rowOrCustomerName;
-          customerName = row[SPECIAL_COLUMNS.CUSTOMER]?.value || "";
-          invoiceId = row[SPECIAL_COLUMNS.INVOICE_ID]?.value || "";
-          dataKey = generateDataKey(row, fieldId);
+          rowKey = getRowKey(row, keyConfig);
+          dataKey = generateDataKey(row, fieldId, keyConfig);
 
-          console.log(
-            `Cell edited: ${customerName} - ${invoiceId} - ${fieldId} = ${value}`
-          );
+          console.log(`Cell edited: ${rowKey} - ${fieldId} = ${value}`);
         } else {
           // Legacy approach: customer name passed
-          customerName = rowOrCustomerName;
-          invoiceId = ""; // No invoice ID in legacy approach
-          dataKey = generateSimpleDataKey(customerName, fieldId);
+          rowKey = rowOrCustomerName;
+          dataKey = generateSimpleDataKey(rowKey, fieldId);
 
           console.log(
-            `Cell edited (legacy): ${customerName} - ${fieldId} = ${value}`
+            `Cell edited (legacy): ${rowKey} - ${fieldId} = ${value}`
           );
         }
 
-        notificationManager.trackEditStart(customerName, fieldId);
-
-        setEditedData((prev) => ({
-          ...prev,
-          [dataKey]: value,
-        }));
+        notificationManager.trackEditStart(rowKey, fieldId);
+        editTimeTracker.recordEdit(rowKey);
 
+        // Recorded for undo against the latest pending value, and saved to
+        // localStorage
+        const { current } = editedDataRef;
+        const next = { ...current, [dataKey]: value };
+        editHistory.record(dataKey, current[dataKey], value);
+        commitEditedData(next);
+        saveDraftToStorage(next);
         setHasUnsavedChanges(true);
+      };
 
-        // Save to localStorage
-        try {
-          const dataToSave = {
-            changes: { ...editedData, [dataKey]: value },
-            timestamp: new Date().toISOString(),
-            user: notificationManager.currentUser,
-          };
-          localStorage.setItem(
-            ENV.STORAGE_KEYS.EDITED_DATA,
-            JSON.stringify(dataToSave)
-          );
-        } catch (err) {
-          console.error("Error saving to localStorage:", err);
+      // Undo (or redo) the last edit action; cells undone back to no pending
+      // edit are clean again
+      const handleUndoRedo = (undo) => {
+        const changes = undo ? editHistory.undo() : editHistory.redo();
+        if (!changes) return;
+        console.log(undo ? "Undo:" : "Redo:", changes);
+
+        const { current } = editedDataRef;
+        const next = applyChanges(current, changes, undo);
+        const editedRowKeys = new Set(getEditedRowKeys(next));
+        editTimeTracker.clear(
+          getEditedRowKeys(current).filter(
+            (rowKey) => !editedRowKeys.has(rowKey)
+          )
+        );
+        commitEditedData(next);
+        setHasUnsavedChanges(Object.keys(next).length > 0);
+        saveDraftToStorage(next);
+      };
+
+      // Persist pending edits so they survive a reload (per app, object
+      // and user, see core/draftStorage.js)
+      const saveDraftToStorage = (changes) => {
+        draftStorage.save({ changes, rows: editedRowStore.toJSON() });
+      };
+
+      // Discard pending edits after confirmation: all of them, the edits of
+      // one row (scope.rowKey) or of one cell (scope.dataKey)
+      const handleDiscardEdits = (scope = {}) => {
+        let question = "Discard all unsaved changes? They cannot be restored.";
+        if (scope.dataKey) {
+          question = "Revert this change to the saved value?";
+        } else if (scope.rowKey) {
+          question = "Revert all unsaved changes in this row?";
+        }
+        if (!window.confirm(question)) return;
+
+        const { current } = editedDataRef;
+        const { remaining, clearedRowKeys } = discardEdits(current, scope);
+        console.log("Discarded edits:", scope, clearedRowKeys);
+
+        editHistory.forget(
+          Object.keys(current).filter((key) => !(key in remaining))
+        );
+        editTimeTracker.clear(clearedRowKeys);
+        commitEditedData(remaining);
+        setRowSaveStates((states) => {
+          const kept = { ...states };
+          clearedRowKeys.forEach((rowKey) => delete kept[rowKey]);
+          return kept;
+        });
+        setHasUnsavedChanges(Object.keys(remaining).length > 0);
+        saveDraftToStorage(remaining);
+      };
+
+      // Show the row of a pending change, switching page when needed
+      const handleJumpToChange = (change) => {
+        tableRenderer.focusRow(change.rowKey);
+        if (change.page !== paginationManager.currentPage) {
+          handlePageChange(change.page);
         }
       };
 
@@ -220,7 +348,11 @@ export default function supernova(galaxy) {
                 const appId = getConsistentAppId(model);
 
                 try {
-                  const latestWritebacks = await fetchLatestWritebacks(appId);
+                  const latestWritebacks = await fetchWritebacksForKeys(
+                    appId,
+                    getRowIdentityKeys(qlikFormattedData.rows, keyConfig),
+                    getBackendAdapter(layout)
+                  );
                   console.log(
                     "Background fetched",
                     latestWritebacks?.length || 0,
@@ -230,7 +362,9 @@ export default function supernova(galaxy) {
                   if (latestWritebacks && latestWritebacks.length > 0) {
                     const finalRows = mergeWritebackData(
                       qlikFormattedData.rows,
-                      latestWritebacks
+                      latestWritebacks,
+                      keyConfig,
+                      writebackColumns
                     );
                     console.log("Background merge complete, updating UI...");
 
@@ -239,6 +373,8 @@ export default function supernova(galaxy) {
                 } catch (mergeError) {
                   console.error("Background merge error:", mergeError);
                 }
+
+                prefetchNeighbourPages(newPage);
               }, 50);
 
               setSelectedRow(null);
@@ -253,73 +389,185 @@ export default function supernova(galaxy) {
         }
       };
 
-      const handleSaveChanges = async () => {
+      // Validate the pending edits of all edited rows, on any page
+      const validateCurrentEdits = () =>
+        validateEdits({
+          rows: [
+            ...(tableData?.rows || []),
+            ...editedRowStore.getOtherPageRows(tableData?.rows, keyConfig),
+          ],
+          editedData,
+          columns: writebackColumns,
+          keyConfig,
+          evaluateExpression: (expression) =>
+            expressionValidator.check(expression),
+          editability: editedRowStore.getEditability(rowEditability),
+        });
+
+      // Autosave (options.auto) saves the valid rows and leaves invalid ones
+      // dirty; the button refuses to save while any edit breaks a rule
+      const handleSaveChanges = async (options = {}) => {
+        const auto = options.auto === true;
         if (isSaving || !hasUnsavedChanges) {
           console.log("Save ignored - either already saving or no changes");
           return;
         }
 
-        console.log("Save button clicked, starting save process");
-        setIsSaving(true);
-        messageRenderer.showMessage(
-          "Saving to database...",
-          MESSAGE_TYPES.INFO,
-          element
+        // Expression rules must be evaluated before the save can go ahead
+        if (expressionValidator.hasPending()) {
+          await expressionValidator.flush();
+        }
+        const violations = validateCurrentEdits();
+        if (violations.length > 0 && !auto) {
+          console.log("Save blocked by validation:", violations);
+          setIsValidationPanelOpen(true);
+          messageRenderer.showMessage(
+            describeViolations(violations),
+            MESSAGE_TYPES.ERROR,
+            element
+          );
+          return;
+        }
+
+        console.log(
+          auto
+            ? "Autosaving pending edits"
+            : "Save button clicked, starting save process"
         );
+        const rowKeys = getEditedRowKeys(editedData);
+        setIsSaving(true);
+        setRowSaveStates((states) => ({
+          ...states,
+          ...getSavingStates(rowKeys),
+        }));
+        if (!auto) {
+          messageRenderer.showMessage(
+            "Saving to database...",
+            MESSAGE_TYPES.INFO,
+            element
+          );
+        }
 
         try {
           const result = await saveAllChanges({
             editedData,
             tableData,
-            currentPage: paginationManager.currentPage,
+            editedRows: editedRowStore.getOtherPageRows(
+              tableData?.rows,
+              keyConfig
+            ),
             model,
             galaxy,
+            adapter: getBackendAdapter(layout),
+            saveQueue,
+            objectId: layout.qInfo?.qId,
+            pendingEdits: pendingSyncEdits,
+            keyConfig,
+            columns: writebackColumns,
+            evaluateExpression: (expression) =>
+              expressionValidator.check(expression),
+            editability: editedRowStore.getEditability(rowEditability),
+            editTiming: (rowKey) => editTimeTracker.getTiming(rowKey),
           });
 
+          // Only rows the backend confirmed are cleared; anything else
+          // (rolled back batch, rows not found) stays dirty for retry, and
+          // so do values edited again while the save was running
+          const savedKeys = new Set(result.savedKeys || []);
+          if (savedKeys.size > 0) {
+            const { current } = editedDataRef;
+            const remainingEdits = Object.keys(current).reduce(
+              (remaining, key) => {
+                if (!savedKeys.has(key) || current[key] !== editedData[key]) {
+                  remaining[key] = current[key];
+                }
+                return remaining;
+              },
+              {}
+            );
+            editHistory.forget(
+              Object.keys(current).filter((key) => !(key in remainingEdits))
+            );
+            commitEditedData(remainingEdits);
+            setHasUnsavedChanges(Object.keys(remainingEdits).length > 0);
+            saveDraftToStorage(remainingEdits);
+          }
+
+          // Later saves of the rows build on the versions just created
+          if (result.results) {
+            setTableData((prevData) => {
+              if (!prevData?.rows) return prevData;
+              const rows = applySavedVersions(
+                prevData.rows,
+                result.results,
+                keyConfig
+              );
+              return rows === prevData.rows ? prevData : { ...prevData, rows };
+            });
+          }
+
+          const resultStates = getResultStates(rowKeys, result);
+          editTimeTracker.clear(
+            rowKeys.filter(
+              (rowKey) => resultStates[rowKey].state !== ROW_SAVE_STATES.ERROR
+            )
+          );
+          setRowSaveStates((states) => ({ ...states, ...resultStates }));
+          setTimeout(
+            () => clearSavedStates(resultStates),
+            USER_INTERACTION.SAVED_STATE_DURATION
+          );
+
+          // Autosave does not retry the same edits until they change
+          if (auto && !result.success) {
+            setFailedAutosave(editedData);
+          }
+
           if (result.success) {
             notificationManager.showSaveSuccess(
               result.successCount,
               result.totalCount
             );
 
-            // Clear local state
-            setEditedData({});
-            setHasUnsavedChanges(false);
-            localStorage.removeItem(ENV.STORAGE_KEYS.EDITED_DATA);
+            if (!auto) {
+              messageRenderer.showMessage(
+                result.message,
+                MESSAGE_TYPES.SUCCESS,
+                element
+              );
+            }
 
+            // Force refresh with delay
+            setTimeout(refreshWritebackData, 1000);
+          } else if (result.queued) {
+            await refreshSyncQueue();
             messageRenderer.showMessage(
               result.message,
-              MESSAGE_TYPES.SUCCESS,
+              MESSAGE_TYPES.WARNING,
               element
             );
-
-            // Force refresh with delay
-            setTimeout(async () => {
-              try {
-                const appId = getConsistentAppId(model);
-                const latestWritebacks = await fetchLatestWritebacks(appId);
-
-                if (latestWritebacks?.length > 0) {
-                  setTableData((prevData) => {
-                    if (!prevData?.rows) return prevData;
-
-                    const mergedRows = mergeWritebackData(
-                      prevData.rows,
-                      latestWritebacks
-                    );
-
-                    return { ...prevData, rows: mergedRows };
-                  });
-                }
-              } catch (refreshError) {
-                console.error("Error during post-save refresh:", refreshError);
-              }
-            }, 1000);
           } else {
-            messageRenderer.showMessage(result.message, result.type, element);
+            if (result.errors?.length) {
+              console.error("Rows rejected by backend:", result.errors);
+            }
+            // Rows autosave skipped for invalid values are marked in the table
+            if (!auto || result.results) {
+              messageRenderer.showMessage(result.message, result.type, element);
+            }
           }
         } catch (error) {
           console.error("Error saving changes:", error);
+          setRowSaveStates((states) => ({
+            ...states,
+            ...rowKeys.reduce((errors, rowKey) => {
+              errors[rowKey] = {
+                state: ROW_SAVE_STATES.ERROR,
+                message: error.message,
+              };
+              return errors;
+            }, {}),
+          }));
+          if (auto) setFailedAutosave(editedData);
           messageRenderer.showMessage(
             `Error saving: ${error.message}`,
             MESSAGE_TYPES.ERROR,
@@ -330,45 +578,457 @@ export default function supernova(galaxy) {
         }
       };
 
+      // Drop "saved" states after a while (unless the row was saved again)
+      const clearSavedStates = (resultStates) => {
+        setRowSaveStates((states) => {
+          const remaining = { ...states };
+          Object.keys(resultStates).forEach((rowKey) => {
+            if (
+              resultStates[rowKey].state === ROW_SAVE_STATES.SAVED &&
+              remaining[rowKey] === resultStates[rowKey]
+            ) {
+              delete remaining[rowKey];
+            }
+          });
+          return remaining;
+        });
+      };
+
+      // Re-fetch writebacks after a save and merge them into the current rows
+      const refreshWritebackData = async () => {
+        try {
+          const appId = getConsistentAppId(model);
+          const adapter = getBackendAdapter(layout);
+          clearPrefetchedWritebacks(appId, adapter);
+
+          const latestWritebacks = await fetchWritebacksForKeys(
+            appId,
+            getRowIdentityKeys(tableData?.rows, keyConfig),
+            adapter
+          );
+
+          if (latestWritebacks?.length > 0) {
+            setTableData((prevData) => {
+              if (!prevData?.rows) return prevData;
+
+              const mergedRows = mergeWritebackData(
+                prevData.rows,
+                latestWritebacks,
+                keyConfig,
+                writebackColumns
+              );
+
+              return { ...prevData, rows: mergedRows };
+            });
+          }
+        } catch (refreshError) {
+          console.error("Error during post-save refresh:", refreshError);
+        }
+      };
+
+      // Prefetch writebacks of the pages before and after the given page
+      const prefetchNeighbourPages = async (page) => {
+        if (!layout.paginationOptions?.prefetchNeighbours) return;
+
+        const appId = getConsistentAppId(model);
+        const { totalPages } = paginationManager.getCurrentPageInfo();
+
+        try {
+          for (const neighbour of [page + 1, page - 1]) {
+            if (neighbour < 1 || neighbour > totalPages) continue;
+
+            const pageData = await paginationManager.fetchPageData(neighbour);
+            if (!pageData?.length) continue;
+
+            const { rows } = processData({ layout, pageData });
+            await prefetchWritebacksForKeys(
+              appId,
+              getRowIdentityKeys(rows, keyConfig),
+              getBackendAdapter(layout)
+            );
+          }
+        } catch (err) {
+          console.warn("Neighbour page prefetch failed:", err);
+        }
+      };
+
+      const refreshSyncQueue = async () => {
+        try {
+          setSyncQueue(
+            await saveQueue.list(getConsistentAppId(model), layout.qInfo?.qId)
+          );
+        } catch (err) {
+          console.error("Error reading save queue:", err);
+        }
+      };
+
+      // Replay queued saves; called when connectivity returns
+      const replaySaveQueue = async () => {
+        const appId = getConsistentAppId(model);
+        const objectId = layout.qInfo?.qId;
+        if ((await saveQueue.list(appId, objectId)).length === 0) return;
+
+        setIsSyncing(true);
+        try {
+          const summary = await saveQueue.replay(
+            appId,
+            objectId,
+            getBackendAdapter(layout)
+          );
+
+          if (summary.synced > 0) {
+            messageRenderer.showMessage(
+              `Synced ${summary.synced} queued changes`,
+              MESSAGE_TYPES.SUCCESS,
+              element
+            );
+            await refreshWritebackData();
+          }
+          if (summary.failed > 0) {
+            messageRenderer.showMessage(
+              `${summary.failed} queued changes were rejected - review them in the sync queue`,
+              MESSAGE_TYPES.ERROR,
+              element
+            );
+          }
+        } catch (err) {
+          console.error("Error replaying save queue:", err);
+        } finally {
+          setIsSyncing(false);
+          await refreshSyncQueue();
+        }
+      };
+
+      // Discard one queued batch, or all of them when id is null
+      const handleDiscardQueued = async (id) => {
+        const question = id
+          ? "Discard these queued changes? They will not be saved."
+          : "Discard all queued changes? They will not be saved.";
+        if (!window.confirm(question)) return;
+
+        try {
+          if (id) {
+            await saveQueue.remove(id);
+          } else {
+            await saveQueue.clear(getConsistentAppId(model), layout.qInfo?.qId);
+          }
+        } catch (err) {
+          console.error("Error discarding queued changes:", err);
+        }
+        await refreshSyncQueue();
+      };
+
+      // The renderers below are created once; their callbacks go through
+      // this ref, refreshed every render, so they see the current layout,
+      // row key configuration and writeback columns
+      const handlers = useRef({});
+      handlers.current = {
+        handleCellEdit,
+        handleRowSelect,
+        handlePageChange,
+        handleJumpToChange,
+        handleDiscardEdits,
+        handleDiscardQueued,
+        handleUndoRedo,
+        replaySaveQueue,
+      };
+
       // Initialize managers
       const [paginationManager] = useState(() => new PaginationManager(model));
 
+      const [optionsManager] = useState(() => new OptionsManager(app));
+
+      const [expressionValidator] = useState(
+        () => new ExpressionValidator(app)
+      );
+
+      const [rowExpressionManager] = useState(
+        () => new RowExpressionManager(app, model)
+      );
+
+      const [editTimeTracker] = useState(() => new EditTimeTracker());
+
+      const [editedRowStore] = useState(() => new EditedRowStore());
+
+      const [editHistory] = useState(() => new EditHistory());
+
+      const [draftStorage] = useState(() => new DraftStorage());
+
       const [tableRenderer] = useState(
         () =>
           new TableRenderer({
-            onCellEdit: handleCellEdit,
-            onRowSelect: handleRowSelect,
+            onCellEdit: (...args) => handlers.current.handleCellEdit(...args),
+            onRowSelect: (...args) => handlers.current.handleRowSelect(...args),
+            onEditFocus: (rowKey) => editTimeTracker.startEditing(rowKey),
+            onEditBlur: (rowKey) => editTimeTracker.stopEditing(rowKey),
+            onEditActivity: (rowKey) => editTimeTracker.recordActivity(rowKey),
+            onRevertRow: (rowKey) =>
+              handlers.current.handleDiscardEdits({ rowKey }),
+            onRevertCell: (dataKey) =>
+              handlers.current.handleDiscardEdits({ dataKey }),
           })
       );
 
       const [paginationRenderer] = useState(
         () =>
           new PaginationRenderer({
-            onPageChange: handlePageChange,
+            onPageChange: (page) => handlers.current.handlePageChange(page),
+            onToggleSyncPanel: () => setIsSyncPanelOpen((open) => !open),
+            onSyncNow: () => handlers.current.replaySaveQueue(),
+            onDiscardQueued: (id) => handlers.current.handleDiscardQueued(id),
+            onDiscardAll: () => handlers.current.handleDiscardEdits(),
+            onUndo: () => handlers.current.handleUndoRedo(true),
+            onRedo: () => handlers.current.handleUndoRedo(false),
+            onToggleReviewPanel: () => setIsReviewPanelOpen((open) => !open),
+            onJumpToChange: (change) =>
+              handlers.current.handleJumpToChange(change),
+            onDiscardChange: (dataKey) =>
+              handlers.current.handleDiscardEdits({ dataKey }),
+            onToggleValidationPanel: () =>
+              setIsValidationPanelOpen((open) => !open),
           })
       );
 
       const [messageRenderer] = useState(() => new MessageRenderer());
 
+      const [saveQueue] = useState(() => new SaveQueue());
+
       const [notificationManager] = useState(
         () => new NotificationManager(messageRenderer)
       );
 
-      // Load saved data from localStorage on mount
+      // Load the draft of this app, object and user once the user is known;
+      // edits made in the meantime win over the draft. When the object
+      // changes, the edits of the previous object (kept in its own draft)
+      // are replaced by the draft of the new one.
       useEffect(() => {
-        try {
-          const savedDataStr = localStorage.getItem(
-            ENV.STORAGE_KEYS.EDITED_DATA
-          );
-          if (savedDataStr) {
-            const savedData = JSON.parse(savedDataStr);
-            setEditedData(savedData.changes || {});
-            console.log("Loaded saved changes from local storage:", savedData);
+        let isCurrent = true;
+
+        getOrPromptUsername(galaxy).then((user) => {
+          if (!isCurrent) return;
+
+          const previousKey = draftStorage.key;
+          draftStorage.setScope({
+            appId: getConsistentAppId(model),
+            objectId: layout.qInfo?.qId,
+            user,
+          });
+          setDraftKey(draftStorage.key);
+          const savedData = draftStorage.load();
+
+          if (previousKey && previousKey !== draftStorage.key) {
+            const changes = savedData?.changes || {};
+            editedRowStore.clear();
+            editedRowStore.restore(savedData?.rows);
+            const { current } = editedDataRef;
+            editHistory.forget(Object.keys(current));
+            editTimeTracker.clear(getEditedRowKeys(current));
+            commitEditedData(changes);
+            setRowSaveStates({});
+            setHasUnsavedChanges(Object.keys(changes).length > 0);
+            return;
           }
-        } catch (err) {
-          console.error("Error loading from local storage:", err);
+          if (!savedData?.changes) return;
+
+          editedRowStore.restore(savedData.rows);
+          const merged = { ...savedData.changes, ...editedDataRef.current };
+          commitEditedData(merged);
+          setHasUnsavedChanges(Object.keys(merged).length > 0);
+          saveDraftToStorage(merged);
+          console.log("Loaded saved changes from local storage");
+        });
+
+        return () => {
+          isCurrent = false;
+        };
+      }, [model?.id, layout.qInfo?.qId]);
+
+      // The old global draft has no app id: it is only claimed once the rows
+      // of this object show that its edits belong here
+      useEffect(() => {
+        if (!draftKey || !tableData?.rows) return;
+
+        const legacy = draftStorage.migrateLegacyDraft({
+          fields: writebackColumns.map((column) => column.id),
+          rows: tableData.rows,
+          keyConfig,
+        });
+        if (!legacy) return;
+
+        editedRowStore.restore(legacy.rows);
+        const merged = { ...legacy.changes, ...editedDataRef.current };
+        commitEditedData(merged);
+        setHasUnsavedChanges(true);
+        saveDraftToStorage(merged);
+      }, [draftKey, tableData]);
+
+      // Load select options sourced from Qlik fields or expressions
+      useEffect(() => {
+        const columns = getWritebackColumns(layout);
+        if (!columns.some(hasDynamicOptions)) return undefined;
+
+        let isCurrent = true;
+        optionsManager.loadOptions(columns).then((loaded) => {
+          if (isCurrent) setColumnOptions(loaded);
+        });
+
+        return () => {
+          isCurrent = false;
+        };
+      }, [layout]);
+
+      // Rule, editability and default expressions depend on app data:
+      // re-evaluate them after selections, reloads and property changes
+      useEffect(() => {
+        expressionValidator.clear();
+        rowExpressionManager.clear();
+      }, [layout]);
+
+      const showEditabilityError = (reason) => {
+        messageRenderer.showMessage(
+          `Editability could not be evaluated (${reason}). The affected cells are read-only.`,
+          MESSAGE_TYPES.WARNING,
+          element
+        );
+      };
+
+      // Evaluate editability and default expressions for the current page
+      useEffect(() => {
+        if (
+          !tableData?.rows?.length ||
+          !writebackColumns.some(
+            (column) => column.editableExpression || column.defaultExpression
+          )
+        ) {
+          return undefined;
         }
-      }, []);
+
+        let isCurrent = true;
+        const { pageSize } = paginationManager.paginationInfo;
+        rowExpressionManager
+          .loadPage({
+            layout,
+            columns: writebackColumns,
+            keyConfig,
+            qTop: (paginationManager.currentPage - 1) * pageSize,
+            qHeight: tableData.rows.length,
+          })
+          .then(({ editability, suggestions }) => {
+            if (!isCurrent) return;
+            const checked = markEditabilityErrors(editability, {
+              rows: tableData.rows,
+              columns: writebackColumns,
+              keyConfig,
+              message: "No result for this row",
+            });
+            setRowEditability(checked.editability);
+            setRowSuggestions(suggestions);
+            if (checked.failedRowKeys.length > 0) {
+              showEditabilityError(
+                `no result for ${checked.failedRowKeys.length} rows`
+              );
+            }
+          })
+          .catch((error) => {
+            console.warn("Failed to evaluate row expressions:", error);
+            if (!isCurrent) return;
+            // Cells with an editability expression stay read-only and show
+            // the error; default values are not suggested
+            const checked = markEditabilityErrors(
+              {},
+              {
+                rows: tableData.rows,
+                columns: writebackColumns,
+                keyConfig,
+                message: error.message,
+              }
+            );
+            setRowEditability(checked.editability);
+            setRowSuggestions({});
+            if (checked.failedRowKeys.length > 0) {
+              showEditabilityError(error.message);
+            }
+          });
+
+        return () => {
+          isCurrent = false;
+        };
+      }, [tableData, layout]);
+
+      // Ctrl+Z undoes and Ctrl+Y / Ctrl+Shift+Z redoes edits; text fields
+      // keep their own undo while the user is typing in them
+      useEffect(() => {
+        const handleKeyDown = (e) => {
+          if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+          const key = e.key.toLowerCase();
+          if (key !== "z" && key !== "y") return;
+          if (isTextField(e.target)) return;
+
+          e.preventDefault();
+          handleUndoRedo(key === "z" && !e.shiftKey);
+        };
+
+        element.addEventListener("keydown", handleKeyDown);
+        return () => element.removeEventListener("keydown", handleKeyDown);
+      }, [element]);
+
+      // Keep snapshots of the edited rows, so edits made on other pages are
+      // still validated and saved (and survive a reload with the draft)
+      useEffect(() => {
+        if (!tableData?.rows) return;
+
+        const changed = editedRowStore.capture({
+          rows: tableData.rows,
+          editedData,
+          editability: rowEditability,
+          page: paginationManager.currentPage,
+          keyConfig,
+        });
+        if (changed) saveDraftToStorage(editedData);
+      }, [tableData, editedData, rowEditability]);
+
+      // Autosave after a pause in editing; every edit restarts the delay, so
+      // rapid edits are saved together as one version per row
+      useEffect(() => {
+        if (!autosaveEnabled || !hasUnsavedChanges || isSaving) {
+          return undefined;
+        }
+        if (failedAutosave === editedData) return undefined;
+
+        const timer = setTimeout(
+          () => handleSaveChanges({ auto: true }),
+          autosaveDelay
+        );
+        return () => clearTimeout(timer);
+      }, [
+        editedData,
+        hasUnsavedChanges,
+        isSaving,
+        autosaveEnabled,
+        autosaveDelay,
+      ]);
+
+      // Offline save queue: load it and replay when connectivity returns
+      // (replays go through the handlers ref for the current layout and
+      // backend adapter)
+      useEffect(() => {
+        const replay = () => handlers.current.replaySaveQueue();
+        refreshSyncQueue().then(replay);
+
+        const handleOnline = () => {
+          console.log("Connection restored, replaying save queue");
+          replay();
+        };
+        window.addEventListener("online", handleOnline);
+
+        // The backend may come back while the browser stays online
+        const timer = setInterval(replay, SAVE_QUEUE.REPLAY_INTERVAL);
+
+        return () => {
+          window.removeEventListener("online", handleOnline);
+          clearInterval(timer);
+        };
+      }, [model?.id, layout.qInfo?.qId]);
 
       // Main layout effect - CLEAN VERSION
       useEffect(() => {
@@ -452,14 +1112,23 @@ export default function supernova(galaxy) {
           let mergedRows = qlikData.rows;
 
           try {
-            const latestWritebacks = await fetchLatestWritebacks(appId);
+            const latestWritebacks = await fetchWritebacksForKeys(
+              appId,
+              getRowIdentityKeys(qlikData.rows, keyConfig),
+              getBackendAdapter(layout)
+            );
             console.log(
               "Fetched writeback records:",
               latestWritebacks?.length || 0
             );
 
             if (latestWritebacks && latestWritebacks.length > 0) {
-              mergedRows = mergeWritebackData(qlikData.rows, latestWritebacks);
+              mergedRows = mergeWritebackData(
+                qlikData.rows,
+                latestWritebacks,
+                keyConfig,
+                writebackColumns
+              );
               console.log("Successfully merged writeback data");
             } else {
               console.log("No writeback data found - using original Qlik data");
@@ -471,6 +1140,8 @@ export default function supernova(galaxy) {
           // Set the final table data
           setTableData({ ...qlikData, rows: mergedRows });
           console.log("=== Table data updated ===");
+
+          prefetchNeighbourPages(paginationManager.currentPage);
         }
       }, [layout, lastLayoutId, paginationManager.userChangedPage]);
 
@@ -512,7 +1183,11 @@ export default function supernova(galaxy) {
           const appId = getConsistentAppId(model);
 
           try {
-            const latestWritebacks = await fetchLatestWritebacks(appId);
+            const latestWritebacks = await fetchLatestWritebacks(
+              appId,
+              getBackendAdapter(layout),
+              getKeyFields(keyConfig)
+            );
             console.log(
               "Auto-refresh: Received",
               latestWritebacks?.length || 0,
@@ -524,7 +1199,9 @@ export default function supernova(galaxy) {
                 if (!prevData?.rows) return prevData;
                 const mergedRows = mergeWritebackData(
                   prevData.rows,
-                  latestWritebacks
+                  latestWritebacks,
+                  keyConfig,
+                  writebackColumns
                 );
                 console.log(
                   "Auto-refresh: Updated table with",
@@ -555,6 +1232,16 @@ export default function supernova(galaxy) {
         isLoading,
         hasUnsavedChanges,
         isSaving,
+        syncQueue,
+        isSyncPanelOpen,
+        isSyncing,
+        columnOptions,
+        isValidationPanelOpen,
+        isReviewPanelOpen,
+        validationVersion,
+        rowEditability,
+        rowSuggestions,
+        rowSaveStates,
       ]);
 
       // Notification manager effect
@@ -592,14 +1279,25 @@ export default function supernova(galaxy) {
           container.className = CSS_CLASSES.CONTAINER;
           element.appendChild(container);
 
+          // Validation of the pending edits (highlighted, listed, block saves)
+          const violations = layout.tableOptions?.allowWriteback
+            ? validateCurrentEdits()
+            : [];
+
           // Render table
           tableRenderer.render({
             container,
             tableData,
-            editedData,
+            editedData: { ...pendingSyncEdits, ...editedData },
+            unsavedEdits: editedData,
             selectedRow,
             layout,
             currentPage: paginationManager.currentPage,
+            columns: writebackColumns,
+            violations,
+            editability: rowEditability,
+            suggestions: rowSuggestions,
+            saveStates: rowSaveStates,
           });
 
           // Render pagination if enabled
@@ -607,7 +1305,11 @@ export default function supernova(galaxy) {
           const pageInfo = paginationManager.getCurrentPageInfo();
           const hasWriteback = layout.tableOptions?.allowWriteback;
 
-          if ((paginationEnabled && pageInfo.totalPages > 1) || hasWriteback) {
+          if (
+            (paginationEnabled && pageInfo.totalPages > 1) ||
+            hasWriteback ||
+            syncQueue.length > 0
+          ) {
             paginationRenderer.render({
               container,
               pageInfo,
@@ -615,6 +1317,41 @@ export default function supernova(galaxy) {
               hasUnsavedChanges,
               isSaving,
               onSave: handleSaveChanges,
+              syncQueue,
+              isSyncPanelOpen,
+              isSyncing,
+              violations,
+              isValidationPanelOpen,
+              autosave: autosaveEnabled,
+              editedPages: editedRowStore.getPagesWithEdits(editedData),
+              canUndo: editHistory.canUndo(),
+              canRedo: editHistory.canRedo(),
+              pendingChanges: hasWriteback
+                ? getPendingChanges({
+                    editedData,
+                    rows: [
+                      ...tableData.rows,
+                      ...editedRowStore.getOtherPageRows(
+                        tableData.rows,
+                        keyConfig
+                      ),
+                    ],
+                    columns: writebackColumns,
+                    keyConfig,
+                    getPage: (rowKey) =>
+                      editedRowStore.getPage(rowKey) ??
+                      paginationManager.currentPage,
+                    locale: tableRenderer.locale,
+                  })
+                : [],
+              isReviewPanelOpen,
+            });
+          }
+
+          // Evaluate new rule expressions, then validate again
+          if (expressionValidator.hasPending()) {
+            expressionValidator.flush().then((evaluated) => {
+              if (evaluated > 0) setValidationVersion((version) => version + 1);
             });
           }
 
@@ -765,14 +1502,8 @@ export default function supernova(galaxy) {
       min-height: 32px;
     }
     
-    .status-green {
-      background-color: #d4edda;
-      border: 1px solid #c3e6cb;
-    }
-    
-    .status-red {
-      background-color: #f8d7da;
-      border: 1px solid #f5c6cb;
+    .status-colored {
+      border: 1px solid transparent;
     }
     
     .status-icon {
@@ -811,6 +1542,328 @@ export default function supernova(galaxy) {
       box-shadow: 0 0 0 0.2rem rgba(0,123,255,.25);
     }
     
+    .writeback-textarea {
+      resize: vertical;
+      font-family: inherit;
+    }
+    
+    .writeback-longtext {
+      display: flex;
+      flex-direction: column;
+    }
+    
+    .writeback-longtext.expanded .writeback-textarea {
+      min-width: 320px;
+    }
+    
+    .longtext-footer {
+      display: flex;
+      justify-content: flex-end;
+      align-items: center;
+      gap: 6px;
+      font-size: 11px;
+      color: #6c757d;
+    }
+    
+    .char-counter.over-limit {
+      color: #dc3545;
+      font-weight: 600;
+    }
+    
+    .longtext-expand {
+      padding: 0 6px;
+      border: 1px solid #ced4da;
+      border-radius: 3px;
+      background: white;
+      cursor: pointer;
+    }
+    
+    .writeback-number {
+      text-align: right;
+    }
+    
+    .writeback-unparsed {
+      border-color: #dc3545;
+    }
+    
+    .writeback-chips {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 4px;
+    }
+    
+    .writeback-chip {
+      display: inline-flex;
+      align-items: center;
+      padding: 2px 4px 2px 8px;
+      border-radius: 12px;
+      background-color: #e7f1ff;
+      color: #0b5ed7;
+      font-size: 12px;
+    }
+    
+    .chip-remove {
+      margin-left: 2px;
+      padding: 0 4px;
+      border: none;
+      background: none;
+      color: inherit;
+      cursor: pointer;
+    }
+    
+    .chip-add {
+      padding: 2px 4px;
+      border: 1px dashed #ced4da;
+      border-radius: 12px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .writeback-toggle {
+      position: relative;
+      display: inline-block;
+      width: 34px;
+      height: 18px;
+      cursor: pointer;
+    }
+    
+    .writeback-toggle .writeback-checkbox {
+      position: absolute;
+      width: 100%;
+      height: 100%;
+      margin: 0;
+      opacity: 0;
+      cursor: pointer;
+    }
+    
+    .toggle-slider {
+      position: absolute;
+      inset: 0;
+      border-radius: 9px;
+      background-color: #ced4da;
+      transition: background-color 0.2s;
+      pointer-events: none;
+    }
+    
+    .toggle-slider::before {
+      content: "";
+      position: absolute;
+      top: 2px;
+      left: 2px;
+      width: 14px;
+      height: 14px;
+      border-radius: 50%;
+      background: white;
+      transition: transform 0.2s;
+    }
+    
+    .writeback-checkbox:checked + .toggle-slider {
+      background-color: #28a745;
+    }
+    
+    .writeback-checkbox:checked + .toggle-slider::before {
+      transform: translateX(16px);
+    }
+    
+    .writeback-checkbox:focus-visible + .toggle-slider {
+      box-shadow: 0 0 0 0.2rem rgba(0, 123, 255, 0.25);
+    }
+    
+    .writeback-dirty {
+      background-color: #fff4e6;
+      box-shadow: inset 0 -2px 0 #fd7e14;
+    }
+    
+    .writeback-invalid {
+      background-color: #fdecea;
+      box-shadow: inset 0 0 0 2px #dc3545;
+    }
+    
+    .writeback-readonly {
+      color: #6c757d;
+      background-color: #f8f9fa;
+      cursor: not-allowed;
+    }
+    
+    .writeback-suggested input,
+    .writeback-suggested select,
+    .writeback-suggested textarea {
+      font-style: italic;
+      color: #6c757d;
+      border-style: dashed;
+    }
+    
+    .suggestion-confirm {
+      margin-left: 4px;
+      padding: 2px 6px;
+      border: 1px solid #28a745;
+      border-radius: 3px;
+      background: white;
+      color: #28a745;
+      cursor: pointer;
+    }
+    
+    tr.row-dirty td:first-child {
+      box-shadow: inset 3px 0 0 #fd7e14;
+    }
+    
+    tr.row-saving td:first-child {
+      box-shadow: inset 3px 0 0 #ffc107;
+    }
+    
+    tr.row-saved td:first-child {
+      box-shadow: inset 3px 0 0 #28a745;
+    }
+    
+    tr.row-queued td:first-child {
+      box-shadow: inset 3px 0 0 #6c757d;
+    }
+    
+    tr.row-error td:first-child {
+      box-shadow: inset 3px 0 0 #dc3545;
+    }
+    
+    .autosave-indicator {
+      margin-left: 8px;
+      color: #6c757d;
+      font-size: 12px;
+    }
+    
+    .edited-pages {
+      font-size: 12px;
+      color: #856404;
+    }
+    
+    .edited-page-link {
+      margin-left: 4px;
+      padding: 1px 6px;
+      border: 1px solid #ffc107;
+      border-radius: 3px;
+      background: #fff3cd;
+      color: #856404;
+      font-size: 12px;
+      cursor: pointer;
+    }
+    
+    .edited-page-link.current {
+      cursor: default;
+      font-weight: 600;
+    }
+    
+    .discard-button {
+      margin-left: 8px;
+      padding: 8px 12px;
+      background: white;
+      color: #dc3545;
+      border: 1px solid #dc3545;
+      border-radius: 3px;
+      cursor: pointer;
+    }
+    
+    .discard-button:disabled {
+      color: #adb5bd;
+      border-color: #ced4da;
+      cursor: not-allowed;
+    }
+    
+    .undo-redo-container {
+      display: flex;
+      gap: 4px;
+    }
+    
+    .undo-redo-button {
+      padding: 6px 10px;
+      background: white;
+      color: #495057;
+      border: 1px solid #ced4da;
+      border-radius: 3px;
+      cursor: pointer;
+    }
+    
+    .undo-redo-button:disabled {
+      color: #adb5bd;
+      cursor: not-allowed;
+    }
+    
+    .review-changes-container {
+      position: relative;
+    }
+    
+    .review-changes-button {
+      padding: 6px 12px;
+      background-color: #fff4e6;
+      border: 1px solid #fd7e14;
+      border-radius: 12px;
+      color: #8a4b08;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    
+    .review-item .sync-panel-button {
+      margin-right: 4px;
+    }
+    
+    .review-values {
+      margin: 4px 0;
+    }
+    
+    .review-before {
+      color: #6c757d;
+      text-decoration: line-through;
+    }
+    
+    .review-after {
+      font-weight: 600;
+    }
+    
+    tr.row-focus {
+      animation: row-focus-flash 2s ease-out;
+    }
+    
+    @keyframes row-focus-flash {
+      from {
+        background-color: #ffe8cc;
+      }
+      to {
+        background-color: transparent;
+      }
+    }
+    
+    .cell-revert,
+    .row-revert {
+      margin-left: 4px;
+      padding: 0 5px;
+      border: 1px solid #ced4da;
+      border-radius: 3px;
+      background: white;
+      color: #6c757d;
+      cursor: pointer;
+    }
+    
+    .cell-revert:hover,
+    .row-revert:hover {
+      color: #dc3545;
+      border-color: #dc3545;
+    }
+    
+    .writeback-table td.row-actions,
+    .writeback-table th.row-actions-header {
+      width: 28px;
+      text-align: center;
+    }
+    
+    .calculated-cell {
+      text-align: right;
+      background-color: #f4f8fc;
+    }
+    
+    .calculated-error {
+      color: #dc3545;
+      cursor: help;
+    }
+    
     .pagination-container {
       display: flex;
       justify-content: space-between;
@@ -903,6 +1956,111 @@ export default function supernova(galaxy) {
       cursor: wait;
     }
 
+    .validation-summary-container {
+      position: relative;
+    }
+
+    .validation-indicator {
+      padding: 6px 12px;
+      background-color: #f8d7da;
+      border: 1px solid #dc3545;
+      border-radius: 12px;
+      color: #721c24;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .sync-status-container {
+      position: relative;
+    }
+
+    .sync-indicator {
+      padding: 6px 12px;
+      background-color: #fff3cd;
+      border: 1px solid #ffc107;
+      border-radius: 12px;
+      color: #856404;
+      font-size: 13px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+
+    .sync-indicator.syncing {
+      background-color: #d1ecf1;
+      border-color: #17a2b8;
+      color: #0c5460;
+      cursor: wait;
+    }
+
+    .sync-panel {
+      position: absolute;
+      bottom: calc(100% + 8px);
+      right: 0;
+      width: 360px;
+      max-height: 300px;
+      overflow-y: auto;
+      background: white;
+      border: 1px solid #dee2e6;
+      border-radius: 4px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+      z-index: 200;
+      font-size: 13px;
+    }
+
+    .sync-panel-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 12px;
+      border-bottom: 1px solid #dee2e6;
+      font-weight: 600;
+    }
+
+    .sync-panel-header span {
+      flex: 1;
+    }
+
+    .sync-panel-item {
+      padding: 8px 12px;
+      border-bottom: 1px solid #f1f3f5;
+    }
+
+    .sync-panel-meta {
+      color: #6c757d;
+      font-size: 12px;
+    }
+
+    .sync-panel-rows {
+      margin: 4px 0;
+      padding-left: 18px;
+    }
+
+    .sync-panel-error {
+      color: #dc3545;
+      font-size: 12px;
+      margin-bottom: 4px;
+    }
+
+    .sync-panel-button {
+      padding: 4px 10px;
+      background-color: #fff;
+      border: 1px solid #ced4da;
+      border-radius: 3px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    .sync-panel-button.danger {
+      color: #dc3545;
+      border-color: #dc3545;
+    }
+
+    .sync-panel-button:disabled {
+      opacity: 0.6;
+      cursor: not-allowed;
+    }
+
     .save-message {
       position: fixed;
       bottom: 20px;
@@ -981,14 +2139,6 @@ export default function supernova(galaxy) {
       100% { transform: rotate(360deg); }
     }
 
-    .thumbs-up-icon {
-      color: #28a745;
-    }
-
-    .thumbs-down-icon {
-      color: #dc3545;
-    }
-
     @media (max-width: 768px) {
       .pagination-container {
         flex-direction: column;
@@ -21,9 +21,26 @@ export default {
     rowAlternation: true,
     pageSize: 100,
   },
+  autosaveOptions: {
+    enabled: false,
+    delay: 2000,
+  },
   paginationOptions: {
     enabled: true,
     pageSize: 100,
     pageSizes: [25, 50, 100, 250],
+    prefetchNeighbours: false,
+  },
+  rowIdentity: {
+    keys: [],
+  },
+  writebackColumns: [],
+  calculatedColumns: [],
+  statusOptions: [],
+  backendOptions: {
+    type: "webhook",
+    restBaseUrl: "",
+    sqlDialect: "postgres",
+    legacySql: false,
   },
 };
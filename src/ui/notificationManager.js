@@ -7,7 +7,7 @@
 export class NotificationManager {
   constructor(messageRenderer) {
     this.messageRenderer = messageRenderer;
-    this.activeEditors = new Map(); // customerName -> {user, timestamp}
+    this.activeEditors = new Map(); // rowKey-fieldId -> {user, timestamp}
     this.recentChanges = new Map(); // customerName -> {user, timestamp, type}
     this.currentUser = null;
     this.sessionId = null;
@@ -44,11 +44,11 @@ export class NotificationManager {
 
   /**
    * Track when user starts editing a field
-   * @param {string} customerName - Customer name
+   * @param {string} rowKey - Row key (see core/rowIdentity.js)
    * @param {string} fieldId - Field identifier
    */
-  trackEditStart(customerName, fieldId) {
-    const key = `${customerName}-${fieldId}`;
+  trackEditStart(rowKey, fieldId) {
+    const key = `${rowKey}-${fieldId}`;
     this.activeEditors.set(key, {
       user: this.currentUser,
       timestamp: new Date().toISOString(),
@@ -56,21 +56,21 @@ export class NotificationManager {
     });
 
     console.log(
-      `Edit started: ${this.currentUser} editing ${customerName}-${fieldId}`
+      `Edit started: ${this.currentUser} editing ${rowKey}-${fieldId}`
     );
   }
 
   /**
    * Track when user stops editing a field
-   * @param {string} customerName - Customer name
+   * @param {string} rowKey - Row key (see core/rowIdentity.js)
    * @param {string} fieldId - Field identifier
    */
-  trackEditEnd(customerName, fieldId) {
-    const key = `${customerName}-${fieldId}`;
+  trackEditEnd(rowKey, fieldId) {
+    const key = `${rowKey}-${fieldId}`;
     this.activeEditors.delete(key);
 
     console.log(
-      `Edit ended: ${this.currentUser} stopped editing ${customerName}-${fieldId}`
+      `Edit ended: ${this.currentUser} stopped editing ${rowKey}-${fieldId}`
     );
   }
 
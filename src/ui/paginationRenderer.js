@@ -8,13 +8,42 @@ import { CSS_CLASSES } from "../utils/constants.js";
 export class PaginationRenderer {
   constructor(options = {}) {
     this.onPageChange = options.onPageChange || (() => {});
+    this.onToggleSyncPanel = options.onToggleSyncPanel || (() => {});
+    this.onSyncNow = options.onSyncNow || (() => {});
+    this.onDiscardQueued = options.onDiscardQueued || (() => {});
+    this.onDiscardAll = options.onDiscardAll || (() => {});
+    this.onUndo = options.onUndo || (() => {});
+    this.onRedo = options.onRedo || (() => {});
+    this.onToggleReviewPanel = options.onToggleReviewPanel || (() => {});
+    this.onJumpToChange = options.onJumpToChange || (() => {});
+    this.onDiscardChange = options.onDiscardChange || (() => {});
+    this.onToggleValidationPanel =
+      options.onToggleValidationPanel || (() => {});
   }
 
   /**
    * Render pagination controls
    * @param {Object} params - Render parameters
    */
-  render({ container, pageInfo, layout, hasUnsavedChanges, isSaving, onSave }) {
+  render({
+    container,
+    pageInfo,
+    layout,
+    hasUnsavedChanges,
+    isSaving,
+    onSave,
+    syncQueue = [],
+    isSyncPanelOpen = false,
+    isSyncing = false,
+    violations = [],
+    isValidationPanelOpen = false,
+    autosave = false,
+    editedPages = [],
+    canUndo = false,
+    canRedo = false,
+    pendingChanges = [],
+    isReviewPanelOpen = false,
+  }) {
     console.log("PaginationRenderer: Creating pagination controls");
 
     // Create pagination container
@@ -27,13 +56,50 @@ export class PaginationRenderer {
     // Create pagination controls
     this.renderPaginationControls(paginationContainer, pageInfo);
 
-    // Add save button if writeback is enabled
+    // Pages holding pending edits (only useful with several pages)
+    if (editedPages.length > 0 && pageInfo.totalPages > 1) {
+      this.renderEditedPages(paginationContainer, editedPages, pageInfo);
+    }
+
+    // Add undo/redo and save buttons if writeback is enabled
     if (layout.tableOptions?.allowWriteback) {
+      this.renderUndoRedo(paginationContainer, canUndo, canRedo, isSaving);
       this.renderSaveButton(
         paginationContainer,
         hasUnsavedChanges,
         isSaving,
-        onSave
+        onSave,
+        violations.length,
+        autosave
+      );
+    }
+
+    // Pending changes to review before saving
+    if (pendingChanges.length > 0) {
+      this.renderReviewChanges(
+        paginationContainer,
+        pendingChanges,
+        isReviewPanelOpen,
+        pageInfo
+      );
+    }
+
+    // Validation summary (only while edits break a rule)
+    if (violations.length > 0) {
+      this.renderValidationSummary(
+        paginationContainer,
+        violations,
+        isValidationPanelOpen
+      );
+    }
+
+    // Offline queue indicator (only while something is waiting)
+    if (syncQueue.length > 0) {
+      this.renderSyncIndicator(
+        paginationContainer,
+        syncQueue,
+        isSyncPanelOpen,
+        isSyncing
       );
     }
 
@@ -74,6 +140,38 @@ export class PaginationRenderer {
     container.appendChild(paginationControls);
   }
 
+  /**
+   * Render the "Unsaved edits on pages" links
+   * @param {HTMLElement} container - Pagination container
+   * @param {Array} editedPages - Pages with pending edits, ascending
+   * @param {Object} pageInfo - Page information
+   */
+  renderEditedPages(container, editedPages, pageInfo) {
+    const editedPagesInfo = document.createElement("div");
+    editedPagesInfo.className = "edited-pages";
+    editedPagesInfo.textContent =
+      editedPages.length === 1
+        ? "Unsaved edits on page "
+        : "Unsaved edits on pages ";
+
+    editedPages.forEach((page) => {
+      const pageLink = document.createElement("button");
+      pageLink.className =
+        "edited-page-link" + (page === pageInfo.currentPage ? " current" : "");
+      pageLink.textContent = page;
+      pageLink.title = `Go to page ${page}`;
+      pageLink.disabled = page === pageInfo.currentPage;
+      pageLink.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.onPageChange(page);
+      });
+      editedPagesInfo.appendChild(pageLink);
+    });
+
+    container.appendChild(editedPagesInfo);
+  }
+
   /**
    * Render previous page button
    * @param {HTMLElement} controls - Controls container
@@ -161,8 +259,17 @@ export class PaginationRenderer {
    * @param {boolean} hasUnsavedChanges - Whether there are unsaved changes
    * @param {boolean} isSaving - Whether save is in progress
    * @param {Function} onSave - Save callback function
+   * @param {number} invalidCount - Number of invalid values (blocks saving)
+   * @param {boolean} autosave - Whether edits are also saved automatically
    */
-  renderSaveButton(container, hasUnsavedChanges, isSaving, onSave) {
+  renderSaveButton(
+    container,
+    hasUnsavedChanges,
+    isSaving,
+    onSave,
+    invalidCount = 0,
+    autosave = false
+  ) {
     const saveButtonContainer = document.createElement("div");
     saveButtonContainer.className = "save-button-container";
 
@@ -171,7 +278,10 @@ export class PaginationRenderer {
     saveButton.textContent = "Save All Changes";
 
     // Button state management
-    saveButton.disabled = !hasUnsavedChanges || isSaving;
+    saveButton.disabled = !hasUnsavedChanges || isSaving || invalidCount > 0;
+    if (invalidCount > 0) {
+      saveButton.title = "Fix the invalid values before saving";
+    }
 
     if (isSaving) {
       saveButton.classList.add("saving");
@@ -186,7 +296,7 @@ export class PaginationRenderer {
         e.stopPropagation();
         console.log("BUTTON DEBUG: Click event fired");
         console.log("BUTTON DEBUG: Button disabled:", saveButton.disabled);
-        if (!isSaving && hasUnsavedChanges) {
+        if (!isSaving && hasUnsavedChanges && invalidCount === 0) {
           console.log("BUTTON DEBUG: Calling onSave");
           //console.log("Save button clicked, triggering save");
           onSave();
@@ -199,9 +309,319 @@ export class PaginationRenderer {
     );
 
     saveButtonContainer.appendChild(saveButton);
+
+    // Throw away all pending edits (the handler asks for confirmation)
+    const discardButton = document.createElement("button");
+    discardButton.className = "discard-button";
+    discardButton.textContent = "Discard all changes";
+    discardButton.disabled = !hasUnsavedChanges || isSaving;
+    discardButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!isSaving && hasUnsavedChanges) this.onDiscardAll();
+    });
+    saveButtonContainer.appendChild(discardButton);
+
+    if (autosave) {
+      const autosaveIndicator = document.createElement("span");
+      autosaveIndicator.className = "autosave-indicator";
+      autosaveIndicator.textContent = "Autosave on";
+      autosaveIndicator.title =
+        "Changes are saved automatically after a pause in editing";
+      saveButtonContainer.appendChild(autosaveIndicator);
+    }
+
     container.appendChild(saveButtonContainer);
   }
 
+  /**
+   * Render the undo and redo buttons
+   * @param {HTMLElement} container - Pagination container
+   * @param {boolean} canUndo - Whether there is an edit to undo
+   * @param {boolean} canRedo - Whether there is an undone edit to redo
+   * @param {boolean} isSaving - Whether save is in progress
+   */
+  renderUndoRedo(container, canUndo, canRedo, isSaving) {
+    const undoRedoContainer = document.createElement("div");
+    undoRedoContainer.className = "undo-redo-container";
+
+    [
+      {
+        label: "↶ Undo",
+        title: "Undo (Ctrl+Z)",
+        enabled: canUndo,
+        action: this.onUndo,
+      },
+      {
+        label: "↷ Redo",
+        title: "Redo (Ctrl+Y)",
+        enabled: canRedo,
+        action: this.onRedo,
+      },
+    ].forEach(({ label, title, enabled, action }) => {
+      const button = document.createElement("button");
+      button.className = "undo-redo-button";
+      button.textContent = label;
+      button.title = title;
+      button.disabled = !enabled || isSaving;
+      button.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!button.disabled) action();
+      });
+      undoRedoContainer.appendChild(button);
+    });
+
+    container.appendChild(undoRedoContainer);
+  }
+
+  /**
+   * Render the "Review changes" button and its list of pending changes
+   * @param {HTMLElement} container - Pagination container
+   * @param {Array} changes - Pending changes (see core/pendingChanges.js)
+   * @param {boolean} isOpen - Whether the list is expanded
+   * @param {Object} pageInfo - Page information
+   */
+  renderReviewChanges(container, changes, isOpen, pageInfo) {
+    const reviewContainer = document.createElement("div");
+    reviewContainer.className = "review-changes-container";
+
+    const reviewButton = document.createElement("button");
+    reviewButton.className = "review-changes-button";
+    reviewButton.textContent = `Review changes (${changes.length})`;
+    reviewButton.title = "List the unsaved changes";
+    reviewButton.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onToggleReviewPanel();
+    });
+    reviewContainer.appendChild(reviewButton);
+
+    if (isOpen) {
+      const panel = document.createElement("div");
+      panel.className = "sync-panel review-panel";
+      panel.addEventListener("click", (e) => e.stopPropagation());
+
+      const header = document.createElement("div");
+      header.className = "sync-panel-header";
+      header.textContent = "Unsaved changes";
+      panel.appendChild(header);
+
+      changes.forEach((change) => {
+        const entry = document.createElement("div");
+        entry.className = "sync-panel-item review-item";
+
+        const meta = document.createElement("div");
+        meta.className = "sync-panel-meta";
+        meta.textContent =
+          pageInfo.totalPages > 1
+            ? `${change.rowLabel} · page ${change.page}`
+            : change.rowLabel;
+        entry.appendChild(meta);
+
+        const values = document.createElement("div");
+        values.className = "review-values";
+        const before = document.createElement("span");
+        before.className = "review-before";
+        before.textContent = change.before || "(empty)";
+        const after = document.createElement("span");
+        after.className = "review-after";
+        after.textContent = change.after || "(empty)";
+        values.append(`${change.label}: `, before, " → ", after);
+        entry.appendChild(values);
+
+        const jumpButton = document.createElement("button");
+        jumpButton.className = "sync-panel-button";
+        jumpButton.textContent = "Go to row";
+        jumpButton.addEventListener("click", () => this.onJumpToChange(change));
+        entry.appendChild(jumpButton);
+
+        const discardButton = document.createElement("button");
+        discardButton.className = "sync-panel-button danger";
+        discardButton.textContent = "Discard";
+        discardButton.addEventListener("click", () =>
+          this.onDiscardChange(change.dataKey)
+        );
+        entry.appendChild(discardButton);
+
+        panel.appendChild(entry);
+      });
+
+      reviewContainer.appendChild(panel);
+    }
+
+    container.appendChild(reviewContainer);
+  }
+
+  /**
+   * Render the "N invalid values" indicator and its list of violations
+   * @param {HTMLElement} container - Pagination container
+   * @param {Array} violations - Violations (see core/validationRules.js)
+   * @param {boolean} isOpen - Whether the list is expanded
+   */
+  renderValidationSummary(container, violations, isOpen) {
+    const summaryContainer = document.createElement("div");
+    summaryContainer.className = "validation-summary-container";
+
+    const indicator = document.createElement("button");
+    indicator.className = "validation-indicator";
+    indicator.textContent =
+      violations.length === 1
+        ? "1 invalid value"
+        : `${violations.length} invalid values`;
+    indicator.title = "Show invalid values";
+    indicator.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onToggleValidationPanel();
+    });
+    summaryContainer.appendChild(indicator);
+
+    if (isOpen) {
+      const panel = document.createElement("div");
+      panel.className = "sync-panel validation-panel";
+      panel.addEventListener("click", (e) => e.stopPropagation());
+
+      const header = document.createElement("div");
+      header.className = "sync-panel-header";
+      header.textContent = "Fix before saving";
+      panel.appendChild(header);
+
+      const list = document.createElement("ul");
+      list.className = "sync-panel-rows";
+      violations.forEach((violation) => {
+        const item = document.createElement("li");
+        item.textContent = `${violation.rowLabel} – ${
+          violation.label
+        }: ${violation.messages.join(", ")}`;
+        list.appendChild(item);
+      });
+      panel.appendChild(list);
+
+      summaryContainer.appendChild(panel);
+    }
+
+    container.appendChild(summaryContainer);
+  }
+
+  /**
+   * Render the "N changes pending sync" indicator and its queue panel
+   * @param {HTMLElement} container - Pagination container
+   * @param {Array} syncQueue - Queued save batches (see SaveQueue)
+   * @param {boolean} isSyncPanelOpen - Whether the queue panel is expanded
+   * @param {boolean} isSyncing - Whether a replay is in progress
+   */
+  renderSyncIndicator(container, syncQueue, isSyncPanelOpen, isSyncing) {
+    const pendingCount = syncQueue.reduce(
+      (count, item) => count + item.payloads.length,
+      0
+    );
+
+    const syncContainer = document.createElement("div");
+    syncContainer.className = "sync-status-container";
+
+    const indicator = document.createElement("button");
+    indicator.className = "sync-indicator" + (isSyncing ? " syncing" : "");
+    const label = pendingCount === 1 ? "change" : "changes";
+    indicator.textContent = isSyncing
+      ? `Syncing ${pendingCount} ${label}...`
+      : `${pendingCount} ${label} pending sync`;
+    indicator.title = "Show queued changes";
+    indicator.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onToggleSyncPanel();
+    });
+    syncContainer.appendChild(indicator);
+
+    if (isSyncPanelOpen) {
+      syncContainer.appendChild(this.createSyncPanel(syncQueue, isSyncing));
+    }
+
+    container.appendChild(syncContainer);
+  }
+
+  /**
+   * Create the panel listing queued save batches
+   * @param {Array} syncQueue - Queued save batches
+   * @param {boolean} isSyncing - Whether a replay is in progress
+   * @returns {HTMLElement} Panel element
+   */
+  createSyncPanel(syncQueue, isSyncing) {
+    const panel = document.createElement("div");
+    panel.className = "sync-panel";
+    panel.addEventListener("click", (e) => e.stopPropagation());
+
+    const header = document.createElement("div");
+    header.className = "sync-panel-header";
+
+    const title = document.createElement("span");
+    title.textContent = "Queued changes";
+    header.appendChild(title);
+
+    const syncButton = document.createElement("button");
+    syncButton.className = "sync-panel-button";
+    syncButton.textContent = "Sync now";
+    syncButton.disabled = isSyncing;
+    syncButton.addEventListener("click", () => this.onSyncNow());
+    header.appendChild(syncButton);
+
+    const discardAllButton = document.createElement("button");
+    discardAllButton.className = "sync-panel-button danger";
+    discardAllButton.textContent = "Discard all";
+    discardAllButton.disabled = isSyncing;
+    discardAllButton.addEventListener("click", () =>
+      this.onDiscardQueued(null)
+    );
+    header.appendChild(discardAllButton);
+
+    panel.appendChild(header);
+
+    syncQueue.forEach((item) => {
+      const entry = document.createElement("div");
+      entry.className = "sync-panel-item";
+
+      const meta = document.createElement("div");
+      meta.className = "sync-panel-meta";
+      meta.textContent = `Queued ${new Date(
+        item.queuedAt
+      ).toLocaleString()} · ${item.attempts} sync attempts`;
+      entry.appendChild(meta);
+
+      const rows = document.createElement("ul");
+      rows.className = "sync-panel-rows";
+      item.payloads.forEach((payload) => {
+        const row = document.createElement("li");
+        const values = Object.values(payload.edits).filter(
+          (value) => value !== "" && value !== null && value !== "[]"
+        );
+        row.textContent = `${Object.values(payload.keys).join(" / ")}: ${values.join(" – ")}`;
+        rows.appendChild(row);
+      });
+      entry.appendChild(rows);
+
+      if (item.lastError) {
+        const error = document.createElement("div");
+        error.className = "sync-panel-error";
+        error.textContent = item.lastError;
+        entry.appendChild(error);
+      }
+
+      const discardButton = document.createElement("button");
+      discardButton.className = "sync-panel-button danger";
+      discardButton.textContent = "Discard";
+      discardButton.disabled = isSyncing;
+      discardButton.addEventListener("click", () =>
+        this.onDiscardQueued(item.id)
+      );
+      entry.appendChild(discardButton);
+
+      panel.appendChild(entry);
+    });
+
+    return panel;
+  }
+
   /**
    * Update pagination display without full re-render
    * @param {Object} pageInfo - Updated page information
@@ -247,12 +667,13 @@ export class PaginationRenderer {
    * Update save button state
    * @param {boolean} hasUnsavedChanges - Whether there are unsaved changes
    * @param {boolean} isSaving - Whether save is in progress
+   * @param {number} invalidCount - Number of invalid values (blocks saving)
    */
-  updateSaveButton(hasUnsavedChanges, isSaving) {
+  updateSaveButton(hasUnsavedChanges, isSaving, invalidCount = 0) {
     const saveButton = document.querySelector(`.${CSS_CLASSES.SAVE_BUTTON}`);
     if (!saveButton) return;
 
-    saveButton.disabled = !hasUnsavedChanges || isSaving;
+    saveButton.disabled = !hasUnsavedChanges || isSaving || invalidCount > 0;
 
     if (isSaving) {
       saveButton.classList.add("saving");
@@ -261,5 +682,10 @@ export class PaginationRenderer {
       saveButton.classList.remove("saving");
       saveButton.textContent = "Save All Changes";
     }
+
+    const discardButton = document.querySelector(".discard-button");
+    if (discardButton) {
+      discardButton.disabled = !hasUnsavedChanges || isSaving;
+    }
   }
 }
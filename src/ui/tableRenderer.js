@@ -6,17 +6,83 @@
 
 import {
   COLUMN_TYPES,
-  STATUS_OPTIONS,
-  STATUS_ICONS,
   CSS_CLASSES,
-  SPECIAL_COLUMNS,
+  WRITEBACK_FIELD_TYPES,
+  ROW_SAVE_STATES,
 } from "../utils/constants.js";
-import { extractCustomerName, generateDataKey } from "../core/dataProcessor.js";
+import { generateDataKey } from "../core/dataProcessor.js";
+import { getRowKeyConfig, getRowKey } from "../core/rowIdentity.js";
+import { isCellEditable, getEditabilityError } from "../core/editability.js";
+import { getEditedRowKeys } from "../core/rowSaveStatus.js";
+import {
+  parseLocaleNumber,
+  formatLocaleNumber,
+  stepNumber,
+} from "../core/localeNumbers.js";
+import {
+  calculateRow,
+  formatCalculatedValue,
+} from "../core/calculatedColumns.js";
+import {
+  getCellValue,
+  formatCellValue,
+  getSuggestedValue,
+  getEmptyValue,
+  findOption,
+  getDependentOptions,
+  getChildColumns,
+  isAllowedByParent,
+} from "../core/writebackColumns.js";
+
+/**
+ * Add current values missing from an option list (e.g. a value removed from
+ * the source field, or options that are still loading) so they stay visible
+ */
+function withCurrentValues(options, values) {
+  const list = options || [];
+  const missing = values.filter(
+    (value) => value !== "" && !list.some((option) => option.value === value)
+  );
+  return [...list, ...missing.map((value) => ({ value, text: value }))];
+}
+
+// Row tooltips of the save states without a message
+const SAVE_STATE_TITLES = {
+  [ROW_SAVE_STATES.SAVING]: "Saving...",
+  [ROW_SAVE_STATES.SAVED]: "Saved",
+};
+
+/**
+ * Light background for a status colour (hex colours only)
+ */
+function tintColor(color) {
+  return /^#[0-9a-f]{6}$/i.test(color) ? `${color}22` : "";
+}
 
 export class TableRenderer {
   constructor(options = {}) {
     this.onCellEdit = options.onCellEdit || (() => {});
     this.onRowSelect = options.onRowSelect || (() => {});
+
+    // Focus and input within the editors of a row (edit time tracking)
+    this.onEditFocus = options.onEditFocus || (() => {});
+    this.onEditBlur = options.onEditBlur || (() => {});
+    this.onEditActivity = options.onEditActivity || (() => {});
+
+    // Revert the unsaved edits of a row (row key) or a cell (editedData key)
+    this.onRevertRow = options.onRevertRow || (() => {});
+    this.onRevertCell = options.onRevertCell || (() => {});
+
+    // Locale of the number editors
+    this.locale =
+      options.locale ||
+      (typeof navigator !== "undefined" ? navigator.language : undefined);
+
+    // Long text editors the user expanded, by editedData key
+    this.expandedCells = new Set();
+
+    // Row to scroll to once rendered (see focusRow)
+    this.focusRowKey = null;
   }
 
   /**
@@ -29,9 +95,39 @@ export class TableRenderer {
     selectedRow,
     layout,
     currentPage,
+    columns,
+    violations = [],
+    editability = {},
+    suggestions = {},
+    saveStates = {},
+    unsavedEdits = {},
   }) {
     console.log("TableRenderer: Starting table render");
 
+    // Row identity used for the editedData keys of every writeback cell
+    this.keyConfig = getRowKeyConfig(layout);
+
+    // Writeback columns with their current (possibly Qlik-loaded) options
+    this.columns = columns || [];
+    this.editedData = editedData;
+
+    // Validation violations of edited rows, by editedData key
+    this.violations = new Map(
+      violations.map((violation) => [violation.dataKey, violation])
+    );
+
+    // Per-row expression results by row key (see RowExpressionManager)
+    this.editability = editability;
+    this.suggestions = suggestions;
+
+    // Save state of rows being or just saved, by row key (see rowSaveStatus)
+    this.saveStates = saveStates;
+
+    // Edits that can be reverted (editedData holds queued values too)
+    this.unsavedEdits = unsavedEdits;
+    this.unsavedRowKeys = new Set(getEditedRowKeys(unsavedEdits));
+    this.showRowActions = !!layout.tableOptions?.allowWriteback;
+
     // Create table wrapper for scrolling
     const tableWrapper = document.createElement("div");
     tableWrapper.className = CSS_CLASSES.SCROLL_WRAPPER;
@@ -76,6 +172,12 @@ export class TableRenderer {
       headerRow.appendChild(th);
     });
 
+    if (this.showRowActions) {
+      const th = document.createElement("th");
+      th.className = "row-actions-header";
+      headerRow.appendChild(th);
+    }
+
     thead.appendChild(headerRow);
     table.appendChild(thead);
   }
@@ -86,10 +188,22 @@ export class TableRenderer {
   renderBody(table, tableData, editedData, selectedRow, layout, currentPage) {
     const tbody = document.createElement("tbody");
     table.appendChild(tbody);
+    this.tbody = tbody;
+
+    const calculatedColumns = tableData.headers
+      .filter((header) => header.type === COLUMN_TYPES.CALCULATED)
+      .map((header) => header.meta.column);
 
     tableData.rows.forEach((row, rowIndex) => {
+      const rowKey = getRowKey(row, this.keyConfig);
       const tr = document.createElement("tr");
       tr.setAttribute("data-row", rowIndex);
+      tr.setAttribute("data-row-key", rowKey);
+
+      // Rows with unsaved edits
+      if (this.unsavedRowKeys.has(rowKey)) {
+        tr.classList.add("row-dirty");
+      }
 
       // Apply selected class if this is the selected row
       if (rowIndex === selectedRow) {
@@ -101,6 +215,20 @@ export class TableRenderer {
         tr.classList.add(CSS_CLASSES.ALTERNATE);
       }
 
+      this.applySaveState(tr, row);
+      this.trackEditFocus(tr, row);
+
+      // Calculated values of the row, from its current (edited) values
+      const calculated =
+        calculatedColumns.length > 0
+          ? calculateRow(row, {
+              calculatedColumns,
+              columns: this.columns,
+              editedData,
+              keyConfig: this.keyConfig,
+            })
+          : {};
+
       // Create cells for each column
       tableData.headers.forEach((header) => {
         const td = this.createCell(
@@ -110,19 +238,115 @@ export class TableRenderer {
           rowIndex,
           layout,
           currentPage,
-          tr
+          tr,
+          calculated
         );
         tr.appendChild(td);
       });
 
+      if (this.showRowActions) {
+        tr.appendChild(this.createRowActionsCell(row));
+      }
+
       tbody.appendChild(tr);
     });
+
+    this.applyRowFocus();
+  }
+
+  /**
+   * Scroll to a row and highlight it
+   * A row that is not rendered yet (another page being loaded) is focused
+   * as soon as it is.
+   * @param {string} rowKey - Row key
+   */
+  focusRow(rowKey) {
+    this.focusRowKey = rowKey;
+    this.applyRowFocus();
+  }
+
+  /**
+   * Focus the requested row if it is rendered
+   */
+  applyRowFocus() {
+    if (!this.focusRowKey || !this.tbody) return;
+
+    const tr = Array.from(this.tbody.children).find(
+      (other) => other.getAttribute("data-row-key") === this.focusRowKey
+    );
+    if (!tr) return;
+
+    this.focusRowKey = null;
+    tr.classList.add("row-focus");
+    tr.scrollIntoView?.({ block: "center" });
+  }
+
+  /**
+   * Create the last cell of a row, with the revert action of edited rows
+   */
+  createRowActionsCell(row) {
+    const td = document.createElement("td");
+    td.className = "row-actions";
+
+    const rowKey = getRowKey(row, this.keyConfig);
+    if (!this.unsavedRowKeys.has(rowKey)) return td;
+
+    const button = document.createElement("button");
+    button.className = "row-revert";
+    button.textContent = "↺";
+    button.title = "Revert unsaved changes in this row";
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onRevertRow(rowKey);
+    });
+    td.appendChild(button);
+    return td;
+  }
+
+  /**
+   * Report focus entering and leaving the editors of a row, and input in them
+   * Moving between cells of the same row does not count as leaving it.
+   */
+  trackEditFocus(tr, row) {
+    const rowKey = getRowKey(row, this.keyConfig);
+
+    tr.addEventListener("focusin", (e) => {
+      if (tr.contains(e.relatedTarget)) return;
+      this.onEditFocus(rowKey);
+    });
+    tr.addEventListener("focusout", (e) => {
+      if (tr.contains(e.relatedTarget)) return;
+      this.onEditBlur(rowKey);
+    });
+    tr.addEventListener("input", () => this.onEditActivity(rowKey));
+  }
+
+  /**
+   * Mark a row that is being saved, was just saved or failed to save
+   */
+  applySaveState(tr, row) {
+    const saveState = this.saveStates[getRowKey(row, this.keyConfig)];
+    if (!saveState) return;
+
+    tr.classList.add(`row-${saveState.state}`);
+    tr.setAttribute("data-save-state", saveState.state);
+    tr.title = saveState.message || SAVE_STATE_TITLES[saveState.state] || "";
   }
 
   /**
    * Create a table cell
    */
-  createCell(row, header, editedData, rowIndex, layout, currentPage, tr) {
+  createCell(
+    row,
+    header,
+    editedData,
+    rowIndex,
+    layout,
+    currentPage,
+    tr,
+    calculated = {}
+  ) {
     const td = document.createElement("td");
     const cellData = row[header.id];
 
@@ -136,6 +360,8 @@ export class TableRenderer {
         rowIndex,
         currentPage
       );
+    } else if (header.type === COLUMN_TYPES.CALCULATED) {
+      this.createCalculatedCell(td, header.meta.column, calculated[header.id]);
     } else {
       this.createDataCell(td, cellData, header, rowIndex, layout, tr);
     }
@@ -145,62 +371,205 @@ export class TableRenderer {
 
   /**
    * Create writeback (editable) cell
+   * The editor depends on the type of the writeback column
    */
   createWritebackCell(td, row, header, editedData, rowIndex, currentPage) {
-    const customerName = extractCustomerName(row, rowIndex, currentPage);
-    const invoiceId = row[SPECIAL_COLUMNS.INVOICE_ID]?.value || "";
+    const rowKey = getRowKey(row, this.keyConfig);
+    const fallback = { id: header.id, type: WRITEBACK_FIELD_TYPES.TEXT };
+    const configured =
+      this.columns.find((other) => other.id === header.id) ||
+      header.meta?.column ||
+      fallback;
+
+    // Dependent columns only offer the options allowed by the parent's value
+    const column = configured.parentColumn
+      ? {
+          ...configured,
+          options: getDependentOptions(
+            configured,
+            this.getColumnValue(row, configured.parentColumn, editedData)
+          ),
+        }
+      : configured;
 
     // Use composite key for unique identification
-    const dataKey = generateDataKey(row, header.id);
-    const cellData = row[header.id];
+    const dataKey = generateDataKey(row, header.id, this.keyConfig);
+    const value = getCellValue(row, column, editedData, dataKey);
 
-    if (header.id === "status") {
-      this.createStatusDropdown(
+    // Rows the column must not be edited on show the value as plain text
+    if (!isCellEditable(row, configured, this.editability[rowKey])) {
+      this.createReadOnlyCell(
         td,
-        cellData,
-        editedData,
-        dataKey,
-        customerName,
-        invoiceId,
-        row
+        configured,
+        value,
+        getEditabilityError(configured, this.editability[rowKey])
       );
-    } else {
-      this.createTextInput(
-        td,
-        cellData,
-        editedData,
-        dataKey,
-        customerName,
-        invoiceId,
-        header.id,
-        row
+      return;
+    }
+
+    // Empty cells show their default as a suggestion until it is confirmed
+    const suggested = getSuggestedValue(
+      row,
+      configured,
+      editedData,
+      dataKey,
+      this.suggestions[rowKey]
+    );
+    const shown = suggested === undefined ? value : suggested;
+    if (suggested !== undefined) {
+      td.classList.add("writeback-suggested");
+      td.title = "Suggested value - confirm or change it";
+    }
+
+    // Highlight values that break a validation rule
+    const violation = this.violations.get(dataKey);
+    if (violation) {
+      td.classList.add("writeback-invalid");
+      td.title = violation.messages.join("\n");
+    }
+
+    switch (column.type) {
+      case WRITEBACK_FIELD_TYPES.SINGLE_SELECT:
+        this.createSelectDropdown(td, column, shown, rowKey, row);
+        break;
+      case WRITEBACK_FIELD_TYPES.MULTI_SELECT:
+        this.createMultiSelect(td, column, shown, rowKey, row);
+        break;
+      case WRITEBACK_FIELD_TYPES.BOOLEAN:
+        this.createCheckbox(td, column, shown, rowKey, row);
+        break;
+      case WRITEBACK_FIELD_TYPES.LONG_TEXT:
+        this.createTextArea(td, column, shown, rowKey, row);
+        break;
+      case WRITEBACK_FIELD_TYPES.NUMBER:
+        this.createNumberInput(td, column, shown, rowKey, row);
+        break;
+      case WRITEBACK_FIELD_TYPES.DATE:
+        this.createDateInput(td, column, shown, rowKey, row);
+        break;
+      default:
+        this.createTextInput(td, column, shown, rowKey, row);
+    }
+
+    if (suggested !== undefined) {
+      this.createConfirmButton(td, column, suggested, row);
+    }
+
+    // Unsaved edits show the value they replace
+    if (dataKey in this.unsavedEdits) {
+      const original = formatCellValue(
+        column,
+        getCellValue(row, column, {}, dataKey),
+        this.locale
       );
+      const edited = formatCellValue(column, value, this.locale);
+      td.classList.add("writeback-dirty");
+      td.title = [
+        `Original: ${original || "(empty)"}`,
+        `New: ${edited || "(empty)"}`,
+        td.title,
+      ]
+        .filter(Boolean)
+        .join("\n");
+
+      this.createRevertButton(td, dataKey);
     }
   }
 
   /**
-   * Create status dropdown cell
+   * Create the button that reverts the unsaved edit of a cell
    */
-  createStatusDropdown(
-    td,
-    cellData,
-    editedData,
-    dataKey,
-    customerName,
-    invoiceId,
-    row
-  ) {
+  createRevertButton(td, dataKey) {
+    const button = document.createElement("button");
+    button.className = "cell-revert";
+    button.textContent = "↺";
+    button.title = "Revert to the saved value";
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.onRevertCell(dataKey);
+    });
+
+    td.appendChild(button);
+  }
+
+  /**
+   * Create the button that confirms a suggested value (making it an edit)
+   */
+  createConfirmButton(td, column, suggested, row) {
+    const button = document.createElement("button");
+    button.className = "suggestion-confirm";
+    button.textContent = "✓";
+    button.title = "Confirm suggested value";
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      console.log(`${column.id} suggestion confirmed:`, suggested);
+      this.editCell(
+        row,
+        column,
+        Array.isArray(suggested) ? [...suggested] : suggested
+      );
+    });
+
+    td.appendChild(button);
+  }
+
+  /**
+   * Get the current (edited or merged) value of a writeback column in a row
+   */
+  getColumnValue(row, columnId, editedData) {
+    const column = this.columns.find((other) => other.id === columnId);
+    if (!column) return undefined;
+    const dataKey = generateDataKey(row, columnId, this.keyConfig);
+    return getCellValue(row, column, editedData, dataKey);
+  }
+
+  /**
+   * Report an edit and clear dependent values the new value no longer allows
+   */
+  editCell(row, column, value) {
+    this.onCellEdit(row, column.id, value);
+
+    const expressionResults = this.editability[getRowKey(row, this.keyConfig)];
+    getChildColumns(this.columns, column.id).forEach((child) => {
+      if (!isCellEditable(row, child, expressionResults)) return;
+      const childValue = this.getColumnValue(row, child.id, this.editedData);
+      if (!isAllowedByParent(child, childValue, value)) {
+        console.log(`Clearing ${child.id}: not allowed for ${column.id}`);
+        this.editCell(row, child, getEmptyValue(child));
+      }
+    });
+  }
+
+  /**
+   * Create read-only writeback cell
+   * Cells whose editability expression could not be evaluated show the error
+   */
+  createReadOnlyCell(td, column, value, error = null) {
+    td.classList.add("writeback-readonly");
+    td.title = "Not editable for this row";
+    if (error) {
+      td.classList.add("writeback-editability-error");
+      td.title = `Editability could not be evaluated: ${error}`;
+    }
+    td.textContent = formatCellValue(column, value, this.locale);
+  }
+
+  /**
+   * Create single-select dropdown cell
+   */
+  createSelectDropdown(td, column, selectedValue, rowKey, row) {
     const selectContainer = document.createElement("div");
     selectContainer.className = "status-select-container";
 
     const select = document.createElement("select");
     select.className = "status-select";
 
-    // Use edited value if it exists, otherwise use default
-    const selectedValue = editedData[dataKey] || cellData.value || "";
-
     // Create options for the dropdown
-    STATUS_OPTIONS.forEach((opt) => {
+    withCurrentValues(column.options, [selectedValue]).forEach((opt) => {
       const option = document.createElement("option");
       option.value = opt.value;
       option.text = opt.text;
@@ -218,18 +587,25 @@ export class TableRenderer {
     statusIcon.className = "status-icon";
 
     // Set initial icon and color based on current value
-    this.updateStatusAppearance(selectContainer, statusIcon, selectedValue);
+    this.updateStatusAppearance(
+      selectContainer,
+      statusIcon,
+      selectedValue,
+      column.options
+    );
 
     // Handle changes to the dropdown
     select.addEventListener("change", (e) => {
-      console.log(
-        `Status changed for customer ${customerName}, invoice ${invoiceId}:`,
-        e.target.value
-      );
+      console.log(`${column.id} changed for row ${rowKey}:`, e.target.value);
 
       // Pass the entire row object for composite key generation
-      this.onCellEdit(row, "status", e.target.value);
-      this.updateStatusAppearance(selectContainer, statusIcon, e.target.value);
+      this.editCell(row, column, e.target.value);
+      this.updateStatusAppearance(
+        selectContainer,
+        statusIcon,
+        e.target.value,
+        column.options
+      );
     });
 
     selectContainer.appendChild(statusIcon);
@@ -237,59 +613,290 @@ export class TableRenderer {
     td.appendChild(selectContainer);
   }
 
+  /**
+   * Create multi-select chip editor
+   * Selected values are chips with a remove button; the remaining options
+   * are offered in an "Add" dropdown
+   */
+  createMultiSelect(td, column, selectedValues, rowKey, row) {
+    const container = document.createElement("div");
+    container.className = "writeback-chips";
+    const options = withCurrentValues(column.options, selectedValues).filter(
+      (option) => option.value !== ""
+    );
+
+    const update = (values) => {
+      console.log(`${column.id} changed for row ${rowKey}:`, values);
+      this.editCell(row, column, values);
+    };
+
+    selectedValues.forEach((value) => {
+      const chip = document.createElement("span");
+      chip.className = "writeback-chip";
+      chip.textContent = findOption(options, value)?.text ?? value;
+
+      const remove = document.createElement("button");
+      remove.className = "chip-remove";
+      remove.textContent = "×";
+      remove.title = `Remove ${chip.textContent}`;
+      remove.addEventListener("click", (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        update(selectedValues.filter((other) => other !== value));
+      });
+
+      chip.appendChild(remove);
+      container.appendChild(chip);
+    });
+
+    const available = options.filter(
+      (option) => !selectedValues.includes(option.value)
+    );
+    if (available.length > 0) {
+      const add = document.createElement("select");
+      add.className = "chip-add";
+
+      const placeholder = document.createElement("option");
+      placeholder.value = "";
+      placeholder.text = "+ Add";
+      add.appendChild(placeholder);
+
+      available.forEach((opt) => {
+        const option = document.createElement("option");
+        option.value = opt.value;
+        option.text = opt.text;
+        add.appendChild(option);
+      });
+
+      add.addEventListener("change", (e) => {
+        if (e.target.value === "") return;
+        update([...selectedValues, e.target.value]);
+      });
+
+      container.appendChild(add);
+    }
+
+    td.appendChild(container);
+  }
+
+  /**
+   * Create yes/no toggle cell (a styled checkbox)
+   */
+  createCheckbox(td, column, checked, rowKey, row) {
+    const toggle = document.createElement("label");
+    toggle.className = "writeback-toggle";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.className = "writeback-checkbox";
+    input.setAttribute("role", "switch");
+    input.checked = checked === true;
+
+    const slider = document.createElement("span");
+    slider.className = "toggle-slider";
+
+    input.addEventListener("change", (e) => {
+      console.log(`${column.id} changed for row ${rowKey}:`, e.target.checked);
+      this.editCell(row, column, e.target.checked);
+    });
+
+    toggle.appendChild(input);
+    toggle.appendChild(slider);
+    td.appendChild(toggle);
+  }
+
+  /**
+   * Create multi-line text cell
+   * The editor can be expanded for long texts (kept across re-renders) and
+   * counts the characters, against the maximum length when there is one
+   */
+  createTextArea(td, column, value, rowKey, row) {
+    const dataKey = generateDataKey(row, column.id, this.keyConfig);
+    const maxLength = column.rules?.maxLength;
+
+    const container = document.createElement("div");
+    container.className = "writeback-longtext";
+
+    const textarea = document.createElement("textarea");
+    textarea.className = "comments-input writeback-textarea";
+    textarea.value = value;
+
+    const counter = document.createElement("span");
+    counter.className = "char-counter";
+    const updateCounter = () => {
+      const length = textarea.value.length;
+      counter.textContent = maxLength ? `${length} / ${maxLength}` : length;
+      counter.classList.toggle("over-limit", !!maxLength && length > maxLength);
+    };
+
+    const expand = document.createElement("button");
+    expand.className = "longtext-expand";
+    const setExpanded = (expanded) => {
+      container.classList.toggle("expanded", expanded);
+      textarea.rows = expanded ? 8 : 2;
+      expand.textContent = expanded ? "−" : "+";
+      expand.title = expanded ? "Collapse" : "Expand";
+    };
+    setExpanded(this.expandedCells.has(dataKey));
+
+    expand.addEventListener("click", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const expanded = !this.expandedCells.has(dataKey);
+      if (expanded) {
+        this.expandedCells.add(dataKey);
+      } else {
+        this.expandedCells.delete(dataKey);
+      }
+      setExpanded(expanded);
+      textarea.focus();
+    });
+
+    textarea.addEventListener("input", updateCounter);
+    textarea.addEventListener("change", (e) => {
+      console.log(`${column.id} changed for row ${rowKey}:`, e.target.value);
+      this.editCell(row, column, e.target.value);
+    });
+    updateCounter();
+
+    const footer = document.createElement("div");
+    footer.className = "longtext-footer";
+    footer.appendChild(counter);
+    footer.appendChild(expand);
+
+    container.appendChild(textarea);
+    container.appendChild(footer);
+    td.appendChild(container);
+  }
+
+  /**
+   * Create number input cell
+   * Numbers are typed and shown in the user's locale; the arrow keys step
+   * the value by the column's step within its min / max rules
+   */
+  createNumberInput(td, column, value, rowKey, row) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.inputMode = "decimal";
+    input.className = "comments-input writeback-number";
+    input.value = formatLocaleNumber(value, this.locale);
+
+    const range = { min: column.rules?.min, max: column.rules?.max };
+    const shownText = input.value;
+
+    // Typed values are committed on change, stepped values (which fire no
+    // change event) when the input loses focus
+    let committed = false;
+    const commit = () => {
+      if (committed || input.value === shownText) return;
+      const parsed = parseLocaleNumber(input.value, this.locale);
+      if (parsed === null) {
+        input.classList.add("writeback-unparsed");
+        input.title = "Not a number";
+        return;
+      }
+      committed = true;
+      console.log(`${column.id} changed for row ${rowKey}:`, parsed);
+      this.editCell(row, column, parsed);
+    };
+
+    input.addEventListener("keydown", (e) => {
+      if (e.key !== "ArrowUp" && e.key !== "ArrowDown") return;
+      e.preventDefault();
+      const current = parseLocaleNumber(input.value, this.locale);
+      const next = stepNumber(
+        current || 0,
+        column.step || 1,
+        e.key === "ArrowUp" ? 1 : -1,
+        range
+      );
+      input.value = formatLocaleNumber(next, this.locale);
+    });
+    input.addEventListener("change", commit);
+    input.addEventListener("blur", commit);
+
+    td.appendChild(input);
+  }
+
+  /**
+   * Create date picker cell, limited to the column's earliest / latest date
+   */
+  createDateInput(td, column, value, rowKey, row) {
+    const input = document.createElement("input");
+    input.type = "date";
+    input.className = "comments-input writeback-date";
+    input.value = value;
+    if (column.rules?.minDate) input.min = column.rules.minDate;
+    if (column.rules?.maxDate) input.max = column.rules.maxDate;
+
+    input.addEventListener("change", (e) => {
+      console.log(`${column.id} changed for row ${rowKey}:`, e.target.value);
+      this.editCell(row, column, e.target.value);
+    });
+
+    td.appendChild(input);
+  }
+
   /**
    * Create text input cell
    */
-  createTextInput(
-    td,
-    cellData,
-    editedData,
-    dataKey,
-    customerName,
-    invoiceId,
-    fieldId,
-    row
-  ) {
+  createTextInput(td, column, value, rowKey, row) {
     const input = document.createElement("input");
     input.type = "text";
     input.className = "comments-input";
-    input.value = editedData[dataKey] || cellData.value || "";
+    input.value = value;
 
     // Handle changes to the input field
     input.addEventListener("change", (e) => {
-      console.log(
-        `${fieldId} changed for customer ${customerName}, invoice ${invoiceId}:`,
-        e.target.value
-      );
+      console.log(`${column.id} changed for row ${rowKey}:`, e.target.value);
 
       // Pass the entire row object for composite key generation
-      this.onCellEdit(row, fieldId, e.target.value);
+      this.editCell(row, column, e.target.value);
     });
 
     td.appendChild(input);
   }
 
   /**
-   * Update status dropdown appearance
+   * Update dropdown appearance from the selected option's icon and colour
    */
-  updateStatusAppearance(container, icon, value) {
-    // Clear existing classes
+  updateStatusAppearance(container, icon, value, options) {
+    // Clear existing classes and colours
     container.className = "status-select-container";
+    container.style.backgroundColor = "";
+    container.style.borderColor = "";
     icon.className = "status-icon";
+    icon.style.color = "";
 
-    if (value === "Accurate") {
-      icon.innerHTML = STATUS_ICONS.Accurate;
-      icon.classList.add("thumbs-up-icon");
-      container.classList.add("status-green");
-    } else if (value === "Inaccurate") {
-      icon.innerHTML = STATUS_ICONS.Inaccurate;
-      icon.classList.add("thumbs-down-icon");
-      container.classList.add("status-red");
-    } else {
-      icon.innerHTML = STATUS_ICONS[""];
+    const option = findOption(options, value);
+    icon.textContent = option?.icon || "";
+
+    if (option?.color) {
+      container.classList.add("status-colored");
+      container.style.borderColor = option.color;
+      container.style.backgroundColor = tintColor(option.color);
+      icon.style.color = option.color;
     }
   }
 
+  /**
+   * Create calculated (read-only) cell; formula errors show a marker with
+   * the error as tooltip
+   */
+  createCalculatedCell(td, column, result) {
+    td.classList.add("calculated-cell");
+
+    if (result?.error) {
+      td.classList.add("calculated-error");
+      td.textContent = "#ERR";
+      td.title = `${column.formula}: ${result.error}`;
+      return;
+    }
+
+    td.textContent = formatCalculatedValue(column, result?.value, this.locale);
+    td.title = column.formula;
+  }
+
   /**
    * Create data (non-editable) cell - SIMPLE: Just text
    */
@@ -8,6 +8,7 @@ export const COLUMN_TYPES = {
   DIMENSION: "dimension",
   MEASURE: "measure",
   WRITEBACK: "writeback",
+  CALCULATED: "calculated",
 };
 
 export const SORT_DIRECTIONS = {
@@ -16,18 +17,26 @@ export const SORT_DIRECTIONS = {
   NONE: "",
 };
 
+// Default status option set; authors can replace it per object
+// (layout.statusOptions, see core/writebackColumns.js)
 export const STATUS_OPTIONS = [
-  { value: "", text: "N/A", className: "" },
-  { value: "Accurate", text: "Accurate", className: "thumbs-up" },
-  { value: "Inaccurate", text: "Inaccurate", className: "thumbs-down" },
+  { value: "", text: "N/A", className: "", icon: "", color: "" },
+  {
+    value: "Accurate",
+    text: "Accurate",
+    className: "thumbs-up",
+    icon: "👍",
+    color: "#28a745",
+  },
+  {
+    value: "Inaccurate",
+    text: "Inaccurate",
+    className: "thumbs-down",
+    icon: "👎",
+    color: "#dc3545",
+  },
 ];
 
-export const STATUS_ICONS = {
-  Accurate: "👍",
-  Inaccurate: "👎",
-  "": "",
-};
-
 // Risk levels for progress bars - DISABLED for now
 export const RISK_LEVELS = {
   VERY_LOW: { threshold: 0, className: "risk-very-low" },
@@ -52,11 +61,109 @@ export const QLIK_SORT_INDICATORS = {
   DESC: "D",
 };
 
+// Backend adapters selectable from the property panel
+export const BACKEND_TYPES = {
+  WEBHOOK: "webhook",
+  REST: "rest",
+  LOCAL: "local",
+};
+
+// SQL engines supported by the versioned insert templates
+export const SQL_DIALECTS = {
+  POSTGRES: "postgres",
+  SQLSERVER: "sqlserver",
+  SNOWFLAKE: "snowflake",
+  MYSQL: "mysql",
+  SQLITE: "sqlite",
+};
+
+// Per-row outcome of a batch save
+export const SAVE_ROW_STATUS = {
+  SAVED: "saved",
+  FAILED: "failed",
+  ROLLED_BACK: "rolled_back",
+};
+
+// Save state of a row shown in the table (saving / saved / error)
+export const ROW_SAVE_STATES = {
+  SAVING: "saving",
+  SAVED: "saved",
+  QUEUED: "queued",
+  ERROR: "error",
+};
+
+// Retry policy for save requests (milliseconds)
+export const SAVE_RETRY = {
+  RETRIES: 3,
+  BASE_DELAY: 500,
+  MAX_DELAY: 8000,
+  TIMEOUT: 30000,
+};
+
+// Offline save queue (IndexedDB) and replay interval (milliseconds)
+export const SAVE_QUEUE = {
+  DB_NAME: "qlik_writeback",
+  STORE_NAME: "save_queue",
+  REPLAY_INTERVAL: 30000,
+};
+
+// Incremental writeback sync (milliseconds)
+export const DELTA_SYNC = {
+  OVERLAP_MS: 60000, // re-read this much before the high-water mark
+  FULL_RESYNC_INTERVAL: 600000, // periodic full download (picks up deletes)
+};
+
+// How long writebacks prefetched for a neighbouring page stay usable (ms)
+export const PREFETCH_TTL = 30000;
+
 export const WRITEBACK_COLUMNS = {
   STATUS: "status",
   COMMENTS: "comments",
 };
 
+// Value types of author-defined writeback columns
+export const WRITEBACK_FIELD_TYPES = {
+  TEXT: "text",
+  LONG_TEXT: "longText",
+  NUMBER: "number",
+  DATE: "date",
+  BOOLEAN: "boolean",
+  SINGLE_SELECT: "singleSelect",
+  MULTI_SELECT: "multiSelect",
+};
+
+// Where the options of a select writeback column come from
+export const OPTION_SOURCES = {
+  STATIC: "static", // comma separated list in the property panel
+  FIELD: "field", // distinct values of a Qlik field (list object)
+  EXPRESSION: "expression", // delimited list returned by a Qlik expression
+};
+
+// Loading of field/expression options
+export const DYNAMIC_OPTIONS = {
+  MAX_VALUES: 1000, // distinct field values fetched per column
+  CACHE_TTL: 60000, // reuse loaded options for this long (ms)
+};
+
+// Writeback columns used when none are configured in the property panel
+export const DEFAULT_WRITEBACK_COLUMNS = [
+  {
+    id: WRITEBACK_COLUMNS.STATUS,
+    label: "Model Feedback",
+    type: WRITEBACK_FIELD_TYPES.SINGLE_SELECT,
+    field: "model_feedback",
+    defaultValue: "",
+    options: STATUS_OPTIONS,
+  },
+  {
+    id: WRITEBACK_COLUMNS.COMMENTS,
+    label: "Comments",
+    type: WRITEBACK_FIELD_TYPES.TEXT,
+    field: "comments",
+    defaultValue: "",
+  },
+];
+
 // UPDATED: Exact column mappings from your Qlik model
 export const SPECIAL_COLUMNS = {
   // Your exact field names from the screenshots
@@ -80,6 +187,12 @@ export const SPECIAL_COLUMNS = {
   RISK_SCORE: "Predicted Payment Bucket", // Alias for risk
 };
 
+// Row identity used when no key dimensions are configured
+export const DEFAULT_ROW_KEY = [
+  { dimension: "Customer", field: "customer_name" },
+  { dimension: "Invoice ID", field: "invoice_id" },
+];
+
 // UPDATED: Field mappings for database columns - simplified for your 7 columns
 export const DB_FIELD_MAPPINGS = {
   CUSTOMER: "customer_name",
@@ -149,7 +262,9 @@ export const RISK_THRESHOLDS = {
 // User interaction constants
 export const USER_INTERACTION = {
   EDIT_TIMEOUT: 30000,
-  SAVE_DEBOUNCE: 500,
+  SAVE_DEBOUNCE: 2000, // default autosave delay after the last edit
+  SAVED_STATE_DURATION: 3000, // how long rows show "saved"
+  UNDO_LIMIT: 100, // edit actions kept for undo
   CONFLICT_CHECK_INTERVAL: 10000,
 };
 
@@ -160,6 +275,7 @@ export const STORAGE_KEYS = {
   EDITED_DATA: "qlik_writeback_edited_data",
   USER_PREFERENCES: "qlik_writeback_user_prefs",
   LAST_SAVE_TIME: "qlik_writeback_last_save",
+  LOCAL_BACKEND: "qlik_writeback_local_backend",
 };
 
 // Error messages
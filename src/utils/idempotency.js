@@ -0,0 +1,75 @@
+// utils/idempotency.js
+/**
+ * Idempotency keys for row saves
+ * A key identifies one save attempt of a row: the row, the values being
+ * saved, the database version they were made on and a nonce created once per
+ * save attempt. Automatic retries and replays of a queued batch resend the
+ * same payloads, so the backend can skip the insert instead of creating a
+ * duplicate version. Saving the same values again later (A, then B, then A)
+ * is a new attempt with a new nonce and is stored as a new version.
+ */
+
+/**
+ * 53-bit string hash (cyrb53), stable across browsers
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+export function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 =
+    Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 =
+    Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Create the nonce of a save attempt
+ * @returns {string} Nonce, unique per call
+ */
+export function createSaveNonce() {
+  return `${Date.now().toString(36)}_${Math.random()
+    .toString(36)
+    .substr(2, 9)}`;
+}
+
+/**
+ * Create the idempotency key for a row save
+ * @param {Object} params
+ * @param {string} params.appId - Application identifier
+ * @param {string} params.rowKey - Row identity
+ * @param {number} params.baseVersion - DB version the edits were made on
+ * @param {Object} params.values - Values being saved
+ * @param {string} params.nonce - Nonce of the save attempt (see
+ *   createSaveNonce)
+ * @returns {string} Idempotency key
+ */
+export function createIdempotencyKey({
+  appId,
+  rowKey,
+  baseVersion,
+  values,
+  nonce = "",
+}) {
+  const fingerprint = JSON.stringify([
+    appId,
+    rowKey,
+    baseVersion || 0,
+    nonce,
+    Object.keys(values)
+      .sort()
+      .map((field) => [field, values[field]]),
+  ]);
+  return `wb_${hashString(fingerprint)}`;
+}
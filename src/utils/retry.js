@@ -0,0 +1,101 @@
+// utils/retry.js
+/**
+ * Retry helpers for backend requests
+ * Network failures, timeouts and 5xx/408/429 responses are retried with
+ * exponential backoff and full jitter; other errors fail immediately.
+ */
+
+import { SAVE_RETRY } from "./constants.js";
+
+/**
+ * Error for a non-2xx HTTP response
+ */
+export class HttpError extends Error {
+  constructor(status, body) {
+    super(`HTTP ${status}: ${body}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Check whether an error is worth retrying
+ * @param {Error} error - Error thrown by the operation
+ * @returns {boolean} True for network errors, timeouts and 5xx/408/429
+ */
+export function isRetryableError(error) {
+  if (error instanceof HttpError) {
+    return error.status >= 500 || error.status === 408 || error.status === 429;
+  }
+  // fetch rejects with TypeError on network failures, AbortError on timeout
+  return error?.name === "TypeError" || error?.name === "AbortError";
+}
+
+/**
+ * Compute the delay before a retry (full jitter)
+ * @param {number} attempt - Retry number starting at 0
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @returns {number} Delay in milliseconds
+ */
+export function getBackoffDelay(attempt, options = {}) {
+  const baseDelay = options.baseDelay ?? SAVE_RETRY.BASE_DELAY;
+  const maxDelay = options.maxDelay ?? SAVE_RETRY.MAX_DELAY;
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Run an async operation, retrying retryable failures
+ * @param {Function} operation - (attempt) => Promise
+ * @param {Object} options - { retries, baseDelay, maxDelay, shouldRetry, onRetry }
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+export async function withRetry(operation, options = {}) {
+  const retries = options.retries ?? SAVE_RETRY.RETRIES;
+  const shouldRetry = options.shouldRetry || isRetryableError;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = getBackoffDelay(attempt, options);
+      console.warn(
+        `Request failed (attempt ${attempt + 1}/${
+          retries + 1
+        }), retrying in ${delay}ms:`,
+        error.message
+      );
+      if (options.onRetry) {
+        options.onRetry(error, attempt, delay);
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * fetch() with a timeout that rejects with an AbortError
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} Response
+ */
+export async function fetchWithTimeout(
+  url,
+  init = {},
+  timeout = SAVE_RETRY.TIMEOUT
+) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
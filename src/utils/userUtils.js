@@ -179,3 +179,20 @@ export function getConsistentAppId(model) {
 
   return window._qlik_session_app_id;
 }
+
+/**
+ * Get the session ID used to group saves from one browser session
+ * @returns {string} Session ID (created on first use)
+ */
+export function getOrCreateSessionId() {
+  let sessionId = window.sessionStorage.getItem("qlik_session_id");
+
+  if (!sessionId) {
+    sessionId = `session_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+    window.sessionStorage.setItem("qlik_session_id", sessionId);
+  }
+
+  return sessionId;
+}
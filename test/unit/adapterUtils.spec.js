@@ -0,0 +1,123 @@
+import {
+  extractRecordArray,
+  recordMatchesFilter,
+  filterRecordsByKeys,
+  buildHistory,
+  computeStatistics,
+  resolveBatchResults,
+  failBatch,
+  buildSaveResult,
+  createBatchIdempotencyKey,
+} from '../../src/backend/adapters/adapterUtils.js';
+import { SAVE_ROW_STATUS } from '../../src/utils/constants.js';
+
+describe('adapter utils', () => {
+  it('unwraps the response envelopes of the backends', () => {
+    const records = [{ customer_name: 'Acme' }];
+
+    expect(extractRecordArray(records)).to.equal(records);
+    expect(extractRecordArray([records])).to.equal(records);
+    expect(extractRecordArray({ DoQuery: records })).to.equal(records);
+    expect(extractRecordArray({ data: records })).to.equal(records);
+    expect(extractRecordArray({ unexpected: true })).to.equal(null);
+    expect(extractRecordArray('text')).to.equal(null);
+  });
+
+  it('builds the history of one row, newest version first', () => {
+    const records = [
+      { customer_name: 'Acme', invoice_id: 1, version: 1 },
+      { customer_name: 'Acme', invoice_id: 2, version: 1 },
+      { customer_name: 'Acme', invoice_id: 1, version: 3 },
+      { customer_name: 'Acme', invoice_id: 1, version: 2 },
+    ];
+
+    expect(recordMatchesFilter(records[0], { customer_name: 'Acme', invoice_id: '1' })).to.equal(true);
+    expect(recordMatchesFilter(records[0], { invoice_id: undefined })).to.equal(true);
+    expect(buildHistory(records, { customer_name: 'Acme', invoice_id: '1' }).map((r) => r.version)).to.deep.equal([
+      3, 2, 1,
+    ]);
+  });
+
+  it('keeps only the records of the requested rows', () => {
+    const records = [
+      { customer_name: 'Acme', invoice_id: 1 },
+      { customer_name: 'Acme', invoice_id: 2 },
+      { customer_name: 'Beta', invoice_id: null },
+    ];
+
+    expect(filterRecordsByKeys(records, [{ customer_name: 'Acme', invoice_id: '2' }])).to.deep.equal([records[1]]);
+    expect(filterRecordsByKeys(records, [{ customer_name: 'Beta', invoice_id: '' }])).to.deep.equal([records[2]]);
+    expect(filterRecordsByKeys(records, [])).to.equal(records);
+  });
+
+  it('computes statistics over the records', () => {
+    const stats = computeStatistics([
+      { customer_name: 'Acme', model_feedback: 'Accurate', comments: '', modified_at: '2024-03-01T10:00:00Z' },
+      { customer_name: 'Beta', model_feedback: '', comments: 'Call', created_at: '2024-03-02T10:00:00Z' },
+    ]);
+
+    expect(stats).to.deep.equal({
+      totalRecords: 2,
+      uniqueCustomers: 2,
+      recordsWithFeedback: 1,
+      feedbackCounts: { Accurate: 1, Inaccurate: 0 },
+      recordsWithComments: 1,
+      latestUpdate: '2024-03-02T10:00:00.000Z',
+    });
+    expect(computeStatistics([]).latestUpdate).to.equal(null);
+  });
+
+  it('counts records per configured status option', () => {
+    const statusOptions = [{ value: '' }, { value: 'Approved' }, { value: 'Rejected' }];
+    const stats = computeStatistics(
+      [{ review: 'approved' }, { review: 'Approved' }, { review: 'Pending' }, { review: '' }],
+      { statusOptions, statusField: 'review' },
+    );
+
+    expect(stats.recordsWithFeedback).to.equal(3);
+    expect(stats.feedbackCounts).to.deep.equal({ Approved: 2, Rejected: 0, other: 1 });
+  });
+
+  it('resolves per-row results from the backend response', () => {
+    const payloads = [{ row_key: 'Acme::1' }, { row_key: 'Beta::2' }];
+    const body = { results: [{ row_key: 'Acme::1', status: 'failed', error: 'locked' }] };
+
+    expect(resolveBatchResults(payloads, body, SAVE_ROW_STATUS.SAVED)).to.deep.equal([
+      { rowKey: 'Acme::1', status: 'failed', error: 'locked', version: null },
+      { rowKey: 'Beta::2', status: 'saved', error: null, version: null },
+    ]);
+    expect(failBatch(payloads, 'offline').map((result) => result.status)).to.deep.equal(['failed', 'failed']);
+  });
+
+  it('reports a batch as saved only when every row was saved', () => {
+    const saved = buildSaveResult([
+      { rowKey: 'Acme::1', status: SAVE_ROW_STATUS.SAVED },
+      { rowKey: 'Beta::2', status: SAVE_ROW_STATUS.SAVED },
+    ]);
+    expect(saved).to.include({ success: true, type: 'success', successCount: 2, totalCount: 2 });
+  });
+
+  it('rolls back the whole batch when a row fails', () => {
+    const result = buildSaveResult([
+      { rowKey: 'Acme::1', status: SAVE_ROW_STATUS.SAVED },
+      { rowKey: 'Beta::2', status: SAVE_ROW_STATUS.FAILED, error: 'locked' },
+    ]);
+
+    expect(result).to.include({ success: false, type: 'error', successCount: 0 });
+    expect(result.message).to.equal('Save failed, no changes were applied (1 of 2 records rejected)');
+    expect(result.results.map((row) => row.status)).to.deep.equal(['rolled_back', 'failed']);
+    expect(result.errors).to.deep.equal(['Beta::2: locked']);
+    expect(buildSaveResult([{ rowKey: 'Beta::2', status: SAVE_ROW_STATUS.FAILED, error: 'locked' }]).message).to.equal(
+      'Save failed, no changes were applied: locked',
+    );
+  });
+
+  it('derives the batch idempotency key from its row keys in any order', () => {
+    const a = { idempotency_key: 'wb_a' };
+    const b = { idempotency_key: 'wb_b' };
+
+    expect(createBatchIdempotencyKey([a, b])).to.equal(createBatchIdempotencyKey([b, a]));
+    expect(createBatchIdempotencyKey([a, b])).to.match(/^wb_batch_[0-9a-f]+$/);
+    expect(createBatchIdempotencyKey([a])).to.not.equal(createBatchIdempotencyKey([a, b]));
+  });
+});
@@ -0,0 +1,83 @@
+import { getCalculatedColumns, calculateRow, formatCalculatedValue } from '../../src/core/calculatedColumns.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const keyConfig = [{ dimension: 'Invoice ID', field: 'invoice_id' }];
+const columns = getWritebackColumns({
+  writebackColumns: [
+    { id: 'override_pct', label: 'Override %', type: 'number' },
+    { id: 'escalated', type: 'boolean' },
+  ],
+});
+const calculatedColumns = getCalculatedColumns({
+  calculatedColumns: [
+    { label: 'Adjusted', formula: '[Amount] * (1 + [Override %] / 100)', format: 'currency', decimals: 0 },
+    { label: 'Flag', formula: "([Adjusted] > 1000) & '/' & [escalated]", format: 'text' },
+    { label: 'Broken', formula: '[Amount] *' },
+    { label: 'Empty', formula: '  ' },
+    { label: 'Missing', formula: '[Nope] + 1' },
+  ],
+});
+const row = {
+  'Invoice ID': { value: 'INV-1' },
+  Amount: { value: '$1,000.00', qNum: 1000 },
+  override_pct: { value: 10 },
+  escalated: { value: false },
+};
+
+describe('calculated columns', () => {
+  it('normalizes the configured columns and keeps formula errors', () => {
+    expect(calculatedColumns.map((column) => [column.id, column.format, column.decimals])).to.deep.equal([
+      ['calculated_1', 'currency', 0],
+      ['calculated_2', 'text', 2],
+      ['calculated_3', 'number', 2],
+      ['calculated_4', 'number', 2],
+    ]);
+    expect(calculatedColumns[2].tree).to.equal(null);
+    expect(calculatedColumns[2].error).to.be.a('string');
+  });
+
+  it('calculates from measures, merged values, pending edits and earlier calculated columns', () => {
+    const merged = calculateRow(row, { calculatedColumns, columns, editedData: {}, keyConfig });
+    expect(merged.calculated_1.value).to.be.closeTo(1100, 1e-9);
+    expect(merged.calculated_2).to.deep.equal({ value: '1/0', error: null });
+
+    const edited = calculateRow(row, {
+      calculatedColumns,
+      columns,
+      editedData: { 'INV-1::override_pct': -50, 'INV-1::escalated': true },
+      keyConfig,
+    });
+    expect(edited.calculated_1.value).to.equal(500);
+    expect(edited.calculated_2.value).to.equal('0/1');
+  });
+
+  it('reports parse errors and unknown columns per cell', () => {
+    const results = calculateRow(row, { calculatedColumns, columns, editedData: {}, keyConfig });
+
+    expect(results.calculated_3).to.deep.equal({ value: null, error: calculatedColumns[2].error });
+    expect(results.calculated_4).to.deep.equal({ value: null, error: 'Unknown column [Nope]' });
+  });
+
+  it('formats values per display format', () => {
+    const [adjusted, flag] = calculatedColumns;
+
+    expect(formatCalculatedValue(adjusted, 1099.6, 'en-US')).to.equal('$1,100');
+    expect(formatCalculatedValue({ format: 'percent', decimals: 1 }, 0.125)).to.equal('12.5%');
+    expect(formatCalculatedValue(flag, 12)).to.equal('12');
+    expect(formatCalculatedValue(adjusted, null)).to.equal('');
+    expect(formatCalculatedValue(adjusted, 'n/a')).to.equal('n/a');
+  });
+
+  it('formats currency columns in their own currency and the user locale', () => {
+    const [euro, fallback] = getCalculatedColumns({
+      calculatedColumns: [
+        { label: 'Net', formula: '[Amount]', format: 'currency', currency: ' eur ', decimals: 2 },
+        { label: 'Gross', formula: '[Amount]', format: 'currency', currency: 'euro' },
+      ],
+    });
+
+    expect([euro.currency, fallback.currency]).to.deep.equal(['EUR', 'USD']);
+    expect(formatCalculatedValue(euro, 1234.5, 'de-DE')).to.equal('1.234,50\u00a0€');
+    expect(formatCalculatedValue(fallback, 1234.5, 'en-US')).to.equal('$1,234.50');
+  });
+});
@@ -0,0 +1,85 @@
+import {
+  getWritebackColumns,
+  getDependentOptions,
+  isAllowedByParent,
+  parseOptionsByParent,
+  getChildColumns,
+} from '../../src/core/writebackColumns.js';
+
+const layout = {
+  writebackColumns: [
+    { id: 'status', type: 'singleSelect', options: 'Accurate, Inaccurate, Unsure' },
+    {
+      id: 'reason',
+      type: 'singleSelect',
+      options: 'Wrong bucket, Data error, Customer dispute, Other',
+      parentColumn: 'status',
+      optionsByParent: 'Inaccurate: Wrong bucket, Data error, Customer dispute\nUnsure: Other',
+    },
+    {
+      id: 'tags',
+      type: 'multiSelect',
+      options: 'Data error, Other',
+      parentColumn: 'status',
+      optionsByParent: { Inaccurate: 'Data error', Unsure: 'Other' },
+    },
+  ],
+};
+const columns = getWritebackColumns(layout);
+const reason = columns.find((column) => column.id === 'reason');
+const tags = columns.find((column) => column.id === 'tags');
+const values = (options) => options.map((option) => option.value);
+
+describe('dependent dropdowns', () => {
+  it('mappings are parsed per lower-cased parent value', () => {
+    expect(parseOptionsByParent('Inaccurate: Wrong bucket, Data error\nUnsure: Other\nno separator')).to.deep.equal({
+      inaccurate: ['wrong bucket', 'data error'],
+      unsure: ['other'],
+    });
+  });
+
+  it('options are filtered by the parent value, keeping the empty option', () => {
+    expect(values(getDependentOptions(reason, 'Inaccurate'))).to.deep.equal([
+      '',
+      'Wrong bucket',
+      'Data error',
+      'Customer dispute',
+    ]);
+    expect(values(getDependentOptions(reason, 'unsure'))).to.deep.equal(['', 'Other']);
+    expect(values(getDependentOptions(reason, 'Accurate'))).to.deep.equal(['']);
+    expect(values(getDependentOptions(reason, ''))).to.deep.equal(['']);
+  });
+
+  it('independent columns keep all their options', () => {
+    const status = columns.find((column) => column.id === 'status');
+    expect(values(getDependentOptions(status, 'anything'))).to.deep.equal(values(status.options));
+    expect(getChildColumns(columns, 'status').map((column) => column.id)).to.deep.equal(['reason', 'tags']);
+  });
+
+  it('values must be allowed by the current parent value', () => {
+    expect(isAllowedByParent(reason, 'Data error', 'Inaccurate')).to.equal(true);
+    expect(isAllowedByParent(reason, 'Other', 'Inaccurate')).to.equal(false);
+    expect(isAllowedByParent(reason, '', 'Accurate')).to.equal(true);
+    expect(isAllowedByParent(tags, ['Data error'], 'Inaccurate')).to.equal(true);
+    expect(isAllowedByParent(tags, ['Data error', 'Other'], 'Inaccurate')).to.equal(false);
+  });
+
+  it('unknown, self and cyclic parent references are dropped', () => {
+    const checked = getWritebackColumns({
+      writebackColumns: [
+        { id: 'a', type: 'singleSelect', options: 'x', parentColumn: 'b' },
+        { id: 'b', type: 'singleSelect', options: 'y', parentColumn: 'a' },
+        { id: 'c', type: 'singleSelect', options: 'z', parentColumn: 'missing' },
+        { id: 'd', type: 'singleSelect', options: 'z', parentColumn: 'd' },
+      ],
+    });
+
+    // The cycle is broken at its first column, b keeps depending on a
+    expect(checked.map((column) => [column.id, column.parentColumn])).to.deep.equal([
+      ['a', undefined],
+      ['b', 'a'],
+      ['c', undefined],
+      ['d', undefined],
+    ]);
+  });
+});
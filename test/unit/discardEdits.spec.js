@@ -0,0 +1,32 @@
+import { discardEdits } from '../../src/core/discardEdits.js';
+
+const editedData = {
+  'Acme::INV-1::comments': 'Check',
+  'Acme::INV-1::model_feedback': 'Accurate',
+  'Globex::INV-2::comments': 'Late',
+};
+
+describe('discardEdits', () => {
+  it('discards all edits without a scope', () => {
+    expect(discardEdits(editedData)).to.deep.equal({
+      remaining: {},
+      clearedRowKeys: ['Acme::INV-1', 'Globex::INV-2'],
+    });
+  });
+
+  it('discards the edits of one row', () => {
+    expect(discardEdits(editedData, { rowKey: 'Acme::INV-1' })).to.deep.equal({
+      remaining: { 'Globex::INV-2::comments': 'Late' },
+      clearedRowKeys: ['Acme::INV-1'],
+    });
+  });
+
+  it('clears a row only once its last cell is reverted', () => {
+    const first = discardEdits(editedData, { dataKey: 'Acme::INV-1::comments' });
+    expect(first.clearedRowKeys).to.deep.equal([]);
+    expect(first.remaining).to.not.have.property('Acme::INV-1::comments');
+
+    const second = discardEdits(first.remaining, { dataKey: 'Acme::INV-1::model_feedback' });
+    expect(second.clearedRowKeys).to.deep.equal(['Acme::INV-1']);
+  });
+});
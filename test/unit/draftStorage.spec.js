@@ -0,0 +1,114 @@
+import { DraftStorage, getDraftKey } from '../../src/core/draftStorage.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+
+const legacyDraft = {
+  changes: { 'Acme::INV-1::status': 'Inaccurate', 'Acme::INV-2::comments': 'Call back' },
+  rows: {},
+  user: 'ann',
+};
+const row = (customer, invoiceId) => ({ Customer: { value: customer }, 'Invoice ID': { value: invoiceId } });
+const object = {
+  fields: ['status', 'comments'],
+  rows: [row('Acme', 'INV-1'), row('Acme', 'INV-2'), row('Beta', 'INV-3')],
+};
+
+const draftsFor = (scope) => {
+  const drafts = new DraftStorage();
+  drafts.setScope(scope);
+  return drafts;
+};
+
+describe('draft storage', () => {
+  beforeEach(() => {
+    localStorage.setItem(STORAGE_KEYS.EDITED_DATA, JSON.stringify(legacyDraft));
+  });
+
+  it('drafts are keyed per app, object and user', () => {
+    expect(getDraftKey({ appId: 'app 1', objectId: 'obj', user: 'ann' })).to.equal(
+      `${STORAGE_KEYS.EDITED_DATA}::app%201::obj::ann`,
+    );
+  });
+
+  it('drafts of other objects are neither loaded nor overwritten', () => {
+    const first = draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' });
+    const second = draftsFor({ appId: 'app1', objectId: 'obj2', user: 'ann' });
+    first.save({ changes: { 'Beta::INV-3::status': 'Accurate' }, rows: {} });
+    second.save({ changes: { 'Beta::INV-3::status': 'Inaccurate' }, rows: {} });
+
+    expect(first.load().changes).to.deep.equal({ 'Beta::INV-3::status': 'Accurate' });
+    second.save({ changes: {}, rows: {} });
+    expect(localStorage.getItem(second.key)).to.equal(null);
+  });
+
+  it('drafts are not loaded or saved before the scope is known', () => {
+    const drafts = new DraftStorage();
+    drafts.save({ changes: { 'Beta::INV-3::status': 'Accurate' }, rows: {} });
+
+    expect(drafts.load()).to.equal(null);
+    expect(localStorage.length).to.equal(1);
+  });
+
+  it('claims the global draft for an object holding its rows and fields', () => {
+    const drafts = draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' });
+
+    expect(drafts.migrateLegacyDraft(object).changes).to.deep.equal(legacyDraft.changes);
+    expect(localStorage.getItem(STORAGE_KEYS.EDITED_DATA)).to.equal(null);
+    expect(drafts.load().changes).to.deep.equal(legacyDraft.changes);
+  });
+
+  it('claims the global draft only once', () => {
+    draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' }).migrateLegacyDraft(object);
+
+    const other = draftsFor({ appId: 'app2', objectId: 'obj1', user: 'ann' });
+    expect(other.migrateLegacyDraft(object)).to.equal(null);
+    expect(other.load()).to.equal(null);
+  });
+
+  it('claims the global draft when some of its rows are on other pages', () => {
+    const drafts = draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' });
+
+    expect(drafts.migrateLegacyDraft({ ...object, rows: [row('Acme', 'INV-2')] }).changes).to.deep.equal(
+      legacyDraft.changes,
+    );
+  });
+
+  it('leaves the global draft for objects without any of its rows or all of its fields', () => {
+    const otherRows = draftsFor({ appId: 'app2', objectId: 'obj1', user: 'ann' });
+    expect(otherRows.migrateLegacyDraft({ ...object, rows: [row('Beta', 'INV-3')] })).to.equal(null);
+
+    const otherFields = draftsFor({ appId: 'app1', objectId: 'obj2', user: 'ann' });
+    expect(otherFields.migrateLegacyDraft({ ...object, fields: ['status'] })).to.equal(null);
+
+    expect(localStorage.getItem(STORAGE_KEYS.EDITED_DATA)).to.not.equal(null);
+  });
+
+  it('matches legacy customer-field keys on the first key value', () => {
+    localStorage.setItem(
+      STORAGE_KEYS.EDITED_DATA,
+      JSON.stringify({ changes: { 'Acme-status': 'Inaccurate', 'Acme-comments': 'Call back' } }),
+    );
+
+    const other = draftsFor({ appId: 'app1', objectId: 'obj2', user: 'ann' });
+    expect(other.migrateLegacyDraft({ ...object, rows: [row('Beta', 'INV-3')] })).to.equal(null);
+
+    const drafts = draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' });
+    const migrated = drafts.migrateLegacyDraft({ ...object, rows: [row('Acme', 'INV-1'), row('Beta', 'INV-3')] });
+    expect(migrated).to.include({ user: 'ann' });
+    expect(migrated.changes).to.deep.equal({ 'Acme-status': 'Inaccurate', 'Acme-comments': 'Call back' });
+  });
+
+  it('leaves the global draft of another user or before the scope is known', () => {
+    expect(new DraftStorage().migrateLegacyDraft(object)).to.equal(null);
+    expect(draftsFor({ appId: 'app1', objectId: 'obj1', user: 'bob' }).migrateLegacyDraft(object)).to.equal(null);
+    expect(localStorage.getItem(STORAGE_KEYS.EDITED_DATA)).to.not.equal(null);
+  });
+
+  it('never replaces an existing draft of the object', () => {
+    const drafts = draftsFor({ appId: 'app1', objectId: 'obj1', user: 'ann' });
+    drafts.save({ changes: { 'Beta::INV-3::status': 'Accurate' }, rows: {} });
+
+    expect(drafts.migrateLegacyDraft(object)).to.equal(null);
+    expect(drafts.load().changes).to.deep.equal({ 'Beta::INV-3::status': 'Accurate' });
+    expect(localStorage.getItem(STORAGE_KEYS.EDITED_DATA)).to.not.equal(null);
+  });
+});
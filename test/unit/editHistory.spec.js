@@ -0,0 +1,70 @@
+import { EditHistory, applyChanges } from '../../src/core/editHistory.js';
+
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('edit history', () => {
+  it('edits made in the same task are undone as one action', async () => {
+    const history = new EditHistory();
+    history.record('A::status', undefined, 'Inaccurate');
+    history.record('A::reason', 'Data error', undefined);
+    await nextTask();
+    history.record('B::status', undefined, 'Accurate');
+
+    expect(history.undoStack.map((action) => action.length)).to.deep.equal([2, 1]);
+
+    const edited = { 'A::status': 'Inaccurate', 'B::status': 'Accurate' };
+    const afterFirstUndo = applyChanges(edited, history.undo(), true);
+    expect(afterFirstUndo).to.deep.equal({ 'A::status': 'Inaccurate' });
+
+    const afterSecondUndo = applyChanges(afterFirstUndo, history.undo(), true);
+    expect(afterSecondUndo).to.deep.equal({ 'A::reason': 'Data error' });
+    expect(history.canUndo()).to.equal(false);
+  });
+
+  it('redo replays undone actions in order until a new edit', async () => {
+    const history = new EditHistory();
+    history.record('A::comments', undefined, 'one');
+    await nextTask();
+    history.record('A::comments', 'one', 'two');
+    await nextTask();
+
+    let edited = { 'A::comments': 'two' };
+    edited = applyChanges(edited, history.undo(), true);
+    edited = applyChanges(edited, history.undo(), true);
+    expect(edited).to.deep.equal({});
+
+    edited = applyChanges(edited, history.redo(), false);
+    expect(edited).to.deep.equal({ 'A::comments': 'one' });
+    expect(history.canRedo()).to.equal(true);
+
+    history.record('A::comments', 'one', 'three');
+    expect(history.canRedo()).to.equal(false);
+    expect(history.redo()).to.equal(null);
+  });
+
+  it('keeps at most the configured number of actions', async () => {
+    const history = new EditHistory({ limit: 2 });
+    for (const value of ['a', 'b', 'c']) {
+      history.record('A::comments', undefined, value);
+      await nextTask();
+    }
+
+    expect(history.undoStack.map(([change]) => change.after)).to.deep.equal(['b', 'c']);
+  });
+
+  it('forgets saved or discarded cells', async () => {
+    const history = new EditHistory();
+    history.record('A::status', undefined, 'Inaccurate');
+    history.record('B::status', undefined, 'Accurate');
+    await nextTask();
+    history.record('A::comments', undefined, 'Checked');
+    await nextTask();
+    applyChanges({}, history.undo(), true);
+
+    history.forget(['A::status', 'A::comments']);
+
+    expect(history.canRedo()).to.equal(false);
+    expect(history.undo()).to.deep.equal([{ dataKey: 'B::status', before: undefined, after: 'Accurate' }]);
+    expect(history.canUndo()).to.equal(false);
+  });
+});
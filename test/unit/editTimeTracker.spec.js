@@ -0,0 +1,67 @@
+import { EditTimeTracker } from '../../src/core/editTimeTracker.js';
+
+describe('EditTimeTracker', () => {
+  let clock;
+  let tracker;
+
+  beforeEach(() => {
+    clock = Date.UTC(2024, 4, 6, 7, 8, 9);
+    tracker = new EditTimeTracker({ idleTimeout: 1000, now: () => clock });
+  });
+
+  it('rows focused without an edit are forgotten when they lose focus', () => {
+    tracker.startEditing('Acme::INV-1');
+    clock += 500;
+    tracker.stopEditing('Acme::INV-1');
+
+    expect(tracker.getTiming('Acme::INV-1')).to.equal(null);
+    expect(tracker.rows.has('Acme::INV-1')).to.equal(false);
+  });
+
+  it('reports the first focus and the rounded active time of edited rows', () => {
+    tracker.startEditing('Acme::INV-1');
+    clock += 800;
+    tracker.recordEdit('Acme::INV-1');
+    clock += 900;
+    tracker.recordActivity('Acme::INV-1');
+    clock += 600;
+    tracker.stopEditing('Acme::INV-1');
+
+    expect(tracker.getTiming('Acme::INV-1')).to.deep.equal({
+      startedAt: '2024-05-06T07:08:09.000Z',
+      durationSeconds: 2,
+    });
+  });
+
+  it('pauses longer than the idle timeout count only up to the timeout', () => {
+    tracker.startEditing('Acme::INV-1');
+    tracker.recordEdit('Acme::INV-1');
+    clock += 60000;
+    tracker.recordActivity('Acme::INV-1');
+    clock += 500;
+    tracker.stopEditing('Acme::INV-1');
+
+    // 1s capped pause + 0.5s after resuming
+    expect(tracker.getTiming('Acme::INV-1').durationSeconds).to.equal(2);
+  });
+
+  it('time after losing focus is not counted', () => {
+    tracker.startEditing('Acme::INV-1');
+    tracker.recordEdit('Acme::INV-1');
+    clock += 700;
+    tracker.stopEditing('Acme::INV-1');
+    clock += 30000;
+
+    expect(tracker.getTiming('Acme::INV-1').durationSeconds).to.equal(1);
+  });
+
+  it('clear forgets saved rows only', () => {
+    tracker.recordEdit('Acme::INV-1');
+    tracker.recordEdit('Globex::INV-2');
+
+    tracker.clear(['Acme::INV-1']);
+
+    expect(tracker.getTiming('Acme::INV-1')).to.equal(null);
+    expect(tracker.getTiming('Globex::INV-2')).to.not.equal(null);
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  parseCondition,
+  isEditableByDimensions,
+  isTruthyCell,
+  isCellEditable,
+  getEditabilityError,
+  markEditabilityErrors,
+} from '../../src/core/editability.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const [bucketColumn, expressionColumn, freeColumn] = getWritebackColumns({
+  writebackColumns: [
+    { id: 'override', type: 'number', editableWhen: 'Aging Bucket != 0-30, Current' },
+    { id: 'approval', type: 'boolean', editableExpression: '=Sum(Amount) > 1000' },
+    { id: 'comments', type: 'text' },
+  ],
+});
+const row = (bucket) => ({ 'Aging Bucket': { value: bucket } });
+
+describe('conditional editability', () => {
+  it('parses dimension conditions', () => {
+    expect(parseCondition('Region = EMEA, APAC')).to.deep.equal({
+      dimension: 'Region',
+      negate: false,
+      values: ['emea', 'apac'],
+    });
+    expect(parseCondition('Aging Bucket != 90+').negate).to.equal(true);
+    expect(parseCondition('no operator')).to.equal(null);
+  });
+
+  it('applies dimension conditions case-insensitively', () => {
+    expect(isEditableByDimensions(row('90+'), bucketColumn)).to.equal(true);
+    expect(isEditableByDimensions(row('current'), bucketColumn)).to.equal(false);
+    expect(isEditableByDimensions(row('0-30'), freeColumn)).to.equal(true);
+  });
+
+  it('interprets expression results like Qlik booleans', () => {
+    expect(
+      [{ qNum: -1 }, { qNum: 0 }, { qText: 'yes' }, { qText: 'False' }, { qText: '-' }].map(isTruthyCell),
+    ).to.deep.equal([true, false, true, false, false]);
+  });
+
+  it('combines the processed flag, the dimension condition and the expression result', () => {
+    expect(isCellEditable(row('90+'), bucketColumn)).to.equal(true);
+    expect(isCellEditable({ override: { editable: false } }, bucketColumn)).to.equal(false);
+    expect(isCellEditable(row('90+'), expressionColumn, { approval: true })).to.equal(true);
+    expect(isCellEditable(row('90+'), expressionColumn, { approval: false })).to.equal(false);
+    expect(isCellEditable(row('90+'), expressionColumn, undefined)).to.equal(false);
+  });
+
+  it('keeps cells whose expression failed read-only and reports the error', () => {
+    const failed = { approval: { error: 'Engine unavailable' } };
+
+    expect(isCellEditable(row('90+'), expressionColumn, failed)).to.equal(false);
+    expect(getEditabilityError(expressionColumn, failed)).to.equal('Engine unavailable');
+    expect(getEditabilityError(expressionColumn, { approval: false })).to.equal(null);
+    expect(getEditabilityError(freeColumn, failed)).to.equal(null);
+  });
+
+  it('marks rows without an expression result as failed', () => {
+    const keyConfig = [{ dimension: 'Invoice ID', field: 'invoice_id' }];
+    const rows = [{ 'Invoice ID': { value: 'INV-1' } }, { 'Invoice ID': { value: 'INV-2' } }];
+    const columns = [bucketColumn, expressionColumn, freeColumn];
+
+    const { editability, failedRowKeys } = markEditabilityErrors(
+      { 'INV-1': { approval: true } },
+      { rows, columns, keyConfig, message: 'No result for this row' },
+    );
+    expect(failedRowKeys).to.deep.equal(['INV-2']);
+    expect(editability).to.deep.equal({
+      'INV-1': { approval: true },
+      'INV-2': { approval: { error: 'No result for this row' } },
+    });
+
+    expect(
+      markEditabilityErrors({}, { rows, columns: [freeColumn], keyConfig, message: 'x' }).failedRowKeys,
+    ).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,60 @@
+import { EditedRowStore } from '../../src/core/editedRowStore.js';
+
+const row = (customer, invoice) => ({ Customer: { value: customer }, 'Invoice ID': { value: invoice } });
+
+describe('EditedRowStore', () => {
+  const acme = row('Acme', 'INV-1');
+  const globex = row('Globex', 'INV-2');
+  const initech = row('Initech', 'INV-3');
+
+  it('keeps snapshots of edited rows only and reports changes', () => {
+    const store = new EditedRowStore();
+    const editedData = { 'Acme::INV-1::comments': 'Check' };
+
+    expect(store.capture({ rows: [acme, globex], editedData, page: 1 })).to.equal(true);
+    expect(Array.from(store.rows.keys())).to.deep.equal(['Acme::INV-1']);
+    expect(store.capture({ rows: [acme, globex], editedData, page: 1 })).to.equal(false);
+  });
+
+  it('returns edited rows of other pages and the pages with edits', () => {
+    const store = new EditedRowStore();
+    const editedData = { 'Acme::INV-1::comments': 'Check', 'Initech::INV-3::comments': 'Late' };
+
+    store.capture({ rows: [acme, globex], editedData, page: 1 });
+    store.capture({ rows: [initech], editedData, page: 3 });
+
+    expect(store.getOtherPageRows([initech])).to.deep.equal([acme]);
+    expect(store.getPagesWithEdits(editedData)).to.deep.equal([1, 3]);
+  });
+
+  it('drops rows whose edits were saved or discarded', () => {
+    const store = new EditedRowStore();
+    store.capture({ rows: [acme], editedData: { 'Acme::INV-1::comments': 'Check' }, page: 1 });
+
+    expect(store.capture({ rows: [], editedData: {}, page: 2 })).to.equal(true);
+    expect(store.rows.size).to.equal(0);
+  });
+
+  it('current page editability takes precedence over snapshots', () => {
+    const store = new EditedRowStore();
+    const editedData = { 'Acme::INV-1::comments': 'Check' };
+    store.capture({ rows: [acme], editedData, editability: { 'Acme::INV-1': { comments: false } }, page: 1 });
+
+    expect(store.getEditability()).to.deep.equal({ 'Acme::INV-1': { comments: false } });
+    expect(store.getEditability({ 'Acme::INV-1': { comments: true } })).to.deep.equal({
+      'Acme::INV-1': { comments: true },
+    });
+  });
+
+  it('round-trips snapshots through the draft', () => {
+    const store = new EditedRowStore();
+    store.capture({ rows: [acme], editedData: { 'Acme::INV-1::comments': 'Check' }, page: 2 });
+
+    const draft = JSON.parse(JSON.stringify(store));
+    const restored = new EditedRowStore();
+    restored.restore({ ...draft, broken: null });
+
+    expect(restored.toJSON()).to.deep.equal(draft);
+    expect(restored.getPagesWithEdits({ 'Acme::INV-1::comments': 'Check' })).to.deep.equal([2]);
+  });
+});
@@ -0,0 +1,39 @@
+import { ExpressionValidator } from '../../src/core/expressionValidator.js';
+
+const createApp = (results) => ({
+  evaluated: [],
+  async evaluateEx(expression) {
+    this.evaluated.push(expression);
+    if (!(expression in results)) throw new Error('Syntax error');
+    return results[expression];
+  },
+});
+
+describe('expression validator', () => {
+  it('queues unknown expressions and answers from the cache after a flush', async () => {
+    const app = createApp({
+      "Len('ok') > 2": { qIsNumeric: true, qNumber: 0 },
+      "Len('fine') > 2": { qIsNumeric: true, qNumber: -1 },
+    });
+    const validator = new ExpressionValidator(app);
+
+    expect(validator.check("=Len('ok') > 2")).to.be.undefined;
+    expect(validator.check("=Len('fine') > 2")).to.be.undefined;
+    expect(validator.hasPending()).to.equal(true);
+
+    expect(await validator.flush()).to.equal(2);
+    expect(app.evaluated).to.deep.equal(["Len('ok') > 2", "Len('fine') > 2"]);
+    expect(validator.check("=Len('ok') > 2")).to.equal(false);
+    expect(validator.check("=Len('fine') > 2")).to.equal(true);
+    expect(validator.hasPending()).to.equal(false);
+  });
+
+  it('treats text results and failed evaluations as valid unless false', async () => {
+    const validator = new ExpressionValidator(createApp({ a: { qText: 'false' }, b: { qText: 'yes' } }));
+    ['a', 'b', 'broken'].forEach((expression) => validator.check(expression));
+    await validator.flush();
+
+    expect(['a', 'b', 'broken'].map((expression) => validator.check(expression))).to.deep.equal([false, true, true]);
+    expect(new ExpressionValidator(null).check('anything')).to.equal(true);
+  });
+});
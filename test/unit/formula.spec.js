@@ -0,0 +1,53 @@
+import { parseFormula, evaluateFormula } from '../../src/core/formula.js';
+
+const calc = (formula, values = {}) => evaluateFormula(parseFormula(formula), (name) => values[name]);
+
+describe('calculated column formulas', () => {
+  it('multiplication binds tighter than addition and concatenation, comparison loosest', () => {
+    expect(calc('2 + 3 * 4')).to.equal(14);
+    expect(calc('(2 + 3) * 4')).to.equal(20);
+    expect(calc('10 - 4 - 3')).to.equal(3);
+    expect(calc('20 / 5 / 2')).to.equal(2);
+    expect(calc('7 % 4 + 1')).to.equal(4);
+    expect(calc('1 + 2 = 3')).to.equal(1);
+    expect(calc('2 * 3 > 2 + 3')).to.equal(1);
+    expect(calc("1 + 2 & 'a'")).to.equal('3a');
+    expect(calc("'a' & (1 + 2)")).to.equal('a3');
+  });
+
+  it('unary minus applies to the next operand', () => {
+    expect(calc('-2 * 3')).to.equal(-6);
+    expect(calc('4 - -2')).to.equal(6);
+    expect(calc('-(2 + 3)')).to.equal(-5);
+    expect(calc('-[Amount]', { Amount: '12.5' })).to.equal(-12.5);
+    expect(calc('-[Amount]', { Amount: '' })).to.equal(null);
+  });
+
+  it('references follow the row values and empty inputs give empty results', () => {
+    expect(calc('=[Amount] * (1 + [override_pct] / 100)', { Amount: 200, override_pct: 10 })).to.be.closeTo(220, 0.005);
+    expect(calc('[Amount] * [override_pct]', { Amount: 200, override_pct: '' })).to.equal(null);
+    expect(calc('[Amount] / 0', { Amount: 200 })).to.equal(null);
+  });
+
+  it('COALESCE returns the first filled-in value', () => {
+    expect(calc('COALESCE([override_pct], [default_pct], 0)', { override_pct: '', default_pct: 5 })).to.equal(5);
+    expect(calc('COALESCE([override_pct], 0)', {})).to.equal(0);
+    expect(calc('COALESCE([override_pct])', {})).to.equal(null);
+    expect(calc('[Amount] * COALESCE([override_pct], 100) / 100', { Amount: 50 })).to.equal(50);
+  });
+
+  it('IF only evaluates the branch taken', () => {
+    expect(calc("IF([status] = 'inaccurate', [Amount], 0)", { status: 'Inaccurate', Amount: 9 })).to.equal(9);
+    expect(calc('IF(0, 1)')).to.equal(null);
+    expect(calc('AND(1, OR(0, NOT(0)))')).to.equal(1);
+  });
+
+  it('invalid formulas are rejected with a message', () => {
+    expect(() => parseFormula('1 +')).to.throw('Unexpected end of formula');
+    expect(() => parseFormula('(1 + 2')).to.throw('Expected ")"');
+    expect(() => parseFormula('1 2')).to.throw('Unexpected "2"');
+    expect(() => parseFormula('SUM([Amount])')).to.throw('Unknown function SUM');
+    expect(() => parseFormula('[Amount] $ 2')).to.throw('Unexpected character');
+    expect(() => parseFormula('* 2')).to.throw('Unexpected "*"');
+  });
+});
@@ -0,0 +1,118 @@
+import { LocalAdapter } from '../../src/backend/adapters/localAdapter.js';
+import { createWritebackPayload } from '../../src/backend/writebackPayload.js';
+import { STORAGE_KEYS } from '../../src/utils/constants.js';
+
+const record = ({
+  customerName = 'Acme',
+  invoiceId = 'INV-1',
+  modelFeedback = 'Accurate',
+  username = 'ann',
+  nonce = 'n1',
+} = {}) =>
+  createWritebackPayload({
+    appId: 'app',
+    rowKey: `${customerName}::${invoiceId}`,
+    rowValues: { customerName, invoiceId, amount: '100.50' },
+    edits: { model_feedback: modelFeedback, comments: '' },
+    username,
+    sessionId: 'session_1',
+    nonce,
+  });
+
+describe('local adapter', () => {
+  it('implements the backend adapter contract', () => {
+    const adapter = new LocalAdapter({ storage: null });
+    ['read', 'write', 'history', 'stats'].forEach((method) => {
+      expect(adapter[method]).to.be.a('function');
+    });
+  });
+
+  it('stores payloads as new versions per app', async () => {
+    const adapter = new LocalAdapter({ storage: localStorage });
+
+    const result = await adapter.write('app', [record()]);
+    await adapter.write('app', [record({ modelFeedback: 'Inaccurate', username: 'bob' })]);
+    await adapter.write('other', [record()]);
+
+    expect(result).to.include({ success: true, successCount: 1, totalCount: 1 });
+    expect(result.results).to.deep.equal([{ rowKey: 'Acme::INV-1', status: 'saved', error: null, version: 1 }]);
+    const history = await adapter.history('app', { customer_name: 'Acme', invoice_id: 'INV-1' });
+    expect(history.map((r) => [r.version, r.model_feedback, r.created_by, r.modified_by])).to.deep.equal([
+      [2, 'Inaccurate', 'ann', 'bob'],
+      [1, 'Accurate', 'ann', 'ann'],
+    ]);
+    expect(history[0].amount).to.equal(100.5);
+    expect(await adapter.read('other')).to.have.lengthOf(1);
+    expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.LOCAL_BACKEND))).to.have.keys('app', 'other');
+  });
+
+  it('skips payloads whose idempotency key was already stored', async () => {
+    const adapter = new LocalAdapter({ storage: localStorage });
+
+    await adapter.write('app', [record()]);
+    const retry = await adapter.write('app', [record()]);
+
+    expect(retry.success).to.equal(true);
+    expect(retry.results[0].version).to.equal(1);
+    expect(await adapter.read('app')).to.have.lengthOf(1);
+  });
+
+  it('stores a value the row had before as a new version', async () => {
+    const adapter = new LocalAdapter({ storage: localStorage });
+
+    await adapter.write('app', [record({ nonce: 'n1' })]);
+    await adapter.write('app', [record({ modelFeedback: 'Inaccurate', nonce: 'n2' })]);
+    const result = await adapter.write('app', [record({ nonce: 'n3' })]);
+
+    expect(result.results[0].version).to.equal(3);
+    const history = await adapter.history('app', { customer_name: 'Acme', invoice_id: 'INV-1' });
+    expect(history.map((r) => r.model_feedback)).to.deep.equal(['Accurate', 'Inaccurate', 'Accurate']);
+  });
+
+  it('reads only records modified since a timestamp', async () => {
+    const adapter = new LocalAdapter({ storage: localStorage });
+    await adapter.write('app', [record()]);
+    const [saved] = await adapter.read('app');
+
+    expect(await adapter.read('app', { since: saved.modified_at })).to.have.lengthOf(1);
+    expect(await adapter.read('app', { since: new Date(Date.now() + 60000).toISOString() })).to.deep.equal([]);
+  });
+
+  it('reads only the records of the requested rows', async () => {
+    const adapter = new LocalAdapter({ storage: localStorage });
+    await adapter.write('app', [record(), record({ invoiceId: 'INV-2' })]);
+
+    const records = await adapter.read('app', { keys: [{ customer_name: 'Acme', invoice_id: 'INV-2' }] });
+    expect(records.map((r) => r.invoice_id)).to.deep.equal(['INV-2']);
+  });
+
+  it('keeps records in memory without storage', async () => {
+    const adapter = new LocalAdapter({ storage: null });
+    await adapter.write('app', [record(), record({ invoiceId: 'INV-2', customerName: 'Beta' })]);
+
+    expect((await adapter.stats('app')).uniqueCustomers).to.equal(2);
+    expect(localStorage.length).to.equal(0);
+  });
+
+  it('fails the whole batch when the store cannot be written', async () => {
+    const storage = {
+      getItem: () => null,
+      setItem: () => {
+        throw new Error('Quota exceeded');
+      },
+    };
+    const adapter = new LocalAdapter({ storage });
+
+    const result = await adapter.write('app', [record(), record({ invoiceId: 'INV-2' })]);
+
+    expect(result).to.include({ success: false, successCount: 0 });
+    expect(result.results.map((row) => row.status)).to.deep.equal(['failed', 'failed']);
+  });
+
+  it('starts empty when the stored data is corrupt', async () => {
+    localStorage.setItem(STORAGE_KEYS.LOCAL_BACKEND, '{not json');
+    const adapter = new LocalAdapter({ storage: localStorage });
+
+    expect(await adapter.read('app')).to.deep.equal([]);
+  });
+});
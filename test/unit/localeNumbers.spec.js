@@ -0,0 +1,41 @@
+import { getSeparators, parseLocaleNumber, formatLocaleNumber, stepNumber } from '../../src/core/localeNumbers.js';
+
+describe('locale numbers', () => {
+  it('reads the separators of a locale', () => {
+    expect(getSeparators('en-US')).to.deep.equal({ group: ',', decimal: '.' });
+    expect(getSeparators('de-DE')).to.deep.equal({ group: '.', decimal: ',' });
+  });
+
+  it('parses numbers typed in the format of the locale', () => {
+    expect(parseLocaleNumber('1,234.5', 'en-US')).to.equal(1234.5);
+    expect(parseLocaleNumber('1.234,5', 'de-DE')).to.equal(1234.5);
+    expect(parseLocaleNumber('1 234,5', 'fr-FR')).to.equal(1234.5);
+    expect(parseLocaleNumber('−3,5', 'de-DE')).to.equal(-3.5);
+    expect(parseLocaleNumber('  ', 'en-US')).to.equal('');
+    expect(parseLocaleNumber('12abc', 'en-US')).to.equal(null);
+  });
+
+  it('accepts group separators only between groups of three digits', () => {
+    expect(parseLocaleNumber('1.234.567,89', 'de-DE')).to.equal(1234567.89);
+    expect(parseLocaleNumber('1.500', 'de-DE')).to.equal(1500);
+    expect(parseLocaleNumber('1.5', 'de-DE')).to.equal(null);
+    expect(parseLocaleNumber('1,5', 'en-US')).to.equal(null);
+    expect(parseLocaleNumber('1234,567.5', 'en-US')).to.equal(null);
+    expect(parseLocaleNumber('1,234.5,6', 'en-US')).to.equal(null);
+    expect(parseLocaleNumber('12 34', 'en-US')).to.equal(null);
+    expect(parseLocaleNumber('.5', 'en-US')).to.equal(0.5);
+    expect(parseLocaleNumber('-,', 'de-DE')).to.equal(null);
+  });
+
+  it('formats numbers without grouping', () => {
+    expect(formatLocaleNumber(1234.5, 'de-DE')).to.equal('1234,5');
+    expect(formatLocaleNumber(0.1 + 0.2, 'en-US')).to.equal(String(0.1 + 0.2));
+    expect(formatLocaleNumber('', 'en-US')).to.equal('');
+  });
+
+  it('steps values within the range at the precision of the step', () => {
+    expect(stepNumber(0.1, 0.2, 1)).to.equal(0.3);
+    expect(stepNumber('', 1, -1, { min: 0 })).to.equal(0);
+    expect(stepNumber(99.5, 1, 1, { min: 0, max: 100 })).to.equal(100);
+  });
+});
@@ -0,0 +1,51 @@
+import { getRowIdentityKeys, mergeWritebackData, applySavedVersions } from '../../src/backend/mergeService.js';
+
+const row = (customer, invoiceId) => ({
+  Customer: { value: customer },
+  'Invoice ID': { value: invoiceId },
+});
+
+describe('merge service', () => {
+  it('collects the unique row keys of the visible rows', () => {
+    const keys = getRowIdentityKeys([row('Acme', 'INV-1'), row('Acme', 'INV-1'), row('Beta', null), row('', '')]);
+
+    expect(keys).to.deep.equal([
+      { customer_name: 'Acme', invoice_id: 'INV-1' },
+      { customer_name: 'Beta', invoice_id: '' },
+    ]);
+    expect(getRowIdentityKeys(null)).to.deep.equal([]);
+  });
+
+  it('uses the configured key dimensions', () => {
+    const keyConfig = [{ dimension: 'Employee', field: 'employee_id' }];
+    const rows = [{ Employee: { value: 'E-7' }, comments: { value: '' } }];
+
+    expect(getRowIdentityKeys(rows, keyConfig)).to.deep.equal([{ employee_id: 'E-7' }]);
+
+    const merged = mergeWritebackData(
+      rows,
+      [
+        { employee_id: 'E-7', version: 1, comments: 'old' },
+        { employee_id: 'E-7', version: 2, comments: 'new' },
+      ],
+      keyConfig,
+    );
+    expect(merged[0].comments.value).to.equal('new');
+    expect(merged[0].writebackVersion).to.equal(2);
+  });
+
+  it('records the versions a save created on the saved rows', () => {
+    const rows = [{ ...row('Acme', 'INV-1'), writebackVersion: 1 }, row('Beta', 'INV-2'), row('Gamma', 'INV-3')];
+
+    const updated = applySavedVersions(rows, [
+      { rowKey: 'Acme::INV-1', status: 'saved', version: 2 },
+      { rowKey: 'Beta::INV-2', status: 'saved', version: 1 },
+      { rowKey: 'Gamma::INV-3', status: 'rolled_back', version: null },
+    ]);
+
+    expect(updated.map((r) => r.writebackVersion)).to.deep.equal([2, 1, undefined]);
+    expect(updated[2]).to.equal(rows[2]);
+    expect(applySavedVersions(updated, [{ rowKey: 'Acme::INV-1', status: 'saved', version: 2 }])).to.equal(updated);
+    expect(applySavedVersions(rows, [{ rowKey: 'Acme::INV-1', status: 'saved', version: null }])).to.equal(rows);
+  });
+});
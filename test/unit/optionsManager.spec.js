@@ -0,0 +1,79 @@
+import { OptionsManager } from '../../src/core/optionsManager.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+// Engine app answering list objects and expressions from fixed data
+const createApp = ({ fieldValues = {}, expressions = {} } = {}) => {
+  const calls = { created: [], destroyed: [], evaluated: [] };
+  return {
+    calls,
+    createSessionObject: async (definition) => {
+      const [field] = definition.qListObjectDef.qDef.qFieldDefs;
+      const id = `list_${calls.created.length}`;
+      calls.created.push(field);
+      return {
+        id,
+        getLayout: async () => ({
+          qListObject: { qDataPages: [{ qMatrix: (fieldValues[field] || []).map((qText) => [{ qText }]) }] },
+        }),
+      };
+    },
+    destroySessionObject: async (id) => calls.destroyed.push(id),
+    evaluateEx: async (expression) => {
+      calls.evaluated.push(expression);
+      if (!(expression in expressions)) throw new Error(`Bad expression: ${expression}`);
+      return { qText: expressions[expression] };
+    },
+  };
+};
+
+const layout = {
+  writebackColumns: [
+    { id: 'reason', type: 'singleSelect', optionsSource: 'field', optionsField: 'Reason' },
+    { id: 'tags', type: 'multiSelect', optionsSource: 'expression', optionsExpression: "=Concat(DISTINCT Tag, ',')" },
+    { id: 'owner', type: 'singleSelect', options: 'Ann, Bob' },
+  ],
+};
+
+describe('dynamic select options', () => {
+  it('loads field values and expression results per column', async () => {
+    const app = createApp({
+      fieldValues: { Reason: ['Dispute', '', 'Data error'] },
+      expressions: { "Concat(DISTINCT Tag, ',')": 'Urgent,Later' },
+    });
+    const manager = new OptionsManager(app);
+
+    const loaded = await manager.loadOptions(getWritebackColumns(layout));
+
+    expect(loaded.reason.map((option) => option.value)).to.deep.equal(['Dispute', 'Data error']);
+    expect(loaded.tags.map((option) => option.value)).to.deep.equal(['Urgent', 'Later']);
+    expect(loaded).to.not.have.property('owner');
+    expect(app.calls.destroyed).to.deep.equal(['list_0']);
+
+    const [reason, tags] = getWritebackColumns(layout, loaded);
+    expect(reason.options.map((option) => option.value)).to.deep.equal(['', 'Dispute', 'Data error']);
+    expect(tags.options.map((option) => option.value)).to.deep.equal(['Urgent', 'Later']);
+  });
+
+  it('reuses cached options until cleared', async () => {
+    const app = createApp({ fieldValues: { Reason: ['Dispute'] } });
+    const manager = new OptionsManager(app);
+    const columns = getWritebackColumns(layout).slice(0, 1);
+
+    await manager.loadOptions(columns);
+    await manager.loadOptions(columns);
+    expect(app.calls.created).to.deep.equal(['Reason']);
+
+    manager.clear();
+    await manager.loadOptions(columns);
+    expect(app.calls.created).to.deep.equal(['Reason', 'Reason']);
+  });
+
+  it('skips columns whose source fails and works without an app', async () => {
+    const manager = new OptionsManager(createApp());
+
+    const loaded = await manager.loadOptions(getWritebackColumns(layout));
+
+    expect(Object.keys(loaded)).to.deep.equal(['reason']);
+    expect(await new OptionsManager(null).loadOptions(getWritebackColumns(layout))).to.deep.equal({});
+  });
+});
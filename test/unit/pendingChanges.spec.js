@@ -0,0 +1,61 @@
+import { getPendingChanges } from '../../src/core/pendingChanges.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const columns = getWritebackColumns({
+  writebackColumns: [
+    {
+      id: 'status',
+      type: 'singleSelect',
+      options: [
+        { value: 'open', text: 'Open' },
+        { value: 'closed', text: 'Closed' },
+      ],
+    },
+    { id: 'override', type: 'number' },
+  ],
+});
+const row = (customer, invoice, values) => ({
+  Customer: { value: customer },
+  'Invoice ID': { value: invoice },
+  status: { value: values.status },
+  override: { value: values.override },
+});
+
+describe('pending changes', () => {
+  const acme = row('Acme', 'INV-1', { status: 'open', override: 1200.5 });
+  const globex = row('Globex', 'INV-2', { status: '', override: null });
+  const pages = { 'Acme::INV-1': 2, 'Globex::INV-2': 1 };
+
+  it('lists edits with the value they replace, by page, row and column', () => {
+    const changes = getPendingChanges({
+      editedData: {
+        'Acme::INV-1::override': 1500,
+        'Acme::INV-1::status': 'closed',
+        'Globex::INV-2::status': 'open',
+      },
+      rows: [acme, globex],
+      columns,
+      getPage: (rowKey) => pages[rowKey],
+      locale: 'de-DE',
+    });
+
+    expect(
+      changes.map(({ rowLabel, label, before, after, page }) => [rowLabel, label, before, after, page]),
+    ).to.deep.equal([
+      ['Globex / INV-2', columns[0].label, '', 'Open', 1],
+      ['Acme / INV-1', columns[0].label, 'Open', 'Closed', 2],
+      ['Acme / INV-1', columns[1].label, '1200,5', '1500', 2],
+    ]);
+  });
+
+  it('skips edits of unknown rows or columns and legacy keys', () => {
+    const changes = getPendingChanges({
+      editedData: { 'Initech::INV-3::status': 'open', 'Acme::INV-1::removed': 'x', legacy: 'y' },
+      rows: [acme],
+      columns,
+      getPage: () => 1,
+    });
+
+    expect(changes).to.deep.equal([]);
+  });
+});
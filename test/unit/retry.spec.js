@@ -0,0 +1,90 @@
+import { HttpError, isRetryableError, getBackoffDelay, withRetry } from '../../src/utils/retry.js';
+
+const rejection = (promise) =>
+  promise.then(
+    () => {
+      throw new Error('Expected the promise to reject');
+    },
+    (error) => error,
+  );
+const networkError = () => Object.assign(new Error('Failed to fetch'), { name: 'TypeError' });
+
+describe('save retries', () => {
+  it('retries server errors, timeouts, throttling and network failures', () => {
+    [500, 502, 503, 504, 408, 429].forEach((status) => {
+      expect(isRetryableError(new HttpError(status, ''))).to.equal(true);
+    });
+    expect(isRetryableError(networkError())).to.equal(true);
+    expect(isRetryableError(Object.assign(new Error('aborted'), { name: 'AbortError' }))).to.equal(true);
+  });
+
+  it('does not retry client errors or programming errors', () => {
+    [400, 401, 403, 404, 409, 422].forEach((status) => {
+      expect(isRetryableError(new HttpError(status, ''))).to.equal(false);
+    });
+    expect(isRetryableError(new Error('Cannot save a row without a row key'))).to.equal(false);
+    expect(isRetryableError(undefined)).to.equal(false);
+  });
+
+  it('backoff grows exponentially up to the cap', () => {
+    const random = Math.random;
+    Math.random = () => 1;
+    try {
+      const options = { baseDelay: 500, maxDelay: 8000 };
+      expect([0, 1, 2, 3, 4, 5, 10].map((attempt) => getBackoffDelay(attempt, options))).to.deep.equal([
+        500, 1000, 2000, 4000, 8000, 8000, 8000,
+      ]);
+
+      Math.random = () => 0.5;
+      expect(getBackoffDelay(10, options)).to.equal(4000);
+    } finally {
+      Math.random = random;
+    }
+  });
+
+  it('retries retryable failures until the retry budget is spent', async () => {
+    const attempts = [];
+    const retried = [];
+    const error = await rejection(
+      withRetry(
+        async (attempt) => {
+          attempts.push(attempt);
+          throw new HttpError(503, 'busy');
+        },
+        { retries: 2, baseDelay: 0, onRetry: (error, attempt) => retried.push(attempt) },
+      ),
+    );
+
+    expect(error.message).to.equal('HTTP 503: busy');
+
+    expect(attempts).to.deep.equal([0, 1, 2]);
+    expect(retried).to.deep.equal([0, 1]);
+  });
+
+  it('returns the first success and fails fast on non-retryable errors', async () => {
+    let calls = 0;
+    const result = await withRetry(
+      async () => {
+        calls += 1;
+        if (calls < 3) throw networkError();
+        return 'saved';
+      },
+      { retries: 3, baseDelay: 0 },
+    );
+    expect(result).to.equal('saved');
+    expect(calls).to.equal(3);
+
+    calls = 0;
+    const error = await rejection(
+      withRetry(
+        async () => {
+          calls += 1;
+          throw new HttpError(422, 'invalid');
+        },
+        { retries: 3, baseDelay: 0 },
+      ),
+    );
+    expect(error.message).to.equal('HTTP 422: invalid');
+    expect(calls).to.equal(1);
+  });
+});
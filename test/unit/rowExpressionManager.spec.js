@@ -0,0 +1,108 @@
+import { RowExpressionManager } from '../../src/core/rowExpressionManager.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const [suggestedColumn, expressionColumn, freeColumn] = getWritebackColumns({
+  writebackColumns: [
+    { id: 'override', type: 'number', defaultExpression: '=Sum(Amount) / 100' },
+    { id: 'approval', type: 'boolean', editableExpression: '=Sum(Amount) > 1000' },
+    { id: 'comments', type: 'text' },
+  ],
+});
+
+describe('row expressions', () => {
+  const layout = { qHyperCube: { qDimensionInfo: [{ qFallbackTitle: 'Customer' }, { qFallbackTitle: 'Invoice ID' }] } };
+  const keyConfig = [
+    { dimension: 'Customer', field: 'customer_name' },
+    { dimension: 'Invoice ID', field: 'invoice_id' },
+  ];
+
+  const rows = [
+    [{ qText: 'Acme' }, { qText: 'INV-1' }, { qNum: 10 }, { qNum: 1 }, { qNum: 10, qText: '10' }],
+    [{ qText: 'Beta' }, { qText: 'INV-2' }, { qNum: 20 }, { qNum: 0 }, { qText: '-' }],
+  ];
+  const createApp = (fetch = async () => [{ qMatrix: rows }]) => {
+    const calls = { created: [], fetched: [], destroyed: [] };
+    return {
+      calls,
+      createSessionObject: async (definition) => {
+        calls.created.push(definition);
+        return {
+          id: 'cube_1',
+          getHyperCubeData: async (path, pages) => {
+            calls.fetched.push(pages[0]);
+            return fetch();
+          },
+        };
+      },
+      destroySessionObject: async (id) => calls.destroyed.push(id),
+    };
+  };
+  const model = {
+    getProperties: async () => ({
+      qHyperCubeDef: { qDimensions: [{}, {}], qMeasures: [{ qDef: { qDef: 'Sum(Amount)' } }] },
+    }),
+  };
+
+  it('evaluates the expressions as extra measures for the rows of a page', async () => {
+    const app = createApp();
+    const manager = new RowExpressionManager(app, model);
+
+    const results = await manager.loadPage({
+      layout,
+      columns: [suggestedColumn, expressionColumn],
+      keyConfig,
+      qTop: 20,
+      qHeight: 2,
+    });
+
+    expect(results.editability).to.deep.equal({
+      'Acme::INV-1': { approval: true },
+      'Beta::INV-2': { approval: false },
+    });
+    expect(results.suggestions).to.deep.equal({ 'Acme::INV-1': { override: 10 }, 'Beta::INV-2': { override: '' } });
+    expect(app.calls.created[0].qHyperCubeDef.qMeasures.map((measure) => measure.qDef.qDef)).to.deep.equal([
+      'Sum(Amount)',
+      '=Sum(Amount) > 1000',
+      '=Sum(Amount) / 100',
+    ]);
+    expect(app.calls.fetched).to.deep.equal([{ qTop: 20, qLeft: 0, qWidth: 5, qHeight: 2 }]);
+    expect(app.calls.destroyed).to.deep.equal(['cube_1']);
+
+    await manager.loadPage({ layout, columns: [expressionColumn], keyConfig, qTop: 20, qHeight: 2 });
+    expect(app.calls.created).to.have.lengthOf(1);
+  });
+
+  it('does nothing without expressions', async () => {
+    const app = createApp();
+    const manager = new RowExpressionManager(app, model);
+
+    expect(await manager.loadPage({ layout, columns: [freeColumn], keyConfig, qTop: 0, qHeight: 20 })).to.deep.equal({
+      editability: {},
+      suggestions: {},
+    });
+    expect(app.calls.created).to.deep.equal([]);
+  });
+
+  it('rejects failed or empty evaluations without caching them', async () => {
+    const failing = createApp(async () => {
+      throw new Error('Engine unavailable');
+    });
+    const manager = new RowExpressionManager(failing, model);
+    const page = { layout, columns: [expressionColumn], keyConfig, qTop: 0, qHeight: 2 };
+
+    await manager.loadPage(page).then(
+      () => expect.fail('should reject'),
+      (error) => expect(error.message).to.equal('Engine unavailable'),
+    );
+    expect(failing.calls.destroyed).to.deep.equal(['cube_1']);
+
+    const empty = createApp(async () => [{ qMatrix: [] }]);
+    const emptyManager = new RowExpressionManager(empty, model);
+    await emptyManager.loadPage(page).then(
+      () => expect.fail('should reject'),
+      (error) => expect(error.message).to.equal('The expressions returned no rows'),
+    );
+    await emptyManager.loadPage(page).catch(() => null);
+    expect(empty.calls.created).to.have.lengthOf(2);
+  });
+});
@@ -0,0 +1,48 @@
+import {
+  toFieldName,
+  getRowKeyConfig,
+  getKeyFields,
+  getRowKey,
+  hasRowKey,
+  getRowKeyFields,
+  getRecordRowKey,
+  generateDataKey,
+  parseDataKey,
+} from '../../src/core/rowIdentity.js';
+
+const keyConfig = [
+  { dimension: 'Employee ID', field: 'employee_id' },
+  { dimension: 'Period', field: 'period' },
+];
+const row = { 'Employee ID': { value: 'E-7' }, Period: { value: '2024-Q1' } };
+
+describe('row identity', () => {
+  it('derives column names from dimension titles', () => {
+    expect(toFieldName(' Employee ID ')).to.equal('employee_id');
+    expect(toFieldName('2024 Target')).to.equal('k_2024_target');
+  });
+
+  it('falls back to customer and invoice without a configuration', () => {
+    expect(getKeyFields(getRowKeyConfig({}))).to.deep.equal(['customer_name', 'invoice_id']);
+    expect(getRowKeyConfig({ rowIdentity: { keys: [{ dimension: 'Region' }, {}] } })).to.deep.equal([
+      { dimension: 'Region', field: 'region' },
+    ]);
+  });
+
+  it('builds row keys from tables rows and records alike', () => {
+    expect(getRowKey(row, keyConfig)).to.equal('E-7::2024-Q1');
+    expect(getRowKeyFields(row, keyConfig)).to.deep.equal({ employee_id: 'E-7', period: '2024-Q1' });
+    expect(getRecordRowKey({ employee_id: 'E-7', period: '2024-Q1' }, ['employee_id', 'period'])).to.equal(
+      getRowKey(row, keyConfig),
+    );
+    expect(hasRowKey({}, keyConfig)).to.equal(false);
+  });
+
+  it('splits data keys at the last separator', () => {
+    const dataKey = generateDataKey(row, 'comments', keyConfig);
+
+    expect(dataKey).to.equal('E-7::2024-Q1::comments');
+    expect(parseDataKey(dataKey)).to.deep.equal({ rowKey: 'E-7::2024-Q1', fieldId: 'comments' });
+    expect(parseDataKey('Acme-comments')).to.equal(null);
+  });
+});
@@ -0,0 +1,42 @@
+import { getEditedRowKeys, getSavingStates, getResultStates } from '../../src/core/rowSaveStatus.js';
+
+describe('row save status', () => {
+  it('collects the rows with pending edits', () => {
+    expect(
+      getEditedRowKeys({
+        'Acme::INV-1::status': 'x',
+        'Acme::INV-1::comments': 'y',
+        'Beta::::comments': 'z',
+        legacy: 1,
+      }),
+    ).to.deep.equal(['Acme::INV-1', 'Beta::']);
+    expect(getSavingStates(['Acme::INV-1'])).to.deep.equal({ 'Acme::INV-1': { state: 'saving' } });
+  });
+
+  it('maps per-row results to saved and error states', () => {
+    const states = getResultStates(['A', 'B', 'C'], {
+      success: false,
+      message: 'Save failed',
+      results: [
+        { rowKey: 'A', status: 'rolled_back' },
+        { rowKey: 'B', status: 'failed', error: 'Locked' },
+      ],
+    });
+
+    expect(states).to.deep.equal({
+      A: { state: 'error', message: 'Rolled back with the rest of the batch' },
+      B: { state: 'error', message: 'Locked' },
+      C: { state: 'error', message: 'Save failed' },
+    });
+    expect(getResultStates(['A'], { results: [{ rowKey: 'A', status: 'saved' }] })).to.deep.equal({
+      A: { state: 'saved' },
+    });
+  });
+
+  it('marks queued batches and invalid rows', () => {
+    expect(getResultStates(['A'], { queued: true }).A.state).to.equal('queued');
+    expect(
+      getResultStates(['A', 'B'], { queued: true, invalidRows: [{ rowKey: 'B', message: 'Required' }] }).B,
+    ).to.deep.equal({ state: 'error', message: 'Required' });
+  });
+});
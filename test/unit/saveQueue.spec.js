@@ -0,0 +1,97 @@
+import { SaveQueue } from '../../src/backend/saveQueue.js';
+
+const batch = (key) => [{ idempotency_key: key }];
+
+// Backend adapter recording the idempotency keys it received
+const createAdapter = (respond = () => ({ success: true })) => {
+  const written = [];
+  return {
+    written,
+    write: async (appId, payloads) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      written.push(...payloads.map((payload) => payload.idempotency_key));
+      return respond(payloads);
+    },
+  };
+};
+
+describe('offline save queue', () => {
+  it('keeps batches in memory without IndexedDB, per app and object', async () => {
+    const queue = new SaveQueue({ indexedDB: null });
+    await queue.enqueue({
+      appId: 'app',
+      objectId: 'obj1',
+      nonce: 'n1',
+      payloads: batch('k1'),
+      edits: { 'A::status': 'x' },
+    });
+    await queue.enqueue({ appId: 'app', objectId: 'obj2', payloads: batch('k2') });
+    await queue.enqueue({ appId: 'other', objectId: 'obj1', payloads: batch('k3') });
+
+    const items = await queue.list('app', 'obj1');
+    expect(items.map((item) => item.payloads[0].idempotency_key)).to.deep.equal(['k1']);
+    expect(items[0]).to.include({ nonce: 'n1' });
+    expect(items[0].edits).to.deep.equal({ 'A::status': 'x' });
+
+    await queue.clear('app', 'obj1');
+    expect(await queue.list('app', 'obj1')).to.deep.equal([]);
+    expect(await queue.list('app', 'obj2')).to.have.lengthOf(1);
+  });
+
+  it('replays only the batches of its object', async () => {
+    const queue = new SaveQueue({ indexedDB: null });
+    await queue.enqueue({ appId: 'app', objectId: 'obj1', payloads: batch('k1') });
+    await queue.enqueue({ appId: 'app', objectId: 'obj2', payloads: batch('k2') });
+    const adapter = createAdapter();
+
+    expect(await queue.replay('app', 'obj1', adapter)).to.deep.equal({ synced: 1, failed: 0, remaining: 0 });
+    expect(adapter.written).to.deep.equal(['k1']);
+    expect(await queue.list('app', 'obj2')).to.have.lengthOf(1);
+  });
+
+  it('batches queued without an object are shown to every object of the app', async () => {
+    const queue = new SaveQueue({ indexedDB: null });
+    await queue.enqueue({ appId: 'app', payloads: batch('k1') });
+
+    expect(await queue.list('app', 'obj1')).to.have.lengthOf(1);
+    expect(await queue.list('app', 'obj2')).to.have.lengthOf(1);
+    expect(await queue.list('other', 'obj1')).to.deep.equal([]);
+  });
+
+  it('concurrent replays send each batch once', async () => {
+    const first = new SaveQueue({ indexedDB: null });
+    const second = new SaveQueue({ indexedDB: null });
+    second.memory = first.memory;
+    await first.enqueue({ appId: 'app', objectId: 'obj1', payloads: batch('k1') });
+    await first.enqueue({ appId: 'app', objectId: 'obj1', payloads: batch('k2') });
+    const adapter = createAdapter();
+
+    await Promise.all([
+      first.replay('app', 'obj1', adapter),
+      second.replay('app', 'obj1', adapter),
+      first.replay('app', 'obj1', adapter),
+    ]);
+
+    expect(adapter.written).to.deep.equal(['k1', 'k2']);
+    expect(await first.list('app', 'obj1')).to.deep.equal([]);
+  });
+
+  it('stops at an unreachable backend and keeps rejected batches', async () => {
+    const queue = new SaveQueue({ indexedDB: null });
+    await queue.enqueue({ appId: 'app', objectId: 'obj1', payloads: batch('k1') });
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await queue.enqueue({ appId: 'app', objectId: 'obj1', payloads: batch('k2') });
+
+    const unreachable = createAdapter(() => ({ success: false, retryable: true, message: 'Backend unreachable' }));
+    expect(await queue.replay('app', 'obj1', unreachable)).to.deep.equal({ synced: 0, failed: 0, remaining: 2 });
+    expect(unreachable.written).to.deep.equal(['k1']);
+
+    const rejecting = createAdapter(() => ({ success: false, retryable: false, message: 'Rejected' }));
+    expect(await queue.replay('app', 'obj1', rejecting)).to.deep.equal({ synced: 0, failed: 2, remaining: 2 });
+    const items = await queue.list('app', 'obj1');
+    expect(items.map((item) => [item.attempts, item.lastError])).to.deep.equal([
+      [2, 'Rejected'],
+      [1, 'Rejected'],
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+// test/unit/setup.js
+/**
+ * Mocha root hooks for the unit tests
+ * Exposes chai's expect as a global and an in-memory localStorage that is
+ * emptied before every test.
+ */
+
+import chai from 'chai';
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return Array.from(this.items.keys())[index] ?? null;
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+global.expect = chai.expect;
+global.localStorage = new MemoryStorage();
+
+export const mochaHooks = {
+  beforeEach() {
+    global.localStorage.clear();
+  },
+};
@@ -0,0 +1,213 @@
+import { JSDOM } from 'jsdom';
+import { TableRenderer } from '../../src/ui/tableRenderer.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const columns = getWritebackColumns({
+  writebackColumns: [
+    { id: 'override', type: 'number', min: 0, max: 100, step: 0.5 },
+    { id: 'follow_up', type: 'date', minDate: '2024-01-01', maxDate: '2024-12-31' },
+    { id: 'escalated', type: 'boolean' },
+    { id: 'tags', type: 'multiSelect', options: 'Urgent, Later, Review' },
+    { id: 'notes', type: 'longText', maxLength: 10 },
+    { id: 'region_note', type: 'text', editableWhen: 'Region = EMEA' },
+  ],
+});
+const headers = columns.map((column) => ({ id: column.id, label: column.label, type: 'writeback', meta: { column } }));
+const row = {
+  Customer: { value: 'Acme' },
+  'Invoice ID': { value: 'INV-1' },
+  Region: { value: 'APAC' },
+  override: { value: 12.5 },
+  follow_up: { value: '' },
+  escalated: { value: false },
+  tags: { value: ['Urgent'] },
+  notes: { value: 'Hello' },
+  region_note: { value: 'Read only' },
+};
+
+describe('typed cell editors', () => {
+  let dom;
+  let edits;
+  let container;
+
+  const render = (renderer, editedData = {}, saveStates = {}) => {
+    container = document.createElement('div');
+    renderer.render({ container, tableData: { headers, rows: [row] }, editedData, layout: {}, columns, saveStates });
+  };
+  const cell = (columnId) => container.querySelectorAll('td')[headers.findIndex((header) => header.id === columnId)];
+  const fire = (element, type, init) => element.dispatchEvent(new dom.window.Event(type, init));
+  const createRenderer = (locale = 'en-US') =>
+    new TableRenderer({ locale, onCellEdit: (editedRow, columnId, value) => edits.push([columnId, value]) });
+
+  before(() => {
+    dom = new JSDOM('<!DOCTYPE html><body></body>');
+    global.document = dom.window.document;
+  });
+
+  after(() => {
+    delete global.document;
+    dom.window.close();
+  });
+
+  beforeEach(() => {
+    edits = [];
+  });
+
+  it('number editors read and write numbers in the user locale', () => {
+    render(createRenderer('de-DE'));
+    const input = cell('override').querySelector('input');
+    expect(input.value).to.equal('12,5');
+
+    input.value = '42,25';
+    fire(input, 'change');
+    expect(edits).to.deep.equal([['override', 42.25]]);
+  });
+
+  it('number editors flag unparsable input instead of saving it', () => {
+    render(createRenderer());
+    const input = cell('override').querySelector('input');
+
+    input.value = 'twelve';
+    fire(input, 'change');
+
+    expect(edits).to.deep.equal([]);
+    expect(input.classList.contains('writeback-unparsed')).to.equal(true);
+  });
+
+  it('arrow keys step within the column range and commit on blur', () => {
+    render(createRenderer());
+    const input = cell('override').querySelector('input');
+
+    input.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'ArrowUp' }));
+    expect(input.value).to.equal('13');
+    input.value = '99.8';
+    input.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'ArrowUp' }));
+    expect(input.value).to.equal('100');
+
+    fire(input, 'blur');
+    expect(edits).to.deep.equal([['override', 100]]);
+  });
+
+  it('date pickers are limited to the column range', () => {
+    render(createRenderer());
+    const input = cell('follow_up').querySelector('input');
+    expect([input.type, input.min, input.max]).to.deep.equal(['date', '2024-01-01', '2024-12-31']);
+
+    input.value = '2024-04-02';
+    fire(input, 'change');
+    expect(edits).to.deep.equal([['follow_up', '2024-04-02']]);
+  });
+
+  it('toggles report booleans', () => {
+    render(createRenderer());
+    const input = cell('escalated').querySelector('input[type="checkbox"]');
+    expect(input.checked).to.equal(false);
+
+    input.checked = true;
+    fire(input, 'change');
+    expect(edits).to.deep.equal([['escalated', true]]);
+  });
+
+  it('chips add and remove multi-select values', () => {
+    render(createRenderer());
+    const chips = cell('tags');
+    const add = chips.querySelector('select.chip-add');
+    expect(Array.from(add.options).map((option) => option.value)).to.deep.equal(['', 'Later', 'Review']);
+
+    add.value = 'Review';
+    fire(add, 'change');
+    chips.querySelector('.chip-remove').click();
+
+    expect(edits).to.deep.equal([
+      ['tags', ['Urgent', 'Review']],
+      ['tags', []],
+    ]);
+  });
+
+  it('long text editors count characters and stay expanded across renders', () => {
+    const renderer = createRenderer();
+    render(renderer);
+    const textarea = cell('notes').querySelector('textarea');
+    const counter = cell('notes').querySelector('.char-counter');
+    expect(counter.textContent).to.equal('5 / 10');
+
+    textarea.value = 'Hello world';
+    fire(textarea, 'input');
+    expect(counter.classList.contains('over-limit')).to.equal(true);
+
+    cell('notes').querySelector('.longtext-expand').click();
+    render(renderer);
+    expect(cell('notes').querySelector('.writeback-longtext').classList.contains('expanded')).to.equal(true);
+    expect(cell('notes').querySelector('textarea').rows).to.equal(8);
+  });
+
+  it('cells outside their editable condition render as text', () => {
+    render(createRenderer());
+
+    expect(cell('region_note').classList.contains('writeback-readonly')).to.equal(true);
+    expect(cell('region_note').querySelector('input')).to.equal(null);
+    expect(cell('region_note').textContent).to.equal('Read only');
+  });
+
+  it('cells whose editability expression failed show the error', () => {
+    const approval = getWritebackColumns({
+      writebackColumns: [{ id: 'approval', type: 'text', editableExpression: 'Sum(Amount) > 0' }],
+    });
+    container = document.createElement('div');
+    createRenderer().render({
+      container,
+      tableData: { headers: [{ id: 'approval', label: 'Approval', type: 'writeback', meta: {} }], rows: [row] },
+      editedData: {},
+      layout: {},
+      columns: approval,
+      editability: { 'Acme::INV-1': { approval: { error: 'Engine unavailable' } } },
+    });
+
+    const td = container.querySelector('td');
+    expect(td.classList.contains('writeback-editability-error')).to.equal(true);
+    expect(td.querySelector('input')).to.equal(null);
+    expect(td.title).to.equal('Editability could not be evaluated: Engine unavailable');
+  });
+
+  it('rows show their save state', () => {
+    render(createRenderer(), {}, { 'Acme::INV-1': { state: 'error', message: 'Locked' } });
+    const tr = container.querySelector('tr[data-row]');
+    expect([tr.className, tr.getAttribute('data-save-state'), tr.title]).to.deep.equal([
+      'row-error',
+      'error',
+      'Locked',
+    ]);
+
+    render(createRenderer(), {}, { 'Acme::INV-1': { state: 'saving' } });
+    expect(container.querySelector('tr[data-row]').title).to.equal('Saving...');
+  });
+
+  it('unsaved edits are marked and can be reverted per cell and per row', () => {
+    const reverted = [];
+    const renderer = new TableRenderer({
+      onRevertCell: (dataKey) => reverted.push(['cell', dataKey]),
+      onRevertRow: (rowKey) => reverted.push(['row', rowKey]),
+    });
+    const unsavedEdits = { 'Acme::INV-1::notes': 'Changed' };
+    container = document.createElement('div');
+    renderer.render({
+      container,
+      tableData: { headers, rows: [row] },
+      editedData: unsavedEdits,
+      unsavedEdits,
+      layout: { tableOptions: { allowWriteback: true } },
+      columns,
+    });
+
+    expect(container.querySelector('tr[data-row]').classList.contains('row-dirty')).to.equal(true);
+    expect(cell('notes').classList.contains('writeback-dirty')).to.equal(true);
+    expect(cell('notes').title).to.equal('Original: Hello\nNew: Changed');
+    expect(cell('override').querySelector('.cell-revert')).to.equal(null);
+    cell('notes').querySelector('.cell-revert').click();
+    container.querySelector('.row-revert').click();
+    expect(reverted).to.deep.equal([
+      ['cell', 'Acme::INV-1::notes'],
+      ['row', 'Acme::INV-1'],
+    ]);
+  });
+});
@@ -0,0 +1,98 @@
+import { validateValue, validateRow, buildRuleExpression } from '../../src/core/validationRules.js';
+import { getWritebackColumns } from '../../src/core/writebackColumns.js';
+
+const columns = getWritebackColumns({
+  writebackColumns: [
+    { id: 'status', type: 'singleSelect', options: 'Accurate, Inaccurate, Unsure' },
+    {
+      id: 'reason',
+      type: 'singleSelect',
+      options: 'Wrong bucket, Data error, Other',
+      parentColumn: 'status',
+      optionsByParent: 'Inaccurate: Wrong bucket, Data error\nUnsure: Other',
+    },
+    { id: 'comments', type: 'text', requiredWhen: 'status = Inaccurate, Unsure', maxLength: 10 },
+    { id: 'override_pct', type: 'number', min: 0, max: 100 },
+    { id: 'follow_up', type: 'date', minDate: '2024-01-01', maxDate: '2024-12-31' },
+    { id: 'note', type: 'text', validationExpression: '=Len({value}) > 2', validationMessage: 'Too short' },
+  ],
+});
+const column = (id) => columns.find((other) => other.id === id);
+const check = (id, value, rowValues = {}, evaluateExpression) =>
+  validateValue(column(id), value, { columns, rowValues, evaluateExpression });
+
+describe('validation rules', () => {
+  it('requiredWhen applies only for the listed values of the condition column', () => {
+    expect(check('comments', '', { status: 'Inaccurate' })).to.deep.equal(['Required when status is Inaccurate']);
+    expect(check('comments', '', { status: 'unsure' })).to.deep.equal(['Required when status is unsure']);
+    expect(check('comments', '', { status: 'Accurate' })).to.deep.equal([]);
+    expect(check('comments', 'Checked', { status: 'Inaccurate' })).to.deep.equal([]);
+  });
+
+  it('dependent values must be allowed by the parent value', () => {
+    expect(check('reason', 'Data error', { status: 'Inaccurate' })).to.deep.equal([]);
+    expect(check('reason', 'Other', { status: 'Inaccurate' })).to.deep.equal(['Not allowed for status "Inaccurate"']);
+    expect(check('reason', 'Other', { status: '' })).to.deep.equal(['Not allowed for status ""']);
+    expect(check('reason', '', { status: 'Accurate' })).to.deep.equal([]);
+  });
+
+  it('numeric bounds are inclusive', () => {
+    expect(check('override_pct', 0)).to.deep.equal([]);
+    expect(check('override_pct', 100)).to.deep.equal([]);
+    expect(check('override_pct', -1)).to.deep.equal(['Must be at least 0']);
+    expect(check('override_pct', 100.5)).to.deep.equal(['Must be at most 100']);
+    expect(check('override_pct', '')).to.deep.equal([]);
+  });
+
+  it('date bounds are inclusive', () => {
+    expect(check('follow_up', '2024-01-01')).to.deep.equal([]);
+    expect(check('follow_up', '2024-12-31')).to.deep.equal([]);
+    expect(check('follow_up', '2023-12-31')).to.deep.equal(['Must be on or after 2024-01-01']);
+    expect(check('follow_up', '2025-01-01')).to.deep.equal(['Must be on or before 2024-12-31']);
+  });
+
+  it('dates compare by their day whatever their form', () => {
+    expect(check('follow_up', '2024-12-31T18:30:00Z')).to.deep.equal([]);
+    expect(check('follow_up', '2023-12-31T23:00:00Z')).to.deep.equal(['Must be on or after 2024-01-01']);
+    expect(check('follow_up', 45292)).to.deep.equal([]);
+    expect(check('follow_up', 45291)).to.deep.equal(['Must be on or after 2024-01-01']);
+    expect(check('follow_up', 'next week')).to.deep.equal(['Invalid date']);
+  });
+
+  it('length limits apply to filled-in text', () => {
+    expect(check('comments', 'Much too long')).to.deep.equal(['At most 10 characters']);
+  });
+
+  it('expression rules bind the cell and row values and wait for the engine', () => {
+    expect(
+      buildRuleExpression("={status} <> 'Inaccurate' or Len({value}) > 0", "O'Brien", { status: 'Inaccurate' }),
+    ).to.equal("='Inaccurate' <> 'Inaccurate' or Len('O''Brien') > 0");
+
+    const results = { "=Len('ok') > 2": false, "=Len('fine') > 2": true };
+    const evaluate = (expression) => results[expression];
+    expect(check('note', 'ok', {}, evaluate)).to.deep.equal(['Too short']);
+    expect(check('note', 'fine', {}, evaluate)).to.deep.equal([]);
+    expect(check('note', 'pending', {}, evaluate)).to.deep.equal([]);
+  });
+
+  it('rows report only invalid, editable columns', () => {
+    const rowValues = {
+      status: 'Inaccurate',
+      reason: 'Other',
+      comments: '',
+      override_pct: 120,
+      follow_up: '',
+      note: '',
+    };
+
+    expect(validateRow(columns, rowValues)).to.deep.equal({
+      reason: ['Not allowed for status "Inaccurate"'],
+      comments: ['Required when status is Inaccurate'],
+      override_pct: ['Must be at most 100'],
+    });
+    expect(Object.keys(validateRow(columns, rowValues, undefined, (other) => other.id !== 'reason'))).to.deep.equal([
+      'comments',
+      'override_pct',
+    ]);
+  });
+});
@@ -0,0 +1,289 @@
+import {
+  buildVersionInsert,
+  buildPayloadVersionInsert,
+  bindVersionInsertParams,
+  renderLegacyVersionInsert,
+  renderLegacyBatch,
+} from '../../src/backend/sql/versionInsert.js';
+import { createWritebackPayload } from '../../src/backend/writebackPayload.js';
+import { createSaveNonce } from '../../src/utils/idempotency.js';
+
+const payload = createWritebackPayload({
+  appId: 'qlik_app_test',
+  rowValues: {
+    customerName: "O'Brien Ltd",
+    invoiceId: 'INV-1',
+    currentAgingBucket: '0-30',
+    predictedPaymentBucket: '31-60',
+    paymentTerms: 'Net 30',
+    invoiceDueDate: '2024-03-01',
+    amount: '1250.50',
+  },
+  edits: { model_feedback: 'Inaccurate', comments: 'C:\\path' },
+  username: 'reviewer',
+  sessionId: 'session_1',
+});
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+describe('version insert dialects', () => {
+  it('postgres uses numbered parameters', () => {
+    const { sql, params } = buildVersionInsert('postgres');
+    const text = normalize(sql);
+
+    expect(params[0]).to.equal('app_id');
+    expect(new Set(params).size).to.equal(params.length);
+    expect(text).to.include('WHERE app_id = $1 AND customer_name = $2 AND invoice_id = $3');
+    expect(text).to.include(`COALESCE($${params.indexOf('edit_started_at') + 1}, CURRENT_TIMESTAMP)`);
+    expect(text).to.include('ORDER BY version ASC LIMIT 1');
+    expect(text).to.not.include('?');
+    expect(bindVersionInsertParams(payload, 'postgres')).to.deep.equal(
+      params.map(
+        (name) =>
+          ({
+            app_id: 'qlik_app_test',
+            customer_name: "O'Brien Ltd",
+            invoice_id: 'INV-1',
+            current_aging_bucket: '0-30',
+            predicted_payment_bucket: '31-60',
+            payment_terms: 'Net 30',
+            invoice_due_date: '2024-03-01',
+            amount: 1250.5,
+            model_feedback: 'Inaccurate',
+            comments: 'C:\\path',
+            user: 'reviewer',
+            session_id: 'session_1',
+            edit_started_at: null,
+            edit_duration_seconds: null,
+            idempotency_key: payload.idempotency_key,
+          }[name]),
+      ),
+    );
+  });
+
+  it('sql server uses named parameters and TOP 1', () => {
+    const { sql } = buildVersionInsert('sqlserver');
+    const text = normalize(sql);
+
+    expect(text).to.include('SELECT TOP 1 created_by FROM writeback_data');
+    expect(text).to.not.include('LIMIT');
+    expect(text).to.include('COALESCE(@edit_started_at, CURRENT_TIMESTAMP), COALESCE(@edit_duration_seconds, 0)');
+    expect(text).to.include('WHERE app_id = @app_id AND customer_name = @customer_name AND invoice_id = @invoice_id');
+
+    const bound = bindVersionInsertParams(payload, 'sqlserver');
+    expect(bound.customer_name).to.equal("O'Brien Ltd");
+    expect(bound.amount).to.equal(1250.5);
+  });
+
+  it('snowflake uses numbered binds and CURRENT_TIMESTAMP()', () => {
+    const { sql, params } = buildVersionInsert('snowflake');
+    const text = normalize(sql);
+
+    expect(text).to.include('app_id = :1 AND customer_name = :2 AND invoice_id = :3');
+    expect(text).to.include(`COALESCE(:${params.indexOf('edit_started_at') + 1}, CURRENT_TIMESTAMP())`);
+    expect(text).to.include('LIMIT 1');
+    expect(params).to.have.lengthOf(15);
+  });
+
+  it('mysql binds positional parameters in text order', () => {
+    const { sql, params } = buildVersionInsert('mysql');
+    const text = normalize(sql);
+
+    expect(text).to.include('COALESCE(?, CURRENT_TIMESTAMP), COALESCE(?, 0)');
+    expect(text.match(/\?/g)).to.have.lengthOf(params.length);
+    expect(params.slice(0, 3)).to.deep.equal(['app_id', 'customer_name', 'invoice_id']);
+    // Row filter appears twice (original creator lookup and version lookup)
+    expect(params.filter((name) => name === 'invoice_id')).to.have.lengthOf(3);
+
+    const bound = bindVersionInsertParams(payload, 'mysql');
+    expect(bound).to.have.lengthOf(params.length);
+    expect(bound[params.indexOf('amount')]).to.equal(1250.5);
+  });
+
+  it('sqlite uses named parameters', () => {
+    const { sql } = buildVersionInsert('sqlite');
+    const text = normalize(sql);
+
+    expect(text).to.include('COALESCE(:edit_started_at, CURRENT_TIMESTAMP)');
+    expect(text).to.include('app_id = :app_id AND customer_name = :customer_name');
+    expect(Object.keys(bindVersionInsertParams(payload, 'sqlite'))).to.include('session_id');
+  });
+
+  it('every dialect carries over the original creator and next version', () => {
+    ['postgres', 'sqlserver', 'snowflake', 'mysql', 'sqlite'].forEach((dialect) => {
+      const text = normalize(buildVersionInsert(dialect).sql);
+      expect(text).to.include('COALESCE(MAX(version), 0) + 1 AS next_version');
+      expect(text).to.include('ELSE version_info.original_created_by END');
+      expect(text).to.include('ELSE version_info.original_created_at END');
+      expect(text).to.match(/^INSERT INTO writeback_data \(/);
+    });
+  });
+
+  it('every dialect skips inserts whose idempotency key already exists', () => {
+    ['postgres', 'sqlserver', 'snowflake', 'mysql', 'sqlite'].forEach((dialect) => {
+      const { sql, params } = buildVersionInsert(dialect);
+      const text = normalize(sql);
+      expect(text).to.include('edit_duration_seconds, idempotency_key )');
+      expect(text).to.match(
+        /\) version_info WHERE NOT EXISTS \( SELECT 1 FROM writeback_data WHERE idempotency_key = \S+ \);$/,
+      );
+      expect(params).to.include('idempotency_key');
+    });
+  });
+
+  it('idempotency keys identify the save attempt', () => {
+    const build = (overrides) =>
+      createWritebackPayload({
+        appId: 'qlik_app_test',
+        rowKey: 'A::1',
+        rowValues: { customerName: 'A', invoiceId: '1', amount: 10 },
+        edits: { model_feedback: 'Accurate', comments: '' },
+        username: 'reviewer',
+        sessionId: 'session_1',
+        nonce: 'n1',
+        ...overrides,
+      });
+
+    // Retrying the same save attempt reuses the key, whoever sends it
+    expect(build({}).idempotency_key).to.equal(build({ sessionId: 'session_2' }).idempotency_key);
+    // Different values or a newer base version are a new save
+    expect(build({}).idempotency_key).to.not.equal(build({ edits: { model_feedback: 'Inaccurate' } }).idempotency_key);
+    expect(build({}).idempotency_key).to.not.equal(build({ baseVersion: 2 }).idempotency_key);
+    // Saving the same values again later (A, B, A) is a new attempt
+    expect(build({}).idempotency_key).to.not.equal(build({ nonce: 'n3' }).idempotency_key);
+    expect(createSaveNonce()).to.not.equal(createSaveNonce());
+  });
+
+  it('configured row key columns drive the filter and insert columns', () => {
+    const { sql, params } = buildVersionInsert('postgres', ['employee_id', 'period']);
+    const text = normalize(sql);
+
+    expect(text).to.include('WHERE app_id = $1 AND employee_id = $2 AND period = $3');
+    expect(text).to.include('INSERT INTO writeback_data ( app_id, employee_id, period, current_aging_bucket');
+    expect(text).to.not.include('customer_name');
+    expect(params.slice(0, 3)).to.deep.equal(['app_id', 'employee_id', 'period']);
+
+    const keyed = createWritebackPayload({
+      appId: 'qlik_app_test',
+      rowKey: 'E-7::2024-Q1',
+      keys: { employee_id: 'E-7', period: '2024-Q1' },
+      rowValues: {},
+      edits: { comments: 'Checked' },
+      username: 'reviewer',
+    });
+    const bound = bindVersionInsertParams(keyed, 'sqlserver');
+    expect(bound.employee_id).to.equal('E-7');
+    expect(bound.period).to.equal('2024-Q1');
+    expect(bound.customer_name).to.be.undefined;
+    expect(renderLegacyVersionInsert(keyed, 'postgres')).to.include("period = '2024-Q1'");
+  });
+
+  it('row key columns must be plain identifiers', () => {
+    expect(() => buildVersionInsert('postgres', ['id; DROP TABLE writeback_data'])).to.throw('Invalid row key column');
+    expect(() => buildVersionInsert('postgres', [])).to.throw('At least one row key column is required');
+  });
+
+  it('configured writeback columns are inserted with typed values', () => {
+    const columns = [
+      { id: 'override_pct', type: 'number', field: 'override_pct' },
+      { id: 'follow_up', type: 'date', field: 'follow_up' },
+      { id: 'escalated', type: 'boolean', field: 'escalated' },
+      { id: 'reasons', type: 'multiSelect', field: 'reasons' },
+    ];
+    const typed = createWritebackPayload({
+      appId: 'qlik_app_test',
+      rowKey: 'A::1',
+      rowValues: { customerName: 'A', invoiceId: '1' },
+      edits: { override_pct: '12.5', follow_up: '2024-04-02', escalated: true, reasons: ['Data error', 'Dispute'] },
+      columns,
+      username: 'reviewer',
+    });
+
+    expect(typed.edits).to.deep.equal({
+      override_pct: 12.5,
+      follow_up: '2024-04-02',
+      escalated: true,
+      reasons: '["Data error","Dispute"]',
+    });
+
+    const text = normalize(buildPayloadVersionInsert(typed, 'postgres').sql);
+    expect(text).to.include('amount, override_pct, follow_up, escalated, reasons, created_by');
+    expect(text).to.not.include('model_feedback');
+
+    expect(bindVersionInsertParams(typed, 'postgres')).to.include(true);
+    expect(bindVersionInsertParams(typed, 'sqlserver').escalated).to.equal(1);
+    expect(renderLegacyVersionInsert(typed, 'postgres')).to.include("12.5, '2024-04-02', TRUE,");
+    expect(() => buildVersionInsert('postgres', undefined, ['bad column'])).to.throw('Invalid writeback column');
+  });
+
+  it('measured edit start and duration are bound per dialect', () => {
+    const timed = createWritebackPayload({
+      appId: 'qlik_app_test',
+      rowKey: 'A::1',
+      rowValues: { customerName: 'A', invoiceId: '1' },
+      edits: { model_feedback: 'Accurate', comments: '' },
+      username: 'reviewer',
+      editTiming: { startedAt: '2024-05-06T07:08:09.123Z', durationSeconds: 41.6 },
+    });
+    const untimed = createWritebackPayload({
+      appId: 'qlik_app_test',
+      rowKey: 'A::1',
+      rowValues: { customerName: 'A', invoiceId: '1' },
+      edits: { model_feedback: 'Accurate', comments: '' },
+      username: 'reviewer',
+    });
+
+    expect(timed.edit_duration_seconds).to.equal(42);
+    // Timing is not part of the logical save
+    expect(timed.idempotency_key).to.equal(untimed.idempotency_key);
+
+    const { params } = buildPayloadVersionInsert(timed, 'postgres');
+    const postgres = bindVersionInsertParams(timed, 'postgres');
+    expect(postgres[params.indexOf('edit_started_at')]).to.equal('2024-05-06T07:08:09.123Z');
+    expect(postgres[params.indexOf('edit_duration_seconds')]).to.equal(42);
+    expect(bindVersionInsertParams(timed, 'sqlserver').edit_started_at).to.equal('2024-05-06T07:08:09');
+    expect(bindVersionInsertParams(timed, 'sqlite').edit_started_at).to.equal('2024-05-06 07:08:09');
+    expect(normalize(renderLegacyVersionInsert(timed, 'mysql'))).to.include(
+      "COALESCE('2024-05-06 07:08:09', CURRENT_TIMESTAMP), COALESCE(42, 0)",
+    );
+    expect(normalize(renderLegacyVersionInsert(untimed, 'postgres'))).to.include(
+      'COALESCE(NULL, CURRENT_TIMESTAMP), COALESCE(NULL, 0)',
+    );
+  });
+
+  it('unknown dialects are rejected', () => {
+    expect(() => buildVersionInsert('oracle')).to.throw('Unsupported SQL dialect: oracle');
+  });
+
+  it('legacy rendering escapes literals per dialect', () => {
+    const postgres = renderLegacyVersionInsert(payload, 'postgres');
+    expect(postgres).to.include("'O''Brien Ltd'");
+    expect(postgres).to.include("'C:\\path'");
+    expect(postgres).to.include('1250.5');
+
+    const mysql = renderLegacyVersionInsert(payload, 'mysql');
+    expect(mysql).to.include("'C:\\\\path'");
+  });
+
+  it('legacy batches are wrapped in one transaction per dialect', () => {
+    const sqlserver = renderLegacyBatch([payload, payload], 'sqlserver').split('\n');
+    expect(sqlserver[0]).to.equal('SET XACT_ABORT ON; BEGIN TRANSACTION;');
+    expect(sqlserver[sqlserver.length - 1]).to.equal('COMMIT TRANSACTION;');
+
+    const mysql = renderLegacyBatch([payload], 'mysql');
+    expect(mysql.startsWith('START TRANSACTION;')).to.equal(true);
+    expect(mysql.match(/INSERT INTO writeback_data/g)).to.have.lengthOf(1);
+  });
+
+  it('legacy SQL leaves out the idempotency column and guard unless asked for', () => {
+    const legacy = normalize(renderLegacyVersionInsert(payload, 'postgres'));
+    expect(legacy).to.not.include('idempotency_key');
+    expect(legacy).to.not.include('NOT EXISTS');
+    expect(legacy).to.match(/ FROM writeback_data WHERE .+ \) version_info;$/);
+    expect(renderLegacyBatch([payload], 'mysql')).to.not.include('idempotency_key');
+
+    const idempotent = normalize(renderLegacyVersionInsert(payload, 'postgres', { idempotent: true }));
+    expect(idempotent).to.include(`WHERE idempotency_key = '${payload.idempotency_key}'`);
+    expect(renderLegacyBatch([payload], 'mysql', { idempotent: true })).to.include('NOT EXISTS');
+  });
+});
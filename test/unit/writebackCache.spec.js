@@ -0,0 +1,98 @@
+import { WritebackCache, selectLatestVersions } from '../../src/backend/writebackCache.js';
+import { DELTA_SYNC } from '../../src/utils/constants.js';
+
+const record = (invoiceId, version, modifiedAt, extra = {}) => ({
+  customer_name: 'Acme',
+  invoice_id: invoiceId,
+  version,
+  modified_at: modifiedAt,
+  ...extra,
+});
+
+describe('writeback cache', () => {
+  it('starts with a full sync and tracks the high-water mark', () => {
+    const cache = new WritebackCache();
+    expect(cache.needsFullSync()).to.equal(true);
+    expect(cache.getReadOptions()).to.deep.equal({});
+
+    cache.applyDelta([record('INV-1', 1, '2024-03-01T10:00:00Z'), record('INV-2', 1, '2024-03-01T12:00:00Z')], true);
+
+    expect(cache.needsFullSync()).to.equal(false);
+    expect(cache.highWaterMark).to.equal(Date.parse('2024-03-01T12:00:00Z'));
+  });
+
+  it('delta reads start one overlap window before the high-water mark', () => {
+    const cache = new WritebackCache();
+    cache.applyDelta([record('INV-1', 1, '2024-03-01T12:00:00Z')], true);
+
+    expect(cache.getReadOptions()).to.deep.equal({
+      since: new Date(Date.parse('2024-03-01T12:00:00Z') - DELTA_SYNC.OVERLAP_MS).toISOString(),
+    });
+  });
+
+  it('overlapping records keep the latest version per row', () => {
+    const cache = new WritebackCache();
+    cache.applyDelta([record('INV-1', 2, '2024-03-01T12:00:00Z', { comments: 'v2' })], true);
+
+    const changed = cache.applyDelta([
+      record('INV-1', 1, '2024-03-01T11:00:00Z', { comments: 'v1' }),
+      record('INV-1', 2, '2024-03-01T12:00:00Z', { comments: 'v2' }),
+      record('INV-2', 1, '2024-03-01T12:30:00Z'),
+    ]);
+
+    expect(changed).to.equal(1);
+    expect(cache.getLatest().map((row) => [row.invoice_id, row.version])).to.deep.equal([
+      ['INV-1', 2],
+      ['INV-2', 1],
+    ]);
+    expect(cache.highWaterMark).to.equal(Date.parse('2024-03-01T12:30:00Z'));
+  });
+
+  it('an empty full sync still counts as synced', () => {
+    const cache = new WritebackCache();
+    cache.applyDelta([], true);
+
+    expect(cache.needsFullSync()).to.equal(false);
+    expect(cache.getReadOptions().since).to.not.be.undefined;
+  });
+
+  it('forces a full resync after the resync interval and drops deleted rows', () => {
+    const cache = new WritebackCache();
+    cache.applyDelta([record('INV-1', 1, '2024-03-01T10:00:00Z'), record('INV-2', 1, '2024-03-01T10:00:00Z')], true);
+
+    const dueAt = cache.lastFullSync + DELTA_SYNC.FULL_RESYNC_INTERVAL;
+    expect(cache.needsFullSync(dueAt - 1)).to.equal(false);
+    expect(cache.needsFullSync(dueAt)).to.equal(true);
+
+    cache.applyDelta([record('INV-2', 1, '2024-03-01T10:00:00Z')], true);
+    expect(cache.getLatest().map((row) => row.invoice_id)).to.deep.equal(['INV-2']);
+  });
+
+  it('selects the latest version of each row from a keyed read', () => {
+    const latest = selectLatestVersions([
+      record('INV-1', 1, '2024-03-01T10:00:00Z'),
+      record('INV-1', 3, '2024-03-01T12:00:00Z'),
+      record('INV-1', 2, '2024-03-01T11:00:00Z'),
+      record('INV-2', 1, '2024-03-01T09:00:00Z'),
+    ]);
+
+    expect(latest.map((row) => [row.invoice_id, row.version])).to.deep.equal([
+      ['INV-1', 3],
+      ['INV-2', 1],
+    ]);
+  });
+
+  it('keys rows by the configured key columns', () => {
+    const cache = new WritebackCache(['employee_id']);
+    cache.applyDelta(
+      [
+        { employee_id: 'E-7', version: 1, modified_at: '2024-03-01T10:00:00Z' },
+        { employee_id: 'E-7', version: 2, modified_at: '2024-03-01T11:00:00Z' },
+        { customer_name: 'Acme', version: 1, modified_at: '2024-03-01T11:00:00Z' },
+      ],
+      true,
+    );
+
+    expect(cache.getLatest()).to.deep.equal([{ employee_id: 'E-7', version: 2, modified_at: '2024-03-01T11:00:00Z' }]);
+  });
+});
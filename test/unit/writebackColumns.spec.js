@@ -0,0 +1,126 @@
+import {
+  isSelectType,
+  parseOptions,
+  getStatusOptions,
+  findOption,
+  getWritebackColumns,
+  getEmptyValue,
+  toEditValue,
+  hasValue,
+  getCellValue,
+  getSuggestedValue,
+  formatCellValue,
+} from '../../src/core/writebackColumns.js';
+
+const column = (type, extra = {}) => ({ id: 'field', type, ...extra });
+
+describe('writeback columns', () => {
+  it('keeps the original columns without a configuration', () => {
+    const columns = getWritebackColumns({ columnLabels: { comments: 'Notes' } });
+
+    expect(columns.map((col) => col.field)).to.deep.equal(['model_feedback', 'comments']);
+    expect(columns[1].label).to.equal('Notes');
+  });
+
+  it('normalizes configured columns', () => {
+    const [pct, reason, unknown] = getWritebackColumns({
+      writebackColumns: [
+        { label: 'Override %', id: 'Override Pct', type: 'number', defaultValue: '5' },
+        { id: 'reason', type: 'singleSelect', options: 'Dispute, Data error' },
+        { id: 'misc', type: 'color' },
+        { id: 'reason', type: 'text' },
+      ],
+    });
+
+    expect(pct).to.include({
+      id: 'override_pct',
+      label: 'Override %',
+      type: 'number',
+      field: 'override_pct',
+      defaultValue: 5,
+    });
+    expect(reason.options.map((option) => option.value)).to.deep.equal(['', 'Dispute', 'Data error']);
+    expect(unknown.type).to.equal('text');
+  });
+
+  it('parses option lists', () => {
+    expect(isSelectType('multiSelect')).to.equal(true);
+    expect(isSelectType('text')).to.equal(false);
+    expect(parseOptions('A\nB, C')).to.deep.equal([
+      { value: 'A', text: 'A' },
+      { value: 'B', text: 'B' },
+      { value: 'C', text: 'C' },
+    ]);
+    expect(parseOptions([{ value: 'x', label: 'X' }, 'y'])).to.deep.equal([
+      { value: 'x', label: 'X', text: 'X' },
+      { value: 'y', text: 'y' },
+    ]);
+  });
+
+  it('converts values to the editing form of each type', () => {
+    expect(toEditValue(column('boolean'), 'yes')).to.equal(true);
+    expect(toEditValue(column('boolean'), 0)).to.equal(false);
+    expect(toEditValue(column('number'), '12.5')).to.equal(12.5);
+    expect(toEditValue(column('number'), 'abc')).to.equal('');
+    expect(toEditValue(column('multiSelect'), '["a","b"]')).to.deep.equal(['a', 'b']);
+    expect(toEditValue(column('multiSelect'), 'a, b')).to.deep.equal(['a', 'b']);
+    expect(toEditValue(column('text'), 42)).to.equal('42');
+    expect(toEditValue(column('multiSelect'), null)).to.deep.equal(getEmptyValue(column('multiSelect')));
+  });
+
+  it('reads cell values from edits or the row', () => {
+    const col = column('text', { defaultValue: 'n/a' });
+    const row = { field: { value: 'stored' } };
+
+    expect(getCellValue(row, col, { key: 'edited' }, 'key')).to.equal('edited');
+    expect(getCellValue(row, col, {}, 'key')).to.equal('stored');
+    expect(getCellValue({}, col, {}, 'key')).to.equal('');
+    expect(hasValue(column('boolean'), false)).to.equal(false);
+    expect(hasValue(column('multiSelect'), [])).to.equal(false);
+    expect(hasValue(column('number'), 0)).to.equal(true);
+  });
+
+  it('uses the configured status option set for the status column', () => {
+    const layout = {
+      statusOptions: [{ value: 'Approved', label: 'Approve', icon: '✔', color: { color: '#00ff00' } }, { value: '' }],
+    };
+    const options = getStatusOptions(layout);
+
+    expect(options.map((option) => option.value)).to.deep.equal(['', 'Approved']);
+    expect(options[1]).to.deep.equal({ value: 'Approved', text: 'Approve', icon: '✔', color: '#00ff00' });
+    expect(getStatusOptions({}).map((option) => option.value)).to.deep.equal(['', 'Accurate', 'Inaccurate']);
+
+    const [status] = getWritebackColumns(layout);
+    expect(status.options).to.deep.equal(options);
+    expect(toEditValue(status, 'approve')).to.equal('Approved');
+    expect(toEditValue(status, 'Unknown')).to.equal('Unknown');
+    expect(findOption(options, '')).to.equal(options[0]);
+  });
+
+  it('suggests the expression result, then the constant default, for empty unedited cells', () => {
+    const col = column('text', { defaultValue: 'n/a' });
+
+    expect(getSuggestedValue({}, col, {}, 'key', { field: 'From expression' })).to.equal('From expression');
+    expect(getSuggestedValue({}, col, {}, 'key', { field: '' })).to.equal('n/a');
+    expect(getSuggestedValue({ field: { value: 'stored' } }, col, {}, 'key')).to.be.undefined;
+    expect(getSuggestedValue({}, col, { key: '' }, 'key')).to.be.undefined;
+    expect(getSuggestedValue({}, column('text'), {}, 'key')).to.be.undefined;
+  });
+
+  it('formats cell values for display', () => {
+    const select = column('singleSelect', {
+      options: parseOptions([
+        { value: 'open', text: 'Open' },
+        { value: 'closed', label: 'Closed' },
+      ]),
+    });
+
+    expect(formatCellValue(column('boolean'), true)).to.equal('Yes');
+    expect(formatCellValue(column('boolean'), null)).to.equal('No');
+    expect(formatCellValue(select, 'closed')).to.equal('Closed');
+    expect(formatCellValue(select, 'other')).to.equal('other');
+    expect(formatCellValue(column('multiSelect'), ['A', 'B'])).to.equal('A, B');
+    expect(formatCellValue(column('number'), 1234.5, 'de-DE')).to.equal('1234,5');
+    expect(formatCellValue(column('text'), null)).to.equal('');
+  });
+});
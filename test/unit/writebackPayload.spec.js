@@ -0,0 +1,79 @@
+import { createWritebackPayload, flattenPayload, toIsoDate } from '../../src/backend/writebackPayload.js';
+
+describe('writeback payload', () => {
+  it('types the row values and edits', () => {
+    const payload = createWritebackPayload({
+      appId: 'app',
+      rowKey: 'Acme::42',
+      rowValues: {
+        customerName: 'Acme',
+        invoiceId: 42,
+        currentAgingBucket: '0-30',
+        invoiceDueDate: '2024-03-01',
+        amount: '1250.50',
+      },
+      edits: { model_feedback: 'Accurate', comments: null },
+      username: '',
+      sessionId: 'session_1',
+    });
+
+    const { idempotency_key: idempotencyKey, ...fields } = payload;
+    expect(idempotencyKey).to.match(/^wb_[0-9a-f]+$/);
+    expect(fields).to.deep.equal({
+      app_id: 'app',
+      row_key: 'Acme::42',
+      keys: { customer_name: 'Acme', invoice_id: '42' },
+      row: {
+        current_aging_bucket: '0-30',
+        predicted_payment_bucket: '',
+        payment_terms: '',
+        invoice_due_date: '2024-03-01',
+        amount: 1250.5,
+      },
+      edits: { model_feedback: 'Accurate', comments: '' },
+      user: 'system_user',
+      session_id: 'session_1',
+      edit_started_at: null,
+      edit_duration_seconds: null,
+    });
+    expect(flattenPayload(payload)).to.include({ app_id: 'app', customer_name: 'Acme', amount: 1250.5, comments: '' });
+  });
+
+  it('adds the measured edit timing without changing the idempotency key', () => {
+    const params = { appId: 'app', rowKey: 'Acme::42', rowValues: { customerName: 'Acme' }, edits: {} };
+    const untimed = createWritebackPayload(params);
+    const timed = createWritebackPayload({
+      ...params,
+      editTiming: { startedAt: '2024-05-06T07:08:09.123Z', durationSeconds: 41.6 },
+    });
+
+    expect(timed).to.include({ edit_started_at: '2024-05-06T07:08:09.123Z', edit_duration_seconds: 42 });
+    expect(timed.idempotency_key).to.equal(untimed.idempotency_key);
+  });
+
+  it('rejects rows without a row key', () => {
+    expect(() => createWritebackPayload({ appId: 'app', rowValues: {}, edits: {} })).to.throw(
+      'Cannot save a row without a row key',
+    );
+  });
+
+  it('converts text, Date and serial dates to ISO dates', () => {
+    expect(toIsoDate('2024-03-01')).to.equal('2024-03-01');
+    expect(toIsoDate(new Date(Date.UTC(2024, 2, 1)))).to.equal('2024-03-01');
+    expect(toIsoDate(45352)).to.equal('2024-03-01');
+    expect(toIsoDate('')).to.equal(null);
+    expect(toIsoDate('not a date')).to.equal(null);
+  });
+
+  it('uses the configured key columns', () => {
+    const payload = createWritebackPayload({
+      appId: 'app',
+      rowKey: 'E-7',
+      keys: { employee_id: 'E-7' },
+      rowValues: {},
+      edits: {},
+    });
+
+    expect(payload.keys).to.deep.equal({ employee_id: 'E-7' });
+  });
+});